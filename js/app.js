@@ -14,9 +14,12 @@ import {
 import { walletManager } from './services/WalletManager.js';
 import { WalletUI } from './components/WalletUI.js';
 import { WebSocketService } from './services/WebSocket.js';
+import { EventIndexerService } from './services/EventIndexer.js';
 import { ViewOrders } from './components/ViewOrders.js';
 import { MyOrders } from './components/MyOrders.js';
 import { Claim } from './components/Claim.js';
+import { History } from './components/History.js';
+import { OrderBook } from './components/OrderBook.js';
 import { TakerOrders } from './components/TakerOrders.js';
 import { Cleanup } from './components/Cleanup.js';
 import { ContractParams } from './components/ContractParams.js';
@@ -1022,6 +1025,15 @@ class App {
 		// Note: Token metadata is stable and persists for TTL duration
 		clearBalanceCache();
 		
+		const eventIndexer = this.ctx?.getEventIndexer?.();
+		if (eventIndexer?.cleanup) {
+			try {
+				eventIndexer.cleanup();
+			} catch (error) {
+				this.warn('Error cleaning up event indexer during network transition:', error);
+			}
+		}
+
 		const ws = this.ctx?.getWebSocket?.();
 		if (ws?.cleanup) {
 			try {
@@ -1339,9 +1351,11 @@ class App {
 			this.components = {
 				...this.components,  // Keep CreateOrder
 				'view-orders': new ViewOrders(),
+				'order-book': new OrderBook(),
 				'my-orders': new MyOrders(),
 				'claim': new Claim(),
 				'taker-orders': new TakerOrders(),
+				'history': new History(),
 				'cleanup-orders': new Cleanup(),
 				'contract-params': new ContractParams(),
 				'admin': new Admin(),
@@ -1386,6 +1400,8 @@ class App {
 					!(component instanceof WalletUI) &&
 					!(component instanceof Cleanup) &&
 					!(component instanceof Claim) &&
+					!(component instanceof History) &&
+					!(component instanceof OrderBook) &&
 					!(component instanceof Admin) &&
 					!(component instanceof Intro)) {
 					component.render = function() {
@@ -1409,7 +1425,8 @@ class App {
 			// tabs (for example cleanup-orders) start hidden in the HTML and are
 			// made visible by updateTabVisibility().
 			const historyState = window.history?.state || {};
-			const restoredTab = historyState[ACTIVE_TAB_STATE_KEY];
+			// Shared order-table links carry ?tab= so they open on the right table
+			const restoredTab = historyState[ACTIVE_TAB_STATE_KEY] || getRequestedTabFromUrl();
 			this.currentTab = this.getDefaultInitialTab(hasInitialConnectedContext);
 
 				// Add wallet connection state handler
@@ -1531,6 +1548,7 @@ class App {
 				this.setTabVisible('intro', true);
 				this.setTabVisible('create-order', true);
 				this.setTabVisible('view-orders', true);
+				this.setTabVisible('order-book', true);
 				this.setTabVisible('cleanup-orders', true);
 				this.setTabVisible('contract-params', true);
 
@@ -1540,6 +1558,7 @@ class App {
 
 				// Connection-dependent tabs.
 				this.setTabVisible('admin', isConnected);
+				this.setTabVisible('history', isConnected);
 
 				// Claim visibility is handled asynchronously after claimable checks.
 				// Keep current state while connected to avoid flicker and fail-closed behavior.
@@ -1553,7 +1572,7 @@ class App {
 
 				// If disconnected, only switch to view-orders if current tab is not visible
 				if (!isConnected) {
-					const visibleWhenDisconnected = new Set(['intro', 'create-order', 'view-orders', 'cleanup-orders', 'contract-params']);
+					const visibleWhenDisconnected = new Set(['intro', 'create-order', 'view-orders', 'order-book', 'cleanup-orders', 'contract-params']);
 					if (!visibleWhenDisconnected.has(this.currentTab)) {
 						this.showTab('view-orders');
 					}
@@ -1688,6 +1707,11 @@ class App {
 				this.debug('ContractService initialize skipped/failed:', e);
 			}
 
+			// History backfill is lazy; the indexer only listens for live events here.
+			const eventIndexer = new EventIndexerService({ webSocket: webSocketService });
+			eventIndexer.initialize();
+			this.ctx.eventIndexer = eventIndexer;
+
 			// Subscribe to orderSyncComplete event before initialization
 			webSocketService.subscribe('orderSyncComplete', () => {
 				this.wsInitialized = true;
@@ -1873,6 +1897,22 @@ class App {
 		return this.toast.showToast(message, type, duration);
 	}
 
+	/**
+	 * Open CreateOrder pre-filled from one of the maker's orders (MyOrders "Edit").
+	 * @param {Object} order - Cached order to replace
+	 */
+	async openOrderReplacement(order) {
+		await this.showTab('create-order');
+		if (this.currentTab !== 'create-order') {
+			return false;
+		}
+		const createOrderComponent = this.components['create-order'];
+		if (!createOrderComponent?.beginOrderReplacement) {
+			return false;
+		}
+		return createOrderComponent.beginOrderReplacement(order);
+	}
+
 	async showTab(tabId, readOnlyOverride = null, options = {}) {
 		let loadingOverlay = null;
 		const requestId = ++this.activeTabRequestId;
@@ -2183,6 +2223,11 @@ function getInitialSelectedNetwork() {
 	return fromUrl || getDefaultNetwork();
 }
 
+function getRequestedTabFromUrl() {
+	const params = new URLSearchParams(window.location.search || '');
+	return params.get('tab');
+}
+
 function updateChainInUrl(slug) {
 	const url = new URL(window.location.href);
 	url.searchParams.set('chain', slug);
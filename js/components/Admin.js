@@ -8,6 +8,7 @@ import { walletManager } from '../services/WalletManager.js';
 import { generateTokenIconHTML } from '../utils/tokenIcons.js';
 import { getAllWalletTokens } from '../utils/contractTokens.js';
 import { contractService } from '../services/ContractService.js';
+import { extractTransactionErrorMessage } from '../utils/ui.js';
 
 export class Admin extends BaseComponent {
     constructor() {
@@ -866,7 +867,13 @@ export class Admin extends BaseComponent {
                 return;
             }
 
-            const tx = await this.contract.connect(signer).updateFeeConfig(metadata.address, amountInUnits);
+            const contractWithSigner = this.contract.connect(signer);
+            await this.previewTransactionCost({
+                contract: contractWithSigner,
+                method: 'updateFeeConfig',
+                args: [metadata.address, amountInUnits]
+            });
+            const tx = await contractWithSigner.updateFeeConfig(metadata.address, amountInUnits);
             await tx.wait();
 
             if (tokenInput) tokenInput.value = '';
@@ -877,7 +884,7 @@ export class Admin extends BaseComponent {
             this.showSuccess(`Fee configuration updated using ${metadata.decimals} token decimals.`);
         } catch (error) {
             this.error('Failed to update fee config:', error);
-            this.showError(`Failed to update fee config: ${error.message}`);
+            this.showError(`Failed to update fee config: ${extractTransactionErrorMessage(error)}`);
         } finally {
             this.updateFeeButton.disabled = false;
             this.updateFeeButton.textContent = 'Update Fee Config';
@@ -967,7 +974,13 @@ export class Admin extends BaseComponent {
 
             const wallet = this.ctx.getWallet();
             const signer = await wallet.getSigner();
-            const tx = await this.contract.connect(signer).updateAllowedTokens(tokens, flags);
+            const contractWithSigner = this.contract.connect(signer);
+            await this.previewTransactionCost({
+                contract: contractWithSigner,
+                method: 'updateAllowedTokens',
+                args: [tokens, flags]
+            });
+            const tx = await contractWithSigner.updateAllowedTokens(tokens, flags);
             await tx.wait();
 
             if (duplicateCount > 0 || tokens.length < providedTokenCount) {
@@ -979,7 +992,7 @@ export class Admin extends BaseComponent {
             this.showSuccess('Allowed tokens updated.');
         } catch (error) {
             this.error('Failed to update allowed tokens:', error);
-            this.showError(`Failed to update allowed tokens: ${error.message}`);
+            this.showError(`Failed to update allowed tokens: ${extractTransactionErrorMessage(error)}`);
         } finally {
             this.updateTokensButton.disabled = false;
             this.updateTokensButton.textContent = 'Update Allowed Tokens';
@@ -1007,14 +1020,16 @@ export class Admin extends BaseComponent {
 
             const wallet = this.ctx.getWallet();
             const signer = await wallet.getSigner();
-            const tx = await this.contract.connect(signer).disableContract();
+            const contractWithSigner = this.contract.connect(signer);
+            await this.previewTransactionCost({ contract: contractWithSigner, method: 'disableContract' });
+            const tx = await contractWithSigner.disableContract();
             await tx.wait();
 
             this.disableButton.textContent = 'Contract Disabled';
             this.showSuccess('New orders are now permanently disabled.');
         } catch (error) {
             this.error('Failed to disable contract:', error);
-            this.showError(`Failed to disable contract: ${error.message}`);
+            this.showError(`Failed to disable contract: ${extractTransactionErrorMessage(error)}`);
             this.disableButton.disabled = false;
             this.disableButton.textContent = 'Disable New Orders Permanently';
         } finally {
@@ -4,6 +4,7 @@ import { erc20Abi } from '../abi/erc20.js';
 import { createLogger } from '../services/LogService.js';
 import { getAppContext } from '../services/AppContext.js';
 import { getNetworkConfig, getNetworkById } from '../config/networks.js';
+import { gasEstimateService } from '../services/GasEstimateService.js';
 
 /**
  * BaseComponent - Base class for all UI components
@@ -208,6 +209,38 @@ export class BaseComponent {
         });
     }
 
+    /**
+     * Show what a write will cost before the wallet prompt: in the progress
+     * toast when the flow has one, otherwise as an info toast. Warns when the
+     * native balance may not cover gas. Never blocks the transaction.
+     * @param {Object} params
+     * @param {Object} params.contract - ethers Contract connected to the sender's signer
+     * @param {string} [params.method] - Function to estimate when no gasLimit is given
+     * @param {Array} [params.args]
+     * @param {Object} [params.gasLimit] - Gas limit the caller already estimated
+     * @param {Object} [params.progressToast] - Transaction progress session
+     * @returns {Promise<Object|null>} The estimate, or null if unavailable
+     */
+    async previewTransactionCost({ progressToast, ...params }) {
+        const estimate = await gasEstimateService.estimateTransactionCost({
+            ...params,
+            pricing: this.ctx.getPricing?.()
+        });
+        if (!estimate) {
+            return null;
+        }
+
+        const { text, warning } = gasEstimateService.describeEstimate(estimate);
+        if (progressToast) {
+            progressToast.setFeeEstimate({ text, warning });
+        } else if (warning) {
+            this.showWarning(`${text}. ${warning}`);
+        } else {
+            this.showInfo(text);
+        }
+        return estimate;
+    }
+
     startWalletAction() {
         const ctx = this.ctx;
         if (ctx.isWalletActionInFlight()) {
@@ -1,12 +1,17 @@
 import { ethers } from 'ethers';
 import { BaseComponent } from './BaseComponent.js';
 import { createLogger } from '../services/LogService.js';
-import { handleTransactionError, isUserRejection } from '../utils/ui.js';
+import { extractTransactionErrorMessage, handleTransactionError, isUserRejection } from '../utils/ui.js';
 import { generateTokenIconHTML } from '../utils/tokenIcons.js';
 import { getClaimableSnapshot } from '../utils/claims.js';
 import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
 import { escapeHtml } from '../utils/html.js';
 import { contractService } from '../services/ContractService.js';
+import { calculateTotalValue, formatAddress, formatTimestamp, getTransactionExplorerUrl } from '../utils/orderUtils.js';
+import { buildClaimHistory, describeClaimCredit } from '../utils/claimHistory.js';
+import { createTransactionProgressSession } from '../utils/transactionProgress.js';
+
+const WITHDRAW_ALL_CLAIMS_FUNCTION = 'withdrawAllClaims()';
 
 export class Claim extends BaseComponent {
     constructor(containerId = 'claim') {
@@ -24,13 +29,20 @@ export class Claim extends BaseComponent {
         this.webSocket = null;
         this.claims = [];
         this.pendingClaims = new Set();
+        this.isClaimingAll = false;
         this.refreshRequestId = 0;
         this.refreshDebounceTimer = null;
         this.claimDisplaySymbolMap = new Map();
+        this.eventIndexer = null;
+        this.claimHistory = buildClaimHistory([], null);
+        this.expandedHistoryTokens = new Set();
 
         this.claimsUpdatedHandler = null;
+        this.indexerUpdatedHandler = null;
         this.walletListener = null;
+        this.pricingHandler = null;
         this.handleContainerClick = this.onContainerClick.bind(this);
+        this.handleHistoryToggle = this.onHistoryToggle.bind(this);
     }
 
     async initialize(readOnlyMode = true) {
@@ -47,12 +59,16 @@ export class Claim extends BaseComponent {
         try {
             const ws = this.ctx.getWebSocket();
             this.webSocket = ws;
+            this.eventIndexer = this.ctx.getEventIndexer?.() || null;
             // Use HTTP for reads so Claim never blocks on WS readiness.
             this.contract = await contractService.readViaHttpRpc(({ contract: httpContract }) => httpContract);
 
             this.renderShell();
             this.container.removeEventListener('click', this.handleContainerClick);
             this.container.addEventListener('click', this.handleContainerClick);
+            // <details> toggle events do not bubble
+            this.container.removeEventListener('toggle', this.handleHistoryToggle, true);
+            this.container.addEventListener('toggle', this.handleHistoryToggle, true);
             this.setupSubscriptions();
             await this.refreshClaimables();
 
@@ -76,7 +92,9 @@ export class Claim extends BaseComponent {
                 <h2 class="main-heading">Claim</h2>
                 <p class="claim-description">Withdraw claimable token balances for your connected wallet.</p>
                 <div class="claim-feedback" data-claim-feedback></div>
+                <div class="claim-summary" data-claim-summary hidden></div>
                 <div class="claim-list" data-claim-list></div>
+                <div class="claim-withdrawals" data-claim-withdrawals></div>
             </div>
         `;
     }
@@ -97,18 +115,21 @@ export class Claim extends BaseComponent {
     }
 
     renderLoadingState() {
+        this.renderClaimSummary([]);
         const list = this.getListElement();
         if (!list) return;
         list.innerHTML = '<div class="claim-empty">Loading claimable balances...</div>';
     }
 
     renderReadOnlyState() {
+        this.renderClaimSummary([]);
         const list = this.getListElement();
         if (!list) return;
         list.innerHTML = '<div class="claim-empty">Connect wallet to view claimable balances.</div>';
     }
 
     renderEmptyState() {
+        this.renderClaimSummary([]);
         const list = this.getListElement();
         if (!list) return;
         list.innerHTML = '<div class="claim-empty">No claimable balances for this wallet.</div>';
@@ -125,7 +146,46 @@ export class Claim extends BaseComponent {
         return fraction ? `${whole}.${fraction}` : whole;
     }
 
+    getClaimUsdValue(claim) {
+        const price = this.ctx.getPricing?.()?.getPrice(claim.token);
+        if (!price) return null;
+        const value = price * parseFloat(claim.formattedAmount);
+        return Number.isFinite(value) ? value : null;
+    }
+
+    renderClaimSummary(claims) {
+        const summary = this.container.querySelector('[data-claim-summary]');
+        if (!summary) return;
+
+        if (!claims.length) {
+            summary.hidden = true;
+            summary.innerHTML = '';
+            return;
+        }
+
+        const values = claims.map((claim) => this.getClaimUsdValue(claim));
+        const pricedTotal = values.reduce((total, value) => total + (value ?? 0), 0);
+        const hasUnpriced = values.some((value) => value === null);
+        const totalText = pricedTotal > 0 ? calculateTotalValue(pricedTotal, 1) : 'N/A';
+        const busy = this.isClaimingAll || this.pendingClaims.size > 0;
+
+        summary.hidden = false;
+        summary.innerHTML = `
+            <div class="claim-total">
+                <span class="claim-total-label">Total claimable</span>
+                <span class="claim-total-value">${escapeHtml(totalText)}</span>
+                ${hasUnpriced ? '<span class="claim-total-note">Some tokens have no USD price</span>' : ''}
+            </div>
+            ${claims.length > 1 ? `
+                <button type="button" class="action-button claim-all-button" ${busy ? 'disabled' : ''}>
+                    ${this.isClaimingAll ? 'Claiming all...' : `Claim all (${claims.length})`}
+                </button>
+            ` : ''}
+        `;
+    }
+
     renderClaimRows(claims) {
+        this.renderClaimSummary(claims);
         const list = this.getListElement();
         if (!list) return;
 
@@ -133,6 +193,7 @@ export class Claim extends BaseComponent {
             const tokenLower = claim.tokenLower || claim.token.toLowerCase();
             const pending = this.pendingClaims.has(tokenLower);
             const tokenSymbol = claim.displaySymbol || claim.symbol;
+            const usdValue = this.getClaimUsdValue(claim);
             const iconHtml = generateTokenIconHTML(
                 claim.iconUrl,
                 claim.symbol,
@@ -149,7 +210,10 @@ export class Claim extends BaseComponent {
                         </div>
                     </div>
                     <div class="claim-actions">
-                        <div class="claim-amount">${escapeHtml(this.formatDisplayAmount(claim.formattedAmount))}</div>
+                        <div class="claim-amount">
+                            ${escapeHtml(this.formatDisplayAmount(claim.formattedAmount))}
+                            <div class="claim-usd">${usdValue === null ? '' : escapeHtml(calculateTotalValue(usdValue, 1))}</div>
+                        </div>
                         <button
                             type="button"
                             class="action-button claim-action-button"
@@ -159,6 +223,7 @@ export class Claim extends BaseComponent {
                             ${pending ? 'Claiming...' : 'Claim'}
                         </button>
                     </div>
+                    ${this.renderCreditHistory(claim)}
                 </div>
             `;
         }).join('');
@@ -166,11 +231,158 @@ export class Claim extends BaseComponent {
         list.innerHTML = rowsMarkup;
     }
 
+    renderCreditHistory(claim) {
+        if (!this.eventIndexer) return '';
+
+        const tokenLower = claim.tokenLower || claim.token.toLowerCase();
+        const credits = this.claimHistory.creditsByToken[tokenLower] || [];
+        const itemsMarkup = credits.length
+            ? credits.map((credit) => {
+                const explorerUrl = getTransactionExplorerUrl(credit.transactionHash);
+                const txLabel = escapeHtml(formatAddress(credit.transactionHash));
+                return `
+                    <li class="claim-credit">
+                        <span class="claim-credit-amount">
+                            +${escapeHtml(this.formatDisplayAmount(this.formatTokenAmount(credit.amount, claim.decimals)))}
+                        </span>
+                        <span class="claim-credit-reason">${escapeHtml(describeClaimCredit(credit))}</span>
+                        <span class="claim-credit-meta">
+                            ${escapeHtml(formatTimestamp(credit.timestamp))}
+                            ${explorerUrl !== '#'
+                                ? `<a href="${escapeHtml(explorerUrl)}" target="_blank" rel="noopener noreferrer">${txLabel}</a>`
+                                : txLabel}
+                        </span>
+                    </li>
+                `;
+            }).join('')
+            : `<li class="claim-credit claim-credit-empty">${escapeHtml(this.getEmptyCreditHistoryMessage())}</li>`;
+
+        return `
+            <details class="claim-history" data-history-token="${escapeHtml(tokenLower)}"
+                ${this.expandedHistoryTokens.has(tokenLower) ? 'open' : ''}>
+                <summary>Why do I have this claim?${credits.length ? ` (${credits.length})` : ''}</summary>
+                <ul class="claim-credit-list">${itemsMarkup}</ul>
+            </details>
+        `;
+    }
+
+    getEmptyCreditHistoryMessage() {
+        const status = this.eventIndexer?.getStatus?.();
+        if (status?.historyLimited && Number.isInteger(status.fromBlock)) {
+            return `No credit events found since block ${status.fromBlock}; older history is not available from this network's RPC.`;
+        }
+        return 'No credit events found in the indexed block range.';
+    }
+
+    formatTokenAmount(amount, decimals) {
+        try {
+            return ethers.utils.formatUnits(amount ?? '0', decimals ?? 18);
+        } catch (_) {
+            return '0';
+        }
+    }
+
+    onHistoryToggle(event) {
+        const details = event.target;
+        const token = details?.dataset?.historyToken;
+        if (!token) return;
+        if (details.open) {
+            this.expandedHistoryTokens.add(token);
+        } else {
+            this.expandedHistoryTokens.delete(token);
+        }
+    }
+
+    async renderWithdrawals() {
+        const section = this.container.querySelector('[data-claim-withdrawals]');
+        if (!section) return;
+
+        const { withdrawals } = this.claimHistory;
+        if (!this.eventIndexer || !withdrawals.length) {
+            section.innerHTML = '';
+            return;
+        }
+
+        const tokenInfoByAddress = new Map(this.claims.map((claim) => [claim.tokenLower, claim]));
+        await Promise.all([...new Set(withdrawals.map((withdrawal) => withdrawal.token))]
+            .filter((token) => !tokenInfoByAddress.has(token))
+            .map(async (token) => {
+                try {
+                    tokenInfoByAddress.set(token, await this.webSocket?.getTokenInfo?.(token));
+                } catch (error) {
+                    this.debug('Failed to load withdrawn token info:', token, error);
+                }
+            }));
+
+        const rowsMarkup = withdrawals.map((withdrawal) => {
+            const info = tokenInfoByAddress.get(withdrawal.token);
+            const symbol = info?.displaySymbol || info?.symbol || formatAddress(withdrawal.token);
+            const explorerUrl = getTransactionExplorerUrl(withdrawal.transactionHash);
+            const txLabel = escapeHtml(formatAddress(withdrawal.transactionHash));
+            return `
+                <tr>
+                    <td>${escapeHtml(formatTimestamp(withdrawal.timestamp))}</td>
+                    <td>${escapeHtml(this.formatDisplayAmount(this.formatTokenAmount(withdrawal.amount, info?.decimals)))} ${escapeHtml(symbol)}</td>
+                    <td>${explorerUrl !== '#'
+                        ? `<a href="${escapeHtml(explorerUrl)}" target="_blank" rel="noopener noreferrer">${txLabel}</a>`
+                        : txLabel}</td>
+                </tr>
+            `;
+        }).join('');
+
+        section.innerHTML = `
+            <h3 class="claim-withdrawals-heading">Past withdrawals</h3>
+            <table class="claim-withdrawals-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Amount</th>
+                        <th>Transaction</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsMarkup}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Explain current balances from indexed ClaimCredited/ClaimWithdrawn logs.
+     * Renders what is already indexed, then again after catching up.
+     */
+    async loadClaimHistory(account, requestId) {
+        if (!this.eventIndexer) return;
+
+        this.applyClaimHistory(account);
+        const synced = await this.eventIndexer.ensureBackfilled();
+        if (requestId !== this.refreshRequestId) return;
+        if (!synced) {
+            this.debug('Claim history catch-up failed; showing previously indexed events');
+        }
+        this.applyClaimHistory(account);
+    }
+
+    applyClaimHistory(account) {
+        this.claimHistory = buildClaimHistory(this.eventIndexer?.getEvents() || [], account);
+        if (this.claims.length) {
+            this.renderClaimRows(this.claims);
+        }
+        this.renderWithdrawals().catch((error) => {
+            this.debug('Failed to render claim withdrawals:', error);
+        });
+    }
+
+    clearClaimHistory() {
+        this.claimHistory = buildClaimHistory([], null);
+        const section = this.container.querySelector('[data-claim-withdrawals]');
+        if (section) section.innerHTML = '';
+    }
+
     async refreshClaimables() {
         const requestId = ++this.refreshRequestId;
 
         if (this.currentMode) {
             this.setFeedback('');
+            this.clearClaimHistory();
             this.renderReadOnlyState();
             return;
         }
@@ -180,6 +392,7 @@ export class Claim extends BaseComponent {
         const account = wallet?.getAccount?.();
         if (!isConnected || !account) {
             this.setFeedback('');
+            this.clearClaimHistory();
             this.renderReadOnlyState();
             return;
         }
@@ -207,6 +420,9 @@ export class Claim extends BaseComponent {
                 this.claims = [];
                 this.claimDisplaySymbolMap = new Map();
                 this.renderEmptyState();
+                this.loadClaimHistory(account, requestId).catch((error) => {
+                    this.debug('Failed to load claim history:', error);
+                });
                 return;
             }
 
@@ -230,6 +446,10 @@ export class Claim extends BaseComponent {
                 .sort((a, b) => (a.displaySymbol || a.symbol).localeCompare(b.displaySymbol || b.symbol));
 
             this.renderClaimRows(this.claims);
+            this.loadClaimHistory(account, requestId).catch((error) => {
+                this.debug('Failed to load claim history:', error);
+            });
+            await this.loadClaimPrices(requestId);
         } catch (error) {
             if (requestId !== this.refreshRequestId) return;
             this.error('Failed to refresh claimables:', error);
@@ -238,7 +458,33 @@ export class Claim extends BaseComponent {
         }
     }
 
+    async loadClaimPrices(requestId) {
+        const pricing = this.ctx.getPricing?.();
+        if (!pricing?.fetchPricesForTokens) return;
+
+        const missing = this.claims
+            .map((claim) => claim.token)
+            .filter((token) => pricing.getPrice(token) === undefined);
+        if (!missing.length) return;
+
+        try {
+            await pricing.fetchPricesForTokens(missing);
+        } catch (error) {
+            this.debug('Failed to fetch claim token prices:', error);
+            return;
+        }
+
+        if (requestId === this.refreshRequestId) {
+            this.renderClaimRows(this.claims);
+        }
+    }
+
     async onContainerClick(event) {
+        if (event.target?.closest?.('.claim-all-button')) {
+            await this.claimAll();
+            return;
+        }
+
         const claimButton = event.target?.closest?.('.claim-action-button');
         if (!claimButton) return;
 
@@ -311,7 +557,13 @@ export class Claim extends BaseComponent {
                 ethers.utils.formatUnits(latestAmount, decimals)
             );
 
-            const tx = await this.contract.connect(signer).withdraw(normalizedToken, latestAmount);
+            const contractWithSigner = this.contract.connect(signer);
+            await this.previewTransactionCost({
+                contract: contractWithSigner,
+                method: 'withdraw',
+                args: [normalizedToken, latestAmount]
+            });
+            const tx = await contractWithSigner.withdraw(normalizedToken, latestAmount);
             await tx.wait();
 
             this.showSuccess(`Claimed ${formatted} ${symbol}.`);
@@ -337,6 +589,219 @@ export class Claim extends BaseComponent {
         }
     }
 
+    /**
+     * Withdraw every claimable balance. Uses `withdrawAllClaims()` when the
+     * deployed contract supports it, then withdraws whatever is still left
+     * (older contracts, or a batch capped by the contract) one token at a time.
+     */
+    async claimAll() {
+        const wallet = this.ctx.getWallet();
+        if (!wallet?.isWalletConnected?.()) {
+            this.showWarning('Connect wallet to claim tokens.');
+            return;
+        }
+
+        if (!this.contract || typeof this.contract.withdraw !== 'function') {
+            this.showError('Withdraw function is unavailable for this contract.');
+            return;
+        }
+
+        if (!this.startWalletAction()) {
+            return;
+        }
+
+        this.isClaimingAll = true;
+        const claimTokens = this.claims.map((claim) => claim.tokenLower);
+        claimTokens.forEach((tokenLower) => this.pendingClaims.add(tokenLower));
+        this.renderClaimRows(this.claims);
+
+        let progressToast = null;
+        let beneficiary = null;
+        try {
+            if (!await this.ensureWalletReadyForWrite('claim all tokens')) {
+                return;
+            }
+
+            const signer = await wallet.getSigner();
+            if (!signer) {
+                throw new Error('No signer available');
+            }
+            beneficiary = await signer.getAddress();
+            const contractWithSigner = this.contract.connect(signer);
+
+            const readClaimable = async (token) => {
+                try {
+                    return ethers.BigNumber.from(await this.contract.claimable(beneficiary, token));
+                } catch (_) {
+                    return ethers.BigNumber.from(0);
+                }
+            };
+
+            const entries = (await Promise.all(this.claims.map(async (claim) => ({
+                claim,
+                stepId: `claim-${claim.tokenLower}`,
+                amount: await readClaimable(claim.token)
+            })))).filter((entry) => !entry.amount.isZero());
+
+            if (!entries.length) {
+                this.showInfo('Nothing to claim.');
+                return;
+            }
+
+            let batchGasEstimate = null;
+            if (typeof contractWithSigner[WITHDRAW_ALL_CLAIMS_FUNCTION] === 'function') {
+                try {
+                    batchGasEstimate = await contractWithSigner.estimateGas[WITHDRAW_ALL_CLAIMS_FUNCTION]();
+                } catch (error) {
+                    this.debug('withdrawAllClaims unavailable, falling back to per-token withdrawals:', error);
+                }
+            }
+
+            const useBatch = Boolean(batchGasEstimate);
+
+            const describeEntry = ({ claim, amount }) => {
+                const formatted = this.formatDisplayAmount(ethers.utils.formatUnits(amount, claim.decimals ?? 18));
+                return `${formatted} ${claim.displaySymbol || claim.symbol}`;
+            };
+
+            progressToast = createTransactionProgressSession(this.ctx.toast, {
+                title: `Claiming ${entries.length} Tokens`,
+                successTitle: 'Claims Withdrawn',
+                failureTitle: 'Claim All Failed',
+                cancelledTitle: 'Claim All Cancelled',
+                summary: useBatch
+                    ? 'One transaction withdraws every balance below.'
+                    : 'Confirm one withdrawal per token in your wallet.',
+                steps: entries.map((entry) => ({
+                    id: entry.stepId,
+                    label: `Claim ${describeEntry(entry)}`,
+                    status: 'pending'
+                }))
+            });
+
+            let remaining = entries;
+            if (useBatch) {
+                await this.previewTransactionCost({
+                    contract: contractWithSigner,
+                    gasLimit: batchGasEstimate,
+                    progressToast
+                });
+                entries.forEach(({ stepId }) => progressToast.updateStep(stepId, { status: 'active', detail: 'Confirm in wallet' }));
+                let tx;
+                try {
+                    tx = await contractWithSigner[WITHDRAW_ALL_CLAIMS_FUNCTION]();
+                } catch (error) {
+                    this.debug('withdrawAllClaims submission error:', error);
+                    const rejected = isUserRejection(error);
+                    const detail = rejected ? 'Wallet request rejected' : extractTransactionErrorMessage(error);
+                    entries.forEach(({ stepId }) => progressToast.updateStep(stepId, {
+                        status: rejected ? 'cancelled' : 'failed',
+                        detail
+                    }));
+                    if (rejected) {
+                        progressToast.finishCancelled('Cancelled before withdrawal.');
+                    } else {
+                        progressToast.finishFailure(detail);
+                    }
+                    return;
+                }
+
+                progressToast.setTransaction({ hash: tx.hash, chainId: this.ctx.getWalletChainId() });
+                entries.forEach(({ stepId }) => progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' }));
+                const receipt = await tx.wait();
+                if (receipt.status === 0) {
+                    const errorMessage = 'Transaction reverted by contract';
+                    entries.forEach(({ stepId }) => progressToast.updateStep(stepId, { status: 'failed', detail: errorMessage }));
+                    progressToast.finishFailure(errorMessage);
+                    return;
+                }
+
+                const leftovers = await Promise.all(entries.map(async (entry) => ({
+                    ...entry,
+                    amount: await readClaimable(entry.claim.token)
+                })));
+                remaining = leftovers.filter((entry) => !entry.amount.isZero());
+                leftovers
+                    .filter((entry) => entry.amount.isZero())
+                    .forEach(({ stepId }) => progressToast.updateStep(stepId, { status: 'completed', detail: 'Withdrawn' }));
+                remaining.forEach(({ stepId }) => progressToast.updateStep(stepId, {
+                    status: 'pending',
+                    detail: 'Not included in batch, withdrawing separately'
+                }));
+            }
+
+            let cancelled = false;
+            for (const entry of remaining) {
+                const { claim, stepId, amount } = entry;
+                if (cancelled) {
+                    progressToast.updateStep(stepId, { status: 'cancelled', detail: 'Skipped' });
+                    continue;
+                }
+
+                try {
+                    await this.previewTransactionCost({
+                        contract: contractWithSigner,
+                        method: 'withdraw',
+                        args: [claim.token, amount],
+                        progressToast
+                    });
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Confirm in wallet' });
+                    const tx = await contractWithSigner.withdraw(claim.token, amount);
+                    progressToast.setTransaction({ hash: tx.hash, chainId: this.ctx.getWalletChainId() });
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+                    const receipt = await tx.wait();
+                    if (receipt.status === 0) {
+                        progressToast.updateStep(stepId, { status: 'failed', detail: 'Transaction reverted by contract' });
+                        continue;
+                    }
+                    progressToast.updateStep(stepId, { status: 'completed', detail: 'Withdrawn' });
+                } catch (error) {
+                    this.debug(`Claim error for ${claim.token}:`, error);
+                    cancelled = isUserRejection(error);
+                    progressToast.updateStep(stepId, {
+                        status: cancelled ? 'cancelled' : 'failed',
+                        detail: cancelled ? 'Wallet request rejected' : extractTransactionErrorMessage(error)
+                    });
+                }
+            }
+
+            const finalAmounts = await Promise.all(entries.map((entry) => readClaimable(entry.claim.token)));
+            const claimedCount = finalAmounts.filter((amount) => amount.isZero()).length;
+            if (claimedCount === entries.length) {
+                progressToast.finishSuccess(`Claimed ${claimedCount} tokens.`);
+            } else if (claimedCount > 0) {
+                progressToast.finishSuccess(
+                    `Claimed ${claimedCount} of ${entries.length} tokens. See the steps above for the rest.`
+                );
+            } else if (cancelled) {
+                progressToast.finishCancelled('No tokens were claimed.');
+            } else {
+                progressToast.finishFailure('No tokens were claimed.');
+            }
+
+            if (claimedCount > 0 && this.webSocket?.notifySubscribers) {
+                this.webSocket.notifySubscribers('claimsUpdated', {
+                    beneficiary,
+                    source: 'claim-all-tx'
+                });
+            }
+        } catch (error) {
+            this.debug('Claim all error:', error);
+            if (progressToast) {
+                progressToast.finishFailure(extractTransactionErrorMessage(error));
+            } else if (isUserRejection(error)) {
+                this.showWarning('User cancelled');
+            } else {
+                handleTransactionError(error, this, 'claim');
+            }
+        } finally {
+            this.isClaimingAll = false;
+            claimTokens.forEach((tokenLower) => this.pendingClaims.delete(tokenLower));
+            this.endWalletAction();
+            await this.refreshClaimables();
+        }
+    }
+
     setupSubscriptions() {
         this.cleanupSubscriptions();
 
@@ -376,6 +841,26 @@ export class Claim extends BaseComponent {
             this.webSocket.subscribe('claimsUpdated', this.claimsUpdatedHandler);
         }
 
+        if (this.eventIndexer?.subscribe) {
+            this.indexerUpdatedHandler = () => {
+                const account = this.ctx.getWallet()?.getAccount?.();
+                if (account && !this.currentMode) {
+                    this.applyClaimHistory(account);
+                }
+            };
+            this.eventIndexer.subscribe('indexerUpdated', this.indexerUpdatedHandler);
+        }
+
+        const pricing = this.ctx.getPricing?.();
+        if (pricing?.subscribe) {
+            this.pricingHandler = (event) => {
+                if (event === 'refreshComplete' && this.claims.length) {
+                    this.renderClaimRows(this.claims);
+                }
+            };
+            pricing.subscribe(this.pricingHandler);
+        }
+
         const wallet = this.ctx.getWallet();
         if (wallet?.addListener) {
             this.walletListener = (event) => {
@@ -398,6 +883,17 @@ export class Claim extends BaseComponent {
         }
         this.claimsUpdatedHandler = null;
 
+        if (this.eventIndexer?.unsubscribe && this.indexerUpdatedHandler) {
+            this.eventIndexer.unsubscribe('indexerUpdated', this.indexerUpdatedHandler);
+        }
+        this.indexerUpdatedHandler = null;
+
+        const pricing = this.ctx.getPricing?.();
+        if (pricing?.unsubscribe && this.pricingHandler) {
+            pricing.unsubscribe(this.pricingHandler);
+        }
+        this.pricingHandler = null;
+
         const wallet = this.ctx.getWallet();
         if (wallet?.removeListener && this.walletListener) {
             wallet.removeListener(this.walletListener);
@@ -412,11 +908,16 @@ export class Claim extends BaseComponent {
 
     cleanup() {
         this.container.removeEventListener('click', this.handleContainerClick);
+        this.container.removeEventListener('toggle', this.handleHistoryToggle, true);
         this.cleanupSubscriptions();
 
         this.claims = [];
         this.pendingClaims.clear();
+        this.isClaimingAll = false;
         this.claimDisplaySymbolMap = new Map();
+        this.claimHistory = buildClaimHistory([], null);
+        this.expandedHistoryTokens.clear();
+        this.eventIndexer = null;
         this.contract = null;
         this.webSocket = null;
         this.isInitialized = false;
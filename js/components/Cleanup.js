@@ -1,8 +1,28 @@
 import { ethers } from 'ethers';
 import { BaseComponent } from './BaseComponent.js';
 import { createLogger } from '../services/LogService.js';
-import { handleTransactionError } from '../utils/ui.js';
+import { extractTransactionErrorMessage, handleTransactionError } from '../utils/ui.js';
 import { contractService } from '../services/ContractService.js';
+import { getNetworkConfig } from '../config/networks.js';
+import { formatTimeDiff } from '../utils/orderUtils.js';
+import { BASE_CLEANUP_GAS, estimateCleanupProfitability } from '../utils/cleanupEstimator.js';
+
+const PROFITABILITY_MARKUP = `
+    <div class="cleanup-profitability">
+        <h3>Profitability Estimate</h3>
+        <div>Total ready rewards: <span id="cleanup-total-reward">Loading...</span></div>
+        <div>Gas per cleanup: <span id="cleanup-gas-cost">Loading...</span></div>
+        <div>Estimated net: <span id="cleanup-net">Loading...</span></div>
+        <div>Next profitable run: <span id="cleanup-next-profitable">Loading...</span></div>
+        <ul id="cleanup-timeline" class="cleanup-timeline"></ul>
+    </div>`;
+
+function formatUsd(value) {
+    if (value === null || !Number.isFinite(value)) return 'N/A';
+    const sign = value < 0 ? '-' : '';
+    const abs = Math.abs(value);
+    return `${sign}$${abs >= 1 ? abs.toFixed(2) : abs.toFixed(4)}`;
+}
 
 export class Cleanup extends BaseComponent {
     constructor(containerId) {
@@ -95,6 +115,7 @@ export class Cleanup extends BaseComponent {
                                     <div>Next cleanup reward: <span id="current-reward">Loading...</span></div>
                                     <div>Orders ready: <span id="cleanup-ready">Loading...</span></div>
                                 </div>
+                                ${PROFITABILITY_MARKUP}
                             </div>
                         </div>
                         <div class="connect-prompt">
@@ -167,6 +188,7 @@ export class Cleanup extends BaseComponent {
                                 <div>Next cleanup reward: <span id="current-reward">Loading...</span></div>
                                 <div>Orders ready: <span id="cleanup-ready">Loading...</span></div>
                             </div>
+                            ${PROFITABILITY_MARKUP}
                         </div>
                     </div>
                     <button id="cleanup-button" class="action-button" disabled>
@@ -292,10 +314,16 @@ export class Cleanup extends BaseComponent {
             // Display reward for next cleanup
             if (elements.currentReward && nextOrderToClean) {
                 try {
-                    // Use HTTP RPC for fee config to avoid WebSocket timeout issues
-                    const { feeToken, feeAmount } = await contractService.getFeeConfig();
+                    // The caller earns the fee paid when this order was created. Orders
+                    // synced before that field existed fall back to the current fee config.
+                    let feeToken = nextOrderToClean.feeToken;
+                    let feeAmount = nextOrderToClean.orderCreationFee;
+                    if (!feeToken || feeAmount === undefined || feeAmount === null) {
+                        // Use HTTP RPC for fee config to avoid WebSocket timeout issues
+                        ({ feeToken, feeAmount } = await contractService.getFeeConfig());
+                    }
 
-                    this.debug('Fee info from contract:', { feeToken, feeAmount: feeAmount.toString() });
+                    this.debug('Fee info for next cleanup:', { feeToken, feeAmount: feeAmount.toString() });
 
                     const tokenInfo = await this.webSocket.getTokenInfo(feeToken);
                     
@@ -321,6 +349,13 @@ export class Cleanup extends BaseComponent {
                 elements.currentReward.textContent = 'No orders to clean';
             }
 
+            try {
+                await this.updateProfitabilityEstimate(orders, currentTime, eligibleOrders.length);
+            } catch (error) {
+                this.debug('Error estimating cleanup profitability:', error);
+                this.renderProfitabilityUnavailable();
+            }
+
             if (elements.cleanupButton) {
                 // Check if wallet is connected
                 const wallet = this.ctx.getWallet();
@@ -353,6 +388,142 @@ export class Cleanup extends BaseComponent {
         }
     }
 
+    async estimateCleanupGas(eligibleCount) {
+        const fallback = ethers.BigNumber.from(BASE_CLEANUP_GAS);
+        const wallet = this.ctx.getWallet();
+        const account = wallet?.isWalletConnected() ? wallet.getAccount() : null;
+        if (!eligibleCount || !account) {
+            return fallback;
+        }
+        try {
+            return await this.webSocket.contract.estimateGas.cleanupExpiredOrders({ from: account });
+        } catch (error) {
+            this.debug('Cleanup gas estimation failed, using base estimate:', error);
+            return fallback;
+        }
+    }
+
+    async updateProfitabilityEstimate(orders, currentTime, eligibleCount) {
+        if (!document.getElementById('cleanup-net')) {
+            return;
+        }
+
+        const pricing = this.ctx.getPricing?.();
+        const networkConfig = getNetworkConfig();
+        const nativeAddress = networkConfig.wrappedNativeAddress?.toLowerCase();
+        const feeTokens = [...new Set(
+            orders.map(order => String(order.feeToken || '').toLowerCase()).filter(Boolean)
+        )];
+
+        const missingPrices = [nativeAddress, ...feeTokens]
+            .filter(address => address && pricing?.getPrice(address) === undefined);
+        if (pricing && missingPrices.length > 0) {
+            try {
+                await pricing.fetchPricesForTokens(missingPrices);
+            } catch (error) {
+                this.debug('Failed to fetch prices for cleanup estimate:', error);
+            }
+        }
+
+        const tokenInfoByAddress = new Map();
+        await Promise.all(feeTokens.map(async (address) => {
+            try {
+                tokenInfoByAddress.set(address, await this.webSocket.getTokenInfo(address));
+            } catch (error) {
+                this.debug('Failed to load fee token info:', address, error);
+            }
+        }));
+
+        const [gasPerCleanup, feeData] = await Promise.all([
+            this.estimateCleanupGas(eligibleCount),
+            this.webSocket.contract.provider.getFeeData()
+        ]);
+        if (!feeData?.gasPrice) {
+            throw new Error('Unable to get current gas prices');
+        }
+
+        const estimate = estimateCleanupProfitability({
+            orders,
+            currentTime,
+            getFeeTokenInfo: (address) => ({
+                symbol: tokenInfoByAddress.get(address)?.symbol,
+                decimals: tokenInfoByAddress.get(address)?.decimals,
+                usdPrice: pricing?.getPrice(address)
+            }),
+            gasPerCleanup,
+            gasPriceWei: feeData.gasPrice,
+            nativeUsdPrice: nativeAddress ? pricing?.getPrice(nativeAddress) : undefined,
+            nativeDecimals: networkConfig.nativeCurrency?.decimals ?? 18
+        });
+
+        this.debug('Cleanup profitability estimate:', estimate);
+        this.renderProfitabilityEstimate(estimate, currentTime, networkConfig.nativeCurrency?.symbol || 'native');
+    }
+
+    renderProfitabilityEstimate(estimate, currentTime, nativeSymbol) {
+        const totalReward = document.getElementById('cleanup-total-reward');
+        const gasCost = document.getElementById('cleanup-gas-cost');
+        const net = document.getElementById('cleanup-net');
+        const nextProfitable = document.getElementById('cleanup-next-profitable');
+        const timeline = document.getElementById('cleanup-timeline');
+
+        if (totalReward) {
+            const perToken = estimate.rewardsByToken
+                .map(reward => `${reward.units.toFixed(6)} ${reward.symbol || 'tokens'}`)
+                .join(' + ');
+            totalReward.textContent = perToken
+                ? `${perToken} (${formatUsd(estimate.totalRewardUsd)}${estimate.hasUnpricedRewards ? ' + unpriced' : ''})`
+                : 'None';
+        }
+
+        if (gasCost) {
+            gasCost.textContent = `${estimate.costPerCleanupNative.toFixed(6)} ${nativeSymbol} (${formatUsd(estimate.costPerCleanupUsd)})`;
+        }
+
+        if (net) {
+            net.classList.remove('positive', 'negative');
+            if (estimate.readyCount === 0) {
+                net.textContent = 'No orders to clean';
+            } else if (estimate.netUsd === null) {
+                net.textContent = 'Gas price in USD unavailable';
+            } else {
+                net.textContent = `${formatUsd(estimate.netUsd)} over ${estimate.readyCount} cleanup(s)`;
+                net.classList.add(estimate.isProfitable ? 'positive' : 'negative');
+            }
+        }
+
+        if (nextProfitable) {
+            if (estimate.nextProfitableAt === null) {
+                nextProfitable.textContent = 'Not expected with known orders';
+            } else if (estimate.nextProfitableAt <= currentTime) {
+                nextProfitable.textContent = 'Now';
+            } else {
+                nextProfitable.textContent = `In ${formatTimeDiff(estimate.nextProfitableAt - currentTime)}`;
+            }
+        }
+
+        if (timeline) {
+            timeline.innerHTML = '';
+            estimate.timeline.forEach(bucket => {
+                const item = document.createElement('li');
+                const startsIn = bucket.startsAt - currentTime;
+                const label = startsIn <= 0 ? 'Within 1H' : `In ${formatTimeDiff(startsIn)}`;
+                item.textContent = `${label}: ${bucket.count} order(s), ` +
+                    `${formatUsd(bucket.rewardUsd)} rewards, net ${formatUsd(bucket.netUsd)}`;
+                timeline.appendChild(item);
+            });
+        }
+    }
+
+    renderProfitabilityUnavailable() {
+        ['cleanup-total-reward', 'cleanup-gas-cost', 'cleanup-net', 'cleanup-next-profitable'].forEach(id => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = 'Unavailable';
+        });
+        const timeline = document.getElementById('cleanup-timeline');
+        if (timeline) timeline.innerHTML = '';
+    }
+
     updateUIForError() {
         const errorText = 'Error';
         ['active-orders-count', 'active-orders-fees', 
@@ -471,10 +642,7 @@ export class Cleanup extends BaseComponent {
                 throw new Error('No eligible orders to clean');
             }
 
-            // More accurate base gas calculation for single order cleanup
-            const baseGasEstimate = ethers.BigNumber.from('85000')  // Base transaction cost
-                .add(ethers.BigNumber.from('65000'))               // Single order cost
-                .add(ethers.BigNumber.from('25000'));             // Buffer for contract state changes
+            const baseGasEstimate = ethers.BigNumber.from(BASE_CLEANUP_GAS);
 
             // Try multiple gas estimation attempts with fallback
             let gasEstimate;
@@ -500,6 +668,7 @@ export class Cleanup extends BaseComponent {
 
             // Add 30% buffer for safety (increased from 20% due to retry mechanism)
             const gasLimit = gasEstimate.mul(130).div(100);
+            await this.previewTransactionCost({ contract: contractWithSigner, gasLimit: gasEstimate });
 
             const feeData = await contract.provider.getFeeData();
             if (!feeData?.gasPrice) {
@@ -691,6 +860,7 @@ export class Cleanup extends BaseComponent {
             this.disableContractButton.disabled = true;
             this.disableContractButton.textContent = 'Disabling...';
 
+            await this.previewTransactionCost({ contract: contractWithSigner, method: 'disableContract' });
             const tx = await contractWithSigner.disableContract();
             await tx.wait();
 
@@ -699,7 +869,7 @@ export class Cleanup extends BaseComponent {
 
         } catch (error) {
             this.debug('Error disabling contract:', error);
-            this.showError(`Failed to disable contract: ${error.message}`);
+            this.showError(`Failed to disable contract: ${extractTransactionErrorMessage(error)}`);
             this.disableContractButton.disabled = false;
             this.disableContractButton.textContent = 'Disable Contract';
         } finally {
@@ -781,6 +951,11 @@ export class Cleanup extends BaseComponent {
             this.updateFeeConfigButton.disabled = true;
             this.updateFeeConfigButton.textContent = 'Updating...';
 
+            await this.previewTransactionCost({
+                contract: contractWithSigner,
+                method: 'updateFeeConfig',
+                args: [feeToken, feeAmount]
+            });
             const tx = await contractWithSigner.updateFeeConfig(feeToken, feeAmount);
             await tx.wait();
 
@@ -791,7 +966,7 @@ export class Cleanup extends BaseComponent {
             this.showSuccess('Fee configuration updated successfully');
         } catch (error) {
             this.debug('Error updating fee config:', error);
-            this.showError(`Failed to update fee config: ${error.message}`);
+            this.showError(`Failed to update fee config: ${extractTransactionErrorMessage(error)}`);
         } finally {
             this.updateFeeConfigButton.disabled = false;
             this.updateFeeConfigButton.textContent = 'Update Fee Config';
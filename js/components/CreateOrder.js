@@ -9,14 +9,27 @@ import { contractService } from '../services/ContractService.js';
 import { createLogger } from '../services/LogService.js';
 import { validateSellBalance } from '../utils/balanceValidation.js';
 import { createTransactionProgressSession } from '../utils/transactionProgress.js';
+import {
+    CONTRACT_ERRORS,
+    decodeTransactionError,
+    formatContractError,
+    simulateContractCall,
+    SIMULATION_STATUS,
+} from '../errors/ContractErrors.js';
 import {
     extractTransactionErrorMessage,
     handleTransactionError,
     isUserRejection,
 } from '../utils/ui.js';
-import { escapeHtmlText } from '../utils/html.js';
-import { getTokenExplorerUrl } from '../utils/orderUtils.js';
+import { escapeHtmlAttribute, escapeHtmlText } from '../utils/html.js';
+import { formatDealValue, getTokenExplorerUrl } from '../utils/orderUtils.js';
 import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
+import { getOrderReplacementValues, getReplacementConflict } from '../utils/orderReplacement.js';
+import { getPeggedBuyAmount, orderTemplateStore } from '../services/OrderTemplateStore.js';
+import { PRICE_PEG_MODES, derivePeggedBuyAmount } from '../utils/pricePeg.js';
+import { MAX_LADDER_RUNGS, MIN_LADDER_RUNGS, buildOrderLadder } from '../utils/orderLadder.js';
+import { toBigIntAmount } from '../utils/partialFills.js';
+import { getLowConfidencePriceWarning } from '../utils/ordersComponentHelpers.js';
 
 const TAKER_ADDRESS_MAX_LENGTH = 42;
 
@@ -52,6 +65,9 @@ export class CreateOrder extends BaseComponent {
         this.transactionProgressSession = null;
         this.transactionProgressVisibilityCleanup = null;
         this.orderCreatedSuccessfully = false; // Track if order was successfully created
+        this.replacementOrder = null; // Order cancelled on submit, set by beginOrderReplacement()
+        this.isPricePegEnabled = false; // Buy amount derived from a price vs market, see syncPricePeg()
+        this.isLadderEnabled = false; // Sell amount split into several orders, see syncOrderLadder()
         this.tokenSelectorListeners = {};  // Store listeners to prevent duplicates
         this.boundWindowClickHandler = null;
         this.boundTooltipOutsideClickHandler = null;
@@ -291,14 +307,27 @@ export class CreateOrder extends BaseComponent {
             : '';
 
         if (formattedSuggestion) {
-            suggestionButton.textContent = formattedSuggestion;
+            // The suggestion comes from both tokens' USD prices.
+            const priceWarning = getLowConfidencePriceWarning(
+                this.ctx?.getPricing?.(),
+                [this.sellToken, this.buyToken].map(token => ({
+                    address: token?.address,
+                    symbol: getDisplaySymbol(token, this.tokenDisplaySymbolMap)
+                }))
+            );
+            suggestionButton.textContent = priceWarning ? `⚠ ${formattedSuggestion}` : formattedSuggestion;
             suggestionButton.dataset.value = formattedSuggestion;
-            suggestionButton.setAttribute('aria-label', `Fill ${type} amount with suggested amount ${formattedSuggestion}`);
-            suggestionButton.title = formattedSuggestion;
+            suggestionButton.classList.toggle('has-price-warning', Boolean(priceWarning));
+            suggestionButton.setAttribute(
+                'aria-label',
+                `Fill ${type} amount with suggested amount ${formattedSuggestion}${priceWarning ? `. ${priceWarning}` : ''}`
+            );
+            suggestionButton.title = priceWarning ? `${formattedSuggestion}\n${priceWarning}` : formattedSuggestion;
             setVisibility(suggestionButton, true);
             return;
         }
 
+        suggestionButton.classList.remove('has-price-warning');
         suggestionButton.textContent = '';
         delete suggestionButton.dataset.value;
         suggestionButton.setAttribute('aria-label', `No suggested ${type} amount available`);
@@ -368,6 +397,9 @@ export class CreateOrder extends BaseComponent {
         }
 
         this.updateTokenAmounts(type);
+        if (type === 'sell') {
+            this.syncDerivedBuyAmount();
+        }
     }
 
     bindAmountInput(type, amountInput) {
@@ -478,6 +510,8 @@ export class CreateOrder extends BaseComponent {
         this.isReadOnlyMode = true;
         this.isContractDisabled = false;
         this.contractStateReadError = false;
+        this.replacementOrder = null;
+        this.updateReplacementBanner();
         if (clearSelections) {
             this.clearSelectedTokens();
             this.clearTakerState();
@@ -864,6 +898,7 @@ export class CreateOrder extends BaseComponent {
         this.pricingUpdatedHandler = (event) => {
             if (event === 'priceUpdates' || event === 'refreshComplete' || event === 'priceLoadStateChanged') {
                 this.refreshOpenTokenModals();
+                this.syncDerivedBuyAmount();
                 this.updateTokenAmounts('sell');
                 this.updateTokenAmounts('buy');
             }
@@ -1033,13 +1068,13 @@ export class CreateOrder extends BaseComponent {
         });
     }
 
-    hasInsufficientFeeBalance() {
+    hasInsufficientFeeBalance(orderCount = 1) {
         if (!this.feeToken?.amount || !Number.isInteger(this.feeToken?.decimals)) {
             return false;
         }
 
         try {
-            const requiredFeeWei = ethers.BigNumber.from(this.feeToken.amount);
+            const requiredFeeWei = ethers.BigNumber.from(this.feeToken.amount).mul(orderCount);
             const availableBalanceWei = ethers.utils.parseUnits(
                 this.feeToken.balance || '0',
                 this.feeToken.decimals
@@ -1293,6 +1328,8 @@ export class CreateOrder extends BaseComponent {
             const element = document.getElementById(id);
             if (element) element.disabled = false;
         });
+        // Templates are per chain and the network may have changed since the last visit.
+        this.renderOrderTemplateOptions();
 
         this.updateFeeDisplay();
         this.updateCreateButtonState();
@@ -1399,6 +1436,16 @@ export class CreateOrder extends BaseComponent {
             });
         }
 
+        this.setupOrderTemplateControls();
+        this.setupPricePegControls();
+        this.setupOrderLadderControls();
+
+        const stopEditingButton = this.container?.querySelector('.replacement-banner-dismiss');
+        if (stopEditingButton) {
+            stopEditingButton.onclick = () => this.clearOrderReplacement();
+        }
+        this.updateReplacementBanner();
+
         // Setup taker toggle functionality
         const takerToggle = this.container?.querySelector('.taker-toggle');
         if (takerToggle) {
@@ -1482,6 +1529,787 @@ export class CreateOrder extends BaseComponent {
         }
     }
 
+    /**
+     * Pre-fill the form from one of the maker's orders. Submitting then
+     * cancels that order and creates the edited one in a single checklist.
+     * @param {Object} order - Cached order from the WebSocket service
+     * @returns {Promise<boolean>} Whether the form was filled
+     */
+    async beginOrderReplacement(order) {
+        if (this.transactionProgressSession?.isActive() || this.isSubmitting) {
+            this.showWarning('Finish the current order before editing another one.');
+            return false;
+        }
+
+        const values = getOrderReplacementValues(order);
+        if (values.sellAmount <= 0n) {
+            this.showWarning(`Order #${order.id} has nothing left to replace.`);
+            return false;
+        }
+
+        if (this.allowedTokensLoadPromise) {
+            await this.allowedTokensLoadPromise;
+        }
+        const sellToken = this.findAllowedToken(values.sellToken);
+        const buyToken = this.findAllowedToken(values.buyToken);
+        if (!sellToken || !buyToken) {
+            this.showError(`Order #${order.id} uses a token that is no longer allowed, so it cannot be re-created.`);
+            return false;
+        }
+
+        this.clearTransactionProgressSession();
+        this.setPricePegEnabled(false);
+        this.setLadderEnabled(false);
+        await this.handleTokenSelect('sell', sellToken, { focusInput: false });
+        await this.handleTokenSelect('buy', buyToken, { focusInput: false });
+
+        const amountInputs = [
+            ['sellAmount', values.sellAmount, sellToken.decimals],
+            ['buyAmount', values.buyAmount, buyToken.decimals],
+        ];
+        for (const [inputId, amount, decimals] of amountInputs) {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.value = ethers.utils.formatUnits(amount.toString(), decimals ?? 18);
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }
+
+        const takerAddressInput = document.getElementById('takerAddress');
+        if (takerAddressInput) {
+            takerAddressInput.value = values.taker;
+        }
+        this.setTakerExpanded(Boolean(values.taker));
+
+        this.replacementOrder = {
+            id: Number(order.id),
+            sellToken: values.sellToken,
+            remainingSellAmount: values.sellAmount,
+        };
+        this.updateReplacementBanner();
+        this.updateCreateButtonState();
+        return true;
+    }
+
+    findAllowedToken(address, tokens = this.allowedTokens) {
+        const normalizedAddress = String(address || '').toLowerCase();
+        return (Array.isArray(tokens) ? tokens : []).find(
+            token => String(token?.address || '').toLowerCase() === normalizedAddress
+        ) || null;
+    }
+
+    clearOrderReplacement() {
+        this.replacementOrder = null;
+        this.updateReplacementBanner();
+        this.updateCreateButtonState();
+    }
+
+    updateReplacementBanner() {
+        const banner = document.getElementById('replacementBanner');
+        if (!banner) {
+            return;
+        }
+        const text = banner.querySelector('.replacement-banner-text');
+        if (text) {
+            text.textContent = this.replacementOrder
+                ? `Editing order #${this.replacementOrder.id}. Submitting cancels it and creates this order instead; `
+                    + 'the new order is funded from your wallet and the cancelled tokens go to your Claim balance.'
+                : '';
+        }
+        setVisibility(banner, Boolean(this.replacementOrder));
+    }
+
+    /**
+     * Re-check and cancel the order being replaced.
+     * @returns {Promise<boolean>} Whether the order was cancelled
+     */
+    async cancelReplacedOrder(replacement, progressToast) {
+        const stepId = 'cancel-original';
+        progressToast.updateStep(stepId, { status: 'active', detail: 'Checking the order is still open' });
+
+        try {
+            // The order stayed open while the form was edited and could have been taken meanwhile.
+            const latestOrder = await this.contract.orders(replacement.id);
+            const conflict = getReplacementConflict(replacement, latestOrder);
+            if (conflict) {
+                progressToast.updateStep(stepId, { status: 'failed', detail: `Not cancelled: ${conflict}` });
+                progressToast.finishFailure(
+                    `Order #${replacement.id} can no longer be replaced because ${conflict} while you were editing. `
+                    + 'Nothing was cancelled or created. Check My Orders before creating a new order.'
+                );
+                this.clearOrderReplacement();
+                return false;
+            }
+
+            const gasEstimate = await this.contract.estimateGas.cancelOrder(replacement.id);
+            await this.previewTransactionCost({ contract: this.contract, gasLimit: gasEstimate, progressToast });
+
+            progressToast.updateStep(stepId, { status: 'active', detail: 'Confirm in wallet' });
+            const tx = await this.contract.cancelOrder(replacement.id, {
+                gasLimit: gasEstimate.mul(120).div(100)
+            });
+            progressToast.setTransaction({
+                hash: tx.hash,
+                chainId: this.ctx.getWalletChainId(),
+            });
+            progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+
+            const receipt = await tx.wait();
+            if (!receipt || receipt.status === 0) {
+                throw new Error('Transaction reverted by contract');
+            }
+        } catch (error) {
+            this.debug('Replace order cancellation error:', error);
+            if (isUserRejection(error)) {
+                progressToast.updateStep(stepId, { status: 'cancelled', detail: 'Wallet request rejected' });
+                progressToast.finishCancelled(`Order #${replacement.id} was left unchanged.`);
+                return false;
+            }
+
+            const errorMessage = extractTransactionErrorMessage(error);
+            progressToast.updateStep(stepId, { status: 'failed', detail: errorMessage });
+            if (decodeTransactionError(error).code !== CONTRACT_ERRORS.ORDER_NOT_ACTIVE.code) {
+                progressToast.finishFailure(errorMessage);
+                return false;
+            }
+            progressToast.finishFailure(
+                `Order #${replacement.id} was filled or closed before it could be cancelled. Nothing was created.`
+            );
+            this.clearOrderReplacement();
+            return false;
+        }
+
+        progressToast.updateStep(stepId, { status: 'completed', detail: 'Cancelled, tokens moved to Claim' });
+        // From here on a retry should create a plain order.
+        this.clearOrderReplacement();
+
+        const ws = this.ctx.getWebSocket();
+        const cachedOrder = ws?.orderCache?.get(replacement.id);
+        if (cachedOrder) {
+            cachedOrder.status = 'Canceled';
+        }
+        if (typeof window.app?.scheduleClaimTabVisibilityRefresh === 'function') {
+            window.app.scheduleClaimTabVisibilityRefresh(null, { force: true });
+        }
+        return true;
+    }
+
+    setupPricePegControls() {
+        const toggle = this.container?.querySelector('#pricePegToggle');
+        const modeSelect = this.container?.querySelector('#pricePegMode');
+        const valueInput = this.container?.querySelector('#pricePegValue');
+        if (!toggle || !modeSelect || !valueInput) {
+            return;
+        }
+
+        toggle.onchange = () => this.setPricePegEnabled(toggle.checked);
+        modeSelect.onchange = () => {
+            // Start the new mode at market so the derived amount does not jump.
+            const marketPrice = this.getLiveTokenUsdPrice('sell') / this.getLiveTokenUsdPrice('buy');
+            if (modeSelect.value === PRICE_PEG_MODES.PRICE) {
+                valueInput.value = Number.isFinite(marketPrice) && marketPrice > 0
+                    ? this.formatPegPrice(marketPrice)
+                    : '';
+            } else {
+                valueInput.value = '0';
+            }
+            this.syncPricePeg();
+        };
+        valueInput.oninput = () => {
+            const sanitized = valueInput.value.replace(/[^0-9.-]/g, '');
+            if (sanitized !== valueInput.value) {
+                valueInput.value = sanitized;
+            }
+            this.syncPricePeg();
+        };
+        this.setPricePegEnabled(this.isPricePegEnabled);
+    }
+
+    setPricePegEnabled(isEnabled) {
+        this.isPricePegEnabled = Boolean(isEnabled);
+        const toggle = document.getElementById('pricePegToggle');
+        if (toggle) {
+            toggle.checked = this.isPricePegEnabled;
+        }
+        setVisibility(document.getElementById('pricePegControls'), this.isPricePegEnabled);
+        if (this.isPricePegEnabled && this.isLadderEnabled) {
+            this.setLadderEnabled(false);
+        }
+        this.updateBuyAmountLock();
+        this.syncPricePeg();
+    }
+
+    /** The buy amount is derived, not typed, in price vs market and ladder modes. */
+    updateBuyAmountLock() {
+        const isDerived = this.isPricePegEnabled || this.isLadderEnabled;
+        const buyAmountInput = document.getElementById('buyAmount');
+        if (buyAmountInput) {
+            buyAmountInput.readOnly = isDerived;
+            buyAmountInput.classList.toggle('is-derived', isDerived);
+        }
+    }
+
+    syncDerivedBuyAmount() {
+        this.syncPricePeg();
+        this.syncOrderLadder();
+    }
+
+    hasStaleSpotPrice() {
+        const pricing = this.ctx?.getPricing?.();
+        return Boolean(pricing?.isPriceStale) && [this.sellToken, this.buyToken]
+            .some(token => token?.address && pricing.isPriceStale(token.address));
+    }
+
+    getPricePegResult() {
+        return derivePeggedBuyAmount({
+            sellAmount: document.getElementById('sellAmount')?.value?.trim() || '',
+            sellUsdPrice: this.getLiveTokenUsdPrice('sell'),
+            buyUsdPrice: this.getLiveTokenUsdPrice('buy'),
+            mode: document.getElementById('pricePegMode')?.value,
+            value: document.getElementById('pricePegValue')?.value?.trim() ?? ''
+        });
+    }
+
+    formatPegPrice(price) {
+        return Number(price.toPrecision(6)).toLocaleString(undefined, {
+            maximumFractionDigits: 12,
+            useGrouping: false
+        });
+    }
+
+    /**
+     * In price vs market mode, derive the buy amount from the sell amount and
+     * the entered price, and describe the result against the spot price.
+     */
+    syncPricePeg() {
+        if (!this.isPricePegEnabled) {
+            return;
+        }
+
+        const summary = document.getElementById('pricePegSummary');
+        const staleWarning = document.getElementById('pricePegStale');
+        const buyAmountInput = document.getElementById('buyAmount');
+        const sellLabel = this.sellToken?.displaySymbol || this.sellToken?.symbol;
+        const buyLabel = this.buyToken?.displaySymbol || this.buyToken?.symbol;
+        const result = this.getPricePegResult();
+
+        setVisibility(staleWarning, Boolean(result) && this.hasStaleSpotPrice());
+
+        const nextBuyAmount = result ? this.formatSuggestedAmount('buy', result.buyAmount) : '';
+        if (buyAmountInput && buyAmountInput.value !== nextBuyAmount) {
+            buyAmountInput.value = nextBuyAmount;
+            this.updateTokenAmounts('buy');
+        }
+
+        if (!summary) {
+            return;
+        }
+        if (!sellLabel || !buyLabel) {
+            summary.textContent = 'Select both tokens to price the order.';
+            return;
+        }
+        if (!Number.isFinite(this.getLiveTokenUsdPrice('sell')) || !Number.isFinite(this.getLiveTokenUsdPrice('buy'))) {
+            summary.textContent = `No spot price for ${sellLabel}/${buyLabel} yet, so the buy amount cannot be derived.`;
+            return;
+        }
+        if (!result) {
+            summary.textContent = 'Enter a sell amount and a price to derive the buy amount.';
+            return;
+        }
+
+        const percentVsMarket = (result.dealRatio - 1) * 100;
+        const signedPercent = `${percentVsMarket >= 0 ? '+' : ''}${percentVsMarket.toFixed(2)}%`;
+        summary.textContent = `Market: 1 ${sellLabel} = ${this.formatPegPrice(result.marketPrice)} ${buyLabel}. `
+            + `Your price: ${this.formatPegPrice(result.targetPrice)} ${buyLabel}. `
+            + `Deal: ${formatDealValue(result.dealRatio)} (${signedPercent} vs market)`;
+    }
+
+    setupOrderLadderControls() {
+        const toggle = this.container?.querySelector('#ladderToggle');
+        const controls = this.container?.querySelector('#ladderControls');
+        if (!toggle || !controls) {
+            return;
+        }
+
+        toggle.onchange = () => this.setLadderEnabled(toggle.checked);
+        controls.querySelectorAll('input').forEach((element) => {
+            element.oninput = () => this.syncOrderLadder();
+        });
+        const modeSelect = controls.querySelector('#ladderPriceMode');
+        modeSelect.onchange = () => {
+            // Convert the current bounds so switching modes keeps the ladder in place.
+            const startInput = controls.querySelector('#ladderStartPrice');
+            const endInput = controls.querySelector('#ladderEndPrice');
+            const marketPrice = this.getLiveTokenUsdPrice('sell') / this.getLiveTokenUsdPrice('buy');
+            const hasMarketPrice = Number.isFinite(marketPrice) && marketPrice > 0;
+            [startInput, endInput].forEach((input) => {
+                const value = Number(input.value);
+                if (!hasMarketPrice || !Number.isFinite(value)) {
+                    input.value = '';
+                } else if (modeSelect.value === PRICE_PEG_MODES.PRICE) {
+                    input.value = this.formatPegPrice(marketPrice * (1 + value / 100));
+                } else {
+                    input.value = (((value / marketPrice) - 1) * 100).toFixed(2);
+                }
+            });
+            this.syncOrderLadder();
+        };
+        this.setLadderEnabled(this.isLadderEnabled);
+    }
+
+    setLadderEnabled(isEnabled) {
+        this.isLadderEnabled = Boolean(isEnabled);
+        const toggle = document.getElementById('ladderToggle');
+        if (toggle) {
+            toggle.checked = this.isLadderEnabled;
+        }
+        setVisibility(document.getElementById('ladderControls'), this.isLadderEnabled);
+        if (this.isLadderEnabled && this.isPricePegEnabled) {
+            this.setPricePegEnabled(false);
+        }
+        this.updateBuyAmountLock();
+        this.syncOrderLadder();
+    }
+
+    /**
+     * Rungs for the current ladder settings.
+     * @returns {{ rungs: Object[], marketPrice: number|null }|{ error: string }}
+     */
+    getOrderLadder() {
+        if (!this.sellToken?.address || !this.buyToken?.address) {
+            return { error: 'Select both tokens to build a ladder.' };
+        }
+        const sellAmount = document.getElementById('sellAmount')?.value?.trim() || '';
+        if (!this.isValidPositiveAmount(sellAmount)) {
+            return { error: 'Enter the total sell amount to split.' };
+        }
+
+        const mode = document.getElementById('ladderPriceMode')?.value;
+        const sellUsdPrice = this.getLiveTokenUsdPrice('sell');
+        const buyUsdPrice = this.getLiveTokenUsdPrice('buy');
+        const marketPrice = sellUsdPrice / buyUsdPrice;
+        const hasMarketPrice = Number.isFinite(marketPrice) && marketPrice > 0;
+        if (mode === PRICE_PEG_MODES.PERCENT && !hasMarketPrice) {
+            const pairLabel = `${this.sellToken.displaySymbol || this.sellToken.symbol}/${this.buyToken.displaySymbol || this.buyToken.symbol}`;
+            return { error: `No spot price for ${pairLabel} yet. Enter start and end prices instead.` };
+        }
+        const toPrice = (value) => (mode === PRICE_PEG_MODES.PERCENT
+            ? derivePeggedBuyAmount({ sellAmount: 1, sellUsdPrice, buyUsdPrice, mode, value })?.targetPrice
+            : Number(value));
+
+        try {
+            const rungs = buildOrderLadder({
+                totalSellAmount: toBigIntAmount(ethers.utils.parseUnits(sellAmount, this.sellToken.decimals)),
+                rungs: Number(document.getElementById('ladderRungs')?.value),
+                startPrice: toPrice(document.getElementById('ladderStartPrice')?.value?.trim() || ''),
+                endPrice: toPrice(document.getElementById('ladderEndPrice')?.value?.trim() || ''),
+                sellDecimals: this.sellToken.decimals,
+                buyDecimals: this.buyToken.decimals,
+            });
+            return { rungs, marketPrice: hasMarketPrice ? marketPrice : null };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * In ladder mode, preview the rungs and show their total as the buy amount.
+     */
+    syncOrderLadder() {
+        if (!this.isLadderEnabled) {
+            return;
+        }
+
+        const summary = document.getElementById('ladderSummary');
+        const preview = document.getElementById('ladderPreview');
+        const buyAmountInput = document.getElementById('buyAmount');
+        const ladder = this.getOrderLadder();
+
+        const totalBuyAmount = ladder.rungs
+            ? ethers.utils.formatUnits(
+                ladder.rungs.reduce((total, rung) => total + rung.buyAmount, 0n).toString(),
+                this.buyToken.decimals
+            )
+            : '';
+        if (buyAmountInput && buyAmountInput.value !== totalBuyAmount) {
+            buyAmountInput.value = totalBuyAmount;
+            this.updateTokenAmounts('buy');
+        }
+
+        if (preview) {
+            preview.innerHTML = ladder.rungs ? this.renderOrderLadderPreview(ladder) : '';
+        }
+        if (!summary) {
+            return;
+        }
+        if (ladder.error) {
+            summary.textContent = ladder.error;
+            summary.classList.remove('is-warning');
+            return;
+        }
+
+        const warnings = [];
+        if (this.hasInsufficientFeeBalance(ladder.rungs.length)) {
+            const totalFee = ethers.utils.formatUnits(
+                ethers.BigNumber.from(this.feeToken.amount).mul(ladder.rungs.length),
+                this.feeToken.decimals
+            );
+            warnings.push(`Creation fees for ${ladder.rungs.length} orders total ${totalFee} ${this.feeToken.symbol}, more than your balance.`);
+        }
+        if (this.hasStaleSpotPrice()) {
+            warnings.push('Spot prices are out of date. Check the prices before submitting.');
+        }
+        summary.textContent = warnings.length > 0
+            ? warnings.join(' ')
+            : `${ladder.rungs.length} orders will be created one after another, with one approval.`;
+        summary.classList.toggle('is-warning', warnings.length > 0);
+    }
+
+    renderOrderLadderPreview({ rungs, marketPrice }) {
+        const sellLabel = escapeHtmlText(this.sellToken.displaySymbol || this.sellToken.symbol);
+        const buyLabel = escapeHtmlText(this.buyToken.displaySymbol || this.buyToken.symbol);
+        const rows = rungs.map((rung, index) => {
+            const vsMarket = marketPrice
+                ? `${rung.price >= marketPrice ? '+' : ''}${(((rung.price / marketPrice) - 1) * 100).toFixed(2)}%`
+                : '-';
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${ethers.utils.formatUnits(rung.sellAmount.toString(), this.sellToken.decimals)} ${sellLabel}</td>
+                    <td>${this.formatPegPrice(rung.price)}</td>
+                    <td>${ethers.utils.formatUnits(rung.buyAmount.toString(), this.buyToken.decimals)} ${buyLabel}</td>
+                    <td>${vsMarket}</td>
+                </tr>`;
+        }).join('');
+        return `
+            <table class="ladder-preview-table">
+                <thead>
+                    <tr><th>#</th><th>Sell</th><th>Price (${buyLabel})</th><th>Buy</th><th>vs market</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    }
+
+    /**
+     * Create the ladder's orders one after another in the open progress
+     * session. Rejecting a wallet request stops the remaining rungs; a rung
+     * that fails is reported and the next one is still attempted.
+     */
+    async submitOrderLadder(rungs, taker, progressToast) {
+        let createdCount = 0;
+        let rejected = false;
+
+        for (const [index, rung] of rungs.entries()) {
+            const stepId = `create-rung-${index + 1}`;
+            if (rejected) {
+                progressToast.updateStep(stepId, { status: 'cancelled', detail: 'Skipped' });
+                continue;
+            }
+
+            const createOrderArgs = [
+                taker,
+                this.sellToken.address,
+                rung.sellAmount.toString(),
+                this.buyToken.address,
+                rung.buyAmount.toString()
+            ];
+            try {
+                progressToast.updateStep(stepId, { status: 'active', detail: 'Checking the order against the contract' });
+                const simulation = await simulateContractCall(this.contract, 'createOrder', createOrderArgs);
+                if (simulation.status === SIMULATION_STATUS.REVERTED) {
+                    progressToast.updateStep(stepId, { status: 'failed', detail: simulation.error.message });
+                    continue;
+                }
+                await this.previewTransactionCost({
+                    contract: this.contract,
+                    method: 'createOrder',
+                    args: createOrderArgs,
+                    progressToast,
+                });
+
+                progressToast.updateStep(stepId, {
+                    status: 'active',
+                    detail: simulation.status === SIMULATION_STATUS.UNAVAILABLE
+                        ? 'Simulation unavailable. Confirm in wallet'
+                        : 'Confirm in wallet'
+                });
+                const tx = await this.contract.createOrder(...createOrderArgs);
+                progressToast.setTransaction({
+                    hash: tx.hash,
+                    chainId: this.ctx.getWalletChainId(),
+                });
+                progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+
+                const receipt = await tx.wait();
+                if (!receipt || receipt.status === 0) {
+                    progressToast.updateStep(stepId, { status: 'failed', detail: 'Transaction reverted by contract' });
+                    continue;
+                }
+                createdCount += 1;
+                progressToast.updateStep(stepId, { status: 'completed', detail: 'Created' });
+            } catch (error) {
+                this.debug(`Ladder order ${index + 1} error:`, error);
+                rejected = isUserRejection(error);
+                progressToast.updateStep(stepId, {
+                    status: rejected ? 'cancelled' : 'failed',
+                    detail: rejected ? 'Wallet request rejected' : extractTransactionErrorMessage(error),
+                });
+            }
+        }
+
+        if (createdCount > 0) {
+            try {
+                clearBalanceCache();
+                this.refreshOpenTokenModals();
+                await this.ctx.getWebSocket()?.syncAllOrders(this.contract);
+            } catch (refreshError) {
+                this.debug('Post-ladder refresh failed:', refreshError);
+            }
+        }
+
+        if (createdCount === rungs.length) {
+            progressToast.finishSuccess(`Created all ${createdCount} ladder orders.`);
+            this.orderCreatedSuccessfully = true;
+        } else if (createdCount > 0) {
+            progressToast.finishSuccess(
+                `Created ${createdCount} of ${rungs.length} ladder orders. See the steps above for the rest.`
+            );
+        } else if (rejected) {
+            progressToast.finishCancelled('No ladder orders were created.');
+        } else {
+            progressToast.finishFailure('No ladder orders were created.');
+        }
+    }
+
+    getOrderTemplateChainId() {
+        return getNetworkConfig()?.chainId || null;
+    }
+
+    setupOrderTemplateControls() {
+        const panel = this.container?.querySelector('.order-templates');
+        if (!panel) {
+            return;
+        }
+
+        const select = panel.querySelector('#orderTemplateSelect');
+        const deleteButton = panel.querySelector('.js-delete-template');
+        const fileInput = panel.querySelector('.js-import-templates-file');
+
+        select.onchange = () => {
+            deleteButton.disabled = !select.value;
+            if (select.value) {
+                void this.applyOrderTemplate(select.value);
+            }
+        };
+        panel.querySelector('.js-save-template').onclick = () => this.saveOrderTemplate();
+        deleteButton.onclick = () => {
+            if (!select.value) return;
+            orderTemplateStore.remove(this.getOrderTemplateChainId(), select.value);
+            this.renderOrderTemplateOptions();
+        };
+        panel.querySelector('.js-export-templates').onclick = () => this.exportOrderTemplates();
+        panel.querySelector('.js-import-templates').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            const [file] = fileInput.files || [];
+            fileInput.value = '';
+            if (file) {
+                await this.importOrderTemplates(file);
+            }
+        };
+
+        this.renderOrderTemplateOptions();
+    }
+
+    renderOrderTemplateOptions(selectedName = '') {
+        const select = this.container?.querySelector('#orderTemplateSelect');
+        if (!select) {
+            return;
+        }
+
+        const templates = orderTemplateStore.list(this.getOrderTemplateChainId());
+        select.innerHTML = `<option value="">${templates.length ? 'Saved templates' : 'No saved templates'}</option>`
+            + templates.map(({ name }) => {
+                const value = escapeHtmlAttribute(name);
+                return `<option value="${value}"${name === selectedName ? ' selected' : ''}>${escapeHtmlText(name)}</option>`;
+            }).join('');
+
+        const deleteButton = this.container.querySelector('.js-delete-template');
+        if (deleteButton) {
+            deleteButton.disabled = !select.value;
+        }
+    }
+
+    /**
+     * Save the form as a named template. With "Peg to USD" checked the buy
+     * side is stored as a USD price per sell token instead of an amount.
+     */
+    saveOrderTemplate() {
+        const chainId = this.getOrderTemplateChainId();
+        const sellAmount = document.getElementById('sellAmount')?.value?.trim() || '';
+        const buyAmount = document.getElementById('buyAmount')?.value?.trim() || '';
+        const pegToUsd = Boolean(this.container?.querySelector('.js-template-usd-peg')?.checked);
+
+        if (!chainId) {
+            this.showWarning('Connect to a supported network to save templates.');
+            return;
+        }
+        if (!this.sellToken?.address || !this.buyToken?.address) {
+            this.showWarning('Select both tokens before saving a template.');
+            return;
+        }
+        if (!this.isValidPositiveAmount(sellAmount) || !this.isValidPositiveAmount(buyAmount)) {
+            this.showWarning('Enter both amounts before saving a template.');
+            return;
+        }
+
+        let sellPriceUsd = null;
+        if (pegToUsd) {
+            const buyPrice = this.getLiveTokenUsdPrice('buy');
+            sellPriceUsd = (Number(buyAmount) * buyPrice) / Number(sellAmount);
+            if (!Number.isFinite(sellPriceUsd) || sellPriceUsd <= 0) {
+                const buyTokenLabel = this.buyToken.displaySymbol || this.buyToken.symbol;
+                this.showWarning(`No USD price for ${buyTokenLabel} yet, so the template cannot be pegged to USD.`);
+                return;
+            }
+        }
+
+        const select = this.container?.querySelector('#orderTemplateSelect');
+        const name = window.prompt('Template name', select?.value || '');
+        if (name === null) return;
+        if (!name.trim()) {
+            this.showWarning('Enter a name to save this template.');
+            return;
+        }
+
+        const takerInput = document.getElementById('takerAddress');
+        const saved = orderTemplateStore.save(chainId, {
+            name,
+            sellToken: this.sellToken.address,
+            buyToken: this.buyToken.address,
+            sellAmount,
+            buyAmount,
+            sellPriceUsd,
+            taker: this.sanitizeTakerAddressInput(takerInput?.value?.trim() || ''),
+        });
+        if (!saved) {
+            this.showError('Could not save the template. Check the taker address and try again.');
+            return;
+        }
+        this.renderOrderTemplateOptions(name.trim());
+        this.showSuccess(`Template "${name.trim()}" saved`);
+    }
+
+    /**
+     * Fill the form from a template after checking its tokens against the
+     * contract's current allowed list.
+     * @param {string} name
+     * @returns {Promise<boolean>} Whether the form was filled
+     */
+    async applyOrderTemplate(name) {
+        const template = orderTemplateStore.get(this.getOrderTemplateChainId(), name);
+        if (!template) {
+            return false;
+        }
+        if (this.transactionProgressSession?.isActive() || this.isSubmitting) {
+            this.showWarning('Finish the current order before applying a template.');
+            return false;
+        }
+
+        let allowedTokens;
+        try {
+            allowedTokens = await getContractAllowedTokens({ includeBalances: false });
+        } catch (error) {
+            this.debug('Template token validation error:', error);
+            this.showError('Unable to validate the template tokens. Please try again.');
+            return false;
+        }
+
+        const disallowed = [template.sellToken, template.buyToken]
+            .filter(address => !this.findAllowedToken(address, allowedTokens));
+        if (disallowed.length > 0) {
+            this.showError(`Template "${template.name}" uses a token that is no longer allowed: ${disallowed.join(', ')}`);
+            return false;
+        }
+
+        const resolveToken = (address) => this.findAllowedToken(address)
+            || this.normalizeTokenDisplay(this.findAllowedToken(address, allowedTokens));
+        const sellToken = resolveToken(template.sellToken);
+        const buyToken = resolveToken(template.buyToken);
+        this.setPricePegEnabled(false);
+        this.setLadderEnabled(false);
+        await this.handleTokenSelect('sell', sellToken, { focusInput: false });
+        await this.handleTokenSelect('buy', buyToken, { focusInput: false });
+
+        let buyAmount = this.normalizeAmountInputValueForToken(buyToken, template.buyAmount);
+        if (template.sellPriceUsd) {
+            buyAmount = this.formatSuggestedAmount(
+                'buy',
+                getPeggedBuyAmount(template, this.getLiveTokenUsdPrice('buy'))
+            );
+            if (!buyAmount) {
+                this.showWarning(`No USD price for ${buyToken.displaySymbol || buyToken.symbol} yet. Enter the buy amount manually.`);
+            }
+        }
+
+        const amountInputs = [
+            ['sellAmount', this.normalizeAmountInputValueForToken(sellToken, template.sellAmount)],
+            ['buyAmount', buyAmount],
+        ];
+        for (const [inputId, value] of amountInputs) {
+            const input = document.getElementById(inputId);
+            if (input) {
+                input.value = value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            }
+        }
+
+        const takerAddressInput = document.getElementById('takerAddress');
+        if (takerAddressInput) {
+            takerAddressInput.value = template.taker;
+        }
+        this.setTakerExpanded(Boolean(template.taker));
+        this.updateCreateButtonState();
+        return true;
+    }
+
+    exportOrderTemplates() {
+        const chainId = this.getOrderTemplateChainId();
+        if (orderTemplateStore.list(chainId).length === 0) {
+            this.showInfo('No templates to export.');
+            return;
+        }
+
+        const networkSlug = getNetworkConfig()?.slug || 'network';
+        const blob = new Blob([orderTemplateStore.exportJson(chainId)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `whaleswap-order-templates-${networkSlug}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async importOrderTemplates(file) {
+        try {
+            const { imported, skipped } = orderTemplateStore.importJson(
+                this.getOrderTemplateChainId(),
+                await file.text()
+            );
+            this.renderOrderTemplateOptions();
+            if (imported === 0) {
+                this.showWarning('The file contains no usable templates.');
+                return;
+            }
+            const skippedNote = skipped > 0 ? ` (${skipped} invalid skipped)` : '';
+            this.showSuccess(`Imported ${imported} template${imported === 1 ? '' : 's'}${skippedNote}`);
+        } catch (error) {
+            this.debug('Template import error:', error);
+            this.showError(error.message);
+        }
+    }
+
     setTooltipExpanded(tooltipElement, isExpanded, persistState = null) {
         if (!tooltipElement) return;
 
@@ -1741,7 +2569,7 @@ export class CreateOrder extends BaseComponent {
         return refreshedFeeToken;
     }
 
-    async validateFeeTokenBalanceBeforeSubmit(sellAmount) {
+    async validateFeeTokenBalanceBeforeSubmit(sellAmount, orderCount = 1) {
         const refreshedFeeToken = await this.ensureFeeTokenReadyForSubmit();
 
         const feeTokenAddress = String(refreshedFeeToken.address || '').toLowerCase();
@@ -1756,7 +2584,7 @@ export class CreateOrder extends BaseComponent {
             refreshedFeeToken.balance || '0',
             feeTokenDecimals
         );
-        const feeAmountWei = ethers.BigNumber.from(refreshedFeeToken.amount);
+        const feeAmountWei = ethers.BigNumber.from(refreshedFeeToken.amount).mul(orderCount);
 
         let sellAmountWeiForFeeToken = ethers.constants.Zero;
         if (sameTokenForSellAndFee) {
@@ -1815,6 +2643,7 @@ export class CreateOrder extends BaseComponent {
             if (!await this.ensureWalletReadyForWrite('create the order')) {
                 return;
             }
+            const replacement = this.replacementOrder;
 
             // Get fresh signer and reinitialize contract
             const signer = walletManager.getSigner();
@@ -1913,6 +2742,21 @@ export class CreateOrder extends BaseComponent {
                 return;
             }
 
+            let ladderRungs = null;
+            if (this.isLadderEnabled) {
+                if (replacement) {
+                    this.showWarning('Stop editing the order before creating a ladder.');
+                    return;
+                }
+                const ladder = this.getOrderLadder();
+                if (ladder.error) {
+                    this.showError(ladder.error);
+                    return;
+                }
+                ladderRungs = ladder.rungs;
+            }
+            const orderCount = ladderRungs ? ladderRungs.length : 1;
+
             // Validate sell balance before proceeding
             try {
                 this.debug('Validating sell balance...');
@@ -1923,9 +2767,14 @@ export class CreateOrder extends BaseComponent {
                 );
 
                 if (!balanceValidation.hasSufficientBalance) {
+                    // Cancelling credits the Claim balance, not the wallet, so a replacement needs wallet funds too.
+                    const replacementNote = replacement
+                        ? `Cancelling order #${replacement.id} moves its tokens to your Claim balance, not your wallet.\n\n`
+                        : '';
                     const errorMessage = `Insufficient ${balanceValidation.symbol} balance for selling.\n\n` +
                         `Required: ${Number(balanceValidation.formattedRequired).toLocaleString()} ${balanceValidation.symbol}\n` +
                         `Available: ${Number(balanceValidation.formattedBalance).toLocaleString()} ${balanceValidation.symbol}\n\n` +
+                        replacementNote +
                         `Please reduce the sell amount or ensure you have sufficient balance.`;
                     
                     this.showError(errorMessage);
@@ -1941,7 +2790,7 @@ export class CreateOrder extends BaseComponent {
 
             // Validate fee-token balance before opening tx checklist / submitting tx.
             try {
-                const feeBalanceValidation = await this.validateFeeTokenBalanceBeforeSubmit(sellAmount);
+                const feeBalanceValidation = await this.validateFeeTokenBalanceBeforeSubmit(sellAmount, orderCount);
                 if (!feeBalanceValidation.hasSufficientBalance) {
                     const tokenSymbol = feeBalanceValidation.symbol;
                     if (feeBalanceValidation.sameTokenForSellAndFee) {
@@ -1956,7 +2805,7 @@ export class CreateOrder extends BaseComponent {
                     } else {
                         this.showError(
                             `Insufficient ${tokenSymbol} balance for order creation fee.\n\n` +
-                            `Required fee: ${this.formatValidationAmount(feeBalanceValidation.formattedFeeRequired)} ${tokenSymbol}\n` +
+                            `Required fee${orderCount > 1 ? ` for ${orderCount} orders` : ''}: ${this.formatValidationAmount(feeBalanceValidation.formattedFeeRequired)} ${tokenSymbol}\n` +
                             `Available: ${this.formatValidationAmount(feeBalanceValidation.formattedAvailable)} ${tokenSymbol}\n\n` +
                             `Please top up your ${tokenSymbol} balance and try again.`
                         );
@@ -1992,21 +2841,43 @@ export class CreateOrder extends BaseComponent {
                 signer,
                 owner: currentAddress,
                 sellAmountWei,
+                orderCount,
             });
-            const defaultSummary = 'Complete the steps below in your wallet and on-chain.';
-            const progressToast = createTransactionProgressSession(this.ctx.toast, {
-                title: 'Creating Order',
-                successTitle: 'Order Created',
-                failureTitle: 'Order Creation Failed',
-                cancelledTitle: 'Order Creation Cancelled',
-                summary: defaultSummary,
+            const defaultSummary = replacement
+                ? `Order #${replacement.id} is cancelled first, then the edited order is created.`
+                : 'Complete the steps below in your wallet and on-chain.';
+            const approvalSteps = approvalRequirements.map(requirement => ({
+                id: requirement.stepId,
+                label: requirement.label,
+                status: requirement.needsApproval ? 'pending' : 'completed',
+                detail: requirement.needsApproval ? '' : 'Already approved',
+            }));
+            const progressToast = createTransactionProgressSession(this.ctx.toast, ladderRungs ? {
+                title: `Creating ${orderCount}-Order Ladder`,
+                successTitle: 'Ladder Created',
+                failureTitle: 'Ladder Creation Failed',
+                cancelledTitle: 'Ladder Creation Stopped',
+                summary: 'Confirm one approval, then one order per rung in your wallet.',
                 steps: [
-                    ...approvalRequirements.map(requirement => ({
-                        id: requirement.stepId,
-                        label: requirement.label,
-                        status: requirement.needsApproval ? 'pending' : 'completed',
-                        detail: requirement.needsApproval ? '' : 'Already approved',
+                    ...approvalSteps,
+                    ...ladderRungs.map((rung, index) => ({
+                        id: `create-rung-${index + 1}`,
+                        label: `Create order ${index + 1} of ${orderCount} at ${this.formatPegPrice(rung.price)}`,
+                        status: 'pending',
                     })),
+                ],
+            } : {
+                title: replacement ? `Replacing Order #${replacement.id}` : 'Creating Order',
+                successTitle: replacement ? 'Order Replaced' : 'Order Created',
+                failureTitle: replacement ? 'Order Replacement Failed' : 'Order Creation Failed',
+                cancelledTitle: replacement ? 'Order Replacement Cancelled' : 'Order Creation Cancelled',
+                summary: defaultSummary,
+                steps: [
+                    ...approvalSteps,
+                    ...(replacement
+                        ? [{ id: 'cancel-original', label: `Cancel order #${replacement.id}`, status: 'pending' }]
+                        : []),
+                    { id: 'simulate-order', label: 'Simulate create order', status: 'pending' },
                     { id: 'submit-order', label: 'Submit create order', status: 'pending' },
                     { id: 'confirm-order', label: 'Confirm order on-chain', status: 'pending' },
                 ],
@@ -2041,6 +2912,62 @@ export class CreateOrder extends BaseComponent {
                 }
             }
 
+            if (ladderRungs) {
+                await this.submitOrderLadder(ladderRungs, taker, progressToast);
+                return;
+            }
+
+            // Approvals come first so the cancelled order is re-created as soon as possible.
+            if (replacement && !await this.cancelReplacedOrder(replacement, progressToast)) {
+                return;
+            }
+            const withReplacementNote = (message) => (replacement
+                ? `${message} Order #${replacement.id} was cancelled and its tokens are in your Claim balance, but the new order was not created.`
+                : message);
+
+            const createOrderArgs = [
+                taker,
+                this.sellToken.address,
+                sellAmountWei,
+                this.buyToken.address,
+                buyAmountWei
+            ];
+
+            // Dry-run against the contract so a revert is explained before gas is spent.
+            progressToast.updateStep('simulate-order', {
+                status: 'active',
+                detail: 'Checking the order against the contract',
+            });
+            const simulation = await simulateContractCall(this.contract, 'createOrder', createOrderArgs);
+            if (simulation.status === SIMULATION_STATUS.REVERTED) {
+                const simulationError = simulation.error;
+                this.debug('Create order simulation reverted:', simulationError.code, simulationError.details);
+                progressToast.updateStep('simulate-order', {
+                    status: 'failed',
+                    detail: simulationError.message,
+                });
+                progressToast.finishFailure(withReplacementNote(`The order would fail: ${formatContractError(simulationError)}`));
+                return;
+            }
+            if (simulation.status === SIMULATION_STATUS.UNAVAILABLE) {
+                this.debug('Create order simulation unavailable:', simulation.error);
+                progressToast.updateStep('simulate-order', {
+                    status: 'cancelled',
+                    detail: 'Simulation unavailable',
+                });
+            } else {
+                progressToast.updateStep('simulate-order', {
+                    status: 'completed',
+                    detail: 'Order will succeed',
+                });
+            }
+            await this.previewTransactionCost({
+                contract: this.contract,
+                method: 'createOrder',
+                args: createOrderArgs,
+                progressToast,
+            });
+
             const submitStepId = 'submit-order';
             const confirmStepId = 'confirm-order';
             const maxRetries = 2;
@@ -2054,13 +2981,7 @@ export class CreateOrder extends BaseComponent {
 
             while (retryCount <= maxRetries) {
                 try {
-                    tx = await this.contract.createOrder(
-                        taker,
-                        this.sellToken.address,
-                        sellAmountWei,
-                        this.buyToken.address,
-                        buyAmountWei
-                    );
+                    tx = await this.contract.createOrder(...createOrderArgs);
                     break;
                 } catch (error) {
                     this.debug(`Create order submission attempt ${retryCount + 1} failed:`, error);
@@ -2070,7 +2991,7 @@ export class CreateOrder extends BaseComponent {
                             status: 'cancelled',
                             detail: 'Wallet request rejected',
                         });
-                        progressToast.finishCancelled('Cancelled before order submission.');
+                        progressToast.finishCancelled(withReplacementNote('Cancelled before order submission.'));
                         return;
                     }
 
@@ -2090,7 +3011,7 @@ export class CreateOrder extends BaseComponent {
                         status: 'failed',
                         detail: errorMessage,
                     });
-                    progressToast.finishFailure(errorMessage);
+                    progressToast.finishFailure(withReplacementNote(errorMessage));
                     return;
                 }
             }
@@ -2140,7 +3061,9 @@ export class CreateOrder extends BaseComponent {
                     status: 'completed',
                     detail: 'Confirmed',
                 });
-                progressToast.finishSuccess('Order created successfully.');
+                progressToast.finishSuccess(replacement
+                    ? `Order #${replacement.id} was replaced by the new order.`
+                    : 'Order created successfully.');
                 this.orderCreatedSuccessfully = true; // Mark order as successfully created
             } catch (error) {
                 this.debug('Create order confirmation error:', error);
@@ -2154,7 +3077,10 @@ export class CreateOrder extends BaseComponent {
                     status: 'failed',
                     detail: errorMessage,
                 });
-                progressToast.finishFailure(errorMessage);
+                // A timed-out order may still confirm, so only a failed one is reported as not created.
+                progressToast.finishFailure(error.message?.includes('Transaction timeout')
+                    ? errorMessage
+                    : withReplacementNote(errorMessage));
                 return;
             }
 
@@ -2175,28 +3101,6 @@ export class CreateOrder extends BaseComponent {
         }
     }
 
-    getReadableError(error) {
-        // Add more specific error cases
-        switch (error.code) {
-            case 'ACTION_REJECTED':
-                return 'Transaction was rejected by user';
-            case 'INSUFFICIENT_FUNDS':
-                return 'Insufficient funds for transaction';
-            case -32603:
-                return 'Network error. Please check your connection';
-            case 'UNPREDICTABLE_GAS_LIMIT':
-                // For contract revert errors, extract the actual revert message
-                if (error.error?.data?.message) {
-                    return error.error.data.message;
-                } else if (error.reason) {
-                    return error.reason;
-                }
-                return 'Error estimating gas. The transaction may fail';
-            default:
-                return error.reason || error.message || 'Error creating order';
-        }
-    }
-
     async loadContractTokens() {
         try {
             this.debug('Loading allowed wallet tokens...');
@@ -2792,12 +3696,12 @@ export class CreateOrder extends BaseComponent {
     }
 
     isRetryableCreateOrderError(error) {
-        const message = error?.message || '';
-        return message.includes('nonce') || message.includes('replacement fee too low');
+        return decodeTransactionError(error).code === CONTRACT_ERRORS.NONCE_CONFLICT.code;
     }
 
-    async getCreateOrderApprovalRequirements({ signer, owner, sellAmountWei }) {
-        const feeAmountWei = ethers.BigNumber.from(this.feeToken.amount);
+    async getCreateOrderApprovalRequirements({ signer, owner, sellAmountWei, orderCount = 1 }) {
+        // One approval covers every order of a ladder.
+        const feeAmountWei = ethers.BigNumber.from(this.feeToken.amount).mul(orderCount);
         const sellTokenAddress = this.sellToken.address.toLowerCase();
         const feeTokenAddress = this.feeToken.address.toLowerCase();
 
@@ -2958,6 +3862,7 @@ export class CreateOrder extends BaseComponent {
                     this.focusedAmountField = null;
                 }
                 this.refreshActiveAmountSuggestion();
+                this.syncDerivedBuyAmount();
                 this.updateCreateButtonState();
                 return;
             }
@@ -2984,6 +3889,7 @@ export class CreateOrder extends BaseComponent {
                         .then(() => {
                             // Update price display after fetching
                             const updatedPrice = pricing.getPrice(token.address);
+                            this.syncDerivedBuyAmount();
                             this.updateTokenAmounts(type);
                             this.debug(`Updated price for ${token.symbol}: $${updatedPrice}`);
                         })
@@ -3073,6 +3979,7 @@ export class CreateOrder extends BaseComponent {
                 amountInput.parentNode.replaceChild(newInput, amountInput);
                 newInput.value = this.normalizeAmountInputValue(type, newInput.value);
                 this.bindAmountInput(type, newInput);
+                this.syncDerivedBuyAmount();
                 
                 // Focus on the input field after token selection
                 if (focusInput) {
@@ -3196,7 +4103,7 @@ export class CreateOrder extends BaseComponent {
                 createButton.disabled = true;
                 createButton.classList.add('disabled');
                 createButton.textContent = this.transactionProgressSession?.isActive()
-                    ? 'Creating Order...'
+                    ? (this.replacementOrder ? 'Replacing Order...' : 'Creating Order...')
                     : 'Checklist Open';
                 return;
             }
@@ -3211,9 +4118,11 @@ export class CreateOrder extends BaseComponent {
             } else if (this.isContractDisabled) {
                 createButton.textContent = 'New Orders Disabled';
             } else if (this.isSubmitting) {
-                createButton.textContent = 'Creating Order...';
+                createButton.textContent = this.replacementOrder ? 'Replacing Order...' : 'Creating Order...';
             } else {
-                createButton.textContent = 'Create Order';
+                createButton.textContent = this.replacementOrder
+                    ? `Replace Order #${this.replacementOrder.id}`
+                    : 'Create Order';
             }
         } catch (error) {
             this.debug('Error updating create button state:', error);
@@ -3496,6 +4405,21 @@ export class CreateOrder extends BaseComponent {
         return `
             <!-- Token swap form interface -->
             <div class="form-container card">
+                <!-- Saved order templates (see OrderTemplateStore) -->
+                <div class="order-templates">
+                    <select id="orderTemplateSelect" class="order-template-select" aria-label="Saved order templates">
+                        <option value="">No saved templates</option>
+                    </select>
+                    <button type="button" class="order-template-button js-save-template">Save template</button>
+                    <button type="button" class="order-template-button js-delete-template" disabled>Delete</button>
+                    <button type="button" class="order-template-button js-export-templates">Export</button>
+                    <button type="button" class="order-template-button js-import-templates">Import</button>
+                    <input type="file" class="js-import-templates-file" accept="application/json,.json" hidden />
+                    <label class="order-template-peg">
+                        <input type="checkbox" class="js-template-usd-peg" />
+                        Save price as USD peg
+                    </label>
+                </div>
                 <div class="swap-section swap-section--transparent-connected">
                     <!-- Sell token input section -->
                     <div id="sellContainer" class="swap-input-container">
@@ -3549,6 +4473,69 @@ export class CreateOrder extends BaseComponent {
                         </div>
                     </div>
 
+                    <!-- Price vs market (see syncPricePeg) -->
+                    <div class="price-peg-container">
+                        <label class="price-peg-toggle">
+                            <input type="checkbox" id="pricePegToggle" />
+                            Set price vs market
+                        </label>
+                        <div id="pricePegControls" class="price-peg-controls is-hidden" aria-hidden="true">
+                            <div class="price-peg-inputs">
+                                <select id="pricePegMode" class="price-peg-mode" aria-label="Price type">
+                                    <option value="${PRICE_PEG_MODES.PERCENT}">% vs market</option>
+                                    <option value="${PRICE_PEG_MODES.PRICE}">Buy tokens per sell token</option>
+                                </select>
+                                <input
+                                    type="text"
+                                    id="pricePegValue"
+                                    class="price-peg-value"
+                                    inputmode="decimal"
+                                    placeholder="0"
+                                    value="0"
+                                    autocomplete="off"
+                                    spellcheck="false"
+                                />
+                            </div>
+                            <div id="pricePegSummary" class="price-peg-summary"></div>
+                            <div id="pricePegStale" class="price-peg-stale is-hidden" aria-hidden="true">
+                                Spot prices are out of date. Check the price before submitting.
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Order ladder (see syncOrderLadder) -->
+                    <div class="ladder-container">
+                        <label class="price-peg-toggle">
+                            <input type="checkbox" id="ladderToggle" />
+                            Split into a price ladder
+                        </label>
+                        <div id="ladderControls" class="ladder-controls is-hidden" aria-hidden="true">
+                            <div class="ladder-inputs">
+                                <label>
+                                    Rungs
+                                    <input type="number" id="ladderRungs" class="price-peg-value" min="${MIN_LADDER_RUNGS}" max="${MAX_LADDER_RUNGS}" step="1" value="5" />
+                                </label>
+                                <label>
+                                    Prices as
+                                    <select id="ladderPriceMode" class="price-peg-mode">
+                                        <option value="${PRICE_PEG_MODES.PERCENT}">% over market</option>
+                                        <option value="${PRICE_PEG_MODES.PRICE}">Buy tokens per sell token</option>
+                                    </select>
+                                </label>
+                                <label>
+                                    Start
+                                    <input type="text" id="ladderStartPrice" class="price-peg-value" inputmode="decimal" value="1" autocomplete="off" spellcheck="false" />
+                                </label>
+                                <label>
+                                    End
+                                    <input type="text" id="ladderEndPrice" class="price-peg-value" inputmode="decimal" value="5" autocomplete="off" spellcheck="false" />
+                                </label>
+                            </div>
+                            <div id="ladderSummary" class="price-peg-summary"></div>
+                            <div id="ladderPreview" class="ladder-preview"></div>
+                        </div>
+                    </div>
+
                     <!-- Optional taker address input -->
                     <div class="taker-input-container">
                         <div class="taker-input-header">
@@ -3635,6 +4622,12 @@ export class CreateOrder extends BaseComponent {
                         </div>
                     </div>
 
+                    <!-- Order being replaced (see beginOrderReplacement) -->
+                    <div id="replacementBanner" class="replacement-banner is-hidden" aria-hidden="true" role="status">
+                        <span class="replacement-banner-text"></span>
+                        <button type="button" class="replacement-banner-dismiss">Stop editing</button>
+                    </div>
+
                     <!-- Create order button -->
                     <button class="action-button" id="createOrderBtn" disabled>
                         Connect Wallet to Create Order
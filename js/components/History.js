@@ -0,0 +1,433 @@
+import { ethers } from 'ethers';
+import { BaseComponent } from './BaseComponent.js';
+import { createLogger } from '../services/LogService.js';
+import { getNetworkConfig } from '../config/networks.js';
+import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
+import { formatAddress, formatTimestamp, getTransactionExplorerUrl } from '../utils/orderUtils.js';
+import { isZeroAddress } from '../utils/ui.js';
+import { escapeHtml } from '../utils/html.js';
+import { buildTradeHistoryEntries, toCsv, TRADE_HISTORY_TYPES } from '../utils/tradeHistory.js';
+
+const EXPORT_COLUMNS = [
+    { key: 'date', label: 'Date (UTC)' },
+    { key: 'type', label: 'Type' },
+    { key: 'role', label: 'Role' },
+    { key: 'orderId', label: 'Order ID' },
+    { key: 'sellSymbol', label: 'Sell Token' },
+    { key: 'sellToken', label: 'Sell Token Address' },
+    { key: 'sellAmount', label: 'Sell Amount' },
+    { key: 'buySymbol', label: 'Buy Token' },
+    { key: 'buyToken', label: 'Buy Token Address' },
+    { key: 'buyAmount', label: 'Buy Amount' },
+    { key: 'usdValue', label: 'USD Value At Fill' },
+    { key: 'counterparty', label: 'Counterparty' },
+    { key: 'blockNumber', label: 'Block' },
+    { key: 'transactionHash', label: 'Transaction Hash' },
+    { key: 'explorerUrl', label: 'Explorer URL' }
+];
+
+export class History extends BaseComponent {
+    constructor(containerId = 'history') {
+        super(containerId);
+
+        const logger = createLogger('HISTORY');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.isInitializing = false;
+        this.currentMode = null;
+        this.eventIndexer = null;
+        this.rows = [];
+        this.refreshRequestId = 0;
+        this.renderDebounceTimer = null;
+
+        this.indexerProgressHandler = null;
+        this.indexerUpdatedHandler = null;
+        this.walletListener = null;
+        this.handleContainerClick = this.onContainerClick.bind(this);
+    }
+
+    async initialize(readOnlyMode = true) {
+        if (this.isInitializing) return;
+        this.isInitializing = true;
+
+        try {
+            this.currentMode = readOnlyMode;
+            this.eventIndexer = this.ctx.getEventIndexer?.() || null;
+
+            if (!this.container.querySelector('[data-history-list]')) {
+                this.renderShell();
+            }
+            this.container.removeEventListener('click', this.handleContainerClick);
+            this.container.addEventListener('click', this.handleContainerClick);
+            this.setupSubscriptions();
+
+            await this.refreshHistory();
+            this.isInitialized = true;
+        } catch (error) {
+            this.error('Failed to initialize History tab:', error);
+            this.setStatus('Unable to load trade history.', 'error');
+        } finally {
+            this.isInitializing = false;
+        }
+    }
+
+    renderShell() {
+        this.container.innerHTML = `
+            <div class="tab-content-wrapper history-panel">
+                <h2 class="main-heading">History</h2>
+                <p class="history-description">Fills, cancellations and cleanups involving your connected wallet.</p>
+                <div class="history-toolbar">
+                    <div class="history-status" data-history-status></div>
+                    <div class="history-export-actions">
+                        <button type="button" class="history-export-button" data-history-export="csv" disabled>Export CSV</button>
+                        <button type="button" class="history-export-button" data-history-export="json" disabled>Export JSON</button>
+                    </div>
+                </div>
+                <div class="history-list" data-history-list></div>
+            </div>
+        `;
+    }
+
+    setStatus(message = '', tone = '') {
+        const status = this.container.querySelector('[data-history-status]');
+        if (!status) return;
+
+        status.textContent = message;
+        status.classList.remove('is-warning', 'is-error');
+        if (tone === 'warning') status.classList.add('is-warning');
+        if (tone === 'error') status.classList.add('is-error');
+    }
+
+    setExportEnabled(enabled) {
+        this.container.querySelectorAll('[data-history-export]').forEach((button) => {
+            button.disabled = !enabled;
+        });
+    }
+
+    renderMessage(message) {
+        const list = this.container.querySelector('[data-history-list]');
+        if (!list) return;
+        list.innerHTML = `<div class="history-empty">${escapeHtml(message)}</div>`;
+    }
+
+    getAccount() {
+        const wallet = this.ctx.getWallet();
+        if (!wallet?.isWalletConnected?.()) {
+            return null;
+        }
+        return wallet.getAccount?.() || null;
+    }
+
+    async refreshHistory() {
+        const requestId = ++this.refreshRequestId;
+        const account = this.getAccount();
+
+        if (this.currentMode || !account) {
+            this.rows = [];
+            this.setExportEnabled(false);
+            this.setStatus('');
+            this.renderMessage('Connect wallet to view your trade history.');
+            return;
+        }
+
+        if (!this.eventIndexer) {
+            this.setStatus('Event history is unavailable on this network.', 'error');
+            this.renderMessage('No history available.');
+            return;
+        }
+
+        // Show what is already indexed while the catch-up runs.
+        await this.renderFromIndex(account, requestId);
+        this.setStatus('Indexing contract events...');
+
+        const synced = await this.eventIndexer.ensureBackfilled();
+        if (requestId !== this.refreshRequestId) return;
+
+        await this.renderFromIndex(account, requestId);
+        this.updateIndexStatus(synced);
+    }
+
+    updateIndexStatus(synced = true) {
+        const status = this.eventIndexer?.getStatus?.();
+        if (!synced) {
+            this.setStatus('Could not reach the network; showing previously indexed history.', 'warning');
+            return;
+        }
+        if (status?.storageFailed) {
+            this.setStatus('Browser storage is full, so indexing progress is not saved and will restart on the next visit.', 'warning');
+            return;
+        }
+        if (status?.historyLimited && Number.isInteger(status.fromBlock)) {
+            this.setStatus(
+                `This network's RPC cannot look up when the contract was deployed, so history starts at block ${status.fromBlock}. `
+                + 'Older activity is not shown.',
+                'warning'
+            );
+            return;
+        }
+        if (Number.isInteger(status?.fromBlock) && Number.isInteger(status?.lastIndexedBlock)) {
+            this.setStatus(`Indexed blocks ${status.fromBlock} to ${status.lastIndexedBlock}.`);
+        } else {
+            this.setStatus('');
+        }
+    }
+
+    async renderFromIndex(account = this.getAccount(), requestId = this.refreshRequestId) {
+        if (!account || !this.eventIndexer) return;
+
+        const entries = buildTradeHistoryEntries(this.eventIndexer.getEvents(), account, {
+            getFillValuation: (recordKey) => this.eventIndexer.getFillValuation(recordKey)
+        });
+        const rows = await this.buildDisplayRows(entries);
+        if (requestId !== this.refreshRequestId) return;
+
+        this.rows = rows;
+        this.setExportEnabled(rows.length > 0);
+        this.renderRows(rows);
+    }
+
+    formatAmount(amount, decimals) {
+        if (amount === null || amount === undefined || decimals === null || decimals === undefined) {
+            return '';
+        }
+        try {
+            return ethers.utils.formatUnits(amount, decimals);
+        } catch (_) {
+            return '';
+        }
+    }
+
+    async buildDisplayRows(entries) {
+        const ws = this.ctx.getWebSocket();
+        const tokenAddresses = new Set();
+        entries.forEach((entry) => {
+            if (entry.sellToken) tokenAddresses.add(entry.sellToken);
+            if (entry.buyToken) tokenAddresses.add(entry.buyToken);
+        });
+
+        const tokenInfoByAddress = new Map();
+        await Promise.all(Array.from(tokenAddresses).map(async (address) => {
+            try {
+                const info = await ws?.getTokenInfo?.(address);
+                if (info) {
+                    tokenInfoByAddress.set(address, { ...info, address });
+                }
+            } catch (error) {
+                this.debug('Failed to resolve token info for history row:', address, error);
+            }
+        }));
+
+        const chainId = this.ctx?.getWalletChainId?.();
+        const displaySymbolMap = buildTokenDisplaySymbolMap(
+            Array.from(tokenInfoByAddress.values()),
+            chainId
+        );
+        const getSymbol = (address) => {
+            if (!address) return '';
+            const info = tokenInfoByAddress.get(address);
+            return info ? getDisplaySymbol(info, displaySymbolMap) : formatAddress(address);
+        };
+
+        return entries.map((entry) => {
+            const sellInfo = tokenInfoByAddress.get(entry.sellToken);
+            const buyInfo = tokenInfoByAddress.get(entry.buyToken);
+            const counterparty = entry.counterparty && !isZeroAddress(entry.counterparty)
+                ? entry.counterparty
+                : '';
+
+            return {
+                ...entry,
+                date: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : '',
+                sellSymbol: getSymbol(entry.sellToken),
+                sellAmount: this.formatAmount(entry.sellAmount, sellInfo?.decimals),
+                buySymbol: getSymbol(entry.buyToken),
+                buyAmount: this.formatAmount(entry.buyAmount, buyInfo?.decimals),
+                usdValue: Number.isFinite(entry.usdValue) ? entry.usdValue.toFixed(2) : '',
+                counterparty,
+                explorerUrl: getTransactionExplorerUrl(entry.transactionHash, chainId)
+            };
+        });
+    }
+
+    renderRows(rows) {
+        const list = this.container.querySelector('[data-history-list]');
+        if (!list) return;
+
+        if (!rows.length) {
+            list.innerHTML = '<div class="history-empty">No fills, cancellations or cleanups found for this wallet.</div>';
+            return;
+        }
+
+        const formatTokenCell = (amount, symbol) => (
+            amount || symbol
+                ? `<span class="history-amount">${escapeHtml(amount || '?')}</span> <span class="history-symbol">${escapeHtml(symbol)}</span>`
+                : '<span class="history-muted">-</span>'
+        );
+
+        // Fills indexed without a live observation have no price from fill time.
+        const formatUsdCell = (row) => {
+            if (row.usdValue) return `$${escapeHtml(row.usdValue)}`;
+            return row.type === TRADE_HISTORY_TYPES.FILL
+                ? '<span class="history-muted">USD at fill unavailable</span>'
+                : '<span class="history-muted">-</span>';
+        };
+
+        const bodyMarkup = rows.map((row) => `
+            <tr>
+                <td>${escapeHtml(formatTimestamp(row.timestamp))}</td>
+                <td><span class="history-type history-type--${escapeHtml(row.type.toLowerCase())}">${escapeHtml(row.type)}</span></td>
+                <td>${escapeHtml(row.role)}</td>
+                <td>${escapeHtml(row.orderId)}</td>
+                <td>${formatTokenCell(row.sellAmount, row.sellSymbol)}</td>
+                <td>${formatTokenCell(row.buyAmount, row.buySymbol)}</td>
+                <td>${formatUsdCell(row)}</td>
+                <td>${row.counterparty
+                    ? `<span title="${escapeHtml(row.counterparty)}">${escapeHtml(formatAddress(row.counterparty))}</span>`
+                    : '<span class="history-muted">-</span>'}</td>
+                <td>${row.explorerUrl !== '#'
+                    ? `<a href="${escapeHtml(row.explorerUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(formatAddress(row.transactionHash))}</a>`
+                    : escapeHtml(formatAddress(row.transactionHash))}</td>
+            </tr>
+        `).join('');
+
+        list.innerHTML = `
+            <div class="history-table-wrapper">
+                <table class="history-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Role</th>
+                            <th>Order</th>
+                            <th>Sell</th>
+                            <th>Buy</th>
+                            <th>USD At Fill</th>
+                            <th>Counterparty</th>
+                            <th>Transaction</th>
+                        </tr>
+                    </thead>
+                    <tbody>${bodyMarkup}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    onContainerClick(event) {
+        const exportButton = event.target?.closest?.('[data-history-export]');
+        if (!exportButton || exportButton.disabled) return;
+        this.exportHistory(exportButton.dataset.historyExport);
+    }
+
+    exportHistory(format) {
+        if (!this.rows.length) {
+            this.showInfo('No history to export.');
+            return;
+        }
+
+        const account = this.getAccount() || 'wallet';
+        const networkSlug = getNetworkConfig()?.slug || 'network';
+        const dateStamp = new Date().toISOString().slice(0, 10);
+        const baseName = `whaleswap-history-${networkSlug}-${account.slice(0, 10)}-${dateStamp}`;
+        const exportRows = this.rows.map((row) => Object.fromEntries(
+            EXPORT_COLUMNS.map((column) => [column.key, row[column.key] ?? ''])
+        ));
+
+        if (format === 'json') {
+            this.downloadFile(`${baseName}.json`, JSON.stringify({
+                account,
+                network: networkSlug,
+                exportedAt: new Date().toISOString(),
+                entries: exportRows
+            }, null, 2), 'application/json');
+            return;
+        }
+
+        this.downloadFile(`${baseName}.csv`, toCsv(EXPORT_COLUMNS, exportRows), 'text/csv;charset=utf-8');
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    setupSubscriptions() {
+        this.cleanupSubscriptions();
+
+        const scheduleRender = () => {
+            if (this.renderDebounceTimer) {
+                clearTimeout(this.renderDebounceTimer);
+            }
+            this.renderDebounceTimer = setTimeout(() => {
+                this.renderDebounceTimer = null;
+                this.renderFromIndex().catch((error) => {
+                    this.debug('debounced history render failed:', error);
+                });
+            }, 150);
+        };
+
+        if (this.eventIndexer?.subscribe) {
+            this.indexerProgressHandler = ({ lastIndexedBlock, latestBlock, progress }) => {
+                this.setStatus(`Indexing contract events... block ${lastIndexedBlock} of ${latestBlock} (${Math.round(progress * 100)}%)`);
+            };
+            this.indexerUpdatedHandler = () => scheduleRender();
+            this.eventIndexer.subscribe('indexerProgress', this.indexerProgressHandler);
+            this.eventIndexer.subscribe('indexerUpdated', this.indexerUpdatedHandler);
+        }
+
+        const wallet = this.ctx.getWallet();
+        if (wallet?.addListener) {
+            this.walletListener = (event) => {
+                if (event === 'connect' || event === 'disconnect' || event === 'accountsChanged') {
+                    this.refreshHistory().catch((error) => {
+                        this.debug('history refresh after wallet change failed:', error);
+                    });
+                }
+            };
+            wallet.addListener(this.walletListener);
+        }
+    }
+
+    cleanupSubscriptions() {
+        if (this.eventIndexer?.unsubscribe) {
+            if (this.indexerProgressHandler) {
+                this.eventIndexer.unsubscribe('indexerProgress', this.indexerProgressHandler);
+            }
+            if (this.indexerUpdatedHandler) {
+                this.eventIndexer.unsubscribe('indexerUpdated', this.indexerUpdatedHandler);
+            }
+        }
+        this.indexerProgressHandler = null;
+        this.indexerUpdatedHandler = null;
+
+        const wallet = this.ctx.getWallet();
+        if (wallet?.removeListener && this.walletListener) {
+            wallet.removeListener(this.walletListener);
+        }
+        this.walletListener = null;
+
+        if (this.renderDebounceTimer) {
+            clearTimeout(this.renderDebounceTimer);
+            this.renderDebounceTimer = null;
+        }
+    }
+
+    cleanup() {
+        this.container.removeEventListener('click', this.handleContainerClick);
+        this.cleanupSubscriptions();
+        this.refreshRequestId++;
+        this.rows = [];
+        this.eventIndexer = null;
+        this.isInitialized = false;
+        this.isInitializing = false;
+        this.currentMode = null;
+    }
+}
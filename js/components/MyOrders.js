@@ -3,21 +3,22 @@ import { createLogger } from '../services/LogService.js';
 import { ethers } from 'ethers';
 import {
     createDealCellHTML,
+    extractTransactionErrorMessage,
     handleTransactionError,
+    isUserRejection,
     processOrderAddress,
     generateStatusCellHTML,
     setupClickToCopy
 } from '../utils/ui.js';
-import { formatTimeDiff, calculateTotalValue, formatDealValue } from '../utils/orderUtils.js';
+import { formatTimeDiff, calculateTotalValue, formatDealValue, getOrderStatusText } from '../utils/orderUtils.js';
 import { OrdersComponentHelper } from '../services/OrdersComponentHelper.js';
 import { OrdersTableRenderer } from '../services/OrdersTableRenderer.js';
+import { createTransactionProgressSession } from '../utils/transactionProgress.js';
 import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
-import {
-    DEFAULT_ORDER_SORT,
-    normalizeOrderSort,
-    sortOrdersByCurrentSort
-} from '../utils/orderSort.js';
-import { getMakerDealRatio } from '../utils/ordersComponentHelpers.js';
+import { sortOrdersByCurrentSort } from '../utils/orderSort.js';
+import { applyOrderRangeFilters } from '../utils/orderFilters.js';
+import { TRADE_HISTORY_ROLES } from '../utils/tradeHistory.js';
+import { buildOrderSortAccessors, getLowConfidencePriceWarning, getMakerDealRatio } from '../utils/ordersComponentHelpers.js';
 
 export class MyOrders extends BaseComponent {
     constructor() {
@@ -55,7 +56,18 @@ export class MyOrders extends BaseComponent {
         this.renderer = new OrdersTableRenderer(this, {
             rowRenderer: (order) => this.createOrderRow(order),
             filterToggleLabel: 'Show only cancellable',
-            showRefreshButton: true
+            showRefreshButton: true,
+            stateKey: 'mine',
+            selection: {
+                actionLabel: 'Cancel selected',
+                isSelectable: (order) => this.isOrderCancellable(order),
+                onAction: (orderIds) => this.cancelOrders(orderIds),
+                extraActions: [{
+                    label: 'Cancel all expired',
+                    getOrderIds: () => this.getExpiredCancellableOrderIds(),
+                    onAction: (orderIds) => this.cancelOrders(orderIds)
+                }]
+            }
         });
     }
 
@@ -193,9 +205,7 @@ export class MyOrders extends BaseComponent {
             // Get filter states
             const sellTokenFilter = this.container.querySelector('#sell-token-filter')?.value;
             const buyTokenFilter = this.container.querySelector('#buy-token-filter')?.value;
-            const orderSort = normalizeOrderSort(
-                this.container.querySelector('#order-sort')?.value || DEFAULT_ORDER_SORT
-            );
+            const orderSort = this.renderer.getCurrentSortValue();
 
             // Apply filters
             ordersToDisplay = ordersToDisplay.filter(order => {
@@ -211,13 +221,21 @@ export class MyOrders extends BaseComponent {
                 return true;
             });
 
+            // Apply size, deal, expiry and counterparty filters
+            ordersToDisplay = applyOrderRangeFilters(
+                ordersToDisplay,
+                this.renderer.getRangeFilters(),
+                this.renderer.getRangeFilterContext((order) => getMakerDealRatio(order))
+            );
+
             // Set total orders after filtering
             this.totalOrders = ordersToDisplay.length;
 
             // Apply sorting
             ordersToDisplay = sortOrdersByCurrentSort(ordersToDisplay, {
                 sortValue: orderSort,
-                getDealSortValue: (order) => getMakerDealRatio(order)
+                getDealSortValue: (order) => getMakerDealRatio(order),
+                ...buildOrderSortAccessors({ ws, tokenDisplaySymbolMap: this.tokenDisplaySymbolMap })
             });
 
             // Apply pagination
@@ -252,6 +270,9 @@ export class MyOrders extends BaseComponent {
             // Update pagination controls
             this.renderer.updatePaginationControls(this.totalOrders);
 
+            // Orders cleaned up from the live cache, from the event index
+            await this.helper.renderPastOrders(TRADE_HISTORY_ROLES.MAKER);
+
             // Checkbox state is now preserved in setupTable(), no need to restore here
 
         } catch (error) {
@@ -312,6 +333,10 @@ export class MyOrders extends BaseComponent {
             const sellPriceLoading = Boolean(pricing?.shouldShowPriceLoading?.(order.sellToken));
             const buyPriceLoading = Boolean(pricing?.shouldShowPriceLoading?.(order.buyToken));
             const dealLoading = !Number.isFinite(Number(deal)) && (sellPriceLoading || buyPriceLoading);
+            const dealPriceWarning = dealLoading ? '' : getLowConfidencePriceWarning(pricing, [
+                { address: order.sellToken, symbol: sellDisplaySymbol },
+                { address: order.buyToken, symbol: buyDisplaySymbol }
+            ]);
 
             // Mark as estimate if not explicitly present in pricing map
             const sellPriceClass = (pricing && pricing.isPriceEstimated(order.sellToken)) ? 'price-estimate' : '';
@@ -366,7 +391,7 @@ export class MyOrders extends BaseComponent {
                         </div>
                     </div>
                 </td>
-                <td class="deal-cell">${createDealCellHTML(dealText)}</td>
+                <td class="deal-cell">${createDealCellHTML(dealText, dealPriceWarning)}</td>
                 <td>${expiryText}</td>
                 <td class="order-status">
                     ${generateStatusCellHTML(orderStatus, counterpartyAddress, isZeroAddr, formattedAddress)}
@@ -412,6 +437,7 @@ export class MyOrders extends BaseComponent {
                         // Add gas buffer
                         const gasEstimate = await contractWithSigner.estimateGas.cancelOrder(order.id);
                         const gasLimit = gasEstimate.mul(120).div(100); // Add 20% buffer
+                        await this.previewTransactionCost({ contract: contractWithSigner, gasLimit: gasEstimate });
                         
                         cancelButton.textContent = 'Approving...';
                         
@@ -456,6 +482,7 @@ export class MyOrders extends BaseComponent {
                 });
                 
                 actionCell.appendChild(cancelButton);
+                actionCell.appendChild(this.createEditOrderButton(order));
             } else {
                 actionCell.textContent = '-';
             }
@@ -529,6 +556,7 @@ export class MyOrders extends BaseComponent {
                         
                         const gasEstimate = await contractWithSigner.estimateGas.cancelOrder(order.id);
                         const gasLimit = gasEstimate.mul(120).div(100); // Add 20% buffer
+                        await this.previewTransactionCost({ contract: contractWithSigner, gasLimit: gasEstimate });
                         
                         const tx = await contractWithSigner.cancelOrder(order.id, { gasLimit });
                         this.showError(`Cancelling order ${order.id}... Transaction sent`);
@@ -559,6 +587,7 @@ export class MyOrders extends BaseComponent {
                 
                 actionCell.innerHTML = '';
                 actionCell.appendChild(cancelButton);
+                actionCell.appendChild(this.createEditOrderButton(order));
             }
         } else if (order.maker?.toLowerCase() === currentAccount) {
             actionCell.innerHTML = '<span class="your-order">Mine</span>';
@@ -567,6 +596,185 @@ export class MyOrders extends BaseComponent {
         }
     }
 
+    /**
+     * The contract cannot amend orders, so editing opens CreateOrder
+     * pre-filled and replaces the order (cancel + create) on submit.
+     */
+    createEditOrderButton(order) {
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'edit-order-btn';
+        editButton.textContent = 'Edit';
+        editButton.title = 'Change this order by cancelling it and creating an edited copy';
+        editButton.addEventListener('click', () => {
+            if (typeof window.app?.openOrderReplacement !== 'function') {
+                this.showError('Order editing is not available right now.');
+                return;
+            }
+            window.app.openOrderReplacement(order).catch((error) => {
+                this.debug('Error opening order replacement:', error);
+                this.showError('Could not open the order for editing. Please try again.');
+            });
+        });
+        return editButton;
+    }
+
+    isOrderCancellable(order) {
+        const ws = this.ctx.getWebSocket();
+        const currentAccount = this.ctx.getWallet()?.getAccount();
+        return Boolean(ws && currentAccount && ws.canCancelOrder(order, currentAccount));
+    }
+
+    getExpiredCancellableOrderIds() {
+        const ws = this.ctx.getWebSocket();
+        if (!ws?.orderCache) {
+            return [];
+        }
+        return Array.from(ws.orderCache.values())
+            .filter(order => this.isOrderCancellable(order) && ws.isPastTimestamp(ws.getOrderExpiryTime(order)))
+            .map(order => Number(order.id))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Cancel several orders one after another in one progress session.
+     *
+     * Each order is re-read on-chain right before its cancellation and
+     * skipped if it was filled, canceled or cleaned up meanwhile. Rejecting a
+     * wallet request stops the run; the orders after it are marked skipped.
+     *
+     * @param {Array<number|string>} orderIds
+     * @returns {Promise<{ canceledOrderIds: number[] }>}
+     */
+    async cancelOrders(orderIds) {
+        const normalizedOrderIds = Array.from(new Set((orderIds || []).map(Number)))
+            .filter(Number.isInteger);
+        const result = { canceledOrderIds: [] };
+        if (normalizedOrderIds.length === 0 || !this.startWalletAction()) {
+            return result;
+        }
+
+        let progressToast = null;
+        try {
+            if (!this.provider) {
+                throw new Error('No injected wallet detected. Please install or unlock a wallet to cancel orders.');
+            }
+
+            if (!await this.ensureWalletReadyForWrite(`cancel ${normalizedOrderIds.length} orders`)) {
+                return result;
+            }
+
+            const ws = this.ctx.getWebSocket();
+            const contract = ws?.contract;
+            if (!contract) {
+                throw new Error('Contract not available');
+            }
+            const contractWithSigner = contract.connect(this.provider.getSigner());
+
+            progressToast = createTransactionProgressSession(this.ctx.toast, {
+                title: `Cancelling ${normalizedOrderIds.length} Orders`,
+                successTitle: 'Orders Cancelled',
+                failureTitle: 'Bulk Cancel Failed',
+                cancelledTitle: 'Bulk Cancel Stopped',
+                summary: 'Confirm one cancellation per order in your wallet.',
+                steps: normalizedOrderIds.map(orderId => ({
+                    id: `cancel-order-${orderId}`,
+                    label: `Cancel order #${orderId}`,
+                    status: 'pending'
+                }))
+            });
+
+            let rejected = false;
+            for (const orderId of normalizedOrderIds) {
+                const stepId = `cancel-order-${orderId}`;
+                if (rejected) {
+                    progressToast.updateStep(stepId, { status: 'cancelled', detail: 'Skipped' });
+                    continue;
+                }
+
+                try {
+                    // Earlier cancellations take time; the order may have been filled meanwhile.
+                    const latestOrder = await contract.orders(orderId);
+                    const latestStatus = Number(latestOrder.status);
+                    if (latestStatus !== 0) {
+                        progressToast.updateStep(stepId, {
+                            status: 'cancelled',
+                            detail: `Skipped: already ${getOrderStatusText(latestStatus).toLowerCase()}`
+                        });
+                        continue;
+                    }
+
+                    const gasEstimate = await contractWithSigner.estimateGas.cancelOrder(orderId);
+                    await this.previewTransactionCost({
+                        contract: contractWithSigner,
+                        gasLimit: gasEstimate,
+                        progressToast
+                    });
+
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Confirm in wallet' });
+                    const tx = await contractWithSigner.cancelOrder(orderId, {
+                        gasLimit: gasEstimate.mul(120).div(100)
+                    });
+                    progressToast.setTransaction({
+                        hash: tx.hash,
+                        chainId: this.ctx.getWalletChainId(),
+                    });
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+
+                    const receipt = await tx.wait();
+                    if (receipt.status === 0) {
+                        progressToast.updateStep(stepId, { status: 'failed', detail: 'Transaction reverted by contract' });
+                        continue;
+                    }
+
+                    const cachedOrder = ws.orderCache.get(orderId);
+                    if (cachedOrder) {
+                        cachedOrder.status = 'Canceled';
+                    }
+                    result.canceledOrderIds.push(orderId);
+                    progressToast.updateStep(stepId, { status: 'completed', detail: 'Cancelled' });
+                } catch (error) {
+                    this.debug(`Bulk cancel error for order ${orderId}:`, error);
+                    rejected = isUserRejection(error);
+                    progressToast.updateStep(stepId, {
+                        status: rejected ? 'cancelled' : 'failed',
+                        detail: rejected ? 'Wallet request rejected' : extractTransactionErrorMessage(error)
+                    });
+                }
+            }
+
+            const canceledCount = result.canceledOrderIds.length;
+            if (canceledCount > 0) {
+                this.scheduleClaimVisibilityRefreshAfterCancel();
+                this.renderer.clearSelection(result.canceledOrderIds);
+                await this.refreshOrdersView();
+            }
+
+            if (canceledCount === normalizedOrderIds.length) {
+                progressToast.finishSuccess(`Cancelled ${canceledCount} orders. Go to the Claim tab to withdraw your tokens.`);
+            } else if (canceledCount > 0) {
+                progressToast.finishSuccess(
+                    `Cancelled ${canceledCount} of ${normalizedOrderIds.length} orders. See the steps above for the rest.`
+                );
+            } else if (rejected) {
+                progressToast.finishCancelled('No orders were cancelled.');
+            } else {
+                progressToast.finishFailure('No orders were cancelled.');
+            }
+        } catch (error) {
+            this.debug('Bulk cancel error:', error);
+            if (progressToast) {
+                progressToast.finishFailure(extractTransactionErrorMessage(error));
+            } else {
+                handleTransactionError(error, this, 'order cancellation');
+            }
+        } finally {
+            this.endWalletAction();
+        }
+
+        return result;
+    }
+
     cleanup() {
         this.debug('Cleaning up MyOrders...');
         
@@ -0,0 +1,363 @@
+import { ethers } from 'ethers';
+import { BaseComponent } from './BaseComponent.js';
+import { createLogger } from '../services/LogService.js';
+import { escapeHtml } from '../utils/html.js';
+import { isZeroAddress } from '../utils/ui.js';
+import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
+import { buildOrderBook, listOrderBookPairs } from '../utils/orderBook.js';
+import { getRemainingBuyAmount, getRemainingSellAmount } from '../utils/partialFills.js';
+
+const ORDER_EVENTS = ['OrderCreated', 'OrderFilled', 'OrderCanceled', 'OrderCleanedUp', 'ordersUpdated', 'orderSyncComplete'];
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 8;
+
+function formatBookNumber(value, maximumFractionDigits = 6) {
+    if (!Number.isFinite(value)) return '-';
+    return value.toLocaleString('en-US', { maximumFractionDigits });
+}
+
+function formatPct(value) {
+    if (!Number.isFinite(value)) return '-';
+    const sign = value > 0 ? '+' : '';
+    return `${sign}${value.toFixed(2)}%`;
+}
+
+export class OrderBook extends BaseComponent {
+    constructor(containerId = 'order-book') {
+        super(containerId);
+
+        const logger = createLogger('ORDER_BOOK');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+
+        this.isInitializing = false;
+        this.baseToken = null;
+        this.quoteToken = null;
+        this.tokenInfoByAddress = new Map();
+        this.renderRequestId = 0;
+        this.renderDebounceTimer = null;
+        this.orderEventHandler = null;
+        this.pricingHandler = null;
+        this.handleContainerChange = this.onContainerChange.bind(this);
+        this.handleContainerClick = this.onContainerClick.bind(this);
+    }
+
+    async initialize(readOnlyMode = true) {
+        if (this.isInitializing) return;
+        this.isInitializing = true;
+
+        try {
+            if (!this.container.querySelector('[data-order-book-body]')) {
+                this.renderShell();
+            }
+            this.container.removeEventListener('change', this.handleContainerChange);
+            this.container.addEventListener('change', this.handleContainerChange);
+            this.container.removeEventListener('click', this.handleContainerClick);
+            this.container.addEventListener('click', this.handleContainerClick);
+            this.setupSubscriptions();
+
+            await this.renderBook();
+            this.isInitialized = true;
+        } catch (error) {
+            this.error('Failed to initialize order book:', error);
+            this.renderMessage('Unable to load the order book.');
+        } finally {
+            this.isInitializing = false;
+        }
+    }
+
+    renderShell() {
+        this.container.innerHTML = `
+            <div class="tab-content-wrapper order-book-panel">
+                <h2 class="main-heading">Order Book</h2>
+                <div class="order-book-toolbar">
+                    <label class="order-book-field">
+                        <span>Pair</span>
+                        <select class="order-book-pair" data-order-book-pair></select>
+                    </label>
+                    <button type="button" class="order-book-flip" data-order-book-flip title="Swap base and quote">⇄</button>
+                </div>
+                <div class="order-book-body" data-order-book-body></div>
+            </div>
+        `;
+    }
+
+    renderMessage(message) {
+        const body = this.container.querySelector('[data-order-book-body]');
+        if (body) {
+            body.innerHTML = `<div class="order-book-empty">${escapeHtml(message)}</div>`;
+        }
+    }
+
+    onContainerChange(event) {
+        const select = event.target?.closest?.('[data-order-book-pair]');
+        if (!select?.value) return;
+        [this.baseToken, this.quoteToken] = select.value.split(':');
+        this.renderBook().catch((error) => this.error('Order book render failed:', error));
+    }
+
+    onContainerClick(event) {
+        if (!event.target?.closest?.('[data-order-book-flip]') || !this.baseToken) return;
+        [this.baseToken, this.quoteToken] = [this.quoteToken, this.baseToken];
+        this.renderBook().catch((error) => this.error('Order book render failed:', error));
+    }
+
+    /**
+     * Active, unexpired orders the viewer could take. Private orders only
+     * count for their designated taker.
+     */
+    getOpenOrders() {
+        const ws = this.ctx.getWebSocket();
+        if (!ws?.orderCache) return [];
+        const viewer = this.ctx.getWallet?.()?.getAccount?.()?.toLowerCase() || null;
+        return Array.from(ws.orderCache.values()).filter((order) => (
+            order.status === 'Active'
+            && !ws.isPastTimestamp(ws.getOrderExpiryTime(order))
+            && (isZeroAddress(order.taker) || order.taker.toLowerCase() === viewer)
+        ));
+    }
+
+    async loadTokenInfo(addresses) {
+        const ws = this.ctx.getWebSocket();
+        await Promise.all(Array.from(addresses).map(async (address) => {
+            const key = address.toLowerCase();
+            if (!this.tokenInfoByAddress.has(key)) {
+                this.tokenInfoByAddress.set(key, await ws.getTokenInfo(address));
+            }
+        }));
+    }
+
+    getSymbol(address) {
+        const info = this.tokenInfoByAddress.get(address);
+        return info ? getDisplaySymbol(info, this.tokenDisplaySymbolMap) : address;
+    }
+
+    getMarketPrice() {
+        const pricing = this.ctx.getPricing();
+        const basePrice = Number(pricing?.getPrice(this.baseToken));
+        const quotePrice = Number(pricing?.getPrice(this.quoteToken));
+        return basePrice > 0 && quotePrice > 0 ? basePrice / quotePrice : null;
+    }
+
+    async renderBook() {
+        const requestId = ++this.renderRequestId;
+        const openOrders = this.getOpenOrders();
+        const pairs = listOrderBookPairs(openOrders);
+        await this.loadTokenInfo(new Set(pairs.flatMap((pair) => [pair.baseToken, pair.quoteToken])));
+        if (requestId !== this.renderRequestId) return;
+
+        this.tokenDisplaySymbolMap = buildTokenDisplaySymbolMap(
+            Array.from(this.tokenInfoByAddress.values()),
+            this.ctx?.getWalletChainId?.()
+        );
+
+        const hasSelectedPair = pairs.some((pair) => (
+            (pair.baseToken === this.baseToken && pair.quoteToken === this.quoteToken)
+            || (pair.baseToken === this.quoteToken && pair.quoteToken === this.baseToken)
+        ));
+        if (!hasSelectedPair) {
+            this.baseToken = pairs[0]?.baseToken || null;
+            this.quoteToken = pairs[0]?.quoteToken || null;
+        }
+        this.renderPairOptions(pairs);
+
+        if (!this.baseToken) {
+            const ws = this.ctx.getWebSocket();
+            this.renderMessage(ws?.hasCompletedOrderSync ? 'No open orders.' : 'Loading orders...');
+            return;
+        }
+
+        const normalizeAmount = (amount, token) => Number(ethers.utils.formatUnits(
+            amount.toString(),
+            this.tokenInfoByAddress.get(token.toLowerCase())?.decimals ?? 18
+        ));
+        const bookOrders = openOrders.map((order) => ({
+            id: order.id,
+            sellToken: order.sellToken,
+            buyToken: order.buyToken,
+            sellAmount: normalizeAmount(getRemainingSellAmount(order), order.sellToken),
+            buyAmount: normalizeAmount(getRemainingBuyAmount(order), order.buyToken)
+        }));
+
+        const book = buildOrderBook(bookOrders, {
+            baseToken: this.baseToken,
+            quoteToken: this.quoteToken,
+            marketPrice: this.getMarketPrice()
+        });
+        this.renderBookBody(book);
+    }
+
+    renderPairOptions(pairs) {
+        const select = this.container.querySelector('[data-order-book-pair]');
+        if (!select) return;
+
+        // Keep the user's orientation for the selected pair.
+        select.innerHTML = pairs.map(({ baseToken, quoteToken, orderCount }) => {
+            const isSelected = (baseToken === this.quoteToken && quoteToken === this.baseToken);
+            const [base, quote] = isSelected ? [quoteToken, baseToken] : [baseToken, quoteToken];
+            return `<option value="${base}:${quote}">${escapeHtml(this.getSymbol(base))} / ${escapeHtml(this.getSymbol(quote))} (${orderCount})</option>`;
+        }).join('');
+        if (this.baseToken) {
+            select.value = `${this.baseToken}:${this.quoteToken}`;
+        }
+    }
+
+    renderBookBody(book) {
+        const body = this.container.querySelector('[data-order-book-body]');
+        if (!body) return;
+
+        const baseSymbol = escapeHtml(this.getSymbol(this.baseToken));
+        const quoteSymbol = escapeHtml(this.getSymbol(this.quoteToken));
+        const renderLevels = (levels, side) => {
+            if (levels.length === 0) {
+                return `<tr><td colspan="5" class="order-book-muted">No ${side === 'bid' ? 'bids' : 'asks'}</td></tr>`;
+            }
+            return levels.map((level) => `
+                <tr title="Orders ${level.orderIds.map((id) => `#${id}`).join(', ')}">
+                    <td class="order-book-price order-book-price--${side}">${formatBookNumber(level.price, 8)}</td>
+                    <td>${formatBookNumber(level.size)}</td>
+                    <td>${formatBookNumber(level.quoteTotal)}</td>
+                    <td>${formatBookNumber(level.cumulativeSize)}</td>
+                    <td>${level.orderCount}</td>
+                </tr>
+            `).join('');
+        };
+        const tableHead = `
+            <thead>
+                <tr>
+                    <th>Price (${quoteSymbol})</th>
+                    <th>Size (${baseSymbol})</th>
+                    <th>Total (${quoteSymbol})</th>
+                    <th>Depth (${baseSymbol})</th>
+                    <th>Orders</th>
+                </tr>
+            </thead>
+        `;
+
+        body.innerHTML = `
+            <div class="order-book-stats">
+                <div><span>Best bid</span><strong>${formatBookNumber(book.bestBid, 8)}</strong><small>${formatPct(book.bestBidVsMarketPct)} vs market</small></div>
+                <div><span>Best ask</span><strong>${formatBookNumber(book.bestAsk, 8)}</strong><small>${formatPct(book.bestAskVsMarketPct)} vs market</small></div>
+                <div><span>Spread</span><strong>${formatBookNumber(book.spread, 8)}</strong><small>${formatPct(book.spreadPct)}</small></div>
+                <div><span>Market</span><strong>${formatBookNumber(book.marketPrice, 8)}</strong><small>${quoteSymbol} per ${baseSymbol}</small></div>
+            </div>
+            ${this.renderDepthChart(book)}
+            <div class="order-book-sides">
+                <div class="order-book-side">
+                    <h3>Bids <small>buying ${baseSymbol}</small></h3>
+                    <table class="order-book-table">${tableHead}<tbody>${renderLevels(book.bids, 'bid')}</tbody></table>
+                </div>
+                <div class="order-book-side">
+                    <h3>Asks <small>selling ${baseSymbol}</small></h3>
+                    <table class="order-book-table">${tableHead}<tbody>${renderLevels(book.asks, 'ask')}</tbody></table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Cumulative depth as two step areas (bids left, asks right) in inline SVG.
+     */
+    renderDepthChart(book) {
+        const levels = [...book.bids, ...book.asks];
+        if (levels.length === 0) return '';
+
+        const prices = levels.map((level) => level.price);
+        if (book.marketPrice !== null) prices.push(book.marketPrice);
+        let minPrice = Math.min(...prices);
+        let maxPrice = Math.max(...prices);
+        if (minPrice === maxPrice) {
+            minPrice *= 0.99;
+            maxPrice *= 1.01;
+        }
+        const maxDepth = Math.max(...levels.map((level) => level.cumulativeSize));
+        const innerWidth = CHART_WIDTH - CHART_PADDING * 2;
+        const innerHeight = CHART_HEIGHT - CHART_PADDING * 2;
+        const x = (price) => CHART_PADDING + ((price - minPrice) / (maxPrice - minPrice)) * innerWidth;
+        const y = (depth) => CHART_PADDING + innerHeight - (depth / maxDepth) * innerHeight;
+        const baseline = y(0);
+
+        const stepPath = (sideLevels, edgeX) => {
+            if (sideLevels.length === 0) return '';
+            const points = [`M ${x(sideLevels[0].price)} ${baseline}`];
+            sideLevels.forEach((level, index) => {
+                const previousDepth = index === 0 ? 0 : sideLevels[index - 1].cumulativeSize;
+                points.push(`L ${x(level.price)} ${y(previousDepth)}`, `L ${x(level.price)} ${y(level.cumulativeSize)}`);
+            });
+            const lastDepth = sideLevels[sideLevels.length - 1].cumulativeSize;
+            points.push(`L ${edgeX} ${y(lastDepth)}`, `L ${edgeX} ${baseline}`, 'Z');
+            return points.join(' ');
+        };
+
+        const marketLine = book.marketPrice !== null
+            ? `<line class="order-book-chart-market" x1="${x(book.marketPrice)}" x2="${x(book.marketPrice)}" y1="${CHART_PADDING}" y2="${baseline}"></line>`
+            : '';
+
+        return `
+            <svg class="order-book-chart" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Cumulative depth chart">
+                <path class="order-book-chart-bids" d="${stepPath(book.bids, CHART_PADDING)}"></path>
+                <path class="order-book-chart-asks" d="${stepPath(book.asks, CHART_WIDTH - CHART_PADDING)}"></path>
+                ${marketLine}
+            </svg>
+        `;
+    }
+
+    setupSubscriptions() {
+        this.cleanupSubscriptions();
+
+        const scheduleRender = () => {
+            if (this.renderDebounceTimer) {
+                clearTimeout(this.renderDebounceTimer);
+            }
+            this.renderDebounceTimer = setTimeout(() => {
+                this.renderDebounceTimer = null;
+                this.renderBook().catch((error) => this.debug('debounced order book render failed:', error));
+            }, 150);
+        };
+
+        const ws = this.ctx.getWebSocket();
+        if (ws?.subscribe) {
+            this.orderEventHandler = scheduleRender;
+            ORDER_EVENTS.forEach((eventName) => ws.subscribe(eventName, this.orderEventHandler));
+        }
+
+        const pricing = this.ctx.getPricing();
+        if (pricing?.subscribe) {
+            this.pricingHandler = (event) => {
+                if (event === 'refreshComplete') scheduleRender();
+            };
+            pricing.subscribe(this.pricingHandler);
+        }
+    }
+
+    cleanupSubscriptions() {
+        const ws = this.ctx.getWebSocket();
+        if (ws?.unsubscribe && this.orderEventHandler) {
+            ORDER_EVENTS.forEach((eventName) => ws.unsubscribe(eventName, this.orderEventHandler));
+        }
+        this.orderEventHandler = null;
+
+        const pricing = this.ctx.getPricing();
+        if (pricing?.unsubscribe && this.pricingHandler) {
+            pricing.unsubscribe(this.pricingHandler);
+        }
+        this.pricingHandler = null;
+
+        if (this.renderDebounceTimer) {
+            clearTimeout(this.renderDebounceTimer);
+            this.renderDebounceTimer = null;
+        }
+    }
+
+    cleanup() {
+        this.container.removeEventListener('change', this.handleContainerChange);
+        this.container.removeEventListener('click', this.handleContainerClick);
+        this.cleanupSubscriptions();
+        this.renderRequestId++;
+        this.tokenInfoByAddress.clear();
+        this.isInitialized = false;
+        this.isInitializing = false;
+    }
+}
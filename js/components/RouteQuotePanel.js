@@ -0,0 +1,238 @@
+import { ethers } from 'ethers';
+import { createLogger } from '../services/LogService.js';
+import { escapeHtml } from '../utils/html.js';
+import { calculateTotalValue } from '../utils/orderUtils.js';
+import { getRemainingBuyAmount, getRemainingSellAmount } from '../utils/partialFills.js';
+import { quoteBestRoutes } from '../utils/routeQuote.js';
+import { getDisplaySymbol } from '../utils/tokenDisplay.js';
+
+const MAX_ROUTES = 5;
+
+function formatQuoteAmount(value) {
+    if (!Number.isFinite(value)) return 'N/A';
+    return value.toLocaleString('en-US', { maximumFractionDigits: 6 });
+}
+
+function formatPremium(premiumPct) {
+    if (!Number.isFinite(premiumPct)) return '';
+    const sign = premiumPct > 0 ? '+' : '';
+    return `${sign}${premiumPct.toFixed(2)}% vs market`;
+}
+
+/**
+ * RouteQuotePanel - "I want X of token A, what do I pay in token B?"
+ *
+ * Collapsible panel mounted above the View Orders table. Quotes are computed
+ * from the open orders in the WebSocket order cache that the connected wallet
+ * may fill, including two-hop paths through one intermediate token.
+ */
+export class RouteQuotePanel {
+    constructor(component) {
+        this.component = component; // Host component (ViewOrders)
+        const logger = createLogger('ROUTE_QUOTE');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.root = null;
+        this.tokenInfoByAddress = new Map();
+    }
+
+    /**
+     * Render the panel at the top of `parent`.
+     * @param {HTMLElement} parent
+     */
+    mount(parent) {
+        if (!parent) return;
+
+        this.root = document.createElement('details');
+        this.root.className = 'route-quote-panel';
+        this.root.innerHTML = `
+            <summary class="route-quote-summary">Best route quote</summary>
+            <form class="route-quote-form" novalidate>
+                <label class="route-quote-field">
+                    <span>I want</span>
+                    <input type="text" inputmode="decimal" class="route-quote-amount" placeholder="Amount" required>
+                </label>
+                <label class="route-quote-field">
+                    <span>of</span>
+                    <select class="route-quote-want"></select>
+                </label>
+                <label class="route-quote-field">
+                    <span>paying with</span>
+                    <select class="route-quote-pay"></select>
+                </label>
+                <button type="submit" class="route-quote-submit">Get quote</button>
+            </form>
+            <div class="route-quote-results" aria-live="polite"></div>
+        `;
+        parent.prepend(this.root);
+
+        this.root.addEventListener('toggle', () => {
+            if (this.root.open) {
+                this.refreshTokenOptions().catch((error) => this.error('Failed to load quote tokens:', error));
+            }
+        });
+        this.root.querySelector('.route-quote-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.runQuote().catch((error) => {
+                this.error('Quote failed:', error);
+                this.renderMessage('Failed to build a quote. Please try again.');
+            });
+        });
+    }
+
+    getFillableOrders() {
+        const ws = this.component.ctx.getWebSocket();
+        const account = this.component.ctx.getWallet()?.getAccount();
+        if (!ws || !account) {
+            return [];
+        }
+        return Array.from(ws.orderCache.values()).filter((order) => ws.canFillOrder(order, account));
+    }
+
+    async loadTokenInfo(addresses) {
+        const ws = this.component.ctx.getWebSocket();
+        await Promise.all(Array.from(addresses).map(async (address) => {
+            const key = address.toLowerCase();
+            if (!this.tokenInfoByAddress.has(key)) {
+                this.tokenInfoByAddress.set(key, await ws.getTokenInfo(address));
+            }
+        }));
+    }
+
+    getSymbol(address) {
+        const info = this.tokenInfoByAddress.get(address?.toLowerCase());
+        return info ? getDisplaySymbol(info, this.component.tokenDisplaySymbolMap) : address;
+    }
+
+    /**
+     * Offer only tokens that fillable orders actually sell (want) or accept
+     * (pay), keeping the current choice when it is still available.
+     */
+    async refreshTokenOptions() {
+        const orders = this.getFillableOrders();
+        const wantTokens = new Set(orders.map((order) => order.sellToken.toLowerCase()));
+        const payTokens = new Set(orders.map((order) => order.buyToken.toLowerCase()));
+        await this.loadTokenInfo(new Set([...wantTokens, ...payTokens]));
+
+        const fillSelect = (select, tokens, placeholder) => {
+            const previous = select.value;
+            const options = Array.from(tokens)
+                .map((address) => ({ address, symbol: this.getSymbol(address) }))
+                .sort((a, b) => a.symbol.localeCompare(b.symbol));
+            select.innerHTML = `<option value="">${placeholder}</option>` + options
+                .map(({ address, symbol }) => `<option value="${address}">${escapeHtml(symbol)}</option>`)
+                .join('');
+            if (tokens.has(previous)) {
+                select.value = previous;
+            }
+        };
+
+        fillSelect(this.root.querySelector('.route-quote-want'), wantTokens, 'Token to receive');
+        fillSelect(this.root.querySelector('.route-quote-pay'), payTokens, 'Token to pay');
+    }
+
+    /**
+     * Convert fillable orders to the normalized remaining amounts the quoting
+     * util works with.
+     */
+    async buildQuoteOrders() {
+        const orders = this.getFillableOrders();
+        await this.loadTokenInfo(new Set(orders.flatMap((order) => [order.sellToken, order.buyToken])));
+
+        return orders.map((order) => {
+            const sellInfo = this.tokenInfoByAddress.get(order.sellToken.toLowerCase());
+            const buyInfo = this.tokenInfoByAddress.get(order.buyToken.toLowerCase());
+            return {
+                id: order.id,
+                sellToken: order.sellToken.toLowerCase(),
+                buyToken: order.buyToken.toLowerCase(),
+                sellAmount: Number(ethers.utils.formatUnits(getRemainingSellAmount(order).toString(), sellInfo.decimals)),
+                buyAmount: Number(ethers.utils.formatUnits(getRemainingBuyAmount(order).toString(), buyInfo.decimals))
+            };
+        });
+    }
+
+    async runQuote() {
+        const wantToken = this.root.querySelector('.route-quote-want').value;
+        const payToken = this.root.querySelector('.route-quote-pay').value;
+        const wantAmount = Number(this.root.querySelector('.route-quote-amount').value.trim());
+
+        if (!wantToken || !payToken) {
+            this.renderMessage('Choose the token you want and the token you pay with.');
+            return;
+        }
+        if (wantToken === payToken) {
+            this.renderMessage('Choose two different tokens.');
+            return;
+        }
+        if (!Number.isFinite(wantAmount) || wantAmount <= 0) {
+            this.renderMessage('Enter an amount greater than zero.');
+            return;
+        }
+
+        const ws = this.component.ctx.getWebSocket();
+        const pricing = this.component.ctx.getPricing();
+        const routes = quoteBestRoutes({
+            orders: await this.buildQuoteOrders(),
+            wantToken,
+            payToken,
+            wantAmount,
+            getPrice: (token) => pricing?.getPrice(token),
+            allowPartial: ws.supportsPartialFills(),
+            maxRoutes: MAX_ROUTES
+        });
+        this.debug('Quoted routes:', routes);
+
+        if (routes.length === 0) {
+            this.renderMessage(
+                `Open orders you can fill do not cover ${formatQuoteAmount(wantAmount)} ${escapeHtml(this.getSymbol(wantToken))}, directly or through one intermediate token.`
+            );
+            return;
+        }
+        this.renderRoutes(routes);
+    }
+
+    renderMessage(message) {
+        const results = this.root?.querySelector('.route-quote-results');
+        if (results) {
+            results.innerHTML = `<p class="route-quote-message">${message}</p>`;
+        }
+    }
+
+    renderRoutes(routes) {
+        const pricing = this.component.ctx.getPricing();
+        const results = this.root.querySelector('.route-quote-results');
+        const symbol = (address) => escapeHtml(this.getSymbol(address));
+
+        results.innerHTML = routes.map((route, index) => {
+            const [payToken] = route.path;
+            const wantToken = route.path[route.path.length - 1];
+            const premium = formatPremium(route.premiumPct);
+            const premiumClass = route.premiumPct > 0 ? 'is-premium' : 'is-discount';
+            const legs = route.legs.map((leg) => leg.fills.map((fill) => `
+                <li>
+                    Order #${fill.orderId}: pay ${formatQuoteAmount(fill.payAmount)} ${symbol(fill.payToken)}
+                    → receive ${formatQuoteAmount(fill.receiveAmount)} ${symbol(fill.receiveToken)}${fill.partial ? ' (partial)' : ''}
+                </li>`).join('')).join('');
+            const leftover = route.leftover
+                ? `<p class="route-quote-note">Leaves ${formatQuoteAmount(route.leftover.amount)} ${symbol(route.leftover.token)} unspent from the first hop.</p>`
+                : '';
+
+            return `
+                <div class="route-quote-route${index === 0 ? ' is-best' : ''}">
+                    <div class="route-quote-route-header">
+                        <span class="route-quote-path">${route.path.map(symbol).join(' → ')}</span>
+                        ${premium ? `<span class="route-quote-premium ${premiumClass}">${premium}</span>` : ''}
+                    </div>
+                    <div class="route-quote-totals">
+                        <span>Pay <strong>${formatQuoteAmount(route.payAmount)} ${symbol(payToken)}</strong>
+                            (${calculateTotalValue(pricing?.getPrice(payToken), route.payAmount)})</span>
+                        <span>Receive <strong>${formatQuoteAmount(route.receiveAmount)} ${symbol(wantToken)}</strong></span>
+                        <span>${formatQuoteAmount(route.effectivePrice)} ${symbol(payToken)} per ${symbol(wantToken)}</span>
+                    </div>
+                    <ol class="route-quote-plan">${legs}</ol>
+                    ${leftover}
+                </div>`;
+        }).join('');
+    }
+}
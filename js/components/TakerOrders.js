@@ -5,8 +5,10 @@ import { calculateTotalValue, formatDealValue } from '../utils/orderUtils.js';
 import { OrdersComponentHelper } from '../services/OrdersComponentHelper.js';
 import { OrdersTableRenderer, ORDER_TABLE_PERSPECTIVES } from '../services/OrdersTableRenderer.js';
 import { buildTokenDisplaySymbolMap } from '../utils/tokenDisplay.js';
-import { buildOrderRowContext, getBuyerDealRatio } from '../utils/ordersComponentHelpers.js';
-import { DEFAULT_ORDER_SORT, normalizeOrderSort, sortOrdersByCurrentSort } from '../utils/orderSort.js';
+import { buildOrderRowContext, buildOrderSortAccessors, getBuyerDealRatio } from '../utils/ordersComponentHelpers.js';
+import { sortOrdersByCurrentSort } from '../utils/orderSort.js';
+import { applyOrderRangeFilters } from '../utils/orderFilters.js';
+import { TRADE_HISTORY_ROLES } from '../utils/tradeHistory.js';
 
 export class TakerOrders extends BaseComponent {
     constructor() {
@@ -34,7 +36,8 @@ export class TakerOrders extends BaseComponent {
         this.renderer = new OrdersTableRenderer(this, {
             rowRenderer: (order) => this.createOrderRow(order),
             perspective: ORDER_TABLE_PERSPECTIVES.BUYER,
-            showRefreshButton: true
+            showRefreshButton: true,
+            stateKey: 'invited'
         });
     }
 
@@ -113,9 +116,7 @@ export class TakerOrders extends BaseComponent {
             // Get filter states
             const sellTokenFilter = this.container.querySelector('#sell-token-filter')?.value;
             const buyTokenFilter = this.container.querySelector('#buy-token-filter')?.value;
-            const orderSort = normalizeOrderSort(
-                this.container.querySelector('#order-sort')?.value || DEFAULT_ORDER_SORT
-            );
+            const orderSort = this.renderer.getCurrentSortValue();
             const showOnlyActive = this.container.querySelector('#fillable-orders-toggle')?.checked ?? true;
             const pageSize = parseInt(this.container.querySelector('#page-size-select')?.value || '10');
 
@@ -152,13 +153,21 @@ export class TakerOrders extends BaseComponent {
                 );
             }
 
+            // Apply size, deal, expiry and counterparty filters
+            ordersToDisplay = applyOrderRangeFilters(
+                ordersToDisplay,
+                this.renderer.getRangeFilters(),
+                this.renderer.getRangeFilterContext((order) => getBuyerDealRatio(order))
+            );
+
             // Set total orders after filtering
             this.totalOrders = ordersToDisplay.length;
 
             // Apply sorting
             ordersToDisplay = sortOrdersByCurrentSort(ordersToDisplay, {
                 sortValue: orderSort,
-                getDealSortValue: (order) => getBuyerDealRatio(order)
+                getDealSortValue: (order) => getBuyerDealRatio(order),
+                ...buildOrderSortAccessors({ ws, tokenDisplaySymbolMap: this.tokenDisplaySymbolMap })
             });
 
             // Apply pagination
@@ -194,6 +203,9 @@ export class TakerOrders extends BaseComponent {
             // Update pagination controls
             this.renderer.updatePaginationControls(this.totalOrders);
 
+            // Orders cleaned up from the live cache, from the event index
+            await this.helper.renderPastOrders(TRADE_HISTORY_ROLES.TAKER);
+
         } catch (error) {
             this.error('Error refreshing orders:', error);
             this.showError('Failed to refresh orders view');
@@ -289,6 +301,7 @@ export class TakerOrders extends BaseComponent {
                 sellPriceLoading,
                 buyPriceLoading,
                 dealLoading,
+                dealPriceWarning,
                 sellPriceClass,
                 buyPriceClass,
                 orderStatus,
@@ -344,7 +357,7 @@ export class TakerOrders extends BaseComponent {
                         </div>
                     </div>
                 </td>
-                <td class="deal-cell">${createDealCellHTML(dealText)}</td>
+                <td class="deal-cell">${createDealCellHTML(dealText, dealLoading ? '' : dealPriceWarning)}</td>
                 <td>${expiryText}</td>
                 <td class="order-status">
                     ${generateStatusCellHTML(orderStatus, counterpartyAddress, isZeroAddr, formattedAddress)}
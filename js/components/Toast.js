@@ -213,6 +213,11 @@ export class Toast {
             stepRefs.set(step.id, stepRef);
         });
 
+        const feeEstimate = document.createElement('p');
+        feeEstimate.className = 'toast-fee-estimate';
+        feeEstimate.hidden = true;
+        refs.body.appendChild(feeEstimate);
+
         const meta = document.createElement('div');
         meta.className = 'toast-transaction-meta';
         meta.hidden = true;
@@ -242,6 +247,7 @@ export class Toast {
             summary,
             checklist,
             stepRefs,
+            feeEstimate,
             meta,
             hashElement,
             link,
@@ -341,6 +347,12 @@ export class Toast {
                 );
             },
             setSummary,
+            setFeeEstimate: (estimate) => {
+                const text = [estimate?.text, estimate?.warning].filter(Boolean).join(' ');
+                refs.feeEstimate.textContent = text;
+                refs.feeEstimate.hidden = !text;
+                refs.feeEstimate.classList.toggle('is-warning', Boolean(estimate?.warning));
+            },
             setTransaction: ({ hash, chainId }) => {
                 if (!hash) {
                     refs.meta.hidden = true;
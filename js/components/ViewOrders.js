@@ -4,9 +4,11 @@ import { createDealCellHTML } from '../utils/ui.js';
 import { calculateTotalValue, formatDealValue } from '../utils/orderUtils.js';
 import { OrdersComponentHelper } from '../services/OrdersComponentHelper.js';
 import { OrdersTableRenderer, ORDER_TABLE_PERSPECTIVES } from '../services/OrdersTableRenderer.js';
+import { RouteQuotePanel } from './RouteQuotePanel.js';
 import { buildTokenDisplaySymbolMap } from '../utils/tokenDisplay.js';
-import { buildOrderRowContext, getBuyerDealRatio } from '../utils/ordersComponentHelpers.js';
-import { DEFAULT_ORDER_SORT, normalizeOrderSort, sortOrdersByCurrentSort } from '../utils/orderSort.js';
+import { buildOrderRowContext, buildOrderSortAccessors, getBuyerDealRatio } from '../utils/ordersComponentHelpers.js';
+import { sortOrdersByCurrentSort } from '../utils/orderSort.js';
+import { applyOrderRangeFilters } from '../utils/orderFilters.js';
 
 export class ViewOrders extends BaseComponent {
     constructor(containerId = 'view-orders') {
@@ -40,8 +42,15 @@ export class ViewOrders extends BaseComponent {
         this.renderer = new OrdersTableRenderer(this, {
             rowRenderer: (order) => this.createOrderRow(order),
             perspective: ORDER_TABLE_PERSPECTIVES.BUYER,
-            showRefreshButton: true
+            showRefreshButton: true,
+            stateKey: 'orders',
+            selection: {
+                actionLabel: 'Fill selected',
+                isSelectable: (order) => this.isOrderSelectable(order),
+                onAction: (orderIds) => this.fillSelectedOrders(orderIds)
+            }
         });
+        this.quotePanel = new RouteQuotePanel(this);
         
         // Debounce mechanism
         this.debouncedRefresh = () => {
@@ -95,6 +104,7 @@ export class ViewOrders extends BaseComponent {
                 // First time setup - initialize services, create table, setup WebSocket
                 this.setupServices();
                 await this.renderer.setupTable(() => this.refreshOrdersView());
+                this.quotePanel.mount(this.container.querySelector('.table-container'));
                 await this.setupWebSocket();
                 this.initialized = true;
             }
@@ -142,9 +152,7 @@ export class ViewOrders extends BaseComponent {
             // Apply token filters
             const sellTokenFilter = this.container.querySelector('#sell-token-filter')?.value;
             const buyTokenFilter = this.container.querySelector('#buy-token-filter')?.value;
-            const orderSort = normalizeOrderSort(
-                this.container.querySelector('#order-sort')?.value || DEFAULT_ORDER_SORT
-            );
+            const orderSort = this.renderer.getCurrentSortValue();
             const showOnlyActive = this.container.querySelector('#fillable-orders-toggle')?.checked;
 
             // Reset to page 1 when filters change
@@ -179,13 +187,21 @@ export class ViewOrders extends BaseComponent {
                 return true; // Show all orders when checkbox is unchecked
             });
 
+            // Apply size, deal, expiry and counterparty filters
+            ordersToDisplay = applyOrderRangeFilters(
+                ordersToDisplay,
+                this.renderer.getRangeFilters(),
+                this.renderer.getRangeFilterContext((order) => getBuyerDealRatio(order))
+            );
+
             // Set total orders after filtering
             this.totalOrders = ordersToDisplay.length;
 
             // Apply sorting
             ordersToDisplay = sortOrdersByCurrentSort(ordersToDisplay, {
                 sortValue: orderSort,
-                getDealSortValue: (order) => getBuyerDealRatio(order)
+                getDealSortValue: (order) => getBuyerDealRatio(order),
+                ...buildOrderSortAccessors({ ws, tokenDisplaySymbolMap: this.tokenDisplaySymbolMap })
             });
 
             // Apply pagination
@@ -318,11 +334,15 @@ export class ViewOrders extends BaseComponent {
                 buyDisplaySymbol,
                 formattedSellAmount,
                 formattedBuyAmount,
+                formattedTotalSellAmount,
+                formattedTotalBuyAmount,
+                isPartiallyFilled,
                 resolvedSellPrice,
                 resolvedBuyPrice,
                 sellPriceLoading,
                 buyPriceLoading,
                 dealLoading,
+                dealPriceWarning,
                 sellPriceClass,
                 buyPriceClass,
                 orderStatus,
@@ -343,6 +363,12 @@ export class ViewOrders extends BaseComponent {
             const dealText = dealLoading
                 ? 'loading...'
                 : formatDealValue(buyerDealRatio);
+            const sellTotalHTML = isPartiallyFilled
+                ? `<span class="token-amount-total">of ${formattedTotalSellAmount}</span>`
+                : '';
+            const buyTotalHTML = isPartiallyFilled
+                ? `<span class="token-amount-total">of ${formattedTotalBuyAmount}</span>`
+                : '';
             tr.innerHTML = `
                 <td>${order.id}</td>
                 <td>
@@ -356,6 +382,7 @@ export class ViewOrders extends BaseComponent {
                                 <span class="token-price ${sellPriceClass}">${sellPriceText}</span>
                             </div>
                             <span class="token-amount">${formattedSellAmount}</span>
+                            ${sellTotalHTML}
                         </div>
                     </div>
                 </td>
@@ -370,10 +397,11 @@ export class ViewOrders extends BaseComponent {
                                 <span class="token-price ${buyPriceClass}">${buyPriceText}</span>
                             </div>
                             <span class="token-amount">${formattedBuyAmount}</span>
+                            ${buyTotalHTML}
                         </div>
                     </div>
                 </td>
-                <td class="deal-cell">${createDealCellHTML(dealText)}</td>
+                <td class="deal-cell">${createDealCellHTML(dealText, dealLoading ? '' : dealPriceWarning)}</td>
                 <td>${expiryText}</td>
                 <td class="order-status">${orderStatus}</td>
                 <td class="action-column"></td>`;
@@ -418,20 +446,63 @@ export class ViewOrders extends BaseComponent {
         const canFillOrder = ws.canFillOrder(order, currentAccount);
 
         if (this.helper.hasTrackedFillProgress(order.id) && canFillOrder) {
-            actionCell.innerHTML = `<button class="fill-button" data-order-id="${order.id}"></button>`;
-            const fillButton = actionCell.querySelector('.fill-button');
-            this.helper.configureFillButton(fillButton, order.id);
+            this.renderFillControls(actionCell, order);
         } else if (isUserOrder) {
             actionCell.innerHTML = '<span class="mine-label">Mine</span>';
         } else if (!isUserOrder && canFillOrder) {
-            actionCell.innerHTML = `<button class="fill-button" data-order-id="${order.id}"></button>`;
-            const fillButton = actionCell.querySelector('.fill-button');
-            this.helper.configureFillButton(fillButton, order.id);
+            this.renderFillControls(actionCell, order);
         } else {
             actionCell.innerHTML = '';
         }
     }
 
+    /**
+     * Render the fill button, plus an amount input when the contract supports
+     * partial fills. Re-renders (expiry timer) keep whatever the user typed.
+     */
+    renderFillControls(actionCell, order) {
+        const ws = this.ctx.getWebSocket();
+        if (!ws?.supportsPartialFills()) {
+            actionCell.innerHTML = `<button class="fill-button" data-order-id="${order.id}"></button>`;
+        } else {
+            const previousInput = actionCell.querySelector('.fill-amount-input');
+            const previousValue = previousInput?.value || '';
+            const wasFocused = previousInput && previousInput === document.activeElement;
+            actionCell.innerHTML = `
+                <div class="fill-controls">
+                    <input
+                        type="text"
+                        inputmode="decimal"
+                        class="fill-amount-input"
+                        data-order-id="${order.id}"
+                        placeholder="Max"
+                        aria-label="Amount to buy for order ${order.id} (leave empty to fill the rest)"
+                        title="Amount to buy. Leave empty to fill the rest."
+                    >
+                    <button class="fill-button" data-order-id="${order.id}"></button>
+                </div>`;
+            const input = actionCell.querySelector('.fill-amount-input');
+            input.value = previousValue;
+            if (wasFocused) {
+                input.focus();
+            }
+        }
+
+        const fillButton = actionCell.querySelector('.fill-button');
+        this.helper.configureFillButton(fillButton, order.id);
+    }
+
+    isOrderSelectable(order) {
+        const ws = this.ctx.getWebSocket();
+        const currentAccount = this.ctx.getWallet()?.getAccount();
+        return Boolean(ws && currentAccount && ws.canFillOrder(order, currentAccount));
+    }
+
+    async fillSelectedOrders(orderIds) {
+        const { filledOrderIds } = await this.helper.fillSelectedOrders(orderIds);
+        this.renderer.clearSelection(filledOrderIds);
+    }
+
     async getContract() {
         const ws = this.ctx.getWebSocket();
         if (!ws?.contract) {
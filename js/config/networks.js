@@ -39,7 +39,10 @@ const localNetworkConfig = {
             symbol: "ETH",
             decimals: 18
         },
+        gasPricing: "eip1559",
         multicallAddress: null,
+        // Fresh Hardhat nodes start at block 0; lets the event indexer backfill everything.
+        deploymentBlock: 0,
         wsUrl: "ws://127.0.0.1:8545",
         fallbackWsUrls: [
             "ws://localhost:8545"
@@ -68,6 +71,26 @@ const primaryNetworkConfig = {
             symbol: "ETH",
             decimals: 18
         },
+        // How write flows price gas for the fee preview: "eip1559" or "legacy"
+        gasPricing: "eip1559",
+        // Wrapped native token, used to price gas in USD
+        wrappedNativeAddress: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+        // USD price sources in the order PricingService asks them (ids from PriceProviders.js)
+        priceProviders: ["geckoterminal", "defillama", "dexscreener", "coingecko", "onchain"],
+        // On-chain fallback: pools read via Multicall, priced in USD through the stablecoins.
+        // Deepest pools first; "v2" reads getReserves, "v3" reads slot0.
+        priceOracle: {
+            stablecoins: [
+                "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", // USDC
+                "0xdAC17F958D2ee523a2206206994597C13D831ec7" // USDT
+            ],
+            pools: [
+                { dex: "Uniswap V3", type: "v3", address: "0x88e6A0c2dDD26FEEb64F039a2c41296FcB3f5640" }, // USDC/WETH 0.05%
+                { dex: "Uniswap V2", type: "v2", address: "0xB4e16d0168e52d35CaCD2c6185b44281Ec28C9Dc" }, // USDC/WETH
+                { dex: "Uniswap V2", type: "v2", address: "0x0d4a11d5EEaaC28EC3F61d100daF4d40471f1852" }, // WETH/USDT
+                { dex: "Uniswap V2", type: "v2", address: "0xBb2b8038a1640196FbE3e38816F3e67Cba72D940" } // WBTC/WETH
+            ]
+        },
         // Multicall3
         multicallAddress: "0xca11bde05977b3631167028862be2a173976ca11",
         wsUrl: "wss://mainnet.gateway.tenderly.co",
@@ -96,6 +119,26 @@ const primaryNetworkConfig = {
             symbol: "BNB",
             decimals: 18
         },
+        gasPricing: "legacy",
+        // Wrapped native token, used to price gas in USD
+        wrappedNativeAddress: "0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c",
+        // USD price sources in the order PricingService asks them (ids from PriceProviders.js)
+        priceProviders: ["geckoterminal", "defillama", "dexscreener", "coingecko", "onchain"],
+        // On-chain fallback: pools read via Multicall, priced in USD through the stablecoins.
+        // Deepest pools first; "v2" reads getReserves, "v3" reads slot0.
+        priceOracle: {
+            stablecoins: [
+                "0x55d398326f99059fF775485246999027B3197955", // USDT
+                "0xe9e7CEA3DedcA5984780Bafc599bD69ADd087D56" // BUSD
+            ],
+            pools: [
+                { dex: "PancakeSwap V2", type: "v2", address: "0x16b9a82891338f9bA80E2D6970FddA79D1eb0daE" }, // USDT/WBNB
+                { dex: "PancakeSwap V2", type: "v2", address: "0x58F876857a02D6762E0101bb5C46A8c1ED44Dc16" }, // WBNB/BUSD
+                { dex: "PancakeSwap V2", type: "v2", address: "0x0eD7e52944161450477ee417DE9Cd3a859b14fD0" }, // CAKE/WBNB
+                { dex: "PancakeSwap V2", type: "v2", address: "0x61EB789d75A95CAa3fF50ed7E47b96c132fEc082" }, // BTCB/WBNB
+                { dex: "PancakeSwap V2", type: "v2", address: "0x74E4716E431f45807DCF19f284c7aA99F18a4fbc" } // ETH/WBNB
+            ]
+        },
         // Multicall3
         multicallAddress: "0xca11bde05977b3631167028862be2a173976ca11",
         wsUrl: "wss://bsc.drpc.org",
@@ -124,6 +167,23 @@ const primaryNetworkConfig = {
             symbol: "MATIC",
             decimals: 18
         },
+        gasPricing: "eip1559",
+        // Wrapped native token, used to price gas in USD
+        wrappedNativeAddress: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",
+        // USD price sources in the order PricingService asks them (ids from PriceProviders.js)
+        priceProviders: ["geckoterminal", "defillama", "dexscreener", "coingecko", "onchain"],
+        // On-chain fallback: pools read via Multicall, priced in USD through the stablecoins.
+        // Deepest pools first; "v2" reads getReserves, "v3" reads slot0.
+        priceOracle: {
+            stablecoins: [
+                "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174" // USDC.e
+            ],
+            pools: [
+                { dex: "QuickSwap V2", type: "v2", address: "0x6e7a5FAFcec6BB1e78bAE2A1F0B612012BF14827" }, // WMATIC/USDC.e
+                { dex: "QuickSwap V2", type: "v2", address: "0x853Ee4b2A13f8a742d64C8F088bE7bA2131f670d" }, // USDC.e/WETH
+                { dex: "QuickSwap V2", type: "v2", address: "0xadbF1854e5883eB8aa7BAf50705338739e558E5b" } // WMATIC/WETH
+            ]
+        },
         // Multicall2 contract (Uniswap) deployed on Polygon mainnet
         multicallAddress: "0x275617327c958bD06b5D6b871E7f491D76113dd8",
         wsUrl: "wss://polygon-bor.publicnode.com",
@@ -154,6 +214,7 @@ const testNetworkConfig = {
             symbol: "POL",
             decimals: 18
         },
+        gasPricing: "eip1559",
         multicallAddress: null,
         wsUrl: "wss://polygon-amoy-bor-rpc.publicnode.com",
         fallbackWsUrls: [
@@ -1,27 +1,420 @@
+import { ethers } from 'ethers';
+import { abi as OTCSwapABI } from '../abi/OTCSwap.js';
+
 export class ContractError extends Error {
-    constructor(message, code, details = {}) {
+    /**
+     * @param {string} message - User-facing description of what went wrong
+     * @param {string} code - One of the CONTRACT_ERRORS codes
+     * @param {Object} [details] - Raw revert data, reason, custom error args, ...
+     * @param {string} [action] - Suggested next step for the user
+     */
+    constructor(message, code, details = {}, action = '') {
         super(message);
         this.name = 'ContractError';
         this.code = code;
         this.details = details;
+        this.action = action;
     }
 }
 
+/**
+ * Every failure a transaction path can surface, with the message and the
+ * suggested action shown to the user.
+ */
 export const CONTRACT_ERRORS = {
     INVALID_ORDER: {
         code: 'INVALID_ORDER',
-        message: 'This order no longer exists'
+        message: 'This order no longer exists',
+        action: 'Refresh the order list.'
+    },
+    ORDER_NOT_ACTIVE: {
+        code: 'ORDER_NOT_ACTIVE',
+        message: 'This order is no longer active',
+        action: 'It may have been filled, canceled or cleaned up. Refresh the order list.'
     },
     INSUFFICIENT_ALLOWANCE: {
         code: 'INSUFFICIENT_ALLOWANCE',
-        message: 'Please approve tokens before proceeding'
+        message: 'Please approve tokens before proceeding',
+        action: 'Approve the token and try again.'
+    },
+    INSUFFICIENT_BALANCE: {
+        code: 'INSUFFICIENT_BALANCE',
+        message: 'Insufficient token balance',
+        action: 'Top up the token or lower the amount.'
     },
     UNAUTHORIZED: {
         code: 'UNAUTHORIZED',
-        message: 'You are not authorized to perform this action'
+        message: 'You are not authorized to perform this action',
+        action: 'Switch to the account allowed to do this.'
     },
     EXPIRED_ORDER: {
         code: 'EXPIRED_ORDER',
-        message: 'This order has expired'
+        message: 'This order has expired',
+        action: 'Pick another order.'
+    },
+    CONTRACT_DISABLED: {
+        code: 'CONTRACT_DISABLED',
+        message: 'The contract is disabled and does not accept new orders',
+        action: 'Existing orders can still be filled, canceled and claimed.'
+    },
+    INVALID_PARAMETERS: {
+        code: 'INVALID_PARAMETERS',
+        message: 'The transaction parameters are not valid',
+        action: 'Check the tokens, amounts and addresses.'
+    },
+    TOKEN_NOT_ALLOWED: {
+        code: 'TOKEN_NOT_ALLOWED',
+        message: 'This token is not on the allowed list',
+        action: 'Choose an allowed token.'
+    },
+    TRANSFER_FAILED: {
+        code: 'TRANSFER_FAILED',
+        message: 'A token transfer failed. The token may charge transfer fees or block one of the addresses involved',
+        action: 'Check the token contract before retrying.'
+    },
+    NOTHING_TO_CLEAN: {
+        code: 'NOTHING_TO_CLEAN',
+        message: 'There are no orders to clean up',
+        action: 'Wait until an expired order passes its grace period.'
+    },
+    REENTRANT_CALL: {
+        code: 'REENTRANT_CALL',
+        message: 'The contract rejected a reentrant call',
+        action: 'Try again once your previous transaction confirms.'
+    },
+    TRANSACTION_REVERTED: {
+        code: 'TRANSACTION_REVERTED',
+        message: 'The transaction would revert',
+        action: ''
+    },
+    USER_REJECTED: {
+        code: 'USER_REJECTED',
+        message: 'Request rejected in your wallet',
+        action: ''
+    },
+    INSUFFICIENT_FUNDS: {
+        code: 'INSUFFICIENT_FUNDS',
+        message: 'Not enough native balance to pay for gas',
+        action: 'Top up your wallet and try again.'
+    },
+    NONCE_CONFLICT: {
+        code: 'NONCE_CONFLICT',
+        message: 'The transaction conflicts with another pending transaction',
+        action: 'Wait for pending transactions to confirm, then try again.'
+    },
+    NETWORK_CHANGED: {
+        code: 'NETWORK_CHANGED',
+        message: 'Wallet network changed',
+        action: 'Switch back to the selected network and try again.'
+    },
+    NETWORK_ERROR: {
+        code: 'NETWORK_ERROR',
+        message: 'The network request failed',
+        action: 'Check your connection and try again.'
+    },
+    UNKNOWN: {
+        code: 'UNKNOWN',
+        message: 'Unknown error occurred',
+        action: ''
     }
-}; 
\ No newline at end of file
+};
+
+function createError(entry, details = {}, message = entry.message) {
+    return new ContractError(message, entry.code, details, entry.action);
+}
+
+// Revert strings from OTCSwap.sol, matched by prefix.
+const REVERT_REASON_CODES = [
+    ['Order does not exist', CONTRACT_ERRORS.INVALID_ORDER],
+    ['Order is not active', CONTRACT_ERRORS.ORDER_NOT_ACTIVE],
+    ['Order has expired', CONTRACT_ERRORS.EXPIRED_ORDER],
+    ['Not authorized', CONTRACT_ERRORS.UNAUTHORIZED],
+    ['Only maker', CONTRACT_ERRORS.UNAUTHORIZED],
+    ['Contract is disabled', CONTRACT_ERRORS.CONTRACT_DISABLED],
+    ['Insufficient allowance', CONTRACT_ERRORS.INSUFFICIENT_ALLOWANCE],
+    ['Insufficient balance', CONTRACT_ERRORS.INSUFFICIENT_BALANCE],
+    ['Sell token not allowed', CONTRACT_ERRORS.TOKEN_NOT_ALLOWED],
+    ['Buy token not allowed', CONTRACT_ERRORS.TOKEN_NOT_ALLOWED],
+    ['Invalid ', CONTRACT_ERRORS.INVALID_PARAMETERS],
+    ['Cannot swap same token', CONTRACT_ERRORS.INVALID_PARAMETERS],
+    ['Sell token transfer failed', CONTRACT_ERRORS.TRANSFER_FAILED],
+    ['Buy token transfer failed', CONTRACT_ERRORS.TRANSFER_FAILED],
+    ['No orders to clean up', CONTRACT_ERRORS.NOTHING_TO_CLEAN]
+];
+
+// Custom errors declared in the OTCSwap ABI.
+const CUSTOM_ERROR_CODES = {
+    SafeERC20FailedOperation: CONTRACT_ERRORS.TRANSFER_FAILED,
+    OwnableUnauthorizedAccount: CONTRACT_ERRORS.UNAUTHORIZED,
+    OwnableInvalidOwner: CONTRACT_ERRORS.INVALID_PARAMETERS,
+    ReentrancyGuardReentrantCall: CONTRACT_ERRORS.REENTRANT_CALL
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+const REVERT_DATA_PATTERN = /^0x[0-9a-fA-F]{8}/;
+const NESTED_ERROR_KEYS = ['data', 'error', 'originalError', 'cause'];
+
+/**
+ * Wallets and providers wrap the revert data at different depths
+ * (`error.data`, `error.error.data`, `error.data.originalError.data`, ...).
+ */
+function findRevertData(error, depth = 0) {
+    if (!error || depth > 5) {
+        return null;
+    }
+    if (typeof error === 'string') {
+        return REVERT_DATA_PATTERN.test(error) ? error : null;
+    }
+    if (typeof error !== 'object') {
+        return null;
+    }
+    for (const key of NESTED_ERROR_KEYS) {
+        const data = findRevertData(error[key], depth + 1);
+        if (data) {
+            return data;
+        }
+    }
+    return null;
+}
+
+function decodeRevertString(data) {
+    const payload = data.slice(10);
+    const length = parseInt(payload.slice(64, 128), 16);
+    if (!Number.isFinite(length)) {
+        return '';
+    }
+    const bytes = (payload.slice(128, 128 + length * 2).match(/../g) || [])
+        .map(byte => parseInt(byte, 16));
+    return new TextDecoder().decode(Uint8Array.from(bytes));
+}
+
+function findRevertReasonInMessage(error) {
+    const messages = [
+        error.error?.data?.message,
+        error.data?.message,
+        error.error?.message,
+        error.reason,
+        error.message
+    ];
+    for (const message of messages) {
+        const match = String(message || '').match(/reverted with reason string '([^']+)'/)
+            || String(message || '').match(/execution reverted: ([^"\n]+)/);
+        if (match) {
+            return match[1].trim();
+        }
+    }
+    return '';
+}
+
+function fromRevertReason(reason, details) {
+    const entry = REVERT_REASON_CODES.find(([prefix]) => reason.startsWith(prefix))?.[1]
+        || CONTRACT_ERRORS.TRANSACTION_REVERTED;
+    // The contract's revert strings are already specific and readable.
+    return createError(entry, { ...details, reason }, reason);
+}
+
+function fromCustomError(errorName, args, details) {
+    const entry = CUSTOM_ERROR_CODES[errorName] || CONTRACT_ERRORS.TRANSACTION_REVERTED;
+    const message = entry === CONTRACT_ERRORS.TRANSACTION_REVERTED
+        ? `${entry.message} (${errorName})`
+        : entry.message;
+    return createError(entry, { ...details, errorName, args }, message);
+}
+
+let otcSwapInterface;
+
+// Built lazily so importing this module never depends on ABI parsing.
+function getOTCSwapInterface() {
+    if (otcSwapInterface === undefined) {
+        try {
+            otcSwapInterface = new ethers.utils.Interface(OTCSwapABI);
+        } catch (_) {
+            otcSwapInterface = null;
+        }
+    }
+    return otcSwapInterface;
+}
+
+/**
+ * Check if an error represents a user rejection of a wallet request
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isUserRejection(error) {
+    return error?.code === 4001 ||
+           error?.code === 'ACTION_REJECTED' ||
+           error?.message?.includes('user rejected') ||
+           error?.message?.includes('User denied transaction signature') ||
+           error?.reason === 'user rejected transaction';
+}
+
+/**
+ * Decode a contract revert into a catalogued ContractError.
+ *
+ * Handles `Error(string)` reverts, panics and the custom errors of the
+ * contract ABI. Returns null when the error is not a contract revert
+ * (wallet rejections, RPC outages, ...); use decodeTransactionError to
+ * classify those as well.
+ *
+ * @param {Error} error - Error thrown by ethers or the wallet
+ * @param {Object} [contractInterface] - ethers Interface used to parse custom
+ *   errors; defaults to the OTCSwap ABI
+ * @returns {ContractError|null}
+ */
+export function decodeContractError(error, contractInterface = getOTCSwapInterface()) {
+    if (!error) {
+        return null;
+    }
+    if (error instanceof ContractError) {
+        return error;
+    }
+
+    const data = findRevertData(error);
+    const details = { data };
+
+    if (data?.startsWith(ERROR_STRING_SELECTOR)) {
+        return fromRevertReason(decodeRevertString(data), details);
+    }
+
+    if (data?.startsWith(PANIC_SELECTOR)) {
+        const panicCode = `0x${parseInt(data.slice(10), 16).toString(16)}`;
+        return createError(
+            CONTRACT_ERRORS.TRANSACTION_REVERTED,
+            { ...details, panicCode },
+            `${CONTRACT_ERRORS.TRANSACTION_REVERTED.message} (panic ${panicCode})`
+        );
+    }
+
+    if (data && contractInterface) {
+        try {
+            const parsed = contractInterface.parseError(data);
+            return fromCustomError(parsed.name, Array.from(parsed.args || []), details);
+        } catch (_) {
+            // Not an error of this ABI; fall through to what ethers decoded.
+        }
+    }
+
+    // ethers v5 decodes reverts of contract calls itself.
+    if (error.errorName && error.errorName !== 'Error') {
+        return fromCustomError(error.errorName, Array.from(error.errorArgs || []), details);
+    }
+
+    const reason = (error.code === 'CALL_EXCEPTION' && error.reason)
+        || findRevertReasonInMessage(error);
+    if (reason) {
+        return fromRevertReason(reason.replace(/^execution reverted:\s*/, ''), details);
+    }
+
+    if (error.code === 'CALL_EXCEPTION' || data) {
+        return createError(CONTRACT_ERRORS.TRANSACTION_REVERTED, details);
+    }
+
+    return null;
+}
+
+function getProviderMessage(error) {
+    return error.error?.data?.message
+        || error.data?.message
+        || error.error?.message
+        || error.reason
+        || error.message
+        || '';
+}
+
+/**
+ * Classify any error thrown by a transaction path: wallet rejections,
+ * contract reverts, gas funding, nonce and network failures. Errors that fit
+ * nowhere keep the most specific message the provider gave.
+ *
+ * @param {Error} error - Error thrown by ethers, the wallet or the RPC
+ * @param {Object} [contractInterface] - ethers Interface used to parse custom errors
+ * @returns {ContractError}
+ */
+export function decodeTransactionError(error, contractInterface) {
+    if (!error) {
+        return createError(CONTRACT_ERRORS.UNKNOWN);
+    }
+    if (error instanceof ContractError) {
+        return error;
+    }
+
+    const details = { originalCode: error.code };
+    if (isUserRejection(error)) {
+        return createError(CONTRACT_ERRORS.USER_REJECTED, details);
+    }
+
+    const text = String(error.reason || error.message || '').toLowerCase();
+    if (error.code === 'NETWORK_ERROR' && text.includes('underlying network changed')) {
+        return createError(CONTRACT_ERRORS.NETWORK_CHANGED, details);
+    }
+
+    const reverted = decodeContractError(error, contractInterface);
+    if (reverted) {
+        return reverted;
+    }
+
+    const providerMessage = getProviderMessage(error);
+    const providerText = providerMessage.toLowerCase();
+    if (error.code === 'INSUFFICIENT_FUNDS' || providerText.includes('insufficient funds')) {
+        return createError(CONTRACT_ERRORS.INSUFFICIENT_FUNDS, details);
+    }
+    if (error.code === 'NONCE_EXPIRED'
+        || error.code === 'REPLACEMENT_UNDERPRICED'
+        || providerText.includes('nonce')
+        || providerText.includes('replacement fee too low')) {
+        return createError(CONTRACT_ERRORS.NONCE_CONFLICT, details);
+    }
+    if (error.code === 'NETWORK_ERROR' || error.code === 'SERVER_ERROR' || error.code === 'TIMEOUT') {
+        return createError(CONTRACT_ERRORS.NETWORK_ERROR, details);
+    }
+
+    return createError(CONTRACT_ERRORS.UNKNOWN, details, providerMessage || CONTRACT_ERRORS.UNKNOWN.message);
+}
+
+/**
+ * One-line text for toasts and progress steps: the message followed by the
+ * suggested action, if any.
+ * @param {ContractError} error
+ * @returns {string}
+ */
+export function formatContractError(error) {
+    if (!error.action) {
+        return error.message;
+    }
+    const separator = /[.!?]$/.test(error.message) ? ' ' : '. ';
+    return `${error.message}${separator}${error.action}`;
+}
+
+/**
+ * Outcomes of simulateContractCall.
+ */
+export const SIMULATION_STATUS = {
+    SUCCEEDED: 'succeeded',
+    REVERTED: 'reverted',
+    // The dry run itself failed (RPC outage, timeout, ...), so nothing is known.
+    UNAVAILABLE: 'unavailable'
+};
+
+/**
+ * Dry-run a contract write with `callStatic` so a revert surfaces before the
+ * wallet prompt.
+ *
+ * @param {Object} contract - ethers Contract connected to the sender's signer
+ * @param {string} method - Function name or signature
+ * @param {Array} args - Call arguments
+ * @returns {Promise<{ status: string, error: ContractError|Error|null }>}
+ *   A SIMULATION_STATUS with the decoded revert (REVERTED) or the failure
+ *   that prevented the dry run (UNAVAILABLE)
+ */
+export async function simulateContractCall(contract, method, args = []) {
+    try {
+        await contract.callStatic[method](...args);
+        return { status: SIMULATION_STATUS.SUCCEEDED, error: null };
+    } catch (error) {
+        const contractError = decodeContractError(error, contract.interface);
+        return contractError
+            ? { status: SIMULATION_STATUS.REVERTED, error: contractError }
+            : { status: SIMULATION_STATUS.UNAVAILABLE, error };
+    }
+}
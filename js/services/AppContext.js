@@ -24,6 +24,7 @@
  * @property {Object} wallet - WalletManager instance
  * @property {Object} ws - WebSocketService instance  
  * @property {Object} pricing - PricingService instance
+ * @property {Object} eventIndexer - EventIndexerService instance
  * @property {Object} toast - Toast functions (showError, showSuccess, etc.)
  * @property {Object} contractService - ContractService instance
  */
@@ -55,6 +56,7 @@ export function createAppContext() {
         wallet: null,
         ws: null,
         pricing: null,
+        eventIndexer: null,
         contractService: null,
         selectedChainSlug: null,
         walletChainId: null,
@@ -101,6 +103,14 @@ export function createAppContext() {
             return this.pricing;
         },
 
+        /**
+         * Get event indexer service
+         * @returns {Object|null}
+         */
+        getEventIndexer() {
+            return this.eventIndexer;
+        },
+
         /**
          * Set currently selected chain slug (URL/UI intent)
          * @param {string|null} slug
@@ -0,0 +1,792 @@
+/**
+ * EventIndexerService - Log-based history for the OTC contract
+ *
+ * WebSocketService only mirrors the live order-id window, so orders vanish
+ * once they are cleaned up. This service backfills the contract's order and
+ * claim events via `eth_getLogs` in block-range chunks and keeps a resumable
+ * checkpoint per chain + contract in localStorage:
+ *
+ *   { fromBlock, lastIndexedBlock, records }
+ *
+ * localStorage caps an origin at ~5 MB, so only the newest
+ * `maxPersistedRecords` records (whole blocks) are stored and the stored
+ * `fromBlock` moves up to match; after a reload, history starts there. The
+ * checkpoint itself is always kept so the backfill resumes.
+ *
+ * Indexing starts at the network's `deploymentBlock`, or at the block the
+ * contract's code first appears (found with historical `getCode` reads). An
+ * RPC that cannot serve old state limits history to `defaultLookbackBlocks`,
+ * which getStatus() reports as `historyLimited`.
+ *
+ * Backfill is lazy (`ensureBackfilled()`) and later calls only read blocks
+ * past `lastIndexedBlock`. Live WebSocket events schedule a catch-up so the
+ * index stays current while the app is open.
+ *
+ * Logs carry no prices, so the order's dealMetrics are captured when a fill
+ * is observed live and matched to its OrderFilled log on the next catch-up.
+ * `fillValuations` holds the USD value of each such fill, scaled to the
+ * amount filled and keyed by the record key (`txHash:logIndex`).
+ */
+
+import { getNetworkConfig } from '../config/networks.js';
+import { contractService } from './ContractService.js';
+import { createLogger } from './LogService.js';
+
+export const INDEXED_EVENTS = [
+    'OrderCreated',
+    'OrderFilled',
+    'OrderCanceled',
+    'OrderCleanedUp',
+    'ClaimCredited',
+    'ClaimWithdrawn'
+];
+
+// Live fill prices only value logs mined around the time they were observed.
+const FILL_VALUATION_MATCH_WINDOW_SECONDS = 600;
+
+// WebSocketService events that signal new logs worth indexing.
+const LIVE_CATCH_UP_EVENTS = ['OrderCreated', 'OrderFilled', 'OrderCanceled', 'OrderCleanedUp', 'claimsUpdated'];
+
+// Storage configuration
+const STORAGE_KEY_PREFIX = 'eventIndex';
+const STORAGE_SCHEMA = 'v1';
+
+const ADDRESS_ARGS = ['maker', 'taker', 'sellToken', 'buyToken', 'feeToken', 'beneficiary', 'token'];
+const AMOUNT_ARGS = ['sellAmount', 'buyAmount', 'orderCreationFee', 'amount'];
+
+function toDecimalString(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return value?.toString?.() ?? String(value);
+}
+
+/**
+ * Convert a parsed log into a JSON-safe record.
+ * @param {{ name: string, args: Object }} parsed - ethers LogDescription
+ * @param {{ blockNumber: number, logIndex: number, transactionHash: string }} log
+ * @returns {Object}
+ */
+export function normalizeIndexedEvent(parsed, log) {
+    const args = parsed.args || {};
+    const record = {
+        key: `${log.transactionHash}:${log.logIndex}`,
+        eventName: parsed.name,
+        blockNumber: Number(log.blockNumber),
+        logIndex: Number(log.logIndex),
+        transactionHash: log.transactionHash,
+        timestamp: Number(toDecimalString(args.timestamp)) || null,
+        orderId: args.orderId !== undefined ? Number(toDecimalString(args.orderId)) : null
+    };
+
+    ADDRESS_ARGS.forEach((name) => {
+        if (args[name] !== undefined) {
+            record[name] = String(args[name]).toLowerCase();
+        }
+    });
+    AMOUNT_ARGS.forEach((name) => {
+        if (args[name] !== undefined) {
+            record[name] = toDecimalString(args[name]);
+        }
+    });
+    if (args.reason !== undefined) {
+        record.reason = String(args.reason || '');
+    }
+
+    return record;
+}
+
+/**
+ * filledAmount / orderAmount for raw token amounts, or null when unknown.
+ * @param {string|null} filledAmount
+ * @param {string|null} orderAmount
+ * @returns {number|null}
+ */
+function getAmountFraction(filledAmount, orderAmount) {
+    try {
+        const total = BigInt(orderAmount);
+        if (total <= 0n || filledAmount === null || filledAmount === undefined) {
+            return null;
+        }
+        return Number((BigInt(filledAmount) * 1000000n) / total) / 1000000;
+    } catch (_) {
+        return null;
+    }
+}
+
+function compareRecords(a, b) {
+    return (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+}
+
+export class EventIndexerService {
+    constructor(options = {}) {
+        this.webSocket = options.webSocket || null;
+
+        this.records = [];
+        this.recordKeys = new Set();
+        this.fromBlock = null;
+        this.lastIndexedBlock = null;
+        this.fillValuations = {};
+        // Live fills waiting for their log, by order id (memory only).
+        this.pendingFillValuations = new Map();
+        this.loadedContextKey = null;
+        this.storageFailed = false;
+        this.historyLimited = false;
+
+        // Bounds on what _persist() writes to localStorage.
+        this.maxPersistedRecords = 5000;
+        this.maxFillValuations = 500;
+
+        this.subscribers = new Map();
+        this.syncPromise = null;
+        this.catchUpTimer = null;
+        this.catchUpDelayMs = 2000;
+        this.lifecycleVersion = 0;
+
+        // getLogs range limits vary per RPC; the chunk halves on failure and
+        // doubles back towards chunkSize after each successful read.
+        this.chunkSize = 2000;
+        this.minChunkSize = 100;
+        // Without a configured deploymentBlock the contract's creation block is
+        // found with historical getCode reads; RPCs that cannot serve old state
+        // fall back to this window and mark the history as limited.
+        this.defaultLookbackBlocks = 200000;
+
+        this.liveEventHandler = null;
+        this.fillValuationHandler = null;
+
+        const logger = createLogger('EVENT_INDEXER');
+        this.debug = logger.debug.bind(logger);
+        this.error = logger.error.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    getNetworkContextKey() {
+        const config = getNetworkConfig();
+        return `${config?.chainId || 'unknown'}:${config?.contractAddress || 'unknown'}`;
+    }
+
+    isStaleWork(lifecycleVersion, networkContextKey) {
+        return this.lifecycleVersion !== lifecycleVersion
+            || this.getNetworkContextKey() !== networkContextKey;
+    }
+
+    _getStorageKey(networkContextKey = this.getNetworkContextKey()) {
+        return `${STORAGE_KEY_PREFIX}:${STORAGE_SCHEMA}:${networkContextKey.toLowerCase()}`;
+    }
+
+    /**
+     * Load the persisted checkpoint for the current network, once per network.
+     */
+    _ensureLoaded() {
+        const networkContextKey = this.getNetworkContextKey();
+        if (this.loadedContextKey === networkContextKey) {
+            return;
+        }
+
+        this.loadedContextKey = networkContextKey;
+        this.records = [];
+        this.recordKeys = new Set();
+        this.fromBlock = null;
+        this.lastIndexedBlock = null;
+        this.fillValuations = {};
+        this.pendingFillValuations = new Map();
+        this.historyLimited = false;
+
+        if (typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            const raw = localStorage.getItem(this._getStorageKey(networkContextKey));
+            if (!raw) {
+                return;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (parsed?.fillValuations && typeof parsed.fillValuations === 'object') {
+                // Older checkpoints keyed valuations by order id; only per-log keys are kept.
+                this.fillValuations = Object.fromEntries(Object.entries(parsed.fillValuations)
+                    .filter(([key]) => key.includes(':')));
+            }
+            if (!Number.isInteger(parsed?.fromBlock)
+                || !Number.isInteger(parsed?.lastIndexedBlock)
+                || !Array.isArray(parsed?.records)) {
+                return;
+            }
+
+            this.fromBlock = parsed.fromBlock;
+            this.lastIndexedBlock = parsed.lastIndexedBlock;
+            this.historyLimited = parsed.historyLimited === true;
+            this._addRecords(parsed.records);
+            this.debug(`Loaded ${this.records.length} indexed events up to block ${this.lastIndexedBlock}`);
+        } catch (err) {
+            this.debug('Failed to load event index from storage:', err);
+        }
+    }
+
+    /**
+     * Newest records that fit the limit, cut at a block boundary so the
+     * stored range never holds part of a block.
+     * @returns {{ fromBlock: number, records: Object[] }}
+     */
+    _getPersistedRecords(recordLimit) {
+        if (this.records.length <= recordLimit) {
+            return { fromBlock: this.fromBlock, records: this.records };
+        }
+        const dropped = this.records[this.records.length - recordLimit - 1];
+        const records = this.records
+            .slice(this.records.length - recordLimit)
+            .filter((record) => record.blockNumber > dropped.blockNumber);
+        return { fromBlock: dropped.blockNumber + 1, records };
+    }
+
+    _getPersistedFillValuations() {
+        const entries = Object.entries(this.fillValuations);
+        if (entries.length <= this.maxFillValuations) {
+            return this.fillValuations;
+        }
+        return Object.fromEntries(entries
+            .sort(([, a], [, b]) => (b.capturedAt || 0) - (a.capturedAt || 0))
+            .slice(0, this.maxFillValuations));
+    }
+
+    /**
+     * Write the checkpoint with as many records as storage accepts, halving
+     * the record count on quota errors down to a checkpoint-only write.
+     * @returns {boolean} True when the checkpoint was stored
+     */
+    _persist() {
+        if (typeof localStorage === 'undefined' || !this.loadedContextKey) {
+            return false;
+        }
+
+        const fillValuations = this._getPersistedFillValuations();
+        let recordLimit = this.maxPersistedRecords;
+        while (true) {
+            const { fromBlock, records } = this._getPersistedRecords(recordLimit);
+            try {
+                localStorage.setItem(this._getStorageKey(this.loadedContextKey), JSON.stringify({
+                    fromBlock,
+                    lastIndexedBlock: this.lastIndexedBlock,
+                    historyLimited: this.historyLimited,
+                    records,
+                    fillValuations
+                }));
+                this.storageFailed = false;
+                return true;
+            } catch (err) {
+                if (recordLimit > 0) {
+                    recordLimit = Math.floor(recordLimit / 2);
+                    continue;
+                }
+                if (!this.storageFailed) {
+                    this.storageFailed = true;
+                    this.warn('Failed to persist event index checkpoint:', err?.message || err);
+                    this.notifySubscribers('indexerError', { error: err, storage: true });
+                }
+                return false;
+            }
+        }
+    }
+
+    _addRecords(records) {
+        let added = 0;
+        for (const record of records) {
+            if (!record?.key || this.recordKeys.has(record.key)) {
+                continue;
+            }
+            this.recordKeys.add(record.key);
+            this.records.push(record);
+            added++;
+        }
+        if (added > 0) {
+            this.records.sort(compareRecords);
+        }
+        return added;
+    }
+
+    _clearIndex() {
+        this.records = [];
+        this.recordKeys = new Set();
+        this.fromBlock = null;
+        this.lastIndexedBlock = null;
+        this.fillValuations = {};
+        this.pendingFillValuations = new Map();
+        this.historyLimited = false;
+        if (typeof localStorage === 'undefined' || !this.loadedContextKey) {
+            return;
+        }
+        try {
+            localStorage.removeItem(this._getStorageKey(this.loadedContextKey));
+        } catch (_) {}
+    }
+
+    /**
+     * Subscribe to WebSocketService order/claim events so new blocks are
+     * indexed shortly after they are observed live.
+     */
+    initialize({ webSocket = this.webSocket } = {}) {
+        this.webSocket = webSocket;
+        this._ensureLoaded();
+
+        if (!this.webSocket?.subscribe || this.liveEventHandler) {
+            return;
+        }
+
+        this.fillValuationHandler = (order) => {
+            this.recordFillValuation(order);
+        };
+        this.webSocket.subscribe('OrderFilled', this.fillValuationHandler);
+
+        this.liveEventHandler = () => {
+            // Only catch up once a backfill established a checkpoint.
+            if (Number.isInteger(this.lastIndexedBlock)) {
+                this.scheduleCatchUp();
+            }
+        };
+        LIVE_CATCH_UP_EVENTS.forEach((eventName) => {
+            this.webSocket.subscribe(eventName, this.liveEventHandler);
+        });
+    }
+
+    /**
+     * Remember the order's USD value as priced when a fill was observed live.
+     * The value is attached to the fill's log once a catch-up indexes it.
+     * @param {Object} order - Cached order from WebSocketService
+     */
+    recordFillValuation(order) {
+        const orderId = Number(order?.id);
+        const sellValue = Number(order?.dealMetrics?.sellValue);
+        const buyValue = Number(order?.dealMetrics?.buyValue);
+        if (!Number.isInteger(orderId) || (!Number.isFinite(sellValue) && !Number.isFinite(buyValue))) {
+            return;
+        }
+
+        this._ensureLoaded();
+        if (!this.pendingFillValuations.has(orderId)) {
+            this.pendingFillValuations.set(orderId, []);
+        }
+        // Values cover the whole order; they are scaled per fill in _valueObservedFills.
+        this.pendingFillValuations.get(orderId).push({
+            sellValue: Number.isFinite(sellValue) ? sellValue : null,
+            buyValue: Number.isFinite(buyValue) ? buyValue : null,
+            sellAmount: toDecimalString(order.sellAmount),
+            buyAmount: toDecimalString(order.buyAmount),
+            capturedAt: Math.floor(Date.now() / 1000)
+        });
+    }
+
+    /**
+     * Value newly indexed OrderFilled records with the prices captured when
+     * the fill was observed live, scaled by the amount each log filled.
+     * @param {Object[]} records - Normalized records from one getLogs chunk
+     */
+    _valueObservedFills(records) {
+        for (const record of records) {
+            const pending = this.pendingFillValuations.get(record.orderId);
+            if (record.eventName !== 'OrderFilled' || !pending?.length || this.recordKeys.has(record.key)) {
+                continue;
+            }
+            if (Number.isFinite(record.timestamp)
+                && record.timestamp < pending[0].capturedAt - FILL_VALUATION_MATCH_WINDOW_SECONDS) {
+                // An earlier fill of the same order; it was not observed live.
+                continue;
+            }
+
+            const observed = pending.shift();
+            if (pending.length === 0) {
+                this.pendingFillValuations.delete(record.orderId);
+            }
+            const scale = (value, filledAmount, orderAmount) => {
+                const fraction = getAmountFraction(filledAmount, orderAmount);
+                return value !== null && fraction !== null ? value * fraction : null;
+            };
+            const sellValue = scale(observed.sellValue, record.sellAmount, observed.sellAmount);
+            const buyValue = scale(observed.buyValue, record.buyAmount, observed.buyAmount);
+            if (sellValue === null && buyValue === null) {
+                continue;
+            }
+            this.fillValuations[record.key] = { sellValue, buyValue, capturedAt: observed.capturedAt };
+        }
+    }
+
+    /**
+     * @param {string} recordKey - OrderFilled record key (`txHash:logIndex`)
+     * @returns {{ sellValue: number|null, buyValue: number|null, capturedAt: number }|null}
+     */
+    getFillValuation(recordKey) {
+        this._ensureLoaded();
+        return this.fillValuations[recordKey] || null;
+    }
+
+    scheduleCatchUp() {
+        if (this.catchUpTimer) {
+            return;
+        }
+        this.catchUpTimer = setTimeout(() => {
+            this.catchUpTimer = null;
+            this.sync().catch((error) => {
+                this.debug('Event index catch-up failed:', error);
+            });
+        }, this.catchUpDelayMs);
+    }
+
+    /**
+     * Backfill (first call) or catch up (later calls) to the latest block.
+     * @returns {Promise<boolean>} True when the index covers the latest block
+     */
+    async ensureBackfilled() {
+        return this.sync();
+    }
+
+    async sync() {
+        if (this.syncPromise) {
+            return this.syncPromise;
+        }
+
+        this._ensureLoaded();
+        const lifecycleVersion = this.lifecycleVersion;
+        const networkContextKey = this.getNetworkContextKey();
+
+        this.syncPromise = (async () => {
+            try {
+                contractService.initialize({ webSocket: this.webSocket });
+                await contractService.readViaHttpRpc(async ({ contract, provider, networkConfig }) => {
+                    if (!contract) {
+                        throw new Error('HTTP contract not available');
+                    }
+                    await this._indexToLatest({
+                        contract,
+                        provider,
+                        networkConfig,
+                        lifecycleVersion,
+                        networkContextKey
+                    });
+                });
+                return !this.isStaleWork(lifecycleVersion, networkContextKey);
+            } catch (error) {
+                this.warn('Event index sync failed:', error?.message || error);
+                this.notifySubscribers('indexerError', { error });
+                return false;
+            } finally {
+                this.syncPromise = null;
+            }
+        })();
+
+        return this.syncPromise;
+    }
+
+    async _indexToLatest({ contract, provider, networkConfig, lifecycleVersion, networkContextKey }) {
+        const latestBlock = await provider.getBlockNumber();
+
+        // A restarted local node (or re-org past the checkpoint) invalidates the index.
+        if (Number.isInteger(this.lastIndexedBlock) && this.lastIndexedBlock > latestBlock) {
+            this.debug('Indexed checkpoint is ahead of chain; resetting index', {
+                lastIndexedBlock: this.lastIndexedBlock,
+                latestBlock
+            });
+            this._clearIndex();
+        }
+
+        if (!Number.isInteger(this.fromBlock)) {
+            const configuredBlock = networkConfig?.deploymentBlock;
+            let deploymentBlock = configuredBlock !== undefined && configuredBlock !== null
+                ? Number(configuredBlock)
+                : await this._findDeploymentBlock(provider, contract.address, latestBlock);
+            if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
+                return;
+            }
+            this.historyLimited = !Number.isInteger(deploymentBlock) || deploymentBlock < 0;
+            if (this.historyLimited) {
+                this.warn(`Contract deployment block unknown; indexing the last ${this.defaultLookbackBlocks} blocks only`);
+                deploymentBlock = latestBlock - this.defaultLookbackBlocks;
+            }
+            this.fromBlock = Math.min(Math.max(0, deploymentBlock), latestBlock);
+            this.lastIndexedBlock = this.fromBlock - 1;
+        }
+
+        const iface = contract.interface;
+        const eventNames = INDEXED_EVENTS.filter((eventName) => {
+            try {
+                iface.getEvent(eventName);
+                return true;
+            } catch (_) {
+                return false;
+            }
+        });
+        const topics = [eventNames.map((eventName) => iface.getEventTopic(eventName))];
+        const totalBlocks = Math.max(1, latestBlock - this.fromBlock + 1);
+
+        let chunkSize = Math.max(this.minChunkSize, this.chunkSize);
+        while (this.lastIndexedBlock < latestBlock) {
+            if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
+                this.debug('Discarding stale event index work after lifecycle/network change');
+                return;
+            }
+
+            const chunkStart = this.lastIndexedBlock + 1;
+            const chunkEnd = Math.min(latestBlock, chunkStart + chunkSize - 1);
+            let logs;
+            try {
+                logs = await provider.getLogs({
+                    address: contract.address,
+                    topics,
+                    fromBlock: chunkStart,
+                    toBlock: chunkEnd
+                });
+            } catch (error) {
+                if (chunkSize <= this.minChunkSize) {
+                    throw error;
+                }
+                chunkSize = Math.max(this.minChunkSize, Math.floor(chunkSize / 2));
+                this.debug(`getLogs failed for ${chunkStart}-${chunkEnd}; retrying with chunk size ${chunkSize}`);
+                continue;
+            }
+
+            if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
+                return;
+            }
+
+            const records = [];
+            for (const log of logs) {
+                try {
+                    records.push(normalizeIndexedEvent(iface.parseLog(log), log));
+                } catch (error) {
+                    this.debug('Failed to parse indexed log:', error);
+                }
+            }
+
+            this._valueObservedFills(records);
+            const added = this._addRecords(records);
+            this.lastIndexedBlock = chunkEnd;
+            chunkSize = Math.min(Math.max(this.minChunkSize, this.chunkSize), chunkSize * 2);
+            // Checkpoint after every chunk so an interrupted backfill resumes here.
+            this._persist();
+
+            this.notifySubscribers('indexerProgress', {
+                fromBlock: this.fromBlock,
+                lastIndexedBlock: this.lastIndexedBlock,
+                latestBlock,
+                progress: Math.min(1, (this.lastIndexedBlock - this.fromBlock + 1) / totalBlocks)
+            });
+            if (added > 0) {
+                this.notifySubscribers('indexerUpdated', { added, lastIndexedBlock: this.lastIndexedBlock });
+            }
+        }
+    }
+
+    /**
+     * Binary-search the first block with contract code at `address`.
+     * @returns {Promise<number|null>} null when the RPC cannot serve historical state
+     */
+    async _findDeploymentBlock(provider, address, latestBlock) {
+        const hasCode = async (blockNumber) => {
+            const code = await provider.getCode(address, blockNumber);
+            return typeof code === 'string' && code !== '0x';
+        };
+
+        try {
+            if (!await hasCode(latestBlock)) {
+                return null;
+            }
+            let low = 0;
+            let high = latestBlock;
+            while (low < high) {
+                const middle = Math.floor((low + high) / 2);
+                if (await hasCode(middle)) {
+                    high = middle;
+                } else {
+                    low = middle + 1;
+                }
+            }
+            this.debug(`Found contract deployment block ${low}`);
+            return low;
+        } catch (error) {
+            this.debug('Historical getCode failed; deployment block unknown:', error?.message || error);
+            return null;
+        }
+    }
+
+    /**
+     * Query indexed events.
+     * @param {Object} [filter]
+     * @param {string[]} [filter.eventNames] - Restrict to these event names
+     * @param {string} [filter.account] - Match maker, taker or beneficiary
+     * @param {number|string} [filter.orderId]
+     * @param {string} [filter.token] - Match sell, buy, fee or claim token
+     * @param {number} [filter.fromBlock]
+     * @param {number} [filter.toBlock]
+     * @returns {Object[]} Records in chain order
+     */
+    getEvents({ eventNames, account, orderId, token, fromBlock, toBlock } = {}) {
+        this._ensureLoaded();
+        const eventNameSet = Array.isArray(eventNames) && eventNames.length > 0
+            ? new Set(eventNames)
+            : null;
+        const normalizedAccount = account ? String(account).toLowerCase() : null;
+        const normalizedToken = token ? String(token).toLowerCase() : null;
+        const normalizedOrderId = orderId !== undefined && orderId !== null ? Number(orderId) : null;
+
+        return this.records.filter((record) => {
+            if (eventNameSet && !eventNameSet.has(record.eventName)) return false;
+            if (normalizedOrderId !== null && record.orderId !== normalizedOrderId) return false;
+            if (Number.isInteger(fromBlock) && record.blockNumber < fromBlock) return false;
+            if (Number.isInteger(toBlock) && record.blockNumber > toBlock) return false;
+            if (normalizedAccount
+                && record.maker !== normalizedAccount
+                && record.taker !== normalizedAccount
+                && record.beneficiary !== normalizedAccount) {
+                return false;
+            }
+            if (normalizedToken
+                && record.sellToken !== normalizedToken
+                && record.buyToken !== normalizedToken
+                && record.feeToken !== normalizedToken
+                && record.token !== normalizedToken) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * All events for one order, oldest first.
+     * @param {number|string} orderId
+     * @returns {Object[]}
+     */
+    getOrderHistory(orderId) {
+        return this.getEvents({ orderId });
+    }
+
+    /**
+     * Rebuild orders (including cleaned-up ones) from their OrderCreated event
+     * and the events that closed them.
+     * @param {Object} [filter]
+     * @param {string} [filter.account] - Orders where the account is maker, designated taker or filler
+     * @returns {Object[]} Orders with `status`, `filledBy`, `createdEvent`, `closedEvent` and `cleanedUpEvent`
+     */
+    getIndexedOrders({ account } = {}) {
+        this._ensureLoaded();
+        const normalizedAccount = account ? String(account).toLowerCase() : null;
+        const orders = new Map();
+
+        for (const record of this.records) {
+            if (!Number.isInteger(record.orderId)) {
+                continue;
+            }
+
+            if (record.eventName === 'OrderCreated') {
+                orders.set(record.orderId, {
+                    id: record.orderId,
+                    maker: record.maker,
+                    taker: record.taker,
+                    sellToken: record.sellToken,
+                    sellAmount: record.sellAmount,
+                    buyToken: record.buyToken,
+                    buyAmount: record.buyAmount,
+                    feeToken: record.feeToken,
+                    orderCreationFee: record.orderCreationFee,
+                    timestamp: record.timestamp,
+                    status: 'Active',
+                    filledBy: null,
+                    createdEvent: record,
+                    closedEvent: null,
+                    cleanedUpEvent: null
+                });
+                continue;
+            }
+
+            const order = orders.get(record.orderId);
+            if (!order) {
+                continue;
+            }
+            if (record.eventName === 'OrderFilled') {
+                order.status = 'Filled';
+                order.filledBy = record.taker;
+                order.closedEvent = record;
+            } else if (record.eventName === 'OrderCanceled') {
+                order.status = 'Canceled';
+                order.closedEvent = record;
+            } else if (record.eventName === 'OrderCleanedUp') {
+                order.cleanedUpEvent = record;
+            }
+        }
+
+        const result = Array.from(orders.values());
+        if (!normalizedAccount) {
+            return result;
+        }
+        return result.filter((order) => (
+            order.maker === normalizedAccount
+            || order.taker === normalizedAccount
+            || order.filledBy === normalizedAccount
+        ));
+    }
+
+    getStatus() {
+        this._ensureLoaded();
+        return {
+            fromBlock: this.fromBlock,
+            lastIndexedBlock: this.lastIndexedBlock,
+            eventCount: this.records.length,
+            isSyncing: Boolean(this.syncPromise),
+            storageFailed: this.storageFailed,
+            historyLimited: this.historyLimited
+        };
+    }
+
+    subscribe(eventName, callback) {
+        if (!this.subscribers.has(eventName)) {
+            this.subscribers.set(eventName, new Set());
+        }
+        this.subscribers.get(eventName).add(callback);
+    }
+
+    unsubscribe(eventName, callback) {
+        if (this.subscribers.has(eventName)) {
+            this.subscribers.get(eventName).delete(callback);
+        }
+    }
+
+    notifySubscribers(eventName, data) {
+        const subscribers = this.subscribers.get(eventName);
+        if (!subscribers) {
+            return;
+        }
+        subscribers.forEach((callback) => {
+            try {
+                callback(data);
+            } catch (error) {
+                this.debug('Error in indexer subscriber callback:', error);
+            }
+        });
+    }
+
+    cleanup() {
+        if (this.catchUpTimer) {
+            clearTimeout(this.catchUpTimer);
+            this.catchUpTimer = null;
+        }
+        if (this.webSocket?.unsubscribe && this.liveEventHandler) {
+            LIVE_CATCH_UP_EVENTS.forEach((eventName) => {
+                this.webSocket.unsubscribe(eventName, this.liveEventHandler);
+            });
+        }
+        if (this.webSocket?.unsubscribe && this.fillValuationHandler) {
+            this.webSocket.unsubscribe('OrderFilled', this.fillValuationHandler);
+        }
+        this.liveEventHandler = null;
+        this.fillValuationHandler = null;
+        this.webSocket = null;
+        this.syncPromise = null;
+        this.loadedContextKey = null;
+        this.records = [];
+        this.recordKeys = new Set();
+        this.fromBlock = null;
+        this.lastIndexedBlock = null;
+        this.fillValuations = {};
+        this.pendingFillValuations = new Map();
+        this.lifecycleVersion++;
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * FilterPresetStore - Named order-table filter presets per tab and chain
+ *
+ * Presets hold the same state that order tables serialize into the URL
+ * (token filters, fillable toggle, sort, page size) and are keyed by chain
+ * and the table's state key, so each tab keeps its own list per network:
+ * token filters only mean something on the chain they were saved on.
+ */
+
+import { createLogger } from './LogService.js';
+import { normalizeTableState } from '../utils/tableUrlState.js';
+
+const logger = createLogger('FILTER_PRESET_STORE');
+const debug = logger.debug.bind(logger);
+
+// Storage configuration
+const STORAGE_KEY_PREFIX = 'orderTablePresets';
+const STORAGE_SCHEMA = 'v1';
+const MAX_PRESET_NAME_LENGTH = 60;
+
+function normalizePresetName(name) {
+    return String(name || '').trim().slice(0, MAX_PRESET_NAME_LENGTH);
+}
+
+class FilterPresetStore {
+    /**
+     * @param {string|number} chainId
+     * @param {string} tableKey
+     * @returns {string|null}
+     */
+    _getStorageKey(chainId, tableKey) {
+        if (chainId === null || chainId === undefined || chainId === '' || !tableKey) {
+            return null;
+        }
+        return `${STORAGE_KEY_PREFIX}:${STORAGE_SCHEMA}:${String(chainId).toLowerCase()}:${tableKey}`;
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @param {string} tableKey
+     * @returns {{ name: string, state: Object }[]} Presets sorted by name
+     */
+    list(chainId, tableKey) {
+        const key = this._getStorageKey(chainId, tableKey);
+        if (!key || typeof localStorage === 'undefined') {
+            return [];
+        }
+
+        try {
+            const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+            if (!Array.isArray(parsed)) {
+                return [];
+            }
+            return parsed
+                .filter((preset) => normalizePresetName(preset?.name))
+                .map((preset) => ({
+                    name: normalizePresetName(preset.name),
+                    state: normalizeTableState(preset.state)
+                }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (err) {
+            debug(`Failed to load filter presets for ${key}:`, err);
+            return [];
+        }
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @param {string} tableKey
+     * @param {string} name
+     * @returns {Object|null} Preset state
+     */
+    get(chainId, tableKey, name) {
+        const normalizedName = normalizePresetName(name);
+        return this.list(chainId, tableKey).find((preset) => preset.name === normalizedName)?.state || null;
+    }
+
+    /**
+     * Save a preset, replacing any preset with the same name.
+     * @param {string|number} chainId
+     * @param {string} tableKey
+     * @param {string} name
+     * @param {Object} state
+     * @returns {boolean} True when the preset was written
+     */
+    save(chainId, tableKey, name, state) {
+        const normalizedName = normalizePresetName(name);
+        if (!normalizedName) {
+            return false;
+        }
+        const presets = this.list(chainId, tableKey).filter((preset) => preset.name !== normalizedName);
+        presets.push({ name: normalizedName, state: normalizeTableState(state) });
+        return this._write(chainId, tableKey, presets);
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @param {string} tableKey
+     * @param {string} name
+     * @returns {boolean} True when a preset was removed
+     */
+    remove(chainId, tableKey, name) {
+        const normalizedName = normalizePresetName(name);
+        const presets = this.list(chainId, tableKey);
+        const remaining = presets.filter((preset) => preset.name !== normalizedName);
+        if (remaining.length === presets.length) {
+            return false;
+        }
+        return this._write(chainId, tableKey, remaining);
+    }
+
+    _write(chainId, tableKey, presets) {
+        const key = this._getStorageKey(chainId, tableKey);
+        if (!key || typeof localStorage === 'undefined') {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(key, JSON.stringify(presets));
+            return true;
+        } catch (err) {
+            debug(`Failed to persist filter presets for ${key}:`, err);
+            return false;
+        }
+    }
+}
+
+// Singleton instance
+export const filterPresetStore = new FilterPresetStore();
+
+// Also export class for testing
+export { FilterPresetStore };
+
+export default filterPresetStore;
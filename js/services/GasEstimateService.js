@@ -0,0 +1,172 @@
+import { getNetworkConfig } from '../config/networks.js';
+import { createLogger } from './LogService.js';
+
+const DEFAULT_NATIVE_DECIMALS = 18;
+// A slow price API should not hold back the wallet prompt.
+const PRICE_LOOKUP_TIMEOUT_MS = 2000;
+
+function toBigInt(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    return BigInt(value.toString());
+}
+
+function resolveWithin(promise, timeoutMs) {
+    return Promise.race([
+        promise,
+        new Promise(resolve => setTimeout(() => resolve(undefined), timeoutMs))
+    ]);
+}
+
+function formatNativeAmount(wei, decimals) {
+    const value = Number(wei) / 10 ** decimals;
+    if (value === 0) {
+        return '0';
+    }
+    if (value < 0.000001) {
+        return '<0.000001';
+    }
+    return value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+}
+
+function formatUsd(value) {
+    if (value < 0.01) {
+        return '<$0.01';
+    }
+    return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Price a gas limit with the provider's fee data.
+ *
+ * EIP-1559 networks are charged the base fee plus the priority tip, but the
+ * wallet must hold enough for `maxFeePerGas`; legacy networks pay `gasPrice`
+ * for both. Falls back to legacy pricing when the node reports no EIP-1559
+ * fields.
+ *
+ * @param {Object} params
+ * @param {bigint|string|Object} params.gasLimit
+ * @param {Object} params.feeData - `provider.getFeeData()` result
+ * @param {'eip1559'|'legacy'} [params.gasPricing]
+ * @returns {{ pricing: string, expectedCostWei: bigint, maxCostWei: bigint }|null}
+ */
+export function calculateGasCost({ gasLimit, feeData, gasPricing = 'legacy' }) {
+    const limit = toBigInt(gasLimit);
+    if (limit === null || !feeData) {
+        return null;
+    }
+
+    const maxFeePerGas = toBigInt(feeData.maxFeePerGas);
+    const priorityFeePerGas = toBigInt(feeData.maxPriorityFeePerGas);
+    const baseFeePerGas = toBigInt(feeData.lastBaseFeePerGas);
+    if (gasPricing === 'eip1559' && maxFeePerGas !== null && priorityFeePerGas !== null) {
+        const expectedFeePerGas = baseFeePerGas !== null
+            ? baseFeePerGas + priorityFeePerGas
+            : maxFeePerGas;
+        return {
+            pricing: 'eip1559',
+            expectedCostWei: limit * (expectedFeePerGas < maxFeePerGas ? expectedFeePerGas : maxFeePerGas),
+            maxCostWei: limit * maxFeePerGas
+        };
+    }
+
+    const gasPrice = toBigInt(feeData.gasPrice);
+    if (gasPrice === null) {
+        return null;
+    }
+    return {
+        pricing: 'legacy',
+        expectedCostWei: limit * gasPrice,
+        maxCostWei: limit * gasPrice
+    };
+}
+
+/**
+ * GasEstimateService - Network fee preview for write flows.
+ *
+ * Estimates the gas of a contract call, prices it for the active network,
+ * converts it to USD through the pricing service and checks it against the
+ * sender's native balance.
+ */
+export class GasEstimateService {
+    constructor() {
+        const logger = createLogger('GAS_ESTIMATE');
+        this.debug = logger.debug.bind(logger);
+        this.warn = logger.warn.bind(logger);
+    }
+
+    /**
+     * @param {Object} params
+     * @param {Object} params.contract - ethers Contract connected to the sender's signer
+     * @param {string} [params.method] - Function to estimate when no gasLimit is given
+     * @param {Array} [params.args]
+     * @param {Object} [params.gasLimit] - Gas limit the caller already estimated
+     * @param {Object} [params.pricing] - PricingService instance
+     * @returns {Promise<Object|null>} null when the call cannot be estimated
+     */
+    async estimateTransactionCost({ contract, method, args = [], gasLimit, pricing } = {}) {
+        const signer = contract?.signer;
+        const provider = signer?.provider || contract?.provider;
+        if (!provider) {
+            return null;
+        }
+
+        try {
+            const networkConfig = getNetworkConfig();
+            const [limit, feeData, balance, nativeUsdPrice] = await Promise.all([
+                gasLimit || contract.estimateGas[method](...args),
+                provider.getFeeData(),
+                signer?.getBalance ? signer.getBalance().catch(() => null) : null,
+                pricing?.getNativeCurrencyPrice
+                    ? resolveWithin(pricing.getNativeCurrencyPrice().catch(() => undefined), PRICE_LOOKUP_TIMEOUT_MS)
+                    : undefined
+            ]);
+
+            const cost = calculateGasCost({
+                gasLimit: limit,
+                feeData,
+                gasPricing: networkConfig?.gasPricing
+            });
+            if (!cost) {
+                return null;
+            }
+
+            const nativeDecimals = networkConfig?.nativeCurrency?.decimals ?? DEFAULT_NATIVE_DECIMALS;
+            const balanceWei = toBigInt(balance);
+            const expectedCostNative = Number(cost.expectedCostWei) / 10 ** nativeDecimals;
+            return {
+                ...cost,
+                gasLimit: toBigInt(limit),
+                nativeSymbol: networkConfig?.nativeCurrency?.symbol || 'ETH',
+                nativeDecimals,
+                expectedCostNative,
+                expectedCostUsd: Number.isFinite(nativeUsdPrice) && nativeUsdPrice > 0
+                    ? expectedCostNative * nativeUsdPrice
+                    : null,
+                balanceWei,
+                canCoverGas: balanceWei === null ? null : balanceWei >= cost.maxCostWei
+            };
+        } catch (error) {
+            this.debug('Gas estimate unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * @param {Object} estimate - Result of estimateTransactionCost
+     * @returns {{ text: string, warning: string }}
+     */
+    describeEstimate(estimate) {
+        const { nativeSymbol, nativeDecimals } = estimate;
+        const usd = estimate.expectedCostUsd === null ? '' : ` (~${formatUsd(estimate.expectedCostUsd)})`;
+        const text = `Network fee: ~${formatNativeAmount(estimate.expectedCostWei, nativeDecimals)} ${nativeSymbol}${usd}`;
+        const warning = estimate.canCoverGas === false
+            ? `Your ${formatNativeAmount(estimate.balanceWei, nativeDecimals)} ${nativeSymbol} balance may not cover `
+                + `the network fee of up to ${formatNativeAmount(estimate.maxCostWei, nativeDecimals)} ${nativeSymbol}.`
+            : '';
+        return { text, warning };
+    }
+}
+
+export const gasEstimateService = new GasEstimateService();
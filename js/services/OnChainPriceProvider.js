@@ -0,0 +1,189 @@
+/**
+ * OnChainPriceProvider - USD prices from DEX pool state
+ *
+ * Reads V2 reserves and V3 slot0 for the pools in the active network's
+ * `priceOracle` config through Multicall, then routes the spot prices to USD
+ * through its stablecoins. Listed after the HTTP providers so prices keep
+ * coming when those APIs rate-limit us.
+ *
+ * Only pool-derived prices are returned. The stablecoins are assumed to be
+ * $1 for routing, so quoting them here would outvote a real depeg reported
+ * by the other providers.
+ */
+
+import { ethers } from 'ethers';
+import { erc20Abi } from '../abi/erc20.js';
+import { derivePoolUsdPrices, getV2SpotPrice, getV3SpotPrice } from '../utils/poolPricing.js';
+import { createLogger } from './LogService.js';
+import { tryAggregate as multicallTryAggregate } from './MulticallService.js';
+
+const logger = createLogger('ONCHAIN_PRICES');
+const debug = logger.debug.bind(logger);
+const warn = logger.warn.bind(logger);
+
+const POOL_ABI = [
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)'
+];
+
+// Pool tokens never change, so they are read once per pool.
+// Key: `${chainId}:${poolAddress}` -> { token0, token1, decimals0, decimals1 }
+const poolTokenCache = new Map();
+
+let interfaces = null;
+function getInterfaces() {
+    if (!interfaces) {
+        interfaces = {
+            pool: new ethers.utils.Interface(POOL_ABI),
+            erc20: new ethers.utils.Interface(erc20Abi)
+        };
+    }
+    return interfaces;
+}
+
+function getPoolCacheKey(chainId, pool) {
+    return `${chainId}:${pool.address.toLowerCase()}`;
+}
+
+function toBigInt(value) {
+    return BigInt(value.toString());
+}
+
+async function loadPoolTokens(pools, chainId) {
+    const uncachedPools = pools.filter(pool => !poolTokenCache.has(getPoolCacheKey(chainId, pool)));
+    if (uncachedPools.length === 0) {
+        return;
+    }
+
+    const { pool: poolInterface, erc20 } = getInterfaces();
+    const tokenResults = await multicallTryAggregate(uncachedPools.flatMap(pool => [
+        { target: pool.address, callData: poolInterface.encodeFunctionData('token0', []) },
+        { target: pool.address, callData: poolInterface.encodeFunctionData('token1', []) }
+    ]));
+    if (!tokenResults) {
+        debug('Multicall unavailable; skipping pool token lookup');
+        return;
+    }
+
+    const poolTokens = uncachedPools.map((pool, index) => {
+        const [token0Result, token1Result] = [tokenResults[2 * index], tokenResults[2 * index + 1]];
+        if (!token0Result?.success || !token1Result?.success) {
+            warn(`Could not read tokens for price pool ${pool.address}`);
+            return null;
+        }
+        return {
+            pool,
+            token0: poolInterface.decodeFunctionResult('token0', token0Result.returnData)[0].toLowerCase(),
+            token1: poolInterface.decodeFunctionResult('token1', token1Result.returnData)[0].toLowerCase()
+        };
+    }).filter(Boolean);
+
+    const tokens = [...new Set(poolTokens.flatMap(({ token0, token1 }) => [token0, token1]))];
+    const decimalsResults = await multicallTryAggregate(tokens.map(token => ({
+        target: token,
+        callData: erc20.encodeFunctionData('decimals', [])
+    })));
+    if (!decimalsResults) {
+        return;
+    }
+
+    const decimals = new Map();
+    tokens.forEach((token, index) => {
+        const result = decimalsResults[index];
+        if (result?.success) {
+            decimals.set(token, Number(erc20.decodeFunctionResult('decimals', result.returnData)[0]));
+        }
+    });
+
+    for (const { pool, token0, token1 } of poolTokens) {
+        if (decimals.has(token0) && decimals.has(token1)) {
+            poolTokenCache.set(getPoolCacheKey(chainId, pool), {
+                token0,
+                token1,
+                decimals0: decimals.get(token0),
+                decimals1: decimals.get(token1)
+            });
+        }
+    }
+}
+
+function readPoolPrice(pool, tokens, returnData) {
+    const { pool: poolInterface } = getInterfaces();
+    const { token0, token1, decimals0, decimals1 } = tokens;
+
+    if (pool.type === 'v3') {
+        const { sqrtPriceX96 } = poolInterface.decodeFunctionResult('slot0', returnData);
+        return { token0, token1, price: getV3SpotPrice(toBigInt(sqrtPriceX96), decimals0, decimals1) };
+    }
+
+    const { reserve0, reserve1 } = poolInterface.decodeFunctionResult('getReserves', returnData);
+    const [rawReserve0, rawReserve1] = [toBigInt(reserve0), toBigInt(reserve1)];
+    return {
+        token0,
+        token1,
+        price: getV2SpotPrice(rawReserve0, rawReserve1, decimals0, decimals1),
+        liquidity: [Number(rawReserve0) / 10 ** decimals0, Number(rawReserve1) / 10 ** decimals1]
+    };
+}
+
+async function readPoolPrices(pools, chainId) {
+    const readablePools = pools
+        .map(pool => ({ pool, tokens: poolTokenCache.get(getPoolCacheKey(chainId, pool)) }))
+        .filter(({ tokens }) => tokens);
+    if (readablePools.length === 0) {
+        return [];
+    }
+
+    const { pool: poolInterface } = getInterfaces();
+    const results = await multicallTryAggregate(readablePools.map(({ pool }) => ({
+        target: pool.address,
+        callData: poolInterface.encodeFunctionData(pool.type === 'v3' ? 'slot0' : 'getReserves', [])
+    })));
+    if (!results) {
+        return [];
+    }
+
+    return readablePools.map(({ pool, tokens }, index) => {
+        const result = results[index];
+        if (!result?.success) {
+            return null;
+        }
+        try {
+            return readPoolPrice(pool, tokens, result.returnData);
+        } catch (error) {
+            warn(`Could not decode state for price pool ${pool.address}`, error);
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/** @type {import('./PriceProviders.js').PriceProvider} */
+export const onChainPoolProvider = {
+    id: 'onchain',
+    name: 'On-chain pools',
+    chainIds: null,
+    batchSize: 100,
+    // One Multicall read against our own RPC, not a public API.
+    rateLimitMs: 0,
+    async fetchPrices(addresses, { networkConfig, chainId }) {
+        const prices = new Map();
+        const oracle = networkConfig?.priceOracle;
+        if (!oracle?.pools?.length) {
+            return prices;
+        }
+
+        await loadPoolTokens(oracle.pools, chainId);
+        const poolPrices = derivePoolUsdPrices(
+            await readPoolPrices(oracle.pools, chainId),
+            oracle.stablecoins || []
+        );
+        for (const address of addresses) {
+            if (poolPrices.has(address)) {
+                prices.set(address, poolPrices.get(address));
+            }
+        }
+        return prices;
+    }
+};
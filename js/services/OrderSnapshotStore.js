@@ -0,0 +1,211 @@
+/**
+ * OrderSnapshotStore - Persisted order-book snapshot per chain + contract
+ *
+ * Lets WebSocketService hydrate the order cache instantly on startup and
+ * then catch up incrementally instead of re-reading every order slot:
+ * - new order ids are fetched from the stored nextOrderId onwards
+ * - status changes are replayed from OrderFilled/OrderCanceled/OrderCleanedUp
+ *   logs emitted after the stored lastSyncedBlock
+ *
+ * The contract's ORDER_EXPIRY and GRACE_PERIOD are stored alongside so
+ * order timings can be rebuilt before any RPC read.
+ *
+ * Entries are keyed by `${chainId}:${contractAddress}` so a redeploy or
+ * network switch never reuses another contract's orders. BigNumber fields
+ * are stored as decimal strings; callers rehydrate them.
+ */
+
+import { createLogger } from './LogService.js';
+
+const logger = createLogger('ORDER_SNAPSHOT_STORE');
+const debug = logger.debug.bind(logger);
+
+// Storage configuration
+const STORAGE_KEY_PREFIX = 'orderSnapshot';
+const STORAGE_SCHEMA = 'v1';
+const SNAPSHOT_TTL_MS = 14 * 24 * 60 * 60 * 1000; // 14 days; older snapshots trigger a full sync
+
+const AMOUNT_FIELDS = ['sellAmount', 'buyAmount', 'orderCreationFee', 'filledSellAmount'];
+
+function toAmountString(value) {
+    if (value === null || value === undefined) {
+        return '0';
+    }
+    return value?.toString?.() ?? String(value);
+}
+
+function toOptionalSeconds(value) {
+    const seconds = Number(value?.toString?.() ?? value);
+    return value !== null && value !== undefined && Number.isFinite(seconds) && seconds >= 0 ? seconds : null;
+}
+
+/**
+ * Reduce a cached order to the JSON-safe fields needed to rebuild it.
+ * Derived data (timings, dealMetrics) is recomputed after hydration.
+ * @param {Object} order
+ * @returns {Object}
+ */
+export function serializeSnapshotOrder(order) {
+    const serialized = {
+        id: Number(order.id),
+        maker: order.maker,
+        taker: order.taker,
+        sellToken: order.sellToken,
+        buyToken: order.buyToken,
+        timestamp: Number(order.timestamp) || 0,
+        status: order.status,
+        feeToken: order.feeToken
+    };
+    AMOUNT_FIELDS.forEach((field) => {
+        serialized[field] = toAmountString(order[field]);
+    });
+    return serialized;
+}
+
+class OrderSnapshotStore {
+    /**
+     * @param {string|number} chainId
+     * @param {string} contractAddress
+     * @returns {string|null}
+     */
+    _getStorageKey(chainId, contractAddress) {
+        if (chainId === null || chainId === undefined || !contractAddress) {
+            return null;
+        }
+        return `${STORAGE_KEY_PREFIX}:${STORAGE_SCHEMA}:${String(chainId).toLowerCase()}:${String(contractAddress).toLowerCase()}`;
+    }
+
+    /**
+     * Load a persisted snapshot.
+     * @param {string|number} chainId
+     * @param {string} contractAddress
+     * @returns {{
+     *   firstOrderId: number,
+     *   nextOrderId: number,
+     *   lastSyncedBlock: number,
+     *   orderExpiry: number|null,
+     *   gracePeriod: number|null,
+     *   orders: Object[],
+     *   ts: number
+     * }|null}
+     */
+    load(chainId, contractAddress) {
+        const key = this._getStorageKey(chainId, contractAddress);
+        if (!key || typeof localStorage === 'undefined') {
+            return null;
+        }
+
+        try {
+            const raw = localStorage.getItem(key);
+            if (!raw) {
+                return null;
+            }
+
+            const parsed = JSON.parse(raw);
+            if (!parsed || typeof parsed !== 'object' || typeof parsed.ts !== 'number') {
+                return null;
+            }
+            if ((Date.now() - parsed.ts) >= SNAPSHOT_TTL_MS) {
+                debug(`Ignoring expired order snapshot for ${key}`);
+                return null;
+            }
+
+            const lastSyncedBlock = Number(parsed.lastSyncedBlock);
+            const nextOrderId = Number(parsed.nextOrderId);
+            if (!Number.isInteger(lastSyncedBlock) || lastSyncedBlock < 0
+                || !Number.isInteger(nextOrderId) || nextOrderId < 0
+                || !Array.isArray(parsed.orders)) {
+                return null;
+            }
+
+            const orders = parsed.orders.filter((order) => (
+                order
+                && Number.isInteger(Number(order.id))
+                && order.maker
+                && order.sellToken
+                && order.buyToken
+            ));
+
+            debug(`Loaded ${orders.length} orders from snapshot ${key} (block ${lastSyncedBlock})`);
+            return {
+                firstOrderId: Math.max(0, Number(parsed.firstOrderId) || 0),
+                nextOrderId,
+                lastSyncedBlock,
+                orderExpiry: toOptionalSeconds(parsed.orderExpiry),
+                gracePeriod: toOptionalSeconds(parsed.gracePeriod),
+                orders,
+                ts: parsed.ts
+            };
+        } catch (err) {
+            debug(`Failed to load order snapshot for ${key}:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Persist a snapshot.
+     * @param {string|number} chainId
+     * @param {string} contractAddress
+     * @param {{
+     *   firstOrderId: number,
+     *   nextOrderId: number,
+     *   lastSyncedBlock: number,
+     *   orderExpiry?: number|Object,
+     *   gracePeriod?: number|Object,
+     *   orders: Iterable<Object>
+     * }} snapshot - orderExpiry/gracePeriod may be BigNumbers
+     * @returns {boolean} True when the snapshot was written
+     */
+    save(chainId, contractAddress, { firstOrderId, nextOrderId, lastSyncedBlock, orderExpiry, gracePeriod, orders }) {
+        const key = this._getStorageKey(chainId, contractAddress);
+        if (!key || typeof localStorage === 'undefined') {
+            return false;
+        }
+        if (!Number.isInteger(Number(lastSyncedBlock)) || !Number.isInteger(Number(nextOrderId))) {
+            return false;
+        }
+
+        try {
+            const payload = {
+                firstOrderId: Math.max(0, Number(firstOrderId) || 0),
+                nextOrderId: Number(nextOrderId),
+                lastSyncedBlock: Number(lastSyncedBlock),
+                orderExpiry: toOptionalSeconds(orderExpiry),
+                gracePeriod: toOptionalSeconds(gracePeriod),
+                orders: Array.from(orders || []).map(serializeSnapshotOrder),
+                ts: Date.now()
+            };
+            localStorage.setItem(key, JSON.stringify(payload));
+            return true;
+        } catch (err) {
+            debug(`Failed to persist order snapshot for ${key}:`, err);
+            return false;
+        }
+    }
+
+    /**
+     * Drop a persisted snapshot (e.g. after it proved inconsistent).
+     * @param {string|number} chainId
+     * @param {string} contractAddress
+     */
+    clear(chainId, contractAddress) {
+        const key = this._getStorageKey(chainId, contractAddress);
+        if (!key || typeof localStorage === 'undefined') {
+            return;
+        }
+
+        try {
+            localStorage.removeItem(key);
+        } catch (err) {
+            debug(`Failed to clear order snapshot for ${key}:`, err);
+        }
+    }
+}
+
+// Singleton instance
+export const orderSnapshotStore = new OrderSnapshotStore();
+
+// Also export class for testing
+export { OrderSnapshotStore };
+
+export default orderSnapshotStore;
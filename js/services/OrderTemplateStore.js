@@ -0,0 +1,234 @@
+/**
+ * OrderTemplateStore - Named CreateOrder form templates per chain
+ *
+ * A template holds the sell/buy tokens, the sell amount, the taker and either
+ * a fixed buy amount or a USD price per sell token (`sellPriceUsd`). Pegged
+ * templates derive the buy amount from the buy token's USD price when they
+ * are applied. Token addresses only mean something on one chain, so each
+ * chain keeps its own list and exports are tagged with their chain.
+ */
+
+import { createLogger } from './LogService.js';
+
+const logger = createLogger('ORDER_TEMPLATE_STORE');
+const debug = logger.debug.bind(logger);
+
+// Storage configuration
+const STORAGE_KEY_PREFIX = 'orderTemplates';
+const STORAGE_SCHEMA = 'v1';
+const EXPORT_VERSION = 1;
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const AMOUNT_PATTERN = /^(?:\d+(?:\.\d*)?|\.\d+)$/;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+function normalizeTemplateName(name) {
+    return String(name || '').trim().slice(0, MAX_TEMPLATE_NAME_LENGTH);
+}
+
+function normalizeAmount(value) {
+    const amount = String(value ?? '').trim();
+    return AMOUNT_PATTERN.test(amount) && Number(amount) > 0 ? amount : '';
+}
+
+/**
+ * @param {Object} template
+ * @returns {Object|null} Normalized template, or null when it cannot be used
+ */
+export function normalizeOrderTemplate(template) {
+    const name = normalizeTemplateName(template?.name);
+    const sellToken = String(template?.sellToken || '').toLowerCase();
+    const buyToken = String(template?.buyToken || '').toLowerCase();
+    const sellAmount = normalizeAmount(template?.sellAmount);
+    const buyAmount = normalizeAmount(template?.buyAmount);
+    const sellPriceUsd = Number(template?.sellPriceUsd);
+    const hasUsdPeg = template?.sellPriceUsd !== null
+        && template?.sellPriceUsd !== undefined
+        && Number.isFinite(sellPriceUsd)
+        && sellPriceUsd > 0;
+    const taker = String(template?.taker || '').toLowerCase();
+
+    if (!name || !ADDRESS_PATTERN.test(sellToken) || !ADDRESS_PATTERN.test(buyToken) || sellToken === buyToken) {
+        return null;
+    }
+    if (!sellAmount || (!buyAmount && !hasUsdPeg)) {
+        return null;
+    }
+    if (taker && !ADDRESS_PATTERN.test(taker)) {
+        return null;
+    }
+
+    return {
+        name,
+        sellToken,
+        buyToken,
+        sellAmount,
+        buyAmount: hasUsdPeg ? '' : buyAmount,
+        sellPriceUsd: hasUsdPeg ? sellPriceUsd : null,
+        taker: taker === ZERO_ADDRESS ? '' : taker
+    };
+}
+
+/**
+ * Buy amount of a USD-pegged template at the buy token's current price.
+ * @param {Object} template
+ * @param {number|undefined} buyTokenUsdPrice
+ * @returns {number|null} null when the template is not pegged or the price is missing
+ */
+export function getPeggedBuyAmount(template, buyTokenUsdPrice) {
+    const price = Number(buyTokenUsdPrice);
+    if (!template?.sellPriceUsd || !Number.isFinite(price) || price <= 0) {
+        return null;
+    }
+    return (Number(template.sellAmount) * template.sellPriceUsd) / price;
+}
+
+class OrderTemplateStore {
+    /**
+     * @param {string|number} chainId
+     * @returns {string|null}
+     */
+    _getStorageKey(chainId) {
+        if (chainId === null || chainId === undefined || chainId === '') {
+            return null;
+        }
+        return `${STORAGE_KEY_PREFIX}:${STORAGE_SCHEMA}:${String(chainId).toLowerCase()}`;
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @returns {Object[]} Templates sorted by name
+     */
+    list(chainId) {
+        const key = this._getStorageKey(chainId);
+        if (!key || typeof localStorage === 'undefined') {
+            return [];
+        }
+
+        try {
+            const parsed = JSON.parse(localStorage.getItem(key) || '[]');
+            if (!Array.isArray(parsed)) {
+                return [];
+            }
+            return parsed
+                .map(normalizeOrderTemplate)
+                .filter(Boolean)
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (err) {
+            debug(`Failed to load order templates for ${key}:`, err);
+            return [];
+        }
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    get(chainId, name) {
+        const normalizedName = normalizeTemplateName(name);
+        return this.list(chainId).find((template) => template.name === normalizedName) || null;
+    }
+
+    /**
+     * Save a template, replacing any template with the same name.
+     * @param {string|number} chainId
+     * @param {Object} template
+     * @returns {boolean} True when the template was written
+     */
+    save(chainId, template) {
+        const normalized = normalizeOrderTemplate(template);
+        if (!normalized) {
+            return false;
+        }
+        const templates = this.list(chainId).filter((existing) => existing.name !== normalized.name);
+        templates.push(normalized);
+        return this._write(chainId, templates);
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @param {string} name
+     * @returns {boolean} True when a template was removed
+     */
+    remove(chainId, name) {
+        const normalizedName = normalizeTemplateName(name);
+        const templates = this.list(chainId);
+        const remaining = templates.filter((template) => template.name !== normalizedName);
+        if (remaining.length === templates.length) {
+            return false;
+        }
+        return this._write(chainId, remaining);
+    }
+
+    /**
+     * @param {string|number} chainId
+     * @returns {string} JSON document for `importJson`
+     */
+    exportJson(chainId) {
+        return JSON.stringify({
+            version: EXPORT_VERSION,
+            chainId: String(chainId).toLowerCase(),
+            templates: this.list(chainId)
+        }, null, 2);
+    }
+
+    /**
+     * Merge an exported document into the chain's templates. Templates with
+     * an existing name replace it.
+     * @param {string|number} chainId
+     * @param {string} json
+     * @returns {{ imported: number, skipped: number }}
+     * @throws {Error} When the document is unreadable or from another chain
+     */
+    importJson(chainId, json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (_) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!parsed || !Array.isArray(parsed.templates)) {
+            throw new Error('The file does not contain order templates.');
+        }
+        if (parsed.chainId !== undefined && String(parsed.chainId).toLowerCase() !== String(chainId).toLowerCase()) {
+            throw new Error(`The templates were exported on chain ${parsed.chainId}, not the connected network.`);
+        }
+
+        const incoming = new Map();
+        parsed.templates.map(normalizeOrderTemplate).filter(Boolean).forEach((template) => {
+            incoming.set(template.name, template);
+        });
+        const templates = this.list(chainId)
+            .filter((template) => !incoming.has(template.name))
+            .concat([...incoming.values()]);
+        if (incoming.size > 0 && !this._write(chainId, templates)) {
+            throw new Error('Could not save the templates in this browser.');
+        }
+        return { imported: incoming.size, skipped: parsed.templates.length - incoming.size };
+    }
+
+    _write(chainId, templates) {
+        const key = this._getStorageKey(chainId);
+        if (!key || typeof localStorage === 'undefined') {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(key, JSON.stringify(templates));
+            return true;
+        } catch (err) {
+            debug(`Failed to persist order templates for ${key}:`, err);
+            return false;
+        }
+    }
+}
+
+// Singleton instance
+export const orderTemplateStore = new OrderTemplateStore();
+
+// Also export class for testing
+export { OrderTemplateStore };
+
+export default orderTemplateStore;
@@ -1,12 +1,16 @@
-import { ContractError, CONTRACT_ERRORS } from '../errors/ContractErrors.js';
+import { ContractError, formatContractError, simulateContractCall, SIMULATION_STATUS } from '../errors/ContractErrors.js';
 import { ethers } from 'ethers';
 import { getNetworkConfig } from '../config/networks.js';
 import { tokenIconService } from './TokenIconService.js';
 import { generateTokenIconHTML } from '../utils/tokenIcons.js';
 import { createLogger } from './LogService.js';
 import { erc20Abi } from '../abi/erc20.js';
-import { getOrderStatusText } from '../utils/orderUtils.js';
+import { formatAddress, formatTimestamp, getOrderStatusText, getTransactionExplorerUrl } from '../utils/orderUtils.js';
+import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
+import { buildPastOrders } from '../utils/tradeHistory.js';
+import { escapeHtml } from '../utils/html.js';
 import { createTransactionProgressSession } from '../utils/transactionProgress.js';
+import { getProRataBuyAmount, getRemainingSellAmount } from '../utils/partialFills.js';
 import {
     extractTransactionErrorMessage,
     handleTransactionError,
@@ -21,6 +25,7 @@ import {
  * - Error handling
  * - Token icon rendering
  * - WebSocket event subscriptions
+ * - Past orders rebuilt from the event index (MyOrders, TakerOrders)
  */
 export class OrdersComponentHelper {
     constructor(component) {
@@ -32,6 +37,8 @@ export class OrdersComponentHelper {
         this.fillProgressSession = null;
         this.fillProgressOrderId = null;
         this.fillProgressVisibilityCleanup = null;
+        this.pastOrdersIndexer = null;
+        this.pastOrdersUpdateHandler = null;
     }
 
     hasTrackedFillProgress(orderId) {
@@ -71,19 +78,73 @@ export class OrdersComponentHelper {
         button.onclick = () => this.fillOrder(progressState.normalizedOrderId);
     }
 
+    /**
+     * Read the fill amount typed into a row's `.fill-amount-input`, if any.
+     * @param {number} orderId
+     * @returns {string|null} Trimmed decimal string, or null for "fill the rest"
+     */
+    readFillAmountInput(orderId) {
+        const input = this.component.container?.querySelector(
+            `.fill-amount-input[data-order-id="${orderId}"]`
+        );
+        const value = input?.value?.trim();
+        return value ? value : null;
+    }
+
+    /**
+     * Resolve how much of the order's sell token a partial fill takes.
+     * An empty amount fills whatever remains.
+     * @param {Object} currentOrder - On-chain `orders()` result
+     * @param {string|null} requestedAmount - Decimal amount in sell token units
+     * @param {number} sellTokenDecimals
+     * @returns {ethers.BigNumber}
+     */
+    resolvePartialFillAmount(currentOrder, requestedAmount, sellTokenDecimals) {
+        const remaining = ethers.BigNumber.from(getRemainingSellAmount(currentOrder).toString());
+        if (remaining.lte(0)) {
+            throw new Error('Order has nothing left to fill');
+        }
+        if (!requestedAmount) {
+            return remaining;
+        }
+
+        let amount;
+        try {
+            amount = ethers.utils.parseUnits(requestedAmount, sellTokenDecimals);
+        } catch (_) {
+            throw new Error(`Invalid fill amount: ${requestedAmount}`);
+        }
+        if (amount.lte(0)) {
+            throw new Error('Fill amount must be greater than zero');
+        }
+        if (amount.gt(remaining)) {
+            throw new Error(
+                `Fill amount exceeds the remaining ${ethers.utils.formatUnits(remaining, sellTokenDecimals)}`
+            );
+        }
+        return amount;
+    }
+
     syncFillProgressButtons() {
         const buttons = this.component.container.querySelectorAll('.fill-button[data-order-id]');
         buttons.forEach(button => this.configureFillButton(button, button.dataset.orderId));
     }
 
+    /**
+     * Track the in-flight fill checklist. Batch fills pass a null orderId so
+     * no single row claims the session and every Fill button stays disabled.
+     */
     setFillProgressSession(session, orderId) {
         if (this.fillProgressVisibilityCleanup) {
             this.fillProgressVisibilityCleanup();
             this.fillProgressVisibilityCleanup = null;
         }
 
+        const trackedOrderId = session && orderId !== null && orderId !== undefined
+            ? Number(orderId)
+            : null;
         this.fillProgressSession = session || null;
-        this.fillProgressOrderId = session ? Number(orderId) : null;
+        this.fillProgressOrderId = trackedOrderId;
 
         if (!session) {
             this.syncFillProgressButtons();
@@ -91,7 +152,7 @@ export class OrdersComponentHelper {
         }
 
         this.fillProgressVisibilityCleanup = session.onVisibilityChange(({ hidden, active }) => {
-            if (this.fillProgressSession !== session || this.fillProgressOrderId !== Number(orderId)) {
+            if (this.fillProgressSession !== session || this.fillProgressOrderId !== trackedOrderId) {
                 return;
             }
 
@@ -197,22 +258,7 @@ export class OrdersComponentHelper {
             let userMessage = 'An error occurred';
             
             if (error instanceof ContractError) {
-                switch(error.code) {
-                    case CONTRACT_ERRORS.INVALID_ORDER.code:
-                        userMessage = 'This order no longer exists';
-                        break;
-                    case CONTRACT_ERRORS.INSUFFICIENT_ALLOWANCE.code:
-                        userMessage = 'Please approve tokens before proceeding';
-                        break;
-                    case CONTRACT_ERRORS.UNAUTHORIZED.code:
-                        userMessage = 'You are not authorized to perform this action';
-                        break;
-                    case CONTRACT_ERRORS.EXPIRED_ORDER.code:
-                        userMessage = 'This order has expired';
-                        break;
-                    default:
-                        userMessage = error.message;
-                }
+                userMessage = formatContractError(error);
             }
 
             this.component.showError(userMessage);
@@ -410,6 +456,38 @@ export class OrdersComponentHelper {
         }
     }
 
+    /**
+     * Check wallet readiness and return a signer for a fill, or null when the
+     * user declined a required network switch.
+     * @param {string} actionLabel - Used in wallet readiness prompts
+     * @returns {Promise<ethers.Signer|null>}
+     */
+    async resolveFillSigner(actionLabel) {
+        const provider = this.component.provider;
+        if (!provider) {
+            throw new Error('No injected wallet detected. Please install or unlock a wallet to take orders.');
+        }
+
+        const wallet = this.component.ctx.getWallet();
+        const connectedAccount = wallet?.getAccount();
+        if (!connectedAccount) {
+            throw new Error('Please sign in to fill order');
+        }
+
+        if (!await this.component.ensureWalletReadyForWrite(actionLabel)) {
+            return null;
+        }
+
+        let signer;
+        try {
+            signer = provider.getSigner();
+            await signer.getAddress();
+        } catch (_) {
+            throw new Error('Please sign in to fill order');
+        }
+        return signer;
+    }
+
     /**
      * Fill an active OTC order for the connected account.
      *
@@ -423,11 +501,18 @@ export class OrdersComponentHelper {
      * - Shows success/error toasts
      * - Refreshes the owning component's orders view on success
      *
+     * On contracts that support partial fills, only `options.sellAmount` (or
+     * the row's fill-amount input) of the order's sell token is taken, and the
+     * buy side is charged pro rata.
+     *
      * @param {number|string} orderId - Order id to fill
+     * @param {Object} [options]
+     * @param {string} [options.sellAmount] - Decimal sell-token amount to take
      * @returns {Promise<void>}
      */
-    async fillOrder(orderId) {
+    async fillOrder(orderId, options = {}) {
         const normalizedOrderId = Number(orderId);
+        const requestedFillAmount = options.sellAmount ?? this.readFillAmountInput(normalizedOrderId);
 
         if (this.fillProgressSession) {
             if (this.fillProgressOrderId === normalizedOrderId && this.fillProgressSession.isHidden()) {
@@ -452,29 +537,11 @@ export class OrdersComponentHelper {
 
         try {
             // Validate wallet/signer readiness before any contract calls.
-            const provider = this.component.provider;
-            if (!provider) {
-                throw new Error('No injected wallet detected. Please install or unlock a wallet to take orders.');
-            }
-
-            const wallet = this.component.ctx.getWallet();
-            const connectedAccount = wallet?.getAccount();
-            if (!connectedAccount) {
-                throw new Error('Please sign in to fill order');
-            }
-
-            if (!await this.component.ensureWalletReadyForWrite(`fill order #${normalizedOrderId}`)) {
+            const signer = await this.resolveFillSigner(`fill order #${normalizedOrderId}`);
+            if (!signer) {
                 return;
             }
 
-            let signer;
-            try {
-                signer = provider.getSigner();
-                await signer.getAddress();
-            } catch (_) {
-                throw new Error('Please sign in to fill order');
-            }
-
             if (button) {
                 button.disabled = true;
                 button.textContent = 'Filling...';
@@ -522,6 +589,23 @@ export class OrdersComponentHelper {
             const sellToken = new ethers.Contract(order.sellToken, erc20Abi, signer);
             const currentAccount = await signer.getAddress();
 
+            // Partial fills take a slice of the sell side and owe a pro-rata
+            // slice of the buy side; legacy fills always take the whole order.
+            const isPartialFillContract = ws.supportsPartialFills(contract);
+            let fillSellAmount = null;
+            let requiredSellAmount = order.sellAmount;
+            let requiredBuyAmount = order.buyAmount;
+            if (isPartialFillContract) {
+                const sellTokenDecimals = await sellToken.decimals();
+                fillSellAmount = this.resolvePartialFillAmount(currentOrder, requestedFillAmount, sellTokenDecimals);
+                requiredSellAmount = fillSellAmount;
+                requiredBuyAmount = ethers.BigNumber.from(
+                    getProRataBuyAmount(currentOrder, fillSellAmount).toString()
+                );
+            }
+            const isCompleteFill = !isPartialFillContract
+                || fillSellAmount.eq(getRemainingSellAmount(currentOrder).toString());
+
             const [buyTokenDecimals, buyTokenSymbol, buyTokenBalance] = await Promise.all([
                 buyToken.decimals(),
                 buyToken.symbol(),
@@ -530,12 +614,12 @@ export class OrdersComponentHelper {
 
             this.debug('Buy token balance:', {
                 balance: buyTokenBalance.toString(),
-                required: order.buyAmount.toString()
+                required: requiredBuyAmount.toString()
             });
 
-            if (buyTokenBalance.lt(order.buyAmount)) {
+            if (buyTokenBalance.lt(requiredBuyAmount)) {
                 const formattedBalance = ethers.utils.formatUnits(buyTokenBalance, buyTokenDecimals);
-                const formattedRequired = ethers.utils.formatUnits(order.buyAmount, buyTokenDecimals);
+                const formattedRequired = ethers.utils.formatUnits(requiredBuyAmount, buyTokenDecimals);
 
                 throw new Error(
                     `Insufficient ${buyTokenSymbol} balance.\n` +
@@ -547,23 +631,23 @@ export class OrdersComponentHelper {
             const buyTokenAllowance = await buyToken.allowance(currentAccount, contract.address);
             this.debug('Buy token allowance:', {
                 current: buyTokenAllowance.toString(),
-                required: order.buyAmount.toString()
+                required: requiredBuyAmount.toString()
             });
 
             // Ensure contract still holds maker-side sell liquidity.
             const contractSellBalance = await sellToken.balanceOf(contract.address);
             this.debug('Contract sell token balance:', {
                 balance: contractSellBalance.toString(),
-                required: order.sellAmount.toString()
+                required: requiredSellAmount.toString()
             });
 
-            if (contractSellBalance.lt(order.sellAmount)) {
+            if (contractSellBalance.lt(requiredSellAmount)) {
                 const [sellTokenSymbol, sellTokenDecimals] = await Promise.all([
                     sellToken.symbol(),
                     sellToken.decimals()
                 ]);
                 const formattedBalance = ethers.utils.formatUnits(contractSellBalance, sellTokenDecimals);
-                const formattedRequired = ethers.utils.formatUnits(order.sellAmount, sellTokenDecimals);
+                const formattedRequired = ethers.utils.formatUnits(requiredSellAmount, sellTokenDecimals);
 
                 throw new Error(
                     `Contract has insufficient ${sellTokenSymbol} balance.\n` +
@@ -572,7 +656,7 @@ export class OrdersComponentHelper {
                 );
             }
 
-            const approvalNeeded = buyTokenAllowance.lt(order.buyAmount);
+            const approvalNeeded = buyTokenAllowance.lt(requiredBuyAmount);
             progressToast = createTransactionProgressSession(this.component.ctx.toast, {
                 title: `Filling Order #${normalizedOrderId}`,
                 successTitle: 'Order Filled',
@@ -586,6 +670,7 @@ export class OrdersComponentHelper {
                         status: approvalNeeded ? 'pending' : 'completed',
                         detail: approvalNeeded ? '' : 'Already approved',
                     },
+                    { id: 'simulate-fill-order', label: 'Simulate fill', status: 'pending' },
                     { id: 'submit-fill-order', label: 'Submit fill order', status: 'pending' },
                     { id: 'confirm-fill-order', label: 'Confirm fill on-chain', status: 'pending' },
                 ],
@@ -599,7 +684,7 @@ export class OrdersComponentHelper {
                         status: 'active',
                         detail: 'Confirm in wallet',
                     });
-                    const approveTx = await buyToken.approve(contract.address, order.buyAmount);
+                    const approveTx = await buyToken.approve(contract.address, requiredBuyAmount);
                     progressToast.updateStep('approve-buy-token', {
                         status: 'active',
                         detail: 'Waiting for confirmation',
@@ -630,11 +715,49 @@ export class OrdersComponentHelper {
                 }
             }
 
+            const fillArgs = isPartialFillContract ? [normalizedOrderId, fillSellAmount] : [normalizedOrderId];
+            const fillMethod = isPartialFillContract ? 'fillOrder(uint256,uint256)' : 'fillOrder';
+
+            // Dry-run the fill so reverts the checks above cannot see (fee-on-transfer
+            // or blacklisting tokens, races with other takers) stop here, before gas is spent.
+            progressToast.updateStep('simulate-fill-order', {
+                status: 'active',
+                detail: 'Checking the fill against the contract',
+            });
+            const simulation = await simulateContractCall(contractWithSigner, fillMethod, fillArgs);
+            if (simulation.status === SIMULATION_STATUS.REVERTED) {
+                const simulationError = simulation.error;
+                this.debug('Fill order simulation reverted:', simulationError.code, simulationError.details);
+                progressToast.updateStep('simulate-fill-order', {
+                    status: 'failed',
+                    detail: simulationError.message,
+                });
+                progressToast.finishFailure(`The fill would fail: ${formatContractError(simulationError)}`);
+                return;
+            }
+            if (simulation.status === SIMULATION_STATUS.UNAVAILABLE) {
+                this.debug('Fill order simulation unavailable:', simulation.error);
+                progressToast.updateStep('simulate-fill-order', {
+                    status: 'cancelled',
+                    detail: 'Simulation unavailable',
+                });
+            } else {
+                progressToast.updateStep('simulate-fill-order', {
+                    status: 'completed',
+                    detail: 'Fill will succeed',
+                });
+            }
+
             // Execute fill with a small gas buffer for estimator variance.
-            const gasEstimate = await contractWithSigner.estimateGas.fillOrder(normalizedOrderId);
+            const gasEstimate = await contractWithSigner.estimateGas[fillMethod](...fillArgs);
             this.debug('Gas estimate:', gasEstimate.toString());
 
             const gasLimit = gasEstimate.mul(120).div(100);
+            await this.component.previewTransactionCost({
+                contract: contractWithSigner,
+                gasLimit: gasEstimate,
+                progressToast,
+            });
             progressToast.updateStep('submit-fill-order', {
                 status: 'active',
                 detail: 'Confirm in wallet',
@@ -642,7 +765,7 @@ export class OrdersComponentHelper {
 
             let tx;
             try {
-                tx = await contractWithSigner.fillOrder(normalizedOrderId, { gasLimit });
+                tx = await contractWithSigner[fillMethod](...fillArgs, { gasLimit });
             } catch (error) {
                 this.debug('Fill order submission error:', error);
                 if (isUserRejection(error)) {
@@ -690,14 +813,20 @@ export class OrdersComponentHelper {
                 return;
             }
 
-            order.status = 'Filled';
+            // A partial fill leaves the order active; the OrderFilled listener
+            // updates its remaining amounts.
+            if (isCompleteFill) {
+                order.status = 'Filled';
+            }
             await this.component.refreshOrdersView();
 
             progressToast.updateStep('confirm-fill-order', {
                 status: 'completed',
                 detail: 'Confirmed',
             });
-            progressToast.finishSuccess(`Order ${normalizedOrderId} filled successfully.`);
+            progressToast.finishSuccess(isCompleteFill
+                ? `Order ${normalizedOrderId} filled successfully.`
+                : `Order ${normalizedOrderId} partially filled successfully.`);
         } catch (error) {
             this.debug('Fill order error details:', error);
             if (progressToast) {
@@ -723,11 +852,458 @@ export class OrdersComponentHelper {
         }
     }
 
+    /**
+     * Fill several orders in one flow ("sweep the book").
+     *
+     * Every order is re-read on-chain first; ones that are no longer fillable,
+     * or that the taker's balance cannot cover, are skipped. Each buy token is
+     * approved once for the combined amount, then fills are submitted one by
+     * one in the given order. A failed, rejected or already-taken fill is
+     * marked on its checklist step and the remaining fills still go ahead.
+     *
+     * @param {Array<number|string>} orderIds - Orders to fill, in fill order
+     * @returns {Promise<{ filledOrderIds: number[] }>}
+     */
+    async fillSelectedOrders(orderIds) {
+        const normalizedOrderIds = Array.from(new Set((orderIds || []).map(Number)))
+            .filter(Number.isInteger);
+        const result = { filledOrderIds: [] };
+        if (normalizedOrderIds.length === 0) {
+            return result;
+        }
+
+        if (this.fillProgressSession) {
+            if (this.fillProgressSession.isHidden()) {
+                this.fillProgressSession.reopen();
+            }
+            this.syncFillProgressButtons();
+            this.debug('Fill checklist already exists, ignoring batch fill request');
+            return result;
+        }
+
+        let progressToast = null;
+        if (!this.component.startWalletAction()) {
+            return result;
+        }
+
+        this.component.isProcessingFill = true;
+
+        try {
+            const signer = await this.resolveFillSigner(`fill ${normalizedOrderIds.length} orders`);
+            if (!signer) {
+                return result;
+            }
+
+            const ws = this.component.ctx.getWebSocket();
+            const contract = await this.component.getContract();
+            if (!contract) {
+                throw new Error('Contract not available');
+            }
+            const contractWithSigner = contract.connect(signer);
+            const currentAccount = await signer.getAddress();
+            const isPartialFillContract = ws.supportsPartialFills(contract);
+
+            await ws.ensureChainTimeInitialized();
+            const now = ws.getCurrentTimestamp();
+            if (!Number.isFinite(now)) {
+                throw new Error('Unable to verify current chain time. Please try again in a moment.');
+            }
+
+            // Re-validate every selected order against chain state.
+            const plan = [];
+            for (const orderId of normalizedOrderIds) {
+                const entry = { orderId, skipReason: null };
+                plan.push(entry);
+
+                const order = ws.orderCache.get(orderId);
+                if (!order) {
+                    entry.skipReason = 'Order not found';
+                    continue;
+                }
+
+                let currentOrder;
+                try {
+                    currentOrder = await contract.orders(orderId);
+                } catch (error) {
+                    this.debug(`Failed to read order ${orderId} for batch fill:`, error);
+                    entry.skipReason = 'Could not read order';
+                    continue;
+                }
+
+                const currentOrderStatus = Number(currentOrder.status);
+                const expiryTime = ws.getOrderExpiryTime(order);
+                if (currentOrderStatus !== 0) {
+                    entry.skipReason = `Already ${getOrderStatusText(currentOrderStatus).toLowerCase()}`;
+                } else if (Number.isFinite(expiryTime) && now > expiryTime) {
+                    entry.skipReason = 'Order has expired';
+                } else if (!ws.canFillOrder({ ...order, status: 'Active' }, currentAccount)) {
+                    entry.skipReason = 'Not fillable by this wallet';
+                }
+                if (entry.skipReason) {
+                    continue;
+                }
+
+                entry.buyToken = order.buyToken.toLowerCase();
+                entry.sellToken = order.sellToken.toLowerCase();
+                if (isPartialFillContract) {
+                    entry.fillSellAmount = ethers.BigNumber.from(getRemainingSellAmount(currentOrder).toString());
+                    entry.requiredSellAmount = entry.fillSellAmount;
+                    entry.requiredBuyAmount = ethers.BigNumber.from(
+                        getProRataBuyAmount(currentOrder, entry.fillSellAmount).toString()
+                    );
+                } else {
+                    entry.requiredSellAmount = currentOrder.sellAmount;
+                    entry.requiredBuyAmount = currentOrder.buyAmount;
+                }
+            }
+
+            // Group by buy token: one balance check and one approval each. Sell
+            // tokens are tracked the same way against the contract balance.
+            const buyTokens = new Map();
+            const contractSellBalances = new Map();
+            for (const entry of plan) {
+                if (entry.skipReason) continue;
+                if (!buyTokens.has(entry.buyToken)) {
+                    const token = new ethers.Contract(entry.buyToken, erc20Abi, signer);
+                    const [symbol, decimals, balance, allowance] = await Promise.all([
+                        token.symbol(),
+                        token.decimals(),
+                        token.balanceOf(currentAccount),
+                        token.allowance(currentAccount, contract.address)
+                    ]);
+                    buyTokens.set(entry.buyToken, {
+                        token,
+                        symbol,
+                        decimals,
+                        available: balance,
+                        allowance,
+                        total: ethers.BigNumber.from(0),
+                        approved: true
+                    });
+                }
+
+                // Ensure contract still holds maker-side sell liquidity.
+                if (!contractSellBalances.has(entry.sellToken)) {
+                    const sellToken = new ethers.Contract(entry.sellToken, erc20Abi, signer);
+                    const [symbol, balance] = await Promise.all([
+                        sellToken.symbol(),
+                        sellToken.balanceOf(contract.address)
+                    ]);
+                    contractSellBalances.set(entry.sellToken, { symbol, available: balance });
+                }
+
+                const tokenState = buyTokens.get(entry.buyToken);
+                const sellState = contractSellBalances.get(entry.sellToken);
+                if (tokenState.available.lt(entry.requiredBuyAmount)) {
+                    entry.skipReason = `Insufficient ${tokenState.symbol} balance`;
+                    continue;
+                }
+                if (sellState.available.lt(entry.requiredSellAmount)) {
+                    entry.skipReason = `Contract has insufficient ${sellState.symbol} balance`;
+                    continue;
+                }
+                tokenState.available = tokenState.available.sub(entry.requiredBuyAmount);
+                sellState.available = sellState.available.sub(entry.requiredSellAmount);
+                tokenState.total = tokenState.total.add(entry.requiredBuyAmount);
+            }
+
+            const fillable = plan.filter((entry) => !entry.skipReason);
+            if (fillable.length === 0) {
+                const reasons = plan.map(({ orderId, skipReason }) => `#${orderId}: ${skipReason}`);
+                throw new Error(`None of the selected orders can be filled.\n${reasons.join('\n')}`);
+            }
+
+            const approvals = Array.from(buyTokens.entries())
+                .filter(([, tokenState]) => tokenState.total.gt(0) && tokenState.allowance.lt(tokenState.total));
+
+            progressToast = createTransactionProgressSession(this.component.ctx.toast, {
+                title: `Filling ${fillable.length} Orders`,
+                successTitle: 'Orders Filled',
+                failureTitle: 'Batch Fill Failed',
+                cancelledTitle: 'Batch Fill Cancelled',
+                summary: 'Complete the steps below in your wallet and on-chain.',
+                steps: [
+                    ...approvals.map(([address, tokenState]) => ({
+                        id: `approve-${address}`,
+                        label: `Approve ${ethers.utils.formatUnits(tokenState.total, tokenState.decimals)} ${tokenState.symbol}`,
+                        status: 'pending'
+                    })),
+                    ...plan.map(({ orderId, skipReason }) => ({
+                        id: `fill-order-${orderId}`,
+                        label: `Fill order #${orderId}`,
+                        status: skipReason ? 'cancelled' : 'pending',
+                        detail: skipReason ? `Skipped: ${skipReason}` : ''
+                    }))
+                ]
+            });
+            this.setFillProgressSession(progressToast, null);
+
+            for (const [address, tokenState] of approvals) {
+                const stepId = `approve-${address}`;
+                try {
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Confirm in wallet' });
+                    const approveTx = await tokenState.token.approve(contract.address, tokenState.total);
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+                    await approveTx.wait();
+                    progressToast.updateStep(stepId, { status: 'completed', detail: 'Approved' });
+                } catch (error) {
+                    this.debug('Batch fill approval error:', error);
+                    tokenState.approved = false;
+                    const rejected = isUserRejection(error);
+                    progressToast.updateStep(stepId, {
+                        status: rejected ? 'cancelled' : 'failed',
+                        detail: rejected ? 'Wallet request rejected' : extractTransactionErrorMessage(error)
+                    });
+                }
+            }
+
+            const fillMethod = isPartialFillContract ? 'fillOrder(uint256,uint256)' : 'fillOrder';
+            for (const entry of fillable) {
+                const stepId = `fill-order-${entry.orderId}`;
+                if (!buyTokens.get(entry.buyToken).approved) {
+                    progressToast.updateStep(stepId, {
+                        status: 'cancelled',
+                        detail: `Skipped: ${buyTokens.get(entry.buyToken).symbol} not approved`
+                    });
+                    continue;
+                }
+
+                try {
+                    // Earlier fills in this batch take time; someone may have beaten us.
+                    const latestOrder = await contract.orders(entry.orderId);
+                    if (Number(latestOrder.status) !== 0) {
+                        progressToast.updateStep(stepId, {
+                            status: 'cancelled',
+                            detail: `Skipped: already ${getOrderStatusText(Number(latestOrder.status)).toLowerCase()}`
+                        });
+                        continue;
+                    }
+
+                    const fillArgs = isPartialFillContract
+                        ? [entry.orderId, entry.fillSellAmount]
+                        : [entry.orderId];
+                    const simulation = await simulateContractCall(contractWithSigner, fillMethod, fillArgs);
+                    if (simulation.status === SIMULATION_STATUS.REVERTED) {
+                        progressToast.updateStep(stepId, {
+                            status: 'failed',
+                            detail: `Skipped: ${simulation.error.message}`
+                        });
+                        continue;
+                    }
+
+                    const gasEstimate = await contractWithSigner.estimateGas[fillMethod](...fillArgs);
+                    const gasLimit = gasEstimate.mul(120).div(100);
+                    await this.component.previewTransactionCost({
+                        contract: contractWithSigner,
+                        gasLimit: gasEstimate,
+                        progressToast,
+                    });
+
+                    progressToast.updateStep(stepId, {
+                        status: 'active',
+                        detail: simulation.status === SIMULATION_STATUS.UNAVAILABLE
+                            ? 'Simulation unavailable. Confirm in wallet'
+                            : 'Confirm in wallet'
+                    });
+                    const tx = await contractWithSigner[fillMethod](...fillArgs, { gasLimit });
+                    progressToast.setTransaction({
+                        hash: tx.hash,
+                        chainId: this.component.ctx.getWalletChainId(),
+                    });
+                    progressToast.updateStep(stepId, { status: 'active', detail: 'Waiting for confirmation' });
+
+                    const receipt = await tx.wait();
+                    if (receipt.status === 0) {
+                        progressToast.updateStep(stepId, { status: 'failed', detail: 'Transaction reverted by contract' });
+                        continue;
+                    }
+
+                    const cachedOrder = ws.orderCache.get(entry.orderId);
+                    if (cachedOrder) {
+                        cachedOrder.status = 'Filled';
+                    }
+                    result.filledOrderIds.push(entry.orderId);
+                    progressToast.updateStep(stepId, { status: 'completed', detail: 'Confirmed' });
+                } catch (error) {
+                    this.debug(`Batch fill error for order ${entry.orderId}:`, error);
+                    const rejected = isUserRejection(error);
+                    progressToast.updateStep(stepId, {
+                        status: rejected ? 'cancelled' : 'failed',
+                        detail: rejected ? 'Wallet request rejected' : extractTransactionErrorMessage(error)
+                    });
+                }
+            }
+
+            if (result.filledOrderIds.length > 0) {
+                await this.component.refreshOrdersView();
+            }
+
+            const filledCount = result.filledOrderIds.length;
+            if (filledCount === normalizedOrderIds.length) {
+                progressToast.finishSuccess(`Filled ${filledCount} orders.`);
+            } else if (filledCount > 0) {
+                progressToast.finishSuccess(
+                    `Filled ${filledCount} of ${normalizedOrderIds.length} orders. See the steps above for the rest.`
+                );
+            } else {
+                progressToast.finishFailure('No orders were filled.');
+            }
+        } catch (error) {
+            this.debug('Batch fill error details:', error);
+            if (progressToast) {
+                progressToast.finishFailure(extractTransactionErrorMessage(error));
+            } else {
+                handleTransactionError(error, this.component, 'fill orders');
+            }
+        } finally {
+            this.component.isProcessingFill = false;
+            this.syncFillProgressButtons();
+            this.component.endWalletAction();
+        }
+
+        return result;
+    }
+
+    /**
+     * Render orders that have left the live cache (cleaned up after filling,
+     * cancelling or expiring) in a collapsible section below the orders table.
+     * Rows come from the event index; the backfill only starts once the user
+     * opens the section.
+     * @param {string} role - TRADE_HISTORY_ROLES.MAKER or TAKER
+     */
+    async renderPastOrders(role) {
+        const container = this.component.container;
+        const tableContainer = container?.querySelector('.table-container');
+        const eventIndexer = this.component.ctx.getEventIndexer?.();
+        const account = this.component.ctx.getWallet()?.getAccount?.();
+        let section = container?.querySelector('.past-orders');
+        if (!tableContainer || !eventIndexer || !account) {
+            section?.remove();
+            return;
+        }
+
+        if (!section) {
+            section = document.createElement('details');
+            section.className = 'past-orders';
+            section.innerHTML = `
+                <summary>Past orders</summary>
+                <div class="past-orders-status"></div>
+                <div class="past-orders-list"></div>
+            `;
+            section.addEventListener('toggle', () => {
+                if (!section.open) return;
+                this.setPastOrdersStatus(section, 'Indexing contract events...');
+                eventIndexer.ensureBackfilled()
+                    .then((synced) => {
+                        this.setPastOrdersStatus(section, synced ? '' : 'Could not reach the network; showing previously indexed orders.');
+                        return this.renderPastOrders(role);
+                    })
+                    .catch((error) => this.debug('Past orders backfill failed:', error));
+            });
+            tableContainer.after(section);
+        }
+
+        if (this.pastOrdersIndexer !== eventIndexer) {
+            this.pastOrdersIndexer?.unsubscribe('indexerUpdated', this.pastOrdersUpdateHandler);
+            this.pastOrdersUpdateHandler = () => {
+                this.renderPastOrders(role).catch((error) => this.debug('Past orders render failed:', error));
+            };
+            eventIndexer.subscribe('indexerUpdated', this.pastOrdersUpdateHandler);
+            this.pastOrdersIndexer = eventIndexer;
+        }
+
+        const ws = this.component.ctx.getWebSocket();
+        const pastOrders = buildPastOrders(
+            eventIndexer.getEvents({ eventNames: ['OrderCreated', 'OrderFilled', 'OrderCanceled', 'OrderCleanedUp'] }),
+            account,
+            { role, liveOrderIds: ws?.orderCache?.keys?.() || [] }
+        );
+        const list = section.querySelector('.past-orders-list');
+        section.querySelector('summary').textContent = `Past orders (${pastOrders.length})`;
+        if (pastOrders.length === 0) {
+            const status = eventIndexer.getStatus();
+            list.innerHTML = `<div class="placeholder-text">${status.historyLimited
+                ? `No past orders since block ${escapeHtml(String(status.fromBlock))}.`
+                : 'No past orders found.'}</div>`;
+            return;
+        }
+
+        const tokenInfoByAddress = new Map();
+        const tokenAddresses = new Set(pastOrders.flatMap((order) => [order.sellToken, order.buyToken]).filter(Boolean));
+        await Promise.all(Array.from(tokenAddresses).map(async (address) => {
+            try {
+                const info = await ws?.getTokenInfo?.(address);
+                if (info) {
+                    tokenInfoByAddress.set(address, { ...info, address });
+                }
+            } catch (error) {
+                this.debug('Failed to resolve token info for past order:', address, error);
+            }
+        }));
+
+        const chainId = this.component.ctx.getWalletChainId?.();
+        const displaySymbolMap = buildTokenDisplaySymbolMap(Array.from(tokenInfoByAddress.values()), chainId);
+        const formatTokenAmount = (amount, address) => {
+            const info = tokenInfoByAddress.get(address);
+            const symbol = info ? getDisplaySymbol(info, displaySymbolMap) : formatAddress(address);
+            let formatted = '?';
+            if (amount && info?.decimals !== undefined) {
+                try {
+                    formatted = ethers.utils.formatUnits(amount, info.decimals);
+                } catch (_) {
+                    // Keep the placeholder for malformed amounts.
+                }
+            }
+            return `${escapeHtml(formatted)} ${escapeHtml(symbol)}`;
+        };
+
+        list.innerHTML = `
+            <table class="past-orders-table">
+                <thead>
+                    <tr>
+                        <th>Order</th>
+                        <th>Sell</th>
+                        <th>Buy</th>
+                        <th>Status</th>
+                        <th>Closed</th>
+                        <th>Transaction</th>
+                    </tr>
+                </thead>
+                <tbody>${pastOrders.map((order) => {
+                    const explorerUrl = getTransactionExplorerUrl(order.transactionHash, chainId);
+                    return `
+                    <tr>
+                        <td>${escapeHtml(String(order.orderId))}</td>
+                        <td>${formatTokenAmount(order.sellAmount, order.sellToken)}</td>
+                        <td>${formatTokenAmount(order.buyAmount, order.buyToken)}</td>
+                        <td>${escapeHtml(order.status)}</td>
+                        <td>${escapeHtml(formatTimestamp(order.closedAt))}</td>
+                        <td>${explorerUrl !== '#'
+                            ? `<a href="${escapeHtml(explorerUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(formatAddress(order.transactionHash))}</a>`
+                            : escapeHtml(formatAddress(order.transactionHash))}</td>
+                    </tr>`;
+                }).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    setPastOrdersStatus(section, message) {
+        const status = section.querySelector('.past-orders-status');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
     /**
      * Cleanup subscriptions and listeners
      */
     cleanup() {
         this.clearFillProgressSession();
+        if (this.pastOrdersIndexer) {
+            this.pastOrdersIndexer.unsubscribe('indexerUpdated', this.pastOrdersUpdateHandler);
+            this.pastOrdersIndexer = null;
+            this.pastOrdersUpdateHandler = null;
+        }
         // Unsubscribe from WebSocket events
         const ws = this.component.ctx.getWebSocket();
         if (ws && this.component.eventSubscriptions) {
@@ -1,15 +1,31 @@
 import { formatTimeDiff } from '../utils/orderUtils.js';
 import { createLogger } from './LogService.js';
-import { createInlineTooltipIcon, DEAL_TOOLTIP_TEXT, setupOrderTooltips } from '../utils/ui.js';
+import { copyToClipboard, createInlineTooltipIcon, DEAL_TOOLTIP_TEXT, setupOrderTooltips } from '../utils/ui.js';
+import { escapeHtml } from '../utils/html.js';
 import { buildTokenDisplaySymbolMap, getDisplaySymbol } from '../utils/tokenDisplay.js';
+import { getFillPercent, isPartiallyFilled } from '../utils/partialFills.js';
 import {
     DEFAULT_ORDER_SORT,
     SORTABLE_ORDER_COLUMNS,
+    buildOrderSortValue,
     getNextOrderSort,
     getOrderSortMeta,
+    getSecondaryOrderSortMeta,
     normalizeOrderSort,
-    renderOrderSortOptions
+    parseOrderSort,
+    renderOrderSortOptions,
+    renderSecondaryOrderSortOptions
 } from '../utils/orderSort.js';
+import {
+    DEFAULT_TABLE_STATE,
+    buildTableStateUrl,
+    normalizeTableState,
+    readTableStateFromUrl,
+    writeTableStateToUrl
+} from '../utils/tableUrlState.js';
+import { hasActiveOrderRangeFilters, normalizeOrderRangeFilters } from '../utils/orderFilters.js';
+import { filterPresetStore } from './FilterPresetStore.js';
+import { getNetworkConfig } from '../config/networks.js';
 
 export const ORDER_TABLE_PERSPECTIVES = Object.freeze({
     MAKER: 'maker',
@@ -39,7 +55,10 @@ function getDefaultOrderTableHeaders(perspective = ORDER_TABLE_PERSPECTIVES.MAKE
 
     return [
         { text: 'ID' },
-        { text: tokenLabels.firstColumn },
+        {
+            text: tokenLabels.firstColumn,
+            sortColumn: SORTABLE_ORDER_COLUMNS.TOKEN
+        },
         { text: tokenLabels.secondColumn },
         {
             text: 'Deal',
@@ -50,7 +69,10 @@ function getDefaultOrderTableHeaders(perspective = ORDER_TABLE_PERSPECTIVES.MAKE
             text: 'Expires',
             sortColumn: SORTABLE_ORDER_COLUMNS.EXPIRES
         },
-        { text: 'Status' },
+        {
+            text: 'Status',
+            sortColumn: SORTABLE_ORDER_COLUMNS.GRACE
+        },
         { text: 'Action' }
     ];
 }
@@ -90,7 +112,13 @@ export class OrdersTableRenderer {
                 second: options.tokenFilterLabels?.second || tokenLabels.secondFilter
             },
             // Custom filter controls HTML (optional)
-            customFilterControls: options.customFilterControls || null
+            customFilterControls: options.customFilterControls || null,
+            // Row selection (optional): { isSelectable(order), actionLabel, onAction(orderIds),
+            // extraActions: [{ label, getOrderIds(), onAction(orderIds) }] } where extra
+            // actions work on the orders they pick themselves rather than the selection.
+            selection: options.selection || null,
+            // URL/preset namespace (optional): enables shareable table state and saved presets
+            stateKey: options.stateKey || null
         };
         
         const logger = createLogger('ORDERS_RENDERER');
@@ -101,6 +129,9 @@ export class OrdersTableRenderer {
         this._refreshInFlight = false;
         this._refreshStatusTimeout = null;
         this._boundViewportAccessibilityHandler = null;
+        // Insertion-ordered so batch actions run in the order rows were picked.
+        this.selectedOrderIds = new Set();
+        this._selectionActionInFlight = false;
     }
 
     _isMobileCardMode() {
@@ -109,9 +140,17 @@ export class OrdersTableRenderer {
             && window.matchMedia('(max-width: 768px)').matches;
     }
 
-    _getCurrentSortValue() {
+    /**
+     * Primary and secondary sort keys from the sort selects, e.g. "token-az,best-deal".
+     * @returns {string}
+     */
+    getCurrentSortValue() {
         const sortSelect = this.component.container?.querySelector('#order-sort');
-        return normalizeOrderSort(sortSelect?.value || DEFAULT_ORDER_SORT);
+        const secondarySelect = this.component.container?.querySelector('#order-sort-secondary');
+        return normalizeOrderSort(buildOrderSortValue(
+            sortSelect?.value || DEFAULT_ORDER_SORT,
+            secondarySelect?.value || null
+        ));
     }
 
     _getDefaultPageSizeValue() {
@@ -134,16 +173,21 @@ export class OrdersTableRenderer {
 
     setCurrentSortValue(sortValue) {
         const normalizedSort = normalizeOrderSort(sortValue);
+        const { primary, secondary } = parseOrderSort(normalizedSort);
         const sortSelect = this.component.container?.querySelector('#order-sort');
         if (sortSelect) {
-            sortSelect.value = normalizedSort;
+            sortSelect.value = primary;
+        }
+        const secondarySelect = this.component.container?.querySelector('#order-sort-secondary');
+        if (secondarySelect) {
+            secondarySelect.value = secondary || '';
         }
         this._updateSortableHeaderState(normalizedSort);
         return normalizedSort;
     }
 
     setupSortControls(onRefresh) {
-        this.setCurrentSortValue(this._getCurrentSortValue());
+        this.setCurrentSortValue(this.getCurrentSortValue());
         this._setupSortableHeaderListeners(onRefresh);
         this._setupDesktopOnlyHeaderAccessibility();
     }
@@ -191,10 +235,12 @@ export class OrdersTableRenderer {
             if (headerCell.dataset.sortBound === 'true') return;
             headerCell.dataset.sortBound = 'true';
 
-            const activateSort = () => {
+            const activateSort = (event) => {
                 if (this._isMobileCardMode()) return;
 
-                const nextSort = getNextOrderSort(this._getCurrentSortValue(), headerCell.dataset.sort);
+                const nextSort = getNextOrderSort(this.getCurrentSortValue(), headerCell.dataset.sort, {
+                    secondary: Boolean(event?.shiftKey)
+                });
                 this.component.currentPage = 1;
                 this.setCurrentSortValue(nextSort);
                 if (onRefresh) onRefresh();
@@ -204,7 +250,7 @@ export class OrdersTableRenderer {
             headerCell.addEventListener('keydown', (event) => {
                 if (event.key !== 'Enter' && event.key !== ' ') return;
                 event.preventDefault();
-                activateSort();
+                activateSort(event);
             });
         });
     }
@@ -212,12 +258,17 @@ export class OrdersTableRenderer {
     _updateSortableHeaderState(sortValue = DEFAULT_ORDER_SORT) {
         const normalizedSort = normalizeOrderSort(sortValue);
         const activeSort = getOrderSortMeta(normalizedSort);
+        const secondarySort = getSecondaryOrderSortMeta(normalizedSort);
         const sortableHeaders = Array.from(this.component.container?.querySelectorAll('th[data-sort]') || []);
 
         sortableHeaders.forEach((headerCell) => {
             const isActive = headerCell.dataset.sort === activeSort.column;
+            const isSecondary = headerCell.dataset.sort === secondarySort?.column;
             headerCell.classList.toggle('active-sort', isActive);
-            headerCell.dataset.sortDirection = isActive ? activeSort.direction : '';
+            headerCell.classList.toggle('secondary-sort', isSecondary);
+            headerCell.dataset.sortDirection = isActive
+                ? activeSort.direction
+                : (isSecondary ? secondarySort.direction : '');
             headerCell.setAttribute(
                 'aria-sort',
                 isActive
@@ -257,7 +308,16 @@ export class OrdersTableRenderer {
         
         // Clear existing content
         this.component.container.innerHTML = '';
-        
+
+        // Keep the query string in step with every filter/sort/page-size change
+        if (this.options.stateKey) {
+            const refreshView = onRefresh;
+            onRefresh = () => {
+                this.syncTableStateToUrl();
+                return refreshView ? refreshView() : undefined;
+            };
+        }
+
         const tableContainer = this.component.createElement('div', 'table-container');
         
         // Main filter controls
@@ -274,7 +334,16 @@ export class OrdersTableRenderer {
         
         // Append table container to component container first
         this.component.container.appendChild(tableContainer);
-        
+
+        // Restore state from a shared link before listeners and the first render
+        if (this.options.stateKey) {
+            const restoredState = readTableStateFromUrl(this.options.stateKey, this._getDefaultTableState());
+            this.applyTableState(restoredState);
+            if (restoredState.sellToken || restoredState.buyToken || hasActiveOrderRangeFilters(restoredState)) {
+                this._setAdvancedFiltersExpanded(true);
+            }
+        }
+
         // Setup event listeners AFTER appending (so elements exist in DOM)
         this._setupTableEventListeners(onRefresh);
         this.setupSortControls(onRefresh);
@@ -329,6 +398,14 @@ export class OrdersTableRenderer {
                         <input type="checkbox" id="fillable-orders-toggle" checked>
                         <span>${this.options.filterToggleLabel}</span>
                     </label>
+                    ${this.options.selection ? `
+                    <button class="selection-action-button" type="button" disabled>
+                        ${this.options.selection.actionLabel || 'Apply to selected'}
+                    </button>
+                    ${(this.options.selection.extraActions || []).map((action, index) => `
+                    <button class="selection-action-button selection-extra-action-button" type="button" data-extra-action="${index}" disabled>
+                        ${action.label}
+                    </button>`).join('')}` : ''}
                 </div>
 
                 ${refreshSection}
@@ -343,13 +420,20 @@ export class OrdersTableRenderer {
         const toggle = filterControls.querySelector('.advanced-filters-toggle');
         toggle.addEventListener('click', () => {
             const isExpanded = advancedFilters.style.display !== 'none';
-            advancedFilters.style.display = isExpanded ? 'none' : 'block';
-            toggle.classList.toggle('expanded', !isExpanded);
+            this._setAdvancedFiltersExpanded(!isExpanded);
         });
 
         return filterControls;
     }
 
+    _setAdvancedFiltersExpanded(expanded) {
+        const advancedFilters = this.component.container?.querySelector('.advanced-filters');
+        const toggle = this.component.container?.querySelector('.advanced-filters-toggle');
+        if (!advancedFilters || !toggle) return;
+        advancedFilters.style.display = expanded ? 'block' : 'none';
+        toggle.classList.toggle('expanded', expanded);
+    }
+
     /**
      * Create advanced filters section
      */
@@ -371,15 +455,240 @@ export class OrdersTableRenderer {
                             `<option value="${token.address}">${token.displaySymbol || token.symbol}</option>`
                         ).join('')}
                     </select>
-                    <select id="order-sort" class="order-sort">
+                    <select id="order-sort" class="order-sort" aria-label="Sort by">
                         ${renderOrderSortOptions(DEFAULT_ORDER_SORT)}
                     </select>
+                    <select id="order-sort-secondary" class="order-sort" aria-label="Then sort by">
+                        ${renderSecondaryOrderSortOptions(DEFAULT_ORDER_SORT)}
+                    </select>
                 </div>
             </div>
+            ${this._renderRangeFilters()}
+            ${this.options.stateKey ? `
+            <div class="filter-row filter-presets">
+                <select class="filter-preset-select" aria-label="Saved filter presets">
+                    ${this._renderPresetOptions()}
+                </select>
+                <button class="filter-preset-button js-save-preset" type="button">Save preset</button>
+                <button class="filter-preset-button js-delete-preset" type="button" disabled>Delete</button>
+                <button class="filter-preset-button js-copy-table-link" type="button">Copy link</button>
+            </div>` : ''}
         `;
         return advancedFilters;
     }
 
+    _renderRangeFilters() {
+        const isMakerView = this.options.perspective === ORDER_TABLE_PERSPECTIVES.MAKER;
+        const rangeInput = (field, placeholder, step = 'any') => `
+            <input type="number" class="range-filter-input" data-range-filter="${field}"
+                step="${step}" placeholder="${placeholder}" aria-label="${placeholder}">`;
+
+        return `
+            <div class="filter-row range-filters">
+                <div class="range-filter" title="USD value of the remaining order size">
+                    <span class="range-filter-label">Size (USD)</span>
+                    ${rangeInput('minUsdSize', 'Min')}
+                    ${rangeInput('maxUsdSize', 'Max')}
+                </div>
+                <div class="range-filter" title="Deal versus market price for your side, e.g. 3 = at least 3% better">
+                    <span class="range-filter-label">Deal vs market (%)</span>
+                    ${rangeInput('minDealPct', 'Min')}
+                    ${rangeInput('maxDealPct', 'Max')}
+                </div>
+                <div class="range-filter">
+                    <span class="range-filter-label">Expires in (hours)</span>
+                    ${rangeInput('minExpiryHours', 'Min')}
+                    ${rangeInput('maxExpiryHours', 'Max')}
+                </div>
+                <div class="range-filter">
+                    <input type="text" class="range-filter-input range-filter-input--address" data-range-filter="counterparty"
+                        placeholder="${isMakerView ? 'Taker address' : 'Maker address'}"
+                        aria-label="${isMakerView ? 'Taker address' : 'Maker address'}" spellcheck="false">
+                    <label class="filter-toggle">
+                        <input type="checkbox" data-range-filter="privateOnly">
+                        <span>${isMakerView ? 'Only private orders' : 'Only private orders to me'}</span>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Range and counterparty filters as entered in the advanced filters.
+     * @returns {Object} See DEFAULT_ORDER_RANGE_FILTERS in orderFilters.js
+     */
+    getRangeFilters() {
+        const raw = {};
+        this.component.container?.querySelectorAll('[data-range-filter]').forEach((input) => {
+            raw[input.dataset.rangeFilter] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return normalizeOrderRangeFilters(raw);
+    }
+
+    /**
+     * Context for matchesOrderRangeFilters from the component's WebSocket and wallet.
+     * @param {Function} getDealRatio - Perspective-specific deal ratio accessor
+     */
+    getRangeFilterContext(getDealRatio) {
+        const ws = this.component.ctx.getWebSocket();
+        return {
+            getDealRatio,
+            getExpiryTime: (order) => ws.getOrderExpiryTime(order),
+            now: ws.getCurrentTimestamp?.() ?? Math.floor(Date.now() / 1000),
+            account: this.component.ctx.getWallet?.()?.getAccount?.() || '',
+            isMakerView: this.options.perspective === ORDER_TABLE_PERSPECTIVES.MAKER
+        };
+    }
+
+    _getPresetChainId() {
+        return getNetworkConfig()?.chainId || null;
+    }
+
+    _renderPresetOptions(selectedName = '') {
+        const presets = filterPresetStore.list(this._getPresetChainId(), this.options.stateKey);
+        return `<option value="">${presets.length ? 'Saved presets' : 'No saved presets'}</option>` + presets
+            .map(({ name }) => {
+                const value = escapeHtml(name);
+                return `<option value="${value}"${name === selectedName ? ' selected' : ''}>${value}</option>`;
+            })
+            .join('');
+    }
+
+    _getDefaultTableState() {
+        return { ...DEFAULT_TABLE_STATE, pageSize: this._getDefaultPageSizeValue() };
+    }
+
+    /**
+     * Current filter, sort and page-size state as shown by the controls.
+     * @returns {{ sellToken: string, buyToken: string, fillableOnly: boolean, sort: string, pageSize: string }}
+     */
+    getTableState() {
+        const container = this.component.container;
+        const defaults = this._getDefaultTableState();
+        return normalizeTableState({
+            sellToken: container?.querySelector('#sell-token-filter')?.value || '',
+            buyToken: container?.querySelector('#buy-token-filter')?.value || '',
+            fillableOnly: container?.querySelector('#fillable-orders-toggle')?.checked ?? defaults.fillableOnly,
+            sort: this.getCurrentSortValue(),
+            pageSize: container?.querySelector('#page-size-select')?.value || defaults.pageSize,
+            ...this.getRangeFilters()
+        }, defaults);
+    }
+
+    /**
+     * Push a table state into the controls. Callers refresh the view afterwards.
+     * @param {Object} state
+     */
+    applyTableState(state) {
+        const container = this.component.container;
+        if (!container) return;
+
+        const nextState = normalizeTableState(state, this._getDefaultTableState());
+        this._setTokenFilterValue(container.querySelector('#sell-token-filter'), nextState.sellToken);
+        this._setTokenFilterValue(container.querySelector('#buy-token-filter'), nextState.buyToken);
+        const toggle = container.querySelector('#fillable-orders-toggle');
+        if (toggle) {
+            toggle.checked = nextState.fillableOnly;
+        }
+        this.setCurrentSortValue(nextState.sort);
+        container.querySelectorAll('.page-size-select').forEach((select) => {
+            select.value = nextState.pageSize;
+        });
+        container.querySelectorAll('[data-range-filter]').forEach((input) => {
+            const value = nextState[input.dataset.rangeFilter];
+            if (input.type === 'checkbox') {
+                input.checked = value === true;
+            } else {
+                input.value = value ?? '';
+            }
+        });
+        this.component.currentPage = 1;
+    }
+
+    /**
+     * Select `address` in a token filter, adding an option for tokens the
+     * metadata cache does not know yet (e.g. from a shared link).
+     */
+    _setTokenFilterValue(select, address) {
+        if (!select) return;
+        if (!address) {
+            select.value = '';
+            return;
+        }
+
+        let option = Array.from(select.options).find((candidate) => candidate.value.toLowerCase() === address);
+        if (!option) {
+            option = document.createElement('option');
+            option.value = address;
+            option.textContent = `${address.slice(0, 6)}...${address.slice(-4)}`;
+            select.appendChild(option);
+        }
+        select.value = option.value;
+    }
+
+    syncTableStateToUrl() {
+        if (!this.options.stateKey) return;
+        writeTableStateToUrl(this.options.stateKey, this.getTableState(), this._getDefaultTableState());
+    }
+
+    /**
+     * Setup preset select, save/delete and copy-link listeners
+     */
+    _setupPresetListeners(onRefresh) {
+        const container = this.component.container;
+        const presetSelect = container.querySelector('.filter-preset-select');
+        const saveButton = container.querySelector('.js-save-preset');
+        const deleteButton = container.querySelector('.js-delete-preset');
+        const copyLinkButton = container.querySelector('.js-copy-table-link');
+        if (!presetSelect) return;
+
+        const renderPresets = (selectedName = '') => {
+            presetSelect.innerHTML = this._renderPresetOptions(selectedName);
+            deleteButton.disabled = !presetSelect.value;
+        };
+
+        presetSelect.addEventListener('change', () => {
+            deleteButton.disabled = !presetSelect.value;
+            const presetState = filterPresetStore.get(this._getPresetChainId(), this.options.stateKey, presetSelect.value);
+            if (!presetState) return;
+            this.applyTableState(presetState);
+            if (onRefresh) onRefresh();
+        });
+
+        saveButton?.addEventListener('click', () => {
+            const name = window.prompt('Preset name', presetSelect.value || '');
+            if (name === null) return;
+            if (!name.trim()) {
+                this.component.showWarning?.('Enter a name to save this preset.');
+                return;
+            }
+            if (!filterPresetStore.save(this._getPresetChainId(), this.options.stateKey, name, this.getTableState())) {
+                this.component.showError?.('Could not save the preset in this browser.');
+                return;
+            }
+            renderPresets(name.trim());
+        });
+
+        deleteButton?.addEventListener('click', () => {
+            if (!presetSelect.value) return;
+            filterPresetStore.remove(this._getPresetChainId(), this.options.stateKey, presetSelect.value);
+            renderPresets();
+        });
+
+        copyLinkButton?.addEventListener('click', async () => {
+            const url = buildTableStateUrl(this.options.stateKey, this.getTableState(), this._getDefaultTableState());
+            if (container.id) {
+                url.searchParams.set('tab', container.id);
+            }
+            const copied = await copyToClipboard(url.href);
+            if (copied) {
+                this.component.showSuccess?.('Link to this view copied');
+            } else {
+                this.component.showError?.('Could not copy the link');
+            }
+        });
+    }
+
     /**
      * Create table element
      */
@@ -395,6 +704,7 @@ export class OrdersTableRenderer {
             if (header.sortColumn) {
                 th.dataset.sort = header.sortColumn;
                 th.setAttribute('aria-sort', 'none');
+                th.title = 'Click to sort, Shift+click to sort by this column second';
             }
 
             const headerParts = [`<span class="sort-header-label">${header.text}</span>`];
@@ -475,6 +785,7 @@ export class OrdersTableRenderer {
         const sellTokenFilter = filterControls.querySelector('#sell-token-filter');
         const buyTokenFilter = filterControls.querySelector('#buy-token-filter');
         const orderSort = filterControls.querySelector('#order-sort');
+        const secondaryOrderSort = filterControls.querySelector('#order-sort-secondary');
         const toggle = filterControls.querySelector('#fillable-orders-toggle');
         const pageSizeSelects = Array.from(this.component.container.querySelectorAll('.page-size-select'));
         
@@ -490,13 +801,14 @@ export class OrdersTableRenderer {
                 if (onRefresh) onRefresh();
             });
         }
-        if (orderSort) {
-            orderSort.addEventListener('change', () => {
+        [orderSort, secondaryOrderSort].forEach((sortSelect) => {
+            sortSelect?.addEventListener('change', () => {
                 this.component.currentPage = 1;
-                this.setCurrentSortValue(orderSort.value);
+                // Re-normalize so a secondary key on the primary's column is cleared
+                this.setCurrentSortValue(this.getCurrentSortValue());
                 if (onRefresh) onRefresh();
             });
-        }
+        });
         if (toggle) {
             toggle.addEventListener('change', () => {
                 this.component.currentPage = 1;
@@ -515,6 +827,22 @@ export class OrdersTableRenderer {
             });
         });
         
+        this.component.container.querySelectorAll('[data-range-filter]').forEach((input) => {
+            // 'change' fires on blur/enter, so typing a number does not re-render per keystroke
+            input.addEventListener('change', () => {
+                this.component.currentPage = 1;
+                if (onRefresh) onRefresh();
+            });
+        });
+
+        if (this.options.selection) {
+            this._setupSelectionListeners();
+        }
+
+        if (this.options.stateKey) {
+            this._setupPresetListeners(onRefresh);
+        }
+
         // Pagination listeners
         this._setupPaginationListeners(onRefresh);
 
@@ -523,6 +851,124 @@ export class OrdersTableRenderer {
         }
     }
 
+    /**
+     * Setup row checkbox and batch action listeners
+     */
+    _setupSelectionListeners() {
+        const tbody = this.component.container.querySelector('tbody');
+        const actionButton = this.component.container.querySelector(
+            '.selection-action-button:not(.selection-extra-action-button)'
+        );
+
+        tbody?.addEventListener('change', (event) => {
+            const checkbox = event.target;
+            if (!checkbox.classList?.contains('order-select-checkbox')) {
+                return;
+            }
+            const orderId = Number(checkbox.dataset.orderId);
+            if (checkbox.checked) {
+                this.selectedOrderIds.add(orderId);
+            } else {
+                this.selectedOrderIds.delete(orderId);
+            }
+            this._updateSelectionControls();
+        });
+
+        actionButton?.addEventListener('click', () => {
+            this._runSelectionAction(this.options.selection.onAction, this.getSelectedOrderIds());
+        });
+
+        this.component.container.querySelectorAll('.selection-extra-action-button').forEach((button) => {
+            const action = this.options.selection.extraActions?.[Number(button.dataset.extraAction)];
+            button.addEventListener('click', () => {
+                this._runSelectionAction(action?.onAction, action?.getOrderIds?.() || []);
+            });
+        });
+    }
+
+    async _runSelectionAction(onAction, orderIds) {
+        if (orderIds.length === 0 || this._selectionActionInFlight) {
+            return;
+        }
+        this._selectionActionInFlight = true;
+        this._updateSelectionControls();
+        try {
+            await onAction?.(orderIds);
+        } catch (error) {
+            this.error('Selection action failed:', error);
+        } finally {
+            this._selectionActionInFlight = false;
+            this._updateSelectionControls();
+        }
+    }
+
+    getSelectedOrderIds() {
+        return Array.from(this.selectedOrderIds);
+    }
+
+    /**
+     * Deselect orders (all of them when no ids are given).
+     * @param {number[]} [orderIds]
+     */
+    clearSelection(orderIds = null) {
+        if (Array.isArray(orderIds)) {
+            orderIds.forEach((orderId) => this.selectedOrderIds.delete(Number(orderId)));
+        } else {
+            this.selectedOrderIds.clear();
+        }
+
+        this.component.container?.querySelectorAll('.order-select-checkbox').forEach((checkbox) => {
+            checkbox.checked = this.selectedOrderIds.has(Number(checkbox.dataset.orderId));
+        });
+        this._updateSelectionControls();
+    }
+
+    _updateSelectionControls() {
+        const actionButton = this.component.container?.querySelector(
+            '.selection-action-button:not(.selection-extra-action-button)'
+        );
+        if (!actionButton) {
+            return;
+        }
+        const count = this.selectedOrderIds.size;
+        const label = this.options.selection?.actionLabel || 'Apply to selected';
+        actionButton.textContent = count > 0 ? `${label} (${count})` : label;
+        actionButton.disabled = count === 0 || this._selectionActionInFlight;
+
+        this.component.container.querySelectorAll('.selection-extra-action-button').forEach((button) => {
+            const action = this.options.selection.extraActions?.[Number(button.dataset.extraAction)];
+            const actionCount = action?.getOrderIds?.().length || 0;
+            button.textContent = actionCount > 0 ? `${action.label} (${actionCount})` : action?.label || '';
+            button.disabled = actionCount === 0 || this._selectionActionInFlight;
+        });
+    }
+
+    // Selections survive pagination and refreshes while the order stays selectable.
+    _pruneSelection() {
+        const ws = this.component.ctx.getWebSocket();
+        for (const orderId of this.selectedOrderIds) {
+            const order = ws?.orderCache?.get(orderId);
+            if (!order || !this.options.selection.isSelectable(order)) {
+                this.selectedOrderIds.delete(orderId);
+            }
+        }
+    }
+
+    _applyRowSelection(row, order) {
+        const idCell = row?.querySelector('td');
+        if (!idCell || !this.options.selection.isSelectable(order)) {
+            return;
+        }
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'order-select-checkbox';
+        checkbox.dataset.orderId = String(order.id);
+        checkbox.checked = this.selectedOrderIds.has(Number(order.id));
+        checkbox.setAttribute('aria-label', `Select order ${order.id}`);
+        idCell.prepend(checkbox);
+    }
+
     /**
      * Setup pagination event listeners
      */
@@ -792,12 +1238,20 @@ export class OrdersTableRenderer {
             return;
         }
 
+        if (this.options.selection) {
+            this._pruneSelection();
+        }
+
         // Render each order
         for (const order of orders) {
             try {
                 const row = await this.options.rowRenderer(order);
                 if (row) {
                     this._applyRowCellMetadata(row);
+                    this.renderFillProgress(row, order);
+                    if (this.options.selection) {
+                        this._applyRowSelection(row, order);
+                    }
                     tbody.appendChild(row);
                     // Start expiry timer
                     this.startExpiryTimer(row);
@@ -807,9 +1261,53 @@ export class OrdersTableRenderer {
             }
         }
 
+        if (this.options.selection) {
+            this._updateSelectionControls();
+        }
         setupOrderTooltips(this.component.container);
     }
 
+    /**
+     * Add a "% filled" badge and progress bar to the status cell of a
+     * partially filled order. Legacy orders are never partially filled.
+     * @param {HTMLElement} row
+     * @param {Object} order
+     */
+    renderFillProgress(row, order) {
+        const statusCell = row?.querySelector('.order-status');
+        if (!statusCell || !isPartiallyFilled(order)) {
+            return;
+        }
+
+        // The expiry timer only rewrites `.status-main`, keeping the badge intact.
+        if (!statusCell.querySelector('.status-main')) {
+            const statusMain = document.createElement('span');
+            statusMain.className = 'status-main';
+            statusMain.textContent = statusCell.textContent.trim();
+            statusCell.textContent = '';
+            statusCell.appendChild(statusMain);
+        }
+
+        const fillPercent = getFillPercent(order);
+        const progress = document.createElement('div');
+        progress.className = 'order-fill-progress';
+        progress.title = `${fillPercent}% of this order has been filled`;
+
+        const label = document.createElement('span');
+        label.className = 'order-fill-progress__label';
+        label.textContent = `${fillPercent}% filled`;
+
+        const track = document.createElement('span');
+        track.className = 'order-fill-progress__track';
+        const bar = document.createElement('span');
+        bar.className = 'order-fill-progress__bar';
+        bar.style.width = `${Math.min(100, fillPercent)}%`;
+        track.appendChild(bar);
+
+        progress.append(label, track);
+        statusCell.appendChild(progress);
+    }
+
     _applyRowCellMetadata(row) {
         if (!row || row.classList.contains('empty-message')) {
             return;
@@ -0,0 +1,256 @@
+/**
+ * PriceProviders - USD price sources used by PricingService
+ *
+ * A provider resolves token addresses to USD prices for the chains it
+ * supports. PricingService asks providers in the order listed by the active
+ * network's `priceProviders` key in networks.js (or registration order when
+ * unset). Every provider is asked about every token until that token has
+ * `targetPriceSources` quotes (3), and the quotes are then combined into one
+ * price with a confidence level (see priceConfidence.js).
+ *
+ * @typedef {Object} PriceProviderContext
+ * @property {Object} networkConfig - Active network from networks.js
+ * @property {string|null} chainId - Decimal chain ID
+ * @property {(price: number, tokenAddress: string) => boolean} validatePrice
+ * @property {() => Promise<void>} delay - Waits out the provider's rate limit
+ *
+ * @typedef {Object} PriceProvider
+ * @property {string} id - Key used in a network's `priceProviders` list
+ * @property {string} name - Label for logs
+ * @property {string[]|null} chainIds - Decimal chain IDs served, or null for any chain
+ * @property {number} batchSize - Most addresses passed to one fetchPrices call
+ * @property {number} rateLimitMs - Pause after each fetchPrices call
+ * @property {(addresses: string[], context: PriceProviderContext) => Promise<Map<string, { price: number, liquidity: number }>>} fetchPrices
+ *   Addresses are lowercase; prices are checked again by the service.
+ */
+
+import { TOKEN_ICON_CONFIG } from '../config/index.js';
+import { createLogger } from './LogService.js';
+import { onChainPoolProvider } from './OnChainPriceProvider.js';
+
+const logger = createLogger('PRICE_PROVIDERS');
+const warn = logger.warn.bind(logger);
+
+// Stay under 300 requests/minute on the public endpoints.
+const DEFAULT_RATE_LIMIT_MS = 250;
+
+export function toDecimalChainId(chainId) {
+    if (chainId === null || chainId === undefined || chainId === '') {
+        return null;
+    }
+    const value = String(chainId).startsWith('0x') ? parseInt(chainId, 16) : Number(chainId);
+    return Number.isInteger(value) ? String(value) : null;
+}
+
+export function supportsChain(provider, chainId) {
+    return !Array.isArray(provider.chainIds) || provider.chainIds.includes(toDecimalChainId(chainId));
+}
+
+async function fetchJson(url, providerName) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${providerName} request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+const GECKO_TERMINAL_NETWORK_IDS = {
+    '1': 'eth',
+    '56': 'bsc',
+    '137': 'polygon_pos'
+};
+
+export const geckoTerminalProvider = {
+    id: 'geckoterminal',
+    name: 'GeckoTerminal',
+    chainIds: Object.keys(GECKO_TERMINAL_NETWORK_IDS),
+    batchSize: 30,
+    rateLimitMs: DEFAULT_RATE_LIMIT_MS,
+    async fetchPrices(addresses, { chainId }) {
+        const networkId = GECKO_TERMINAL_NETWORK_IDS[chainId];
+        const url = `https://api.geckoterminal.com/api/v2/simple/networks/${networkId}/token_price/${addresses.join(',')}`;
+        const data = await fetchJson(url, this.name);
+        const prices = new Map();
+        for (const [address, rawPrice] of Object.entries(data?.data?.attributes?.token_prices || {})) {
+            prices.set(address.toLowerCase(), { price: parseFloat(rawPrice), liquidity: 0 });
+        }
+        return prices;
+    }
+};
+
+const DEFI_LLAMA_CHAIN_KEYS = {
+    '1': 'ethereum',
+    '56': 'bsc',
+    '137': 'polygon'
+};
+
+export const defiLlamaProvider = {
+    id: 'defillama',
+    name: 'DefiLlama',
+    chainIds: Object.keys(DEFI_LLAMA_CHAIN_KEYS),
+    batchSize: 50,
+    rateLimitMs: DEFAULT_RATE_LIMIT_MS,
+    async fetchPrices(addresses, { chainId }) {
+        const chainKey = DEFI_LLAMA_CHAIN_KEYS[chainId];
+        const coinKeys = addresses.map(address => `${chainKey}:${address}`).join(',');
+        const data = await fetchJson(`https://coins.llama.fi/prices/current/${coinKeys}`, this.name);
+        const prices = new Map();
+        for (const [coinKey, coinData] of Object.entries(data?.coins || {})) {
+            const [, rawAddress = ''] = coinKey.split(':');
+            prices.set(rawAddress.toLowerCase(), { price: parseFloat(coinData?.price), liquidity: 0 });
+        }
+        return prices;
+    }
+};
+
+/**
+ * Prices base tokens from their deepest pair and derives quote token prices
+ * from the same pair when they are still missing.
+ */
+export function processDexScreenerPairs(pairs, prices, validatePrice) {
+    const sortedPairs = [...pairs].sort((a, b) =>
+        (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
+    );
+
+    for (const pair of sortedPairs) {
+        const baseAddr = pair.baseToken?.address?.toLowerCase();
+        const quoteAddr = pair.quoteToken?.address?.toLowerCase();
+        const priceUsd = parseFloat(pair.priceUsd);
+        if (!baseAddr || !validatePrice(priceUsd, baseAddr)) {
+            continue;
+        }
+
+        const liquidity = pair.liquidity?.usd || 0;
+        if (!prices.has(baseAddr)) {
+            prices.set(baseAddr, { price: priceUsd, liquidity });
+        }
+
+        if (quoteAddr && !prices.has(quoteAddr)) {
+            const priceNative = parseFloat(pair.priceNative);
+            if (!isNaN(priceNative) && priceNative > 0) {
+                const quotePrice = prices.get(baseAddr).price / priceNative;
+                if (validatePrice(quotePrice, quoteAddr)) {
+                    prices.set(quoteAddr, { price: quotePrice, liquidity });
+                }
+            }
+        }
+    }
+}
+
+export const dexScreenerProvider = {
+    id: 'dexscreener',
+    name: 'DexScreener',
+    chainIds: null,
+    batchSize: 30,
+    rateLimitMs: DEFAULT_RATE_LIMIT_MS,
+    async fetchPrices(addresses, { validatePrice, delay }) {
+        const prices = new Map();
+        const data = await fetchJson(`https://api.dexscreener.com/latest/dex/tokens/${addresses.join(',')}`, this.name);
+        processDexScreenerPairs(data?.pairs || [], prices, validatePrice);
+
+        // Multi-token lookups cap the pairs returned, so retry misses one at a time.
+        for (const address of addresses.filter(addr => !prices.has(addr))) {
+            await delay();
+            try {
+                const single = await fetchJson(`https://api.dexscreener.com/latest/dex/tokens/${address}`, this.name);
+                processDexScreenerPairs(single?.pairs || [], prices, validatePrice);
+            } catch (error) {
+                warn('DexScreener single-token lookup failed', { token: address, error });
+            }
+        }
+        return prices;
+    }
+};
+
+export const coinGeckoIdProvider = {
+    id: 'coingecko',
+    name: 'CoinGecko IDs',
+    chainIds: null,
+    batchSize: 100,
+    rateLimitMs: DEFAULT_RATE_LIMIT_MS,
+    async fetchPrices(addresses) {
+        const priceIds = TOKEN_ICON_CONFIG?.COINGECKO_PRICE_IDS || {};
+        const mappedAddresses = addresses.filter(address => priceIds[address]);
+        const prices = new Map();
+        if (mappedAddresses.length === 0) {
+            return prices;
+        }
+
+        const ids = [...new Set(mappedAddresses.map(address => priceIds[address]))];
+        const idParam = encodeURIComponent(ids.join(','));
+        const data = await fetchJson(`https://api.coingecko.com/api/v3/simple/price?ids=${idParam}&vs_currencies=usd`, this.name);
+        for (const address of mappedAddresses) {
+            const usd = data?.[priceIds[address]]?.usd;
+            if (usd !== undefined) {
+                prices.set(address, { price: parseFloat(usd), liquidity: 0 });
+            }
+        }
+        return prices;
+    }
+};
+
+export class PriceProviderRegistry {
+    /**
+     * @param {PriceProvider[]} [providers]
+     */
+    constructor(providers = []) {
+        this.providers = new Map();
+        providers.forEach(provider => this.register(provider));
+    }
+
+    /**
+     * Adds or replaces a provider by id.
+     * @param {PriceProvider} provider
+     * @returns {PriceProviderRegistry}
+     */
+    register(provider) {
+        if (!provider?.id || typeof provider.fetchPrices !== 'function') {
+            throw new Error('Price providers need an id and a fetchPrices function');
+        }
+        this.providers.set(provider.id, provider);
+        return this;
+    }
+
+    unregister(id) {
+        return this.providers.delete(id);
+    }
+
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    /**
+     * Providers to ask for a network, in its configured order. Unknown ids and
+     * providers that do not serve the chain are left out.
+     * @param {Object} networkConfig
+     * @returns {PriceProvider[]}
+     */
+    getProvidersForNetwork(networkConfig) {
+        const configuredIds = networkConfig?.priceProviders;
+        const providers = Array.isArray(configuredIds)
+            ? configuredIds.map((id) => {
+                const provider = this.get(id);
+                if (!provider) {
+                    warn(`Unknown price provider "${id}" configured for ${networkConfig.slug}`);
+                }
+                return provider;
+            }).filter(Boolean)
+            : this.list();
+
+        return providers.filter(provider => supportsChain(provider, networkConfig?.chainId));
+    }
+}
+
+export const BUILT_IN_PRICE_PROVIDERS = [
+    geckoTerminalProvider,
+    defiLlamaProvider,
+    dexScreenerProvider,
+    coinGeckoIdProvider,
+    onChainPoolProvider
+];
+
+export const priceProviderRegistry = new PriceProviderRegistry(BUILT_IN_PRICE_PROVIDERS);
@@ -1,12 +1,13 @@
-import { TOKEN_ICON_CONFIG } from '../config/index.js';
 import { isDebugEnabled } from '../config/debug.js';
 import { getNetworkConfig } from '../config/networks.js';
 import { createLogger } from './LogService.js';
 import { contractService } from './ContractService.js';
+import { priceProviderRegistry, toDecimalChainId } from './PriceProviders.js';
+import { PRICE_CONFIDENCE, aggregatePriceQuotes } from '../utils/priceConfidence.js';
 
 export class PricingService {
     constructor(options = {}) {
-        this.prices = new Map();
+        this.prices = new Map(); // address -> { price, confidence, sources, rejectedSources, dispersion }
         this.lastUpdate = null;
         this.updating = false;
         this.subscribers = new Set();
@@ -15,6 +16,9 @@ export class PricingService {
         
         // Injected dependencies (preferred over window globals)
         this.webSocket = options.webSocket || null;
+        this.priceProviderRegistry = options.priceProviderRegistry || priceProviderRegistry;
+        // Providers are asked until each token has this many quotes
+        this.targetPriceSources = 3;
         
         // Simplified: Track allowed tokens for pre-fetching
         this.allowedTokens = new Set();
@@ -78,264 +82,77 @@ export class PricingService {
             return prices;
         }
 
-        // First pass: GeckoTerminal simple token-price endpoint (1 call per 30 addresses).
-        await this.fetchTokenPricesFromGeckoTerminal(validAddresses, prices);
-
-        // Fallback 1: DefiLlama price endpoint for unresolved tokens.
-        let missingTokens = validAddresses.filter(addr => !prices.has(addr));
-        if (missingTokens.length > 0) {
-            this.debug(`Falling back to DefiLlama for ${missingTokens.length} unresolved tokens`);
-            await this.fetchTokenPricesFromDefiLlama(missingTokens, prices);
-        }
-
-        // Fallback 2: DexScreener for unresolved tokens.
-        missingTokens = validAddresses.filter(addr => !prices.has(addr));
-        if (missingTokens.length > 0) {
-            this.debug(`Falling back to DexScreener for ${missingTokens.length} unresolved tokens`);
-            await this.fetchTokenPricesFromDexScreener(missingTokens, prices);
-        }
-
-        // Fallback 3: CoinGecko by mapped token IDs for unresolved tokens.
-        missingTokens = validAddresses.filter(addr => !prices.has(addr));
-        if (missingTokens.length > 0) {
-            this.debug(`Falling back to CoinGecko ID map for ${missingTokens.length} unresolved tokens`);
-            await this.fetchTokenPricesFromCoinGeckoIds(missingTokens, prices);
-        }
-
-        return prices;
-    }
-
-    getGeckoTerminalNetworkId() {
-        const slug = this.networkConfig?.slug;
-        const chainId = this.networkConfig?.chainId
-            ? parseInt(this.networkConfig.chainId, 16).toString()
-            : null;
-
-        const slugMap = {
-            ethereum: 'eth',
-            bnb: 'bsc',
-            polygon: 'polygon_pos'
-        };
-
-        const chainIdMap = {
-            '1': 'eth',
-            '56': 'bsc',
-            '137': 'polygon_pos'
-        };
-
-        return slugMap[slug] || chainIdMap[chainId] || null;
-    }
-
-    async fetchTokenPricesFromGeckoTerminal(tokenAddresses, prices) {
-        const geckoNetworkId = this.getGeckoTerminalNetworkId();
-        if (!geckoNetworkId) {
-            this.warn('GeckoTerminal network mapping unavailable; skipping GeckoTerminal price fetch');
-            return;
-        }
-
-        const chunks = this.createSmartBatches(tokenAddresses, 30);
-
-        for (const chunk of chunks) {
-            try {
-                const addresses = chunk.join(',');
-                const url = `https://api.geckoterminal.com/api/v2/simple/networks/${geckoNetworkId}/token_price/${addresses}`;
-                const response = await fetch(url);
-
-                if (!response.ok) {
-                    this.warn('GeckoTerminal chunk request failed', {
-                        status: response.status,
-                        statusText: response.statusText,
-                        chunkSize: chunk.length
-                    });
-                    continue;
-                }
-
-                const data = await response.json();
-                const tokenPrices = data?.data?.attributes?.token_prices || {};
-
-                for (const [address, rawPrice] of Object.entries(tokenPrices)) {
-                    const normalizedAddress = address.toLowerCase();
-                    const price = parseFloat(rawPrice);
-
-                    if (!prices.has(normalizedAddress) && this.validatePrice(price, normalizedAddress)) {
-                        prices.set(normalizedAddress, {
-                            price,
-                            liquidity: 0
-                        });
-                    }
-                }
-            } catch (error) {
-                this.error('Error fetching GeckoTerminal chunk prices:', error);
+        // Several quotes per token let a bad source be outvoted instead of trusted.
+        const quotes = new Map();
+        for (const provider of this.getPriceProviders()) {
+            const tokensToQuote = validAddresses.filter(addr => (quotes.get(addr)?.length || 0) < this.targetPriceSources);
+            if (tokensToQuote.length === 0) {
+                break;
             }
-
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+            this.debug(`Fetching ${tokensToQuote.length} token prices from ${provider.name}`);
+            await this.fetchTokenPricesFromProvider(provider, tokensToQuote, quotes);
         }
-    }
-
-    async fetchTokenPricesFromDexScreener(tokenAddresses, prices) {
-        const chunks = this.createSmartBatches(tokenAddresses, 30);
-
-        for (const chunk of chunks) {
-            try {
-                const addresses = chunk.join(',');
-                const url = `https://api.dexscreener.com/latest/dex/tokens/${addresses}`;
-                const response = await fetch(url);
-                const data = await response.json();
 
-                if (data.pairs) {
-                    this.processTokenPairs(data.pairs, prices);
-                }
-            } catch (error) {
-                this.error('Error fetching DexScreener chunk prices:', error);
+        for (const [address, tokenQuotes] of quotes.entries()) {
+            const aggregate = aggregatePriceQuotes(tokenQuotes);
+            if (!aggregate) {
+                continue;
             }
-
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-        }
-
-        // Final pass: individual fallback only for still-missing tokens.
-        const missingTokens = tokenAddresses.filter(addr => !prices.has(addr));
-        if (missingTokens.length === 0) {
-            return;
-        }
-
-        this.debug('Fetching missing token prices individually from DexScreener:', missingTokens);
-
-        for (const addr of missingTokens) {
-            try {
-                const url = `https://api.dexscreener.com/latest/dex/tokens/${addr}`;
-                const response = await fetch(url);
-                const data = await response.json();
-
-                if (data.pairs && data.pairs.length > 0) {
-                    this.processTokenPairs(data.pairs, prices);
-                }
-            } catch (error) {
-                this.error('Error fetching individual DexScreener token price:', { token: addr, error });
+            if (aggregate.rejectedSources.length > 0) {
+                this.warn(`Rejected outlier prices for ${address} from ${aggregate.rejectedSources.join(', ')}`, tokenQuotes);
             }
-
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
+            prices.set(address, aggregate);
         }
-    }
-
-    getDefiLlamaChainKey() {
-        const slug = this.networkConfig?.slug;
-        const chainId = this.networkConfig?.chainId
-            ? parseInt(this.networkConfig.chainId, 16).toString()
-            : null;
-
-        const slugMap = {
-            ethereum: 'ethereum',
-            bnb: 'bsc',
-            polygon: 'polygon'
-        };
-
-        const chainIdMap = {
-            '1': 'ethereum',
-            '56': 'bsc',
-            '137': 'polygon'
-        };
 
-        return slugMap[slug] || chainIdMap[chainId] || null;
+        return prices;
     }
 
-    async fetchTokenPricesFromDefiLlama(tokenAddresses, prices) {
-        const defiLlamaChain = this.getDefiLlamaChainKey();
-        if (!defiLlamaChain) {
-            this.warn('DefiLlama chain mapping unavailable; skipping DefiLlama price fetch');
-            return;
-        }
-
-        const chunks = this.createSmartBatches(tokenAddresses, 50);
-        for (const chunk of chunks) {
-            try {
-                const coinKeys = chunk.map(address => `${defiLlamaChain}:${address}`).join(',');
-                const url = `https://coins.llama.fi/prices/current/${coinKeys}`;
-                const response = await fetch(url);
-
-                if (!response.ok) {
-                    this.warn('DefiLlama chunk request failed', {
-                        status: response.status,
-                        statusText: response.statusText,
-                        chunkSize: chunk.length
-                    });
-                    continue;
-                }
-
-                const data = await response.json();
-                const coins = data?.coins || {};
-
-                for (const [coinKey, coinData] of Object.entries(coins)) {
-                    const [, rawAddress = ''] = coinKey.split(':');
-                    const address = rawAddress.toLowerCase();
-                    const price = parseFloat(coinData?.price);
-
-                    if (!prices.has(address) && this.validatePrice(price, address)) {
-                        prices.set(address, {
-                            price,
-                            liquidity: 0
-                        });
-                    }
-                }
-            } catch (error) {
-                this.error('Error fetching DefiLlama chunk prices:', error);
-            }
-
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-        }
+    /**
+     * Providers for the active network, in the order set by its
+     * `priceProviders` config.
+     * @returns {import('./PriceProviders.js').PriceProvider[]}
+     */
+    getPriceProviders() {
+        return this.priceProviderRegistry.getProvidersForNetwork(this.networkConfig);
     }
 
-    async fetchTokenPricesFromCoinGeckoIds(tokenAddresses, prices) {
-        const priceIds = TOKEN_ICON_CONFIG?.COINGECKO_PRICE_IDS || {};
-        const mappedAddresses = tokenAddresses.filter(address => priceIds[address]);
-        if (mappedAddresses.length === 0) {
-            return;
-        }
-
-        const uniqueIds = [...new Set(mappedAddresses.map(address => priceIds[address]))];
-        const idChunks = this.createSmartBatches(uniqueIds, 100);
-        const coinGeckoPrices = new Map();
+    /**
+     * Runs one provider over the tokens in its batch size, adding its valid
+     * prices to each token's quote list.
+     * @param {Map<string, { source: string, price: number, liquidity: number }[]>} quotes
+     */
+    async fetchTokenPricesFromProvider(provider, tokenAddresses, quotes) {
+        const rateLimitMs = provider.rateLimitMs ?? this.rateLimitDelay;
+        const delay = () => new Promise(resolve => setTimeout(resolve, rateLimitMs));
+        const context = {
+            networkConfig: this.networkConfig,
+            chainId: toDecimalChainId(this.networkConfig?.chainId),
+            validatePrice: (price, tokenAddress) => this.validatePrice(price, tokenAddress),
+            delay
+        };
 
-        for (const idChunk of idChunks) {
+        for (const batch of this.createSmartBatches(tokenAddresses, provider.batchSize || 30)) {
             try {
-                const idParam = encodeURIComponent(idChunk.join(','));
-                const url = `https://api.coingecko.com/api/v3/simple/price?ids=${idParam}&vs_currencies=usd`;
-                const response = await fetch(url);
-                if (!response.ok) {
-                    this.warn('CoinGecko ID chunk request failed', {
-                        status: response.status,
-                        statusText: response.statusText,
-                        chunkSize: idChunk.length
-                    });
-                    continue;
-                }
-
-                const data = await response.json();
-                for (const [tokenId, priceData] of Object.entries(data || {})) {
-                    const price = parseFloat(priceData?.usd);
-                    if (this.validatePrice(price, tokenId)) {
-                        coinGeckoPrices.set(tokenId, price);
+                const batchPrices = await provider.fetchPrices(batch, context);
+                for (const [address, data] of batchPrices || []) {
+                    const normalizedAddress = address.toLowerCase();
+                    const tokenQuotes = quotes.get(normalizedAddress) || [];
+                    if (tokenQuotes.some(quote => quote.source === provider.id)
+                        || !this.validatePrice(data?.price, normalizedAddress)) {
+                        continue;
                     }
+                    tokenQuotes.push({
+                        source: provider.id,
+                        price: data.price,
+                        liquidity: data.liquidity || 0
+                    });
+                    quotes.set(normalizedAddress, tokenQuotes);
                 }
             } catch (error) {
-                this.error('Error fetching CoinGecko ID chunk prices:', error);
+                this.error(`Error fetching ${provider.name} batch prices:`, error);
             }
 
-            await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay));
-        }
-
-        for (const address of mappedAddresses) {
-            if (prices.has(address)) {
-                continue;
-            }
-
-            const tokenId = priceIds[address];
-            const mappedPrice = coinGeckoPrices.get(tokenId);
-            if (this.validatePrice(mappedPrice, address)) {
-                prices.set(address, {
-                    price: mappedPrice,
-                    liquidity: 0
-                });
-            }
+            await delay();
         }
     }
 
@@ -368,7 +185,7 @@ export class PricingService {
 
             // Update internal price map with new prices
             for (const [address, data] of newPrices.entries()) {
-                this.prices.set(address, data.price);
+                this.setPriceEntry(address, data);
                 this.debug(`Updated price for ${address}: ${data.price}`);
             }
         } catch (error) {
@@ -396,44 +213,6 @@ export class PricingService {
         return newPrices;
     }
 
-    processTokenPairs(pairs, prices) {
-        // Sort pairs by liquidity
-        const sortedPairs = pairs.sort((a, b) => 
-            (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0)
-        );
-
-        for (const pair of sortedPairs) {
-            const baseAddr = pair.baseToken.address.toLowerCase();
-            const quoteAddr = pair.quoteToken.address.toLowerCase();
-            const priceUsd = parseFloat(pair.priceUsd);
-            
-            // Enhanced price validation
-            if (!isNaN(priceUsd) && this.validatePrice(priceUsd, baseAddr)) {
-                if (!prices.has(baseAddr)) {
-                    prices.set(baseAddr, {
-                        price: priceUsd,
-                        liquidity: pair.liquidity?.usd || 0
-                    });
-                }
-                
-                // Calculate and set quote token price if we don't have it yet
-                if (!prices.has(quoteAddr)) {
-                    const basePrice = prices.get(baseAddr).price;
-                    const priceNative = parseFloat(pair.priceNative);
-                    if (!isNaN(priceNative) && priceNative > 0) {
-                        const quotePrice = basePrice / priceNative;
-                        if (this.validatePrice(quotePrice, quoteAddr)) {
-                            prices.set(quoteAddr, {
-                                price: quotePrice,
-                                liquidity: pair.liquidity?.usd || 0
-                            });
-                        }
-                    }
-                }
-            }
-        }
-    }
-
     async refreshPrices() {
         if (this.updating) {
             return this.refreshPromise;
@@ -461,11 +240,14 @@ export class PricingService {
                 const prices = await this.fetchTokenPrices(tokenAddresses);
                 this.debug('Fetched prices:', prices);
                 
-                // Update internal price map
+                // Update internal price map; isPriceStale() reads the fetch times
                 this.prices.clear();
+                this.lastPriceFetch.clear();
+                const fetchedAt = Date.now();
                 for (const [address, data] of prices.entries()) {
                     this.debug(`Setting price for ${address}:`, data.price);
-                    this.prices.set(address, data.price);
+                    this.setPriceEntry(address, data);
+                    this.lastPriceFetch.set(address, fetchedAt);
                 }
                 
                 const ws = this.webSocket;
@@ -493,8 +275,23 @@ export class PricingService {
         return this.refreshPromise;
     }
 
+    /**
+     * Stores a fetched price with how far it can be trusted.
+     * @param {string} address - Lowercase token address
+     * @param {{ price: number, confidence?: string, sources?: string[], rejectedSources?: string[], dispersion?: number }} data
+     */
+    setPriceEntry(address, data) {
+        this.prices.set(address, {
+            price: data.price,
+            confidence: data.confidence || PRICE_CONFIDENCE.MEDIUM,
+            sources: data.sources || [],
+            rejectedSources: data.rejectedSources || [],
+            dispersion: data.dispersion || 0
+        });
+    }
+
     getPrice(tokenAddress) {
-        const price = this.prices.get(tokenAddress.toLowerCase());
+        const price = this.prices.get(tokenAddress.toLowerCase())?.price;
         
         if (price === undefined) {
             // Check if we should default to 1 for testing
@@ -507,6 +304,47 @@ export class PricingService {
         return price;
     }
 
+    /**
+     * USD price of the network's native currency, read through its wrapped
+     * token. Fetches the price once if it is not cached yet.
+     * @returns {Promise<number|undefined>}
+     */
+    async getNativeCurrencyPrice() {
+        const wrappedNativeAddress = getNetworkConfig()?.wrappedNativeAddress;
+        if (!wrappedNativeAddress) {
+            return undefined;
+        }
+
+        const cachedPrice = this.getPrice(wrappedNativeAddress);
+        if (cachedPrice !== undefined) {
+            return cachedPrice;
+        }
+
+        try {
+            await this.fetchPricesForTokens([wrappedNativeAddress]);
+        } catch (error) {
+            this.debug('Native currency price fetch failed:', error);
+        }
+        return this.getPrice(wrappedNativeAddress);
+    }
+
+    /**
+     * @param {string} tokenAddress
+     * @returns {{ confidence: string, sources: string[], rejectedSources: string[], dispersion: number }|null}
+     */
+    getPriceConfidence(tokenAddress) {
+        const entry = this.prices.get(tokenAddress?.toLowerCase?.());
+        if (!entry) {
+            return null;
+        }
+        const { confidence, sources, rejectedSources, dispersion } = entry;
+        return { confidence, sources, rejectedSources, dispersion };
+    }
+
+    isPriceLowConfidence(tokenAddress) {
+        return this.getPriceConfidence(tokenAddress)?.confidence === PRICE_CONFIDENCE.LOW;
+    }
+
     shouldShowPriceLoading(tokenAddress) {
         const normalizedAddress = tokenAddress?.toLowerCase?.();
         if (!normalizedAddress || this.prices.has(normalizedAddress)) {
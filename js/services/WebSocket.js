@@ -7,6 +7,15 @@ import { erc20Abi } from '../abi/erc20.js';
 import { createLogger } from './LogService.js';
 import { tokenIconService } from './TokenIconService.js';
 import { tokenMetadataCache } from './TokenMetadataCache.js';
+import { orderSnapshotStore } from './OrderSnapshotStore.js';
+import { buildOrderTimings, getOrderGraceEndTime } from '../utils/orderTimings.js';
+import { applyFillToOrder, getRemainingBuyAmount, getRemainingSellAmount, isPartiallyFilled } from '../utils/partialFills.js';
+
+// Events whose logs are replayed on top of a persisted order snapshot.
+const ORDER_STATUS_DELTA_EVENTS = ['OrderFilled', 'OrderCanceled', 'OrderCleanedUp'];
+
+// Contracts that accept a sell amount per fill; absent from the legacy ABI.
+const PARTIAL_FILL_FUNCTION = 'fillOrder(uint256,uint256)';
 
 export class WebSocketService {
     constructor(options = {}) {
@@ -65,6 +74,17 @@ export class WebSocketService {
         this.eventListenersAttached = false;
         this.eventListenersContract = null;
 
+        // Incremental order sync: a persisted snapshot is caught up by fetching
+        // only new order ids and replaying status logs since lastSyncedBlock.
+        this.lastSyncedBlock = null;
+        this.syncedFirstOrderId = null;
+        this.syncedNextOrderId = null;
+        this.orderSyncLogChunkSize = 5000;
+        // Beyond this many blocks a full re-read is cheaper than log replay.
+        this.orderSyncMaxReplayBlocks = 50000;
+        this.snapshotPersistTimer = null;
+        this.snapshotPersistDelayMs = 1000;
+
         // Contract disabled-state cache
         this.contractDisabledCache = null;
         this.contractDisabledFetchedAt = 0;
@@ -277,6 +297,28 @@ export class WebSocketService {
         }
     }
 
+    hasContractFunction(contract, signature) {
+        if (!contract?.interface?.getFunction) {
+            return false;
+        }
+        try {
+            contract.interface.getFunction(signature);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * Whether the contract lets takers fill part of an order. When false every
+     * OrderFilled closes the order, as on the current deployment.
+     * @param {Object} [contract]
+     * @returns {boolean}
+     */
+    supportsPartialFills(contract = this.contract) {
+        return this.hasContractFunction(contract, PARTIAL_FILL_FUNCTION);
+    }
+
     /**
      * Monotonic clock helper for elapsed-time calculations.
      * Uses `performance.now()` when available and falls back to `Date.now()`.
@@ -419,27 +461,7 @@ export class WebSocketService {
      * @returns {{createdAt:number|null, expiresAt:number|null, graceEndsAt:number|null}} Derived timings.
      */
     buildOrderTimings(createdAtInput) {
-        const createdAt = Number(createdAtInput);
-        if (!Number.isFinite(createdAt)) {
-            return {
-                createdAt: null,
-                expiresAt: null,
-                graceEndsAt: null
-            };
-        }
-
-        const orderExpirySecs = this.orderExpiry
-            ? this.orderExpiry.toNumber()
-            : ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS;
-        const gracePeriodSecs = this.gracePeriod
-            ? this.gracePeriod.toNumber()
-            : ORDER_CONSTANTS.DEFAULT_GRACE_PERIOD_SECS;
-
-        return {
-            createdAt,
-            expiresAt: createdAt + orderExpirySecs,
-            graceEndsAt: createdAt + orderExpirySecs + gracePeriodSecs
-        };
+        return buildOrderTimings(createdAtInput, this.getTimingConstants());
     }
 
     /**
@@ -448,16 +470,11 @@ export class WebSocketService {
      * @returns {number|null} Grace-end unix timestamp (seconds), or `null` when unavailable.
      */
     getOrderGraceEndTime(order) {
-        const graceEndsAt = Number(order?.timings?.graceEndsAt);
-        if (Number.isFinite(graceEndsAt)) {
-            return graceEndsAt;
-        }
-
-        if (Number.isFinite(Number(order?.timestamp))) {
-            return this.buildOrderTimings(order.timestamp).graceEndsAt;
-        }
+        return getOrderGraceEndTime(order, this.getTimingConstants());
+    }
 
-        return null;
+    getTimingConstants() {
+        return { orderExpiry: this.orderExpiry, gracePeriod: this.gracePeriod };
     }
 
     getNetworkContextKey() {
@@ -568,7 +585,7 @@ export class WebSocketService {
             });
     }
 
-    async loadStartupSnapshotViaHttp() {
+    async loadStartupSnapshotViaHttp(persistedSnapshot = this.loadPersistedOrderSnapshot()) {
         contractService.initialize({ webSocket: this });
 
         return await contractService.readViaHttpRpc(async ({ contract, provider }) => {
@@ -576,6 +593,9 @@ export class WebSocketService {
                 throw new Error('HTTP contract not available');
             }
 
+            // Read the block height first: order reads below then reflect at least
+            // this block, so replaying logs from here on next startup is safe.
+            const latestBlock = await provider.getBlockNumber();
             const [firstOrderId, nextOrderId, orderExpiry, gracePeriod] = await Promise.all([
                 contract.firstOrderId(),
                 contract.nextOrderId(),
@@ -585,12 +605,36 @@ export class WebSocketService {
 
             const startOrderId = Math.max(0, Number(firstOrderId) || 0);
             const endOrderIdExclusive = Math.max(startOrderId, Number(nextOrderId) || 0);
-            const fetchedOrders = await this.fetchOrdersInRange(
-                startOrderId,
-                endOrderIdExclusive,
-                50,
-                { contract, provider }
-            );
+
+            let fetchedOrders = null;
+            let syncMode = 'full';
+            if (persistedSnapshot) {
+                try {
+                    fetchedOrders = await this.catchUpPersistedOrderSnapshot(persistedSnapshot, {
+                        contract,
+                        provider,
+                        startOrderId,
+                        endOrderIdExclusive,
+                        latestBlock
+                    });
+                    if (fetchedOrders) {
+                        syncMode = 'incremental';
+                    }
+                } catch (error) {
+                    // getLogs range limits vary per RPC; a full re-read always works.
+                    this.debug('Incremental order sync failed; falling back to full sync:', error);
+                    fetchedOrders = null;
+                }
+            }
+
+            if (!fetchedOrders) {
+                fetchedOrders = await this.fetchOrdersInRange(
+                    startOrderId,
+                    endOrderIdExclusive,
+                    50,
+                    { contract, provider }
+                );
+            }
 
             return {
                 provider,
@@ -601,11 +645,266 @@ export class WebSocketService {
                 gracePeriod,
                 startOrderId,
                 endOrderIdExclusive,
+                latestBlock,
+                syncMode,
                 fetchedOrders
             };
         });
     }
 
+    getOrderSnapshotStoreKey() {
+        const config = getNetworkConfig();
+        return {
+            chainId: config?.chainId,
+            contractAddress: config?.contractAddress
+        };
+    }
+
+    loadPersistedOrderSnapshot() {
+        const { chainId, contractAddress } = this.getOrderSnapshotStoreKey();
+        return orderSnapshotStore.load(chainId, contractAddress);
+    }
+
+    hydrateSnapshotOrder(order) {
+        return {
+            ...order,
+            id: Number(order.id),
+            timestamp: Number(order.timestamp) || 0,
+            sellAmount: ethers.BigNumber.from(order.sellAmount || '0'),
+            buyAmount: ethers.BigNumber.from(order.buyAmount || '0'),
+            orderCreationFee: ethers.BigNumber.from(order.orderCreationFee || '0'),
+            filledSellAmount: ethers.BigNumber.from(order.filledSellAmount || '0')
+        };
+    }
+
+    /**
+     * Fill an empty order cache from a persisted snapshot so views can render
+     * before any RPC read; the startup sync then applies the chain's changes.
+     * @returns {Promise<boolean>} Whether the cache was filled
+     */
+    async hydrateOrderCacheFromSnapshot(persistedSnapshot, lifecycleVersion, networkContextKey) {
+        if (!persistedSnapshot || this.hasCompletedOrderSync || this.orderCache.size > 0) {
+            return false;
+        }
+
+        if (persistedSnapshot.orderExpiry !== null) {
+            this.orderExpiry = persistedSnapshot.orderExpiry;
+        }
+        if (persistedSnapshot.gracePeriod !== null) {
+            this.gracePeriod = persistedSnapshot.gracePeriod;
+        }
+
+        for (const order of persistedSnapshot.orders) {
+            if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
+                this.orderCache.clear();
+                return false;
+            }
+            const hydratedOrder = await this.enrichSyncedOrder(this.hydrateSnapshotOrder(order));
+            this.orderCache.set(hydratedOrder.id, hydratedOrder);
+        }
+
+        this.debug('Order cache hydrated from persisted snapshot:', {
+            orders: this.orderCache.size,
+            lastSyncedBlock: persistedSnapshot.lastSyncedBlock
+        });
+        this.notifySubscribers('ordersUpdated', Array.from(this.orderCache.values()));
+        return true;
+    }
+
+    /**
+     * Add timings and deal metrics to an order read from the chain or a snapshot.
+     */
+    async enrichSyncedOrder(order, options = {}) {
+        const orderData = {
+            ...order,
+            timings: this.buildOrderTimings(order.timestamp)
+        };
+        try {
+            return await this.calculateDealMetrics(orderData, options);
+        } catch (error) {
+            this.debug('Failed to calculate deal metrics for order', order.id, ':', error);
+            // Still add the order without deal metrics as fallback
+            return orderData;
+        }
+    }
+
+    /**
+     * Bring a persisted snapshot up to date: apply status logs emitted after
+     * lastSyncedBlock and fetch order ids created since the snapshot.
+     * Returns null when a full sync is the better option.
+     */
+    async catchUpPersistedOrderSnapshot(persistedSnapshot, {
+        contract,
+        provider,
+        startOrderId,
+        endOrderIdExclusive,
+        latestBlock
+    }) {
+        const { lastSyncedBlock, nextOrderId: persistedNextOrderId } = persistedSnapshot;
+
+        // A chain reset (e.g. restarted local node) or redeploy invalidates the snapshot.
+        if (lastSyncedBlock > latestBlock || persistedNextOrderId > endOrderIdExclusive) {
+            this.debug('Persisted order snapshot is ahead of chain; discarding', {
+                lastSyncedBlock,
+                latestBlock,
+                persistedNextOrderId,
+                endOrderIdExclusive
+            });
+            const { chainId, contractAddress } = this.getOrderSnapshotStoreKey();
+            orderSnapshotStore.clear(chainId, contractAddress);
+            return null;
+        }
+
+        if (latestBlock - lastSyncedBlock > this.orderSyncMaxReplayBlocks) {
+            this.debug('Persisted order snapshot too old for log replay:', {
+                lastSyncedBlock,
+                latestBlock
+            });
+            return null;
+        }
+
+        const ordersById = new Map();
+        for (const order of persistedSnapshot.orders) {
+            const orderId = Number(order.id);
+            if (orderId < startOrderId || orderId >= endOrderIdExclusive) {
+                continue;
+            }
+            ordersById.set(orderId, this.hydrateSnapshotOrder(order));
+        }
+
+        const deltas = await this.fetchOrderStatusDeltas(lastSyncedBlock + 1, latestBlock, {
+            contract,
+            provider
+        });
+        this.applyOrderStatusDeltas(ordersById, deltas);
+
+        // Partial fills change remaining amounts, which status logs alone
+        // cannot restore reliably; re-read every order that saw a fill.
+        if (this.supportsPartialFills(contract)) {
+            const filledOrderIds = new Set(deltas
+                .filter(({ eventName, orderId }) => eventName === 'OrderFilled' && ordersById.has(orderId))
+                .map(({ orderId }) => orderId));
+            for (const orderId of filledOrderIds) {
+                const [freshOrder] = await this.fetchOrdersIndividually(orderId, orderId + 1, 1, { contract });
+                if (freshOrder) {
+                    ordersById.set(orderId, freshOrder);
+                }
+            }
+        }
+
+        const newOrders = await this.fetchOrdersInRange(
+            Math.max(startOrderId, persistedNextOrderId),
+            endOrderIdExclusive,
+            50,
+            { contract, provider }
+        );
+        newOrders.forEach((order) => ordersById.set(order.id, order));
+
+        this.debug('Incremental order sync applied:', {
+            fromBlock: lastSyncedBlock + 1,
+            toBlock: latestBlock,
+            statusDeltas: deltas.length,
+            newOrders: newOrders.length
+        });
+
+        return Array.from(ordersById.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Read OrderFilled/OrderCanceled/OrderCleanedUp logs in block chunks.
+     * @returns {Promise<Array<{ eventName: string, orderId: number, blockNumber: number, logIndex: number }>>}
+     */
+    async fetchOrderStatusDeltas(fromBlock, toBlock, options = {}) {
+        const contract = options.contract || this.contract;
+        const provider = options.provider || contract?.provider || this.provider;
+        if (!contract || !provider) {
+            throw new Error('Contract not initialized. Call initialize() first.');
+        }
+        if (toBlock < fromBlock) {
+            return [];
+        }
+
+        const iface = contract.interface;
+        const topics = [ORDER_STATUS_DELTA_EVENTS.map((eventName) => iface.getEventTopic(eventName))];
+        const chunkSize = Math.max(1, this.orderSyncLogChunkSize);
+        const deltas = [];
+
+        for (let chunkStart = fromBlock; chunkStart <= toBlock; chunkStart += chunkSize) {
+            const chunkEnd = Math.min(toBlock, chunkStart + chunkSize - 1);
+            const logs = await provider.getLogs({
+                address: contract.address,
+                topics,
+                fromBlock: chunkStart,
+                toBlock: chunkEnd
+            });
+
+            for (const log of logs) {
+                try {
+                    const parsed = iface.parseLog(log);
+                    deltas.push({
+                        eventName: parsed.name,
+                        orderId: parsed.args.orderId.toNumber(),
+                        blockNumber: log.blockNumber,
+                        logIndex: log.logIndex
+                    });
+                } catch (error) {
+                    this.debug('Failed to parse order status log:', error);
+                }
+            }
+        }
+
+        return deltas.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    }
+
+    applyOrderStatusDeltas(ordersById, deltas) {
+        for (const { eventName, orderId } of deltas) {
+            if (eventName === 'OrderCleanedUp') {
+                ordersById.delete(orderId);
+                continue;
+            }
+
+            const order = ordersById.get(orderId);
+            if (!order) {
+                continue;
+            }
+            order.status = eventName === 'OrderFilled' ? 'Filled' : 'Canceled';
+        }
+    }
+
+    persistOrderSnapshot() {
+        if (!this.hasCompletedOrderSync || !Number.isInteger(this.lastSyncedBlock)) {
+            return false;
+        }
+
+        const { chainId, contractAddress } = this.getOrderSnapshotStoreKey();
+        return orderSnapshotStore.save(chainId, contractAddress, {
+            firstOrderId: this.syncedFirstOrderId,
+            nextOrderId: this.syncedNextOrderId,
+            lastSyncedBlock: this.lastSyncedBlock,
+            orderExpiry: this.orderExpiry,
+            gracePeriod: this.gracePeriod,
+            orders: this.orderCache.values()
+        });
+    }
+
+    // Live events keep lastSyncedBlock/nextOrderId from the last sync, so the
+    // next startup re-reads anything emitted before listeners were attached.
+    schedulePersistOrderSnapshot() {
+        if (this.snapshotPersistTimer) {
+            return;
+        }
+
+        const lifecycleVersion = this.lifecycleVersion;
+        const networkContextKey = this.getNetworkContextKey();
+        this.snapshotPersistTimer = setTimeout(() => {
+            this.snapshotPersistTimer = null;
+            if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
+                return;
+            }
+            this.persistOrderSnapshot();
+        }, this.snapshotPersistDelayMs);
+    }
+
     withTimeout(promise, timeoutMs, message) {
         return new Promise((resolve, reject) => {
             const timeoutId = setTimeout(() => {
@@ -872,6 +1171,7 @@ export class WebSocketService {
                     
                     // Add to cache
                     this.orderCache.set(orderId.toNumber(), orderData);
+                    this.schedulePersistOrderSnapshot();
                     
                     // Debug logging
                     this.debug('New order added to cache:', {
@@ -892,15 +1192,35 @@ export class WebSocketService {
                 }
             });
 
-            contract.on("OrderFilled", (...args) => {
+            contract.on("OrderFilled", async (...args) => {
                 const [orderId] = args;
+                const event = args[args.length - 1];
                 const orderIdNum = orderId.toNumber();
-                const order = this.orderCache.get(orderIdNum);
+                let order = this.orderCache.get(orderIdNum);
                 if (order) {
-                    order.status = 'Filled';
+                    if (this.supportsPartialFills(contract)) {
+                        const { filledSellAmount, isComplete } = applyFillToOrder(order, event?.args || {});
+                        order.filledSellAmount = ethers.BigNumber.from(filledSellAmount.toString());
+                        order.status = isComplete ? 'Filled' : 'Active';
+                        try {
+                            order = await this.calculateDealMetrics(order);
+                        } catch (error) {
+                            this.debug('Failed to refresh deal metrics after partial fill:', error);
+                        }
+                        if (!this.orderCache.has(orderIdNum)) {
+                            return;
+                        }
+                    } else {
+                        order.status = 'Filled';
+                    }
                     this.orderCache.set(orderIdNum, order);
                     this.debug('Cache updated for filled order:', order);
+                    this.schedulePersistOrderSnapshot();
                     this.notifySubscribers("OrderFilled", order);
+                    if (order.status === 'Active') {
+                        // Remaining amounts changed; rows must re-render.
+                        this.notifySubscribers("ordersUpdated", Array.from(this.orderCache.values()));
+                    }
                 }
             });
 
@@ -911,6 +1231,7 @@ export class WebSocketService {
                     order.status = 'Canceled';
                     this.orderCache.set(orderIdNum, order);
                     this.debug('Updated order to Canceled:', orderIdNum);
+                    this.schedulePersistOrderSnapshot();
                     this.notifySubscribers("OrderCanceled", order);
                 }
             });
@@ -920,6 +1241,7 @@ export class WebSocketService {
                 if (this.orderCache.has(orderIdNum)) {
                     this.orderCache.delete(orderIdNum);
                     this.debug('Removed cleaned up order:', orderIdNum);
+                    this.schedulePersistOrderSnapshot();
                     this.notifySubscribers("OrderCleanedUp", { id: orderIdNum });
                 }
             });
@@ -1126,6 +1448,7 @@ export class WebSocketService {
                         continue;
                     }
                     orders.push({
+                        ...this.readOrderFillState(decoded),
                         id: orderId,
                         maker,
                         taker,
@@ -1149,6 +1472,13 @@ export class WebSocketService {
         }
     }
 
+    // Partial-fill contracts report progress as a named `orders()` output.
+    readOrderFillState(orderResult) {
+        return orderResult?.filledSellAmount !== undefined
+            ? { filledSellAmount: orderResult.filledSellAmount }
+            : {};
+    }
+
     /**
      * Fallback: fetch orders individually with small concurrency.
      */
@@ -1174,6 +1504,7 @@ export class WebSocketService {
                         continue;
                     }
                     results.push({
+                        ...this.readOrderFillState(order),
                         id: orderId,
                         maker: order.maker,
                         taker: order.taker,
@@ -1291,8 +1622,17 @@ export class WebSocketService {
                 }
             }
             
+            // Drop any pending snapshot write before the cache is cleared
+            if (this.snapshotPersistTimer) {
+                clearTimeout(this.snapshotPersistTimer);
+                this.snapshotPersistTimer = null;
+            }
+
             // Clear cache
             this.orderCache.clear();
+            this.lastSyncedBlock = null;
+            this.syncedFirstOrderId = null;
+            this.syncedNextOrderId = null;
             this.lastKnownChainTimestamp = null;
             this.chainTimeSyncedAtMonotonicMs = null;
             this.chainTimeSyncPromise = null;
@@ -1352,48 +1692,53 @@ export class WebSocketService {
             });
 
             try {
-                const snapshot = await this.loadStartupSnapshotViaHttp();
+                const persistedSnapshot = this.loadPersistedOrderSnapshot();
+                const hydratedFromSnapshot = await this.hydrateOrderCacheFromSnapshot(
+                    persistedSnapshot,
+                    lifecycleVersion,
+                    networkContextKey
+                );
+                const snapshot = await this.loadStartupSnapshotViaHttp(persistedSnapshot);
                 if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
                     this.debug('Discarding stale startup snapshot after lifecycle/network change');
                     return false;
                 }
 
+                const timingsChanged = String(this.orderExpiry) !== String(snapshot.orderExpiry)
+                    || String(this.gracePeriod) !== String(snapshot.gracePeriod);
                 this.orderExpiry = snapshot.orderExpiry;
                 this.gracePeriod = snapshot.gracePeriod;
                 this.debug('Resolved order sync range:', {
                     startOrderId: snapshot.startOrderId,
-                    endOrderIdExclusive: snapshot.endOrderIdExclusive
+                    endOrderIdExclusive: snapshot.endOrderIdExclusive,
+                    latestBlock: snapshot.latestBlock,
+                    syncMode: snapshot.syncMode
                 });
 
-                // Clear existing cache before sync
-                this.orderCache.clear();
-
-                // Enrich with timings and populate cache
+                // Orders hydrated from the snapshot stay visible and keep their
+                // deal metrics unless the catch-up changed them.
+                const hydratedOrders = hydratedFromSnapshot && snapshot.syncMode === 'incremental' && !timingsChanged
+                    ? this.orderCache
+                    : new Map();
+                const syncedOrders = new Map();
                 for (const o of snapshot.fetchedOrders) {
                     if (this.isStaleWork(lifecycleVersion, networkContextKey)) {
                         this.debug('Discarding stale startup snapshot while populating cache');
                         return false;
                     }
 
-                    const orderData = {
-                        ...o,
-                        timings: this.buildOrderTimings(o.timestamp)
-                    };
-                    // Calculate deal metrics for the order
-                    try {
-                        const enrichedOrderData = await this.calculateDealMetrics(orderData, {
-                            provider: snapshot.provider
-                        });
-                        this.orderCache.set(o.id, enrichedOrderData);
-                        this.debug('Added order to cache with deal metrics:', enrichedOrderData);
-                    } catch (error) {
-                        this.debug('Failed to calculate deal metrics for order', o.id, ':', error);
-                        // Still add the order without deal metrics as fallback
-                        this.orderCache.set(o.id, orderData);
-                        this.debug('Added order to cache without deal metrics:', orderData);
-                    }
+                    const hydrated = hydratedOrders.get(o.id);
+                    const unchanged = hydrated
+                        && hydrated.status === o.status
+                        && String(hydrated.filledSellAmount ?? '0') === String(o.filledSellAmount ?? '0');
+                    syncedOrders.set(o.id, unchanged
+                        ? hydrated
+                        : await this.enrichSyncedOrder(o, { provider: snapshot.provider }));
                 }
 
+                this.orderCache.clear();
+                syncedOrders.forEach((order, orderId) => this.orderCache.set(orderId, order));
+
                 // Validate and summarize order cache
                 try {
                     this.validateOrderCache();
@@ -1402,6 +1747,10 @@ export class WebSocketService {
                 this.debug('Order sync complete. Cache size:', this.orderCache.size);
                 // Set flag BEFORE notifying subscribers so UI components see correct state
                 this.hasCompletedOrderSync = true;
+                this.lastSyncedBlock = snapshot.latestBlock;
+                this.syncedFirstOrderId = snapshot.startOrderId;
+                this.syncedNextOrderId = snapshot.endOrderIdExclusive;
+                this.persistOrderSnapshot();
                 this.notifySubscribers('orderSyncComplete', Object.fromEntries(this.orderCache));
                 this.attachEventListenersAfterRealtimeReady(
                     realtimeReadyPromise,
@@ -1518,6 +1867,7 @@ export class WebSocketService {
         orderIds.forEach(orderId => {
             this.orderCache.delete(orderId);
         });
+        this.schedulePersistOrderSnapshot();
         
         // Notify subscribers of the update
         this.notifySubscribers('ordersUpdated', this.getOrders());
@@ -1581,6 +1931,20 @@ export class WebSocketService {
 
         const formattedBuyAmount = ethers.utils.formatUnits(orderData.buyAmount || 0, buyTokenDecimals);
         const formattedSellAmount = ethers.utils.formatUnits(orderData.sellAmount || 0, sellTokenDecimals);
+        // Pro-rata fills keep the buy/sell ratio, so `deal` is unchanged by a
+        // partial fill; only the remaining amounts and their USD values shrink.
+        const remainingMetrics = isPartiallyFilled(orderData)
+            ? {
+                formattedRemainingSellAmount: ethers.utils.formatUnits(
+                    getRemainingSellAmount(orderData).toString(),
+                    sellTokenDecimals
+                ),
+                formattedRemainingBuyAmount: ethers.utils.formatUnits(
+                    getRemainingBuyAmount(orderData).toString(),
+                    buyTokenDecimals
+                )
+            }
+            : {};
 
         const buyAmount = Number(formattedBuyAmount);
         const sellAmount = Number(formattedSellAmount);
@@ -1592,7 +1956,8 @@ export class WebSocketService {
                 dealMetrics: {
                     ...orderData.dealMetrics,
                     formattedBuyAmount,
-                    formattedSellAmount
+                    formattedSellAmount,
+                    ...remainingMetrics
                 }
             };
         }
@@ -1605,7 +1970,8 @@ export class WebSocketService {
                 dealMetrics: {
                     ...orderData.dealMetrics,
                     formattedBuyAmount,
-                    formattedSellAmount
+                    formattedSellAmount,
+                    ...remainingMetrics
                 }
             };
         }
@@ -1625,6 +1991,7 @@ export class WebSocketService {
                     ...orderData.dealMetrics,
                     formattedBuyAmount,
                     formattedSellAmount,
+                    ...remainingMetrics,
                     buyTokenUsdPrice,
                     sellTokenUsdPrice
                 }
@@ -1642,6 +2009,7 @@ export class WebSocketService {
                     ...orderData.dealMetrics,
                     formattedBuyAmount,
                     formattedSellAmount,
+                    ...remainingMetrics,
                     buyTokenUsdPrice,
                     sellTokenUsdPrice
                 }
@@ -1649,6 +2017,12 @@ export class WebSocketService {
         }
 
         const deal = buyValue / sellValue;
+        const remainingValues = remainingMetrics.formattedRemainingSellAmount !== undefined
+            ? {
+                remainingBuyValue: Number(remainingMetrics.formattedRemainingBuyAmount) * buyTokenUsdPrice,
+                remainingSellValue: Number(remainingMetrics.formattedRemainingSellAmount) * sellTokenUsdPrice
+            }
+            : {};
 
         return {
             ...orderData,
@@ -1656,10 +2030,12 @@ export class WebSocketService {
                 ...orderData.dealMetrics,
                 formattedBuyAmount,
                 formattedSellAmount,
+                ...remainingMetrics,
                 buyTokenUsdPrice,
                 sellTokenUsdPrice,
                 buyValue,
                 sellValue,
+                ...remainingValues,
                 deal
             }
         };
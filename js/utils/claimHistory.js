@@ -0,0 +1,118 @@
+/**
+ * Claim credit and withdrawal history built from EventIndexerService records.
+ *
+ * The contract credits a claim (`ClaimCredited`) instead of transferring
+ * tokens directly, e.g. cleanup rewards or a payout that failed during a
+ * fill. The credit's own log only carries the order id and a reason, so the
+ * event that triggered it is found among the other logs of the same
+ * transaction.
+ */
+
+export const CLAIM_CREDIT_SOURCES = {
+    FILL: 'Fill',
+    CANCEL: 'Cancel',
+    CLEANUP: 'Cleanup',
+    UNKNOWN: 'Unknown'
+};
+
+const SOURCE_BY_EVENT = {
+    OrderFilled: CLAIM_CREDIT_SOURCES.FILL,
+    OrderCanceled: CLAIM_CREDIT_SOURCES.CANCEL,
+    OrderCleanedUp: CLAIM_CREDIT_SOURCES.CLEANUP
+};
+
+const SOURCE_DESCRIPTIONS = {
+    [CLAIM_CREDIT_SOURCES.FILL]: 'filled',
+    [CLAIM_CREDIT_SOURCES.CANCEL]: 'canceled',
+    [CLAIM_CREDIT_SOURCES.CLEANUP]: 'cleaned up'
+};
+
+function normalizeAddress(address) {
+    return typeof address === 'string' ? address.toLowerCase() : '';
+}
+
+function compareNewestFirst(a, b) {
+    return (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex);
+}
+
+/**
+ * @param {Object[]} records - Indexed event records (any order, any event)
+ * @param {string} account - Wallet address
+ * @returns {{ creditsByToken: Object<string, Object[]>, withdrawals: Object[] }}
+ *   `creditsByToken` maps a lowercase token to the credits received since the
+ *   last withdrawal of that token, i.e. those making up the current balance.
+ *   Both lists are newest first.
+ */
+export function buildClaimHistory(records, account) {
+    const normalizedAccount = normalizeAddress(account);
+    const result = { creditsByToken: {}, withdrawals: [] };
+    if (!normalizedAccount || !Array.isArray(records)) {
+        return result;
+    }
+
+    const sourceByTransaction = new Map();
+    records.forEach((record) => {
+        const source = SOURCE_BY_EVENT[record?.eventName];
+        if (source) {
+            sourceByTransaction.set(`${record.transactionHash}:${record.orderId}`, source);
+        }
+    });
+
+    const credits = [];
+    records.forEach((record) => {
+        if (normalizeAddress(record?.beneficiary) !== normalizedAccount) {
+            return;
+        }
+        const entry = {
+            key: record.key,
+            token: normalizeAddress(record.token),
+            amount: record.amount,
+            transactionHash: record.transactionHash,
+            blockNumber: record.blockNumber,
+            logIndex: record.logIndex,
+            timestamp: record.timestamp
+        };
+        if (record.eventName === 'ClaimWithdrawn') {
+            result.withdrawals.push(entry);
+        } else if (record.eventName === 'ClaimCredited') {
+            credits.push({
+                ...entry,
+                orderId: record.orderId,
+                reason: record.reason || '',
+                source: sourceByTransaction.get(`${record.transactionHash}:${record.orderId}`)
+                    || CLAIM_CREDIT_SOURCES.UNKNOWN
+            });
+        }
+    });
+
+    result.withdrawals.sort(compareNewestFirst);
+
+    const lastWithdrawalByToken = {};
+    result.withdrawals.forEach((withdrawal) => {
+        if (!(withdrawal.token in lastWithdrawalByToken)) {
+            lastWithdrawalByToken[withdrawal.token] = withdrawal;
+        }
+    });
+
+    credits.sort(compareNewestFirst).forEach((credit) => {
+        const lastWithdrawal = lastWithdrawalByToken[credit.token];
+        if (lastWithdrawal && compareNewestFirst(credit, lastWithdrawal) > 0) {
+            return;
+        }
+        (result.creditsByToken[credit.token] ||= []).push(credit);
+    });
+
+    return result;
+}
+
+/**
+ * One-line explanation of why a credit exists.
+ * @param {{ orderId: number|null, source: string, reason: string }} credit
+ * @returns {string}
+ */
+export function describeClaimCredit(credit) {
+    const action = SOURCE_DESCRIPTIONS[credit.source];
+    const order = Number.isInteger(credit.orderId) ? `Order #${credit.orderId}` : 'Order';
+    const base = action ? `${order} ${action}` : order;
+    return credit.reason ? `${base}: ${credit.reason}` : base;
+}
@@ -0,0 +1,228 @@
+import { toBigIntAmount } from './partialFills.js';
+
+/**
+ * Cleanup profitability estimates.
+ *
+ * `cleanupExpiredOrders()` cleans one order per transaction, oldest id first,
+ * and pays the caller that order's own `orderCreationFee` in its `feeToken`.
+ * An order becomes cleanable once chain time passes its `graceEndsAt`.
+ * Every cleanup therefore costs one transaction's gas and earns one fee.
+ */
+
+// Fallback gas for a single order cleanup when estimation fails
+export const BASE_CLEANUP_GAS = 85000  // Base transaction cost
+    + 65000                            // Single order cost
+    + 25000;                           // Buffer for contract state changes
+
+export const CLEANUP_TIMELINE_BUCKET_SECS = 60 * 60;
+export const CLEANUP_TIMELINE_MAX_BUCKETS = 12;
+
+function toUnits(amount, decimals) {
+    return Number(amount) / (10 ** decimals);
+}
+
+function sortById(orders) {
+    return [...orders].sort((a, b) => Number(a.id) - Number(b.id));
+}
+
+/**
+ * Reward paid to whoever cleans `order`.
+ * @param {Object} order
+ * @param {Function} getFeeTokenInfo - (address) => { symbol, decimals, usdPrice }
+ * @returns {{ feeToken: string, symbol: string|undefined, amount: bigint, units: number, usdValue: number|null }}
+ */
+export function getCleanupReward(order, getFeeTokenInfo) {
+    const feeToken = String(order.feeToken || '').toLowerCase();
+    const info = getFeeTokenInfo(feeToken) || {};
+    const decimals = Number.isInteger(info.decimals) ? info.decimals : 18;
+    const amount = toBigIntAmount(order.orderCreationFee);
+    const usdPrice = Number.isFinite(info.usdPrice) && info.usdPrice > 0 ? info.usdPrice : null;
+    const units = toUnits(amount, decimals);
+    return { feeToken, symbol: info.symbol, amount, units, usdValue: usdPrice === null ? null : units * usdPrice };
+}
+
+/**
+ * Split orders into those cleanable now and those still inside their grace period.
+ * @param {Object[]} orders
+ * @param {number} currentTime - Chain time in unix seconds
+ * @returns {{ eligible: Object[], upcoming: Object[] }} Both sorted by order id
+ */
+export function getCleanupQueue(orders, currentTime) {
+    const eligible = [];
+    const upcoming = [];
+    for (const order of orders || []) {
+        const graceEndsAt = order?.timings?.graceEndsAt;
+        if (typeof graceEndsAt !== 'number' || !Number.isFinite(currentTime)) {
+            continue;
+        }
+        (currentTime > graceEndsAt ? eligible : upcoming).push(order);
+    }
+    return { eligible: sortById(eligible), upcoming: sortById(upcoming) };
+}
+
+/**
+ * @param {Object} params
+ * @param {Object[]} params.orders - Cached orders with feeToken, orderCreationFee and timings
+ * @param {number} params.currentTime - Chain time in unix seconds
+ * @param {Function} params.getFeeTokenInfo - (address) => { symbol, decimals, usdPrice }
+ * @param {bigint|string|Object} params.gasPerCleanup - Gas units for one cleanup transaction
+ * @param {bigint|string|Object} params.gasPriceWei
+ * @param {number|undefined} params.nativeUsdPrice
+ * @param {number} [params.nativeDecimals]
+ * @param {number} [params.bucketSecs]
+ * @param {number} [params.maxBuckets]
+ * @returns {Object} Ready rewards per fee token, USD totals, gas cost, net result,
+ *   a timeline of upcoming grace-period ends and when cleaning turns profitable.
+ */
+export function estimateCleanupProfitability({
+    orders,
+    currentTime,
+    getFeeTokenInfo,
+    gasPerCleanup,
+    gasPriceWei,
+    nativeUsdPrice,
+    nativeDecimals = 18,
+    bucketSecs = CLEANUP_TIMELINE_BUCKET_SECS,
+    maxBuckets = CLEANUP_TIMELINE_MAX_BUCKETS
+}) {
+    const { eligible, upcoming } = getCleanupQueue(orders, currentTime);
+
+    const costPerCleanupNative = toUnits(
+        toBigIntAmount(gasPerCleanup) * toBigIntAmount(gasPriceWei),
+        nativeDecimals
+    );
+    const costPerCleanupUsd = Number.isFinite(nativeUsdPrice) && nativeUsdPrice > 0
+        ? costPerCleanupNative * nativeUsdPrice
+        : null;
+
+    let hasUnpricedRewards = false;
+    const getOrderReward = (order) => getCleanupReward(order, getFeeTokenInfo);
+
+    // Ready rewards grouped per fee token
+    const rewardsByToken = new Map();
+    let totalRewardUsd = 0;
+    for (const order of eligible) {
+        const reward = getOrderReward(order);
+        const entry = rewardsByToken.get(reward.feeToken) || {
+            feeToken: reward.feeToken,
+            symbol: reward.symbol,
+            amount: 0n,
+            units: 0,
+            usdValue: 0,
+            count: 0
+        };
+        entry.amount += reward.amount;
+        entry.units += reward.units;
+        entry.count += 1;
+        if (reward.usdValue === null) {
+            entry.usdValue = null;
+            hasUnpricedRewards = true;
+        } else if (entry.usdValue !== null) {
+            entry.usdValue += reward.usdValue;
+        }
+        totalRewardUsd += reward.usdValue ?? 0;
+        rewardsByToken.set(reward.feeToken, entry);
+    }
+
+    const totalCostUsd = costPerCleanupUsd === null ? null : costPerCleanupUsd * eligible.length;
+    const netUsd = totalCostUsd === null ? null : totalRewardUsd - totalCostUsd;
+
+    // Upcoming grace-period ends, bucketed from now
+    const timeline = [];
+    for (const order of upcoming) {
+        const index = Math.floor((order.timings.graceEndsAt - currentTime) / bucketSecs);
+        if (index >= maxBuckets) {
+            continue;
+        }
+        const reward = getOrderReward(order);
+        if (reward.usdValue === null) {
+            hasUnpricedRewards = true;
+        }
+        const bucket = timeline[index] || {
+            startsAt: currentTime + index * bucketSecs,
+            endsAt: currentTime + (index + 1) * bucketSecs,
+            count: 0,
+            rewardUsd: 0,
+            netUsd: null
+        };
+        bucket.count += 1;
+        bucket.rewardUsd += reward.usdValue ?? 0;
+        bucket.netUsd = costPerCleanupUsd === null ? null : bucket.rewardUsd - costPerCleanupUsd * bucket.count;
+        timeline[index] = bucket;
+    }
+
+    // Orders must be cleaned in id order, so profit is the running total over that queue.
+    // Unpriced rewards count as zero to keep the estimate conservative.
+    let nextProfitableAt = null;
+    if (costPerCleanupUsd !== null) {
+        let cumulativeNetUsd = 0;
+        let readyAt = currentTime;
+        for (const order of [...eligible, ...upcoming]) {
+            cumulativeNetUsd += (getOrderReward(order).usdValue ?? 0) - costPerCleanupUsd;
+            readyAt = Math.max(readyAt, order.timings.graceEndsAt + 1);
+            if (cumulativeNetUsd > 0) {
+                nextProfitableAt = readyAt;
+                break;
+            }
+        }
+    }
+
+    return {
+        readyCount: eligible.length,
+        upcomingCount: upcoming.length,
+        rewardsByToken: Array.from(rewardsByToken.values()),
+        totalRewardUsd,
+        hasUnpricedRewards,
+        costPerCleanupNative,
+        costPerCleanupUsd,
+        totalCostUsd,
+        netUsd,
+        isProfitable: netUsd === null ? null : netUsd > 0,
+        timeline: timeline.filter(Boolean),
+        nextProfitableAt
+    };
+}
+
+/**
+ * Pick how many cleanups to send now. The contract only cleans the lowest
+ * id, so a run is always a prefix of the eligible queue; the prefix with the
+ * highest net result is chosen. Unpriced rewards count as zero.
+ * @param {Object} params
+ * @param {Object[]} params.orders - Candidate orders; only those past grace are considered
+ * @param {number} params.currentTime - Chain time in unix seconds
+ * @param {Function} params.getFeeTokenInfo - (address) => { symbol, decimals, usdPrice }
+ * @param {number} params.costPerCleanupUsd
+ * @param {number} [params.minProfitUsd] - Net result a run must exceed
+ * @param {number} [params.maxOrders] - Upper bound on cleanups per run
+ * @returns {{ count: number, orders: Object[], rewardUsd: number, costUsd: number, netUsd: number, shouldRun: boolean }}
+ */
+export function planCleanupRun({
+    orders,
+    currentTime,
+    getFeeTokenInfo,
+    costPerCleanupUsd,
+    minProfitUsd = 0,
+    maxOrders = Infinity
+}) {
+    const { eligible } = getCleanupQueue(orders, currentTime);
+    const candidates = eligible.slice(0, maxOrders);
+
+    let best = { count: 0, rewardUsd: 0, netUsd: 0 };
+    let rewardUsd = 0;
+    candidates.forEach((order, index) => {
+        rewardUsd += getCleanupReward(order, getFeeTokenInfo).usdValue ?? 0;
+        const netUsd = rewardUsd - costPerCleanupUsd * (index + 1);
+        if (netUsd > best.netUsd) {
+            best = { count: index + 1, rewardUsd, netUsd };
+        }
+    });
+
+    return {
+        count: best.count,
+        orders: candidates.slice(0, best.count),
+        rewardUsd: best.rewardUsd,
+        costUsd: costPerCleanupUsd * best.count,
+        netUsd: best.netUsd,
+        shouldRun: best.count > 0 && best.netUsd > minProfitUsd
+    };
+}
@@ -0,0 +1,147 @@
+/**
+ * Order-book aggregation for one token pair.
+ *
+ * Prices are quoted as `quoteToken` per `baseToken`, sizes in `baseToken`,
+ * all decimal-normalized numbers. Asks are orders selling the base token,
+ * bids are orders selling the quote token to acquire the base token.
+ */
+
+export const ORDER_BOOK_SIDES = {
+    BID: 'bid',
+    ASK: 'ask'
+};
+
+const DEFAULT_PRICE_PRECISION = 6;
+
+function normalizeAddress(address) {
+    return typeof address === 'string' ? address.toLowerCase() : '';
+}
+
+function roundPrice(price, precision) {
+    return Number(price.toPrecision(precision));
+}
+
+function aggregateLevels(entries, descending) {
+    const levels = new Map();
+    for (const entry of entries) {
+        const level = levels.get(entry.price) || {
+            price: entry.price,
+            size: 0,
+            quoteTotal: 0,
+            orderIds: []
+        };
+        level.size += entry.size;
+        level.quoteTotal += entry.quoteTotal;
+        level.orderIds.push(entry.orderId);
+        levels.set(entry.price, level);
+    }
+
+    const sorted = Array.from(levels.values())
+        .sort((a, b) => (descending ? b.price - a.price : a.price - b.price));
+    let cumulativeSize = 0;
+    let cumulativeQuote = 0;
+    return sorted.map((level) => {
+        cumulativeSize += level.size;
+        cumulativeQuote += level.quoteTotal;
+        return {
+            ...level,
+            orderCount: level.orderIds.length,
+            cumulativeSize,
+            cumulativeQuote
+        };
+    });
+}
+
+/**
+ * @param {Object[]} orders - Open orders: { id, sellToken, buyToken, sellAmount, buyAmount } (normalized remaining amounts)
+ * @param {Object} params
+ * @param {string} params.baseToken
+ * @param {string} params.quoteToken
+ * @param {number|null} [params.marketPrice] - Quote per base from USD prices
+ * @param {number} [params.pricePrecision] - Significant digits per price level
+ * @returns {{ bids: Object[], asks: Object[], bestBid: number|null, bestAsk: number|null, midPrice: number|null, spread: number|null, spreadPct: number|null, marketPrice: number|null, bestBidVsMarketPct: number|null, bestAskVsMarketPct: number|null }}
+ */
+export function buildOrderBook(orders, {
+    baseToken,
+    quoteToken,
+    marketPrice = null,
+    pricePrecision = DEFAULT_PRICE_PRECISION
+}) {
+    const base = normalizeAddress(baseToken);
+    const quote = normalizeAddress(quoteToken);
+    const bidEntries = [];
+    const askEntries = [];
+
+    for (const order of orders || []) {
+        const sellToken = normalizeAddress(order?.sellToken);
+        const buyToken = normalizeAddress(order?.buyToken);
+        const sellAmount = Number(order?.sellAmount);
+        const buyAmount = Number(order?.buyAmount);
+        if (!(sellAmount > 0) || !(buyAmount > 0)) {
+            continue;
+        }
+
+        if (sellToken === base && buyToken === quote) {
+            askEntries.push({
+                orderId: order.id,
+                price: roundPrice(buyAmount / sellAmount, pricePrecision),
+                size: sellAmount,
+                quoteTotal: buyAmount
+            });
+        } else if (sellToken === quote && buyToken === base) {
+            bidEntries.push({
+                orderId: order.id,
+                price: roundPrice(sellAmount / buyAmount, pricePrecision),
+                size: buyAmount,
+                quoteTotal: sellAmount
+            });
+        }
+    }
+
+    const bids = aggregateLevels(bidEntries, true);
+    const asks = aggregateLevels(askEntries, false);
+    const bestBid = bids[0]?.price ?? null;
+    const bestAsk = asks[0]?.price ?? null;
+    const midPrice = bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null;
+    const spread = bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null;
+    const normalizedMarketPrice = Number.isFinite(marketPrice) && marketPrice > 0 ? marketPrice : null;
+    const versusMarket = (price) => (
+        price !== null && normalizedMarketPrice !== null
+            ? ((price / normalizedMarketPrice) - 1) * 100
+            : null
+    );
+
+    return {
+        bids,
+        asks,
+        bestBid,
+        bestAsk,
+        midPrice,
+        spread,
+        spreadPct: spread !== null && midPrice > 0 ? (spread / midPrice) * 100 : null,
+        marketPrice: normalizedMarketPrice,
+        bestBidVsMarketPct: versusMarket(bestBid),
+        bestAskVsMarketPct: versusMarket(bestAsk)
+    };
+}
+
+/**
+ * Token pairs with open orders, busiest first. Each pair is reported once,
+ * oriented so that `baseToken` sorts before `quoteToken`.
+ * @param {Object[]} orders
+ * @returns {{ baseToken: string, quoteToken: string, orderCount: number }[]}
+ */
+export function listOrderBookPairs(orders) {
+    const pairs = new Map();
+    for (const order of orders || []) {
+        const [baseToken, quoteToken] = [normalizeAddress(order?.sellToken), normalizeAddress(order?.buyToken)].sort();
+        if (!baseToken || !quoteToken || baseToken === quoteToken) {
+            continue;
+        }
+        const key = `${baseToken}:${quoteToken}`;
+        const pair = pairs.get(key) || { baseToken, quoteToken, orderCount: 0 };
+        pair.orderCount += 1;
+        pairs.set(key, pair);
+    }
+    return Array.from(pairs.values()).sort((a, b) => b.orderCount - a.orderCount);
+}
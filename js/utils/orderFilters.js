@@ -0,0 +1,167 @@
+/**
+ * Range and counterparty filters shared by the order tables.
+ *
+ * Everything here is pure: components pass the perspective-specific deal
+ * ratio, the expiry lookup, the clock and the connected account in `context`.
+ */
+
+export const DEFAULT_ORDER_RANGE_FILTERS = Object.freeze({
+    minUsdSize: null,
+    maxUsdSize: null,
+    // Percent better (+) or worse (-) than market for the viewing side
+    minDealPct: null,
+    maxDealPct: null,
+    minExpiryHours: null,
+    maxExpiryHours: null,
+    // Maker address (buyer tables) or taker address (maker tables); a prefix is enough
+    counterparty: '',
+    // Buyer tables: private orders addressed to the account; maker tables: private orders
+    privateOnly: false
+});
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ADDRESS_PREFIX_PATTERN = /^0x[0-9a-f]{0,40}$/;
+
+function parseOptionalNumber(value, { allowNegative = false } = {}) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || (!allowNegative && number < 0)) {
+        return null;
+    }
+    return number;
+}
+
+function normalizeAddressPrefix(value) {
+    const address = String(value || '').trim().toLowerCase();
+    return ADDRESS_PREFIX_PATTERN.test(address) && address !== '0x' ? address : '';
+}
+
+function isWithinRange(value, min, max) {
+    if (min === null && max === null) {
+        return true;
+    }
+    if (!Number.isFinite(value)) {
+        return false;
+    }
+    return (min === null || value >= min) && (max === null || value <= max);
+}
+
+/**
+ * Coerce raw input values (form fields, URL, presets) into a filter object.
+ * @param {Object} raw
+ * @returns {typeof DEFAULT_ORDER_RANGE_FILTERS}
+ */
+export function normalizeOrderRangeFilters(raw = {}) {
+    return {
+        minUsdSize: parseOptionalNumber(raw?.minUsdSize),
+        maxUsdSize: parseOptionalNumber(raw?.maxUsdSize),
+        minDealPct: parseOptionalNumber(raw?.minDealPct, { allowNegative: true }),
+        maxDealPct: parseOptionalNumber(raw?.maxDealPct, { allowNegative: true }),
+        minExpiryHours: parseOptionalNumber(raw?.minExpiryHours),
+        maxExpiryHours: parseOptionalNumber(raw?.maxExpiryHours),
+        counterparty: normalizeAddressPrefix(raw?.counterparty),
+        privateOnly: raw?.privateOnly === true
+    };
+}
+
+/**
+ * @param {Object} filters
+ * @returns {boolean} True when any range or counterparty filter is set
+ */
+export function hasActiveOrderRangeFilters(filters) {
+    const normalized = normalizeOrderRangeFilters(filters);
+    return Object.keys(DEFAULT_ORDER_RANGE_FILTERS)
+        .some((field) => normalized[field] !== DEFAULT_ORDER_RANGE_FILTERS[field]);
+}
+
+/**
+ * USD size of what is left of an order, falling back to its full size.
+ * @param {Object} order
+ * @returns {number|undefined}
+ */
+export function getOrderUsdSize(order) {
+    const dealMetrics = order?.dealMetrics || {};
+    return dealMetrics.remainingSellValue ?? dealMetrics.sellValue;
+}
+
+/**
+ * @param {number|undefined} dealRatio - Viewer's deal ratio, 1 = market
+ * @returns {number|null} Percent better (+) or worse (-) than market
+ */
+export function getDealPercentVsMarket(dealRatio) {
+    const ratio = Number(dealRatio);
+    return Number.isFinite(ratio) && ratio > 0 ? (ratio - 1) * 100 : null;
+}
+
+/**
+ * @param {Object} order
+ * @param {Object} filters - See DEFAULT_ORDER_RANGE_FILTERS
+ * @param {Object} context
+ * @param {Function} [context.getDealRatio] - (order) => viewer's deal ratio
+ * @param {Function} [context.getExpiryTime] - (order) => expiry unix seconds
+ * @param {number} [context.now] - Current unix seconds
+ * @param {string} [context.account] - Connected wallet address
+ * @param {boolean} [context.isMakerView] - Table lists the account's own orders
+ * @returns {boolean}
+ */
+export function matchesOrderRangeFilters(order, filters, {
+    getDealRatio = () => undefined,
+    getExpiryTime = (candidate) => candidate?.timings?.expiresAt,
+    now = Math.floor(Date.now() / 1000),
+    account = '',
+    isMakerView = false
+} = {}) {
+    const normalized = normalizeOrderRangeFilters(filters);
+
+    if (!isWithinRange(Number(getOrderUsdSize(order)), normalized.minUsdSize, normalized.maxUsdSize)) {
+        return false;
+    }
+
+    const dealPct = getDealPercentVsMarket(getDealRatio(order));
+    if (!isWithinRange(dealPct ?? NaN, normalized.minDealPct, normalized.maxDealPct)) {
+        return false;
+    }
+
+    if (normalized.minExpiryHours !== null || normalized.maxExpiryHours !== null) {
+        const expiresAt = Number(getExpiryTime(order));
+        const hoursLeft = Number.isFinite(expiresAt) ? Math.max(0, expiresAt - now) / 3600 : NaN;
+        if (!isWithinRange(hoursLeft, normalized.minExpiryHours, normalized.maxExpiryHours)) {
+            return false;
+        }
+    }
+
+    const taker = String(order?.taker || ZERO_ADDRESS).toLowerCase();
+    if (normalized.counterparty) {
+        const counterparty = String((isMakerView ? order?.taker : order?.maker) || '').toLowerCase();
+        if (!counterparty.startsWith(normalized.counterparty)) {
+            return false;
+        }
+    }
+
+    if (normalized.privateOnly) {
+        if (taker === ZERO_ADDRESS) {
+            return false;
+        }
+        if (!isMakerView && taker !== String(account || '').toLowerCase()) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * @param {Object[]} orders
+ * @param {Object} filters
+ * @param {Object} context - See matchesOrderRangeFilters
+ * @returns {Object[]}
+ */
+export function applyOrderRangeFilters(orders, filters, context = {}) {
+    if (!hasActiveOrderRangeFilters(filters)) {
+        return orders;
+    }
+    const normalized = normalizeOrderRangeFilters(filters);
+    return orders.filter((order) => matchesOrderRangeFilters(order, normalized, context));
+}
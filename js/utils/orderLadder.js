@@ -0,0 +1,66 @@
+/**
+ * Order ladders: one sell amount split into equal rungs at prices stepping
+ * linearly from a start to an end price. Amounts are BigInt base units;
+ * prices are buy tokens per sell token.
+ */
+
+export const MIN_LADDER_RUNGS = 2;
+export const MAX_LADDER_RUNGS = 20;
+
+const PRICE_SIGNIFICANT_DIGITS = 12;
+
+/**
+ * Exact fraction of a float price, keeping 12 significant digits.
+ * @param {number} value - Positive finite number
+ * @returns {{ numerator: bigint, denominator: bigint }}
+ */
+function toFraction(value) {
+    const [mantissa, exponentPart = '0'] = value.toPrecision(PRICE_SIGNIFICANT_DIGITS).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const shift = Number(exponentPart) - fraction.length;
+    const digits = BigInt(`${whole}${fraction}`);
+    return shift >= 0
+        ? { numerator: digits * 10n ** BigInt(shift), denominator: 1n }
+        : { numerator: digits, denominator: 10n ** BigInt(-shift) };
+}
+
+/**
+ * @param {Object} params
+ * @param {bigint} params.totalSellAmount - Sell amount in base units
+ * @param {number} params.rungs
+ * @param {number} params.startPrice
+ * @param {number} params.endPrice
+ * @param {number} params.sellDecimals
+ * @param {number} params.buyDecimals
+ * @returns {{ sellAmount: bigint, buyAmount: bigint, price: number }[]}
+ * @throws {Error} When the inputs cannot form a ladder
+ */
+export function buildOrderLadder({ totalSellAmount, rungs, startPrice, endPrice, sellDecimals, buyDecimals }) {
+    if (!Number.isInteger(rungs) || rungs < MIN_LADDER_RUNGS || rungs > MAX_LADDER_RUNGS) {
+        throw new Error(`Use between ${MIN_LADDER_RUNGS} and ${MAX_LADDER_RUNGS} rungs.`);
+    }
+    if (![startPrice, endPrice].every(price => Number.isFinite(price) && price > 0)) {
+        throw new Error('Enter a start and end price above zero.');
+    }
+
+    const rungCount = BigInt(rungs);
+    const baseSellAmount = totalSellAmount / rungCount;
+    if (baseSellAmount <= 0n) {
+        throw new Error('The sell amount is too small to split into that many rungs.');
+    }
+
+    const unitScale = 10n ** BigInt(buyDecimals);
+    const sellScale = 10n ** BigInt(sellDecimals);
+    return Array.from({ length: rungs }, (_, index) => {
+        const price = startPrice + ((endPrice - startPrice) * index) / (rungs - 1);
+        // The last rung takes the rounding remainder so the rungs add up to the total.
+        const sellAmount = index === rungs - 1
+            ? totalSellAmount - baseSellAmount * (rungCount - 1n)
+            : baseSellAmount;
+        const { numerator, denominator } = toFraction(price);
+        // Round up so the maker never receives less than the rung's price.
+        const scaledDenominator = sellScale * denominator;
+        const buyAmount = (sellAmount * numerator * unitScale + scaledDenominator - 1n) / scaledDenominator;
+        return { sellAmount, buyAmount, price };
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ * Helpers for replacing an order (cancel + re-create), the contract's only
+ * way to change an order's terms.
+ */
+
+import { getOrderStatusText } from './orderUtils.js';
+import { getRemainingBuyAmount, getRemainingSellAmount } from './partialFills.js';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+/**
+ * Form values that reproduce the unfilled part of an order.
+ * @param {Object} order - Cached order (sellToken, buyToken, amounts, taker)
+ * @returns {{ sellToken: string, buyToken: string, sellAmount: bigint, buyAmount: bigint, taker: string }}
+ *   `taker` is empty for public orders.
+ */
+export function getOrderReplacementValues(order) {
+    const taker = typeof order?.taker === 'string' ? order.taker : '';
+    return {
+        sellToken: order?.sellToken || '',
+        buyToken: order?.buyToken || '',
+        sellAmount: getRemainingSellAmount(order),
+        buyAmount: getRemainingBuyAmount(order),
+        taker: taker.toLowerCase() === ZERO_ADDRESS ? '' : taker
+    };
+}
+
+/**
+ * Compare the on-chain order with the state the edit started from.
+ * @param {{ remainingSellAmount: bigint }} replacement
+ * @param {Object} latestOrder - `contract.orders(id)` result
+ * @returns {string} Why the order can no longer be replaced, or '' if it can
+ */
+export function getReplacementConflict(replacement, latestOrder) {
+    // Cleaned-up orders are deleted, which reads back as an empty order.
+    if (!latestOrder || String(latestOrder.maker || ZERO_ADDRESS).toLowerCase() === ZERO_ADDRESS) {
+        return 'it was cleaned up';
+    }
+    const status = Number(latestOrder.status);
+    if (status !== 0) {
+        return `it was ${getOrderStatusText(status).toLowerCase()}`;
+    }
+    if (getRemainingSellAmount(latestOrder) !== replacement.remainingSellAmount) {
+        return 'it was partially filled';
+    }
+    return '';
+}
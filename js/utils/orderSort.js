@@ -1,22 +1,53 @@
+import { getOrderUsdSize } from './orderFilters.js';
+
 export const ORDER_SORTS = Object.freeze({
     BEST_DEAL: 'best-deal',
     WORST_DEAL: 'worst-deal',
     EXPIRES_NEWEST: 'expires-newest',
-    EXPIRES_OLDEST: 'expires-oldest'
+    EXPIRES_OLDEST: 'expires-oldest',
+    VALUE_HIGHEST: 'value-highest',
+    VALUE_LOWEST: 'value-lowest',
+    AMOUNT_LARGEST: 'amount-largest',
+    AMOUNT_SMALLEST: 'amount-smallest',
+    TOKEN_AZ: 'token-az',
+    TOKEN_ZA: 'token-za',
+    MAKER_AZ: 'maker-az',
+    MAKER_ZA: 'maker-za',
+    GRACE_SOONEST: 'grace-soonest',
+    GRACE_LATEST: 'grace-latest'
 });
 
 export const DEFAULT_ORDER_SORT = ORDER_SORTS.BEST_DEAL;
 
+// Separates the primary and secondary key in a sort value, e.g. "token-az,best-deal".
+const SORT_KEY_SEPARATOR = ',';
+
 export const SORTABLE_ORDER_COLUMNS = Object.freeze({
     DEAL: 'deal',
-    EXPIRES: 'expires'
+    EXPIRES: 'expires',
+    VALUE: 'value',
+    AMOUNT: 'amount',
+    TOKEN: 'token',
+    MAKER: 'maker',
+    GRACE: 'grace'
 });
 
+// The first option listed for a column is the direction a header click starts with.
 export const ORDER_SORT_OPTIONS = Object.freeze([
     { value: ORDER_SORTS.BEST_DEAL, label: 'Best Deal First', column: SORTABLE_ORDER_COLUMNS.DEAL, direction: 'desc' },
     { value: ORDER_SORTS.WORST_DEAL, label: 'Worst Deal First', column: SORTABLE_ORDER_COLUMNS.DEAL, direction: 'asc' },
     { value: ORDER_SORTS.EXPIRES_NEWEST, label: 'Newest First', column: SORTABLE_ORDER_COLUMNS.EXPIRES, direction: 'desc' },
-    { value: ORDER_SORTS.EXPIRES_OLDEST, label: 'Oldest First', column: SORTABLE_ORDER_COLUMNS.EXPIRES, direction: 'asc' }
+    { value: ORDER_SORTS.EXPIRES_OLDEST, label: 'Oldest First', column: SORTABLE_ORDER_COLUMNS.EXPIRES, direction: 'asc' },
+    { value: ORDER_SORTS.VALUE_HIGHEST, label: 'Largest USD Size', column: SORTABLE_ORDER_COLUMNS.VALUE, direction: 'desc' },
+    { value: ORDER_SORTS.VALUE_LOWEST, label: 'Smallest USD Size', column: SORTABLE_ORDER_COLUMNS.VALUE, direction: 'asc' },
+    { value: ORDER_SORTS.AMOUNT_LARGEST, label: 'Largest Sell Amount', column: SORTABLE_ORDER_COLUMNS.AMOUNT, direction: 'desc' },
+    { value: ORDER_SORTS.AMOUNT_SMALLEST, label: 'Smallest Sell Amount', column: SORTABLE_ORDER_COLUMNS.AMOUNT, direction: 'asc' },
+    { value: ORDER_SORTS.TOKEN_AZ, label: 'Token A-Z', column: SORTABLE_ORDER_COLUMNS.TOKEN, direction: 'asc' },
+    { value: ORDER_SORTS.TOKEN_ZA, label: 'Token Z-A', column: SORTABLE_ORDER_COLUMNS.TOKEN, direction: 'desc' },
+    { value: ORDER_SORTS.MAKER_AZ, label: 'Maker A-Z', column: SORTABLE_ORDER_COLUMNS.MAKER, direction: 'asc' },
+    { value: ORDER_SORTS.MAKER_ZA, label: 'Maker Z-A', column: SORTABLE_ORDER_COLUMNS.MAKER, direction: 'desc' },
+    { value: ORDER_SORTS.GRACE_SOONEST, label: 'Grace Period Ending Soonest', column: SORTABLE_ORDER_COLUMNS.GRACE, direction: 'asc' },
+    { value: ORDER_SORTS.GRACE_LATEST, label: 'Grace Period Ending Latest', column: SORTABLE_ORDER_COLUMNS.GRACE, direction: 'desc' }
 ]);
 
 const ORDER_SORT_META = Object.freeze(
@@ -26,96 +57,197 @@ const ORDER_SORT_META = Object.freeze(
     }, {})
 );
 
+/**
+ * Split a sort value into its primary and optional secondary key. Unknown
+ * primaries fall back to the default; a secondary is dropped when it is
+ * unknown or targets the primary's column.
+ * @param {string} value
+ * @returns {{ primary: string, secondary: string|null }}
+ */
+export function parseOrderSort(value) {
+    const [primaryValue, secondaryValue] = String(value || '').split(SORT_KEY_SEPARATOR);
+    const primary = ORDER_SORT_META[primaryValue] ? primaryValue : DEFAULT_ORDER_SORT;
+    const secondary = ORDER_SORT_META[secondaryValue]
+        && ORDER_SORT_META[secondaryValue].column !== ORDER_SORT_META[primary].column
+        ? secondaryValue
+        : null;
+    return { primary, secondary };
+}
+
+export function buildOrderSortValue(primary, secondary = null) {
+    return secondary ? `${primary}${SORT_KEY_SEPARATOR}${secondary}` : primary;
+}
+
+/**
+ * Single-key values stored before secondary sorts existed normalize to themselves.
+ * @param {string} value
+ * @returns {string}
+ */
 export function normalizeOrderSort(value) {
-    return ORDER_SORT_META[value] ? value : DEFAULT_ORDER_SORT;
+    const { primary, secondary } = parseOrderSort(value);
+    return buildOrderSortValue(primary, secondary);
 }
 
+/**
+ * @param {string} value
+ * @returns {Object} Option metadata of the primary sort key
+ */
 export function getOrderSortMeta(value) {
-    return ORDER_SORT_META[normalizeOrderSort(value)];
+    return ORDER_SORT_META[parseOrderSort(value).primary];
 }
 
-export function getNextOrderSort(currentSort, column) {
-    const normalizedSort = normalizeOrderSort(currentSort);
-    const currentMeta = getOrderSortMeta(normalizedSort);
+/**
+ * @param {string} value
+ * @returns {Object|null} Option metadata of the secondary sort key
+ */
+export function getSecondaryOrderSortMeta(value) {
+    const { secondary } = parseOrderSort(value);
+    return secondary ? ORDER_SORT_META[secondary] : null;
+}
 
-    if (column === SORTABLE_ORDER_COLUMNS.DEAL) {
-        return currentMeta.column === SORTABLE_ORDER_COLUMNS.DEAL
-            ? (normalizedSort === ORDER_SORTS.BEST_DEAL ? ORDER_SORTS.WORST_DEAL : ORDER_SORTS.BEST_DEAL)
-            : ORDER_SORTS.BEST_DEAL;
+function getNextColumnSort(currentValue, column) {
+    const currentMeta = ORDER_SORT_META[currentValue];
+    const columnOptions = ORDER_SORT_OPTIONS.filter((option) => option.column === column);
+    if (columnOptions.length === 0) {
+        return null;
+    }
+    if (currentMeta?.column === column) {
+        return columnOptions.find((option) => option.value !== currentValue)?.value || currentValue;
     }
+    return columnOptions[0].value;
+}
 
-    if (column === SORTABLE_ORDER_COLUMNS.EXPIRES) {
-        return currentMeta.column === SORTABLE_ORDER_COLUMNS.EXPIRES
-            ? (normalizedSort === ORDER_SORTS.EXPIRES_NEWEST ? ORDER_SORTS.EXPIRES_OLDEST : ORDER_SORTS.EXPIRES_NEWEST)
-            : ORDER_SORTS.EXPIRES_NEWEST;
+/**
+ * Sort value after activating a column header. A plain click sets the primary
+ * key (toggling direction when it is already primary); `secondary` (shift-click)
+ * sets or toggles the secondary key instead.
+ * @param {string} currentSort
+ * @param {string} column
+ * @param {{ secondary?: boolean }} [options]
+ * @returns {string}
+ */
+export function getNextOrderSort(currentSort, column, { secondary: asSecondary = false } = {}) {
+    const { primary, secondary } = parseOrderSort(currentSort);
+
+    if (asSecondary) {
+        if (ORDER_SORT_META[primary].column === column) {
+            return buildOrderSortValue(primary, secondary);
+        }
+        const nextSecondary = getNextColumnSort(secondary, column);
+        return normalizeOrderSort(buildOrderSortValue(primary, nextSecondary || secondary));
     }
 
-    return normalizedSort;
+    const nextPrimary = getNextColumnSort(primary, column);
+    if (!nextPrimary) {
+        return buildOrderSortValue(primary, secondary);
+    }
+    // Re-sorting the same column keeps the secondary key; a new column starts fresh.
+    const keepSecondary = ORDER_SORT_META[nextPrimary].column === ORDER_SORT_META[primary].column;
+    return buildOrderSortValue(nextPrimary, keepSecondary ? secondary : null);
 }
 
 export function renderOrderSortOptions(selectedSort = DEFAULT_ORDER_SORT) {
-    const normalizedSort = normalizeOrderSort(selectedSort);
+    const { primary } = parseOrderSort(selectedSort);
     return ORDER_SORT_OPTIONS.map(({ value, label }) => (
-        `<option value="${value}"${value === normalizedSort ? ' selected' : ''}>${label}</option>`
+        `<option value="${value}"${value === primary ? ' selected' : ''}>${label}</option>`
     )).join('');
 }
 
+export function renderSecondaryOrderSortOptions(selectedSort = DEFAULT_ORDER_SORT) {
+    const { secondary } = parseOrderSort(selectedSort);
+    return `<option value=""${secondary ? '' : ' selected'}>No secondary sort</option>` + ORDER_SORT_OPTIONS
+        .map(({ value, label }) => (
+            `<option value="${value}"${value === secondary ? ' selected' : ''}>Then ${label}</option>`
+        )).join('');
+}
+
 function compareOrderIdsDescending(a, b) {
     return Number(b?.id || 0) - Number(a?.id || 0);
 }
 
-function compareSortableNumbers(aValue, bValue, direction, a, b) {
-    const aNumber = Number(aValue);
-    const bNumber = Number(bValue);
+// Missing values always sort last; ties return 0 so the next key can decide.
+function compareSortableNumbers(aValue, bValue, direction) {
+    const aNumber = aValue === null || aValue === undefined || aValue === '' ? NaN : Number(aValue);
+    const bNumber = bValue === null || bValue === undefined || bValue === '' ? NaN : Number(bValue);
     const aValid = Number.isFinite(aNumber);
     const bValid = Number.isFinite(bNumber);
 
-    if (!aValid && !bValid) {
-        return compareOrderIdsDescending(a, b);
-    }
-
+    if (!aValid && !bValid) return 0;
     if (!aValid) return 1;
     if (!bValid) return -1;
 
-    if (aNumber !== bNumber) {
-        return direction === 'asc' ? aNumber - bNumber : bNumber - aNumber;
-    }
+    return direction === 'asc' ? aNumber - bNumber : bNumber - aNumber;
+}
+
+function compareSortableStrings(aValue, bValue, direction) {
+    const aText = typeof aValue === 'string' ? aValue.trim() : '';
+    const bText = typeof bValue === 'string' ? bValue.trim() : '';
 
-    return compareOrderIdsDescending(a, b);
+    if (!aText && !bText) return 0;
+    if (!aText) return 1;
+    if (!bText) return -1;
+
+    const result = aText.localeCompare(bText, undefined, { sensitivity: 'base' });
+    return direction === 'asc' ? result : -result;
+}
+
+function getSellAmountSortValue(order) {
+    const dealMetrics = order?.dealMetrics || {};
+    return dealMetrics.formattedRemainingSellAmount ?? dealMetrics.formattedSellAmount;
 }
 
+/**
+ * Sort orders by a (possibly two-key) sort value; remaining ties go to the
+ * newest order id.
+ * @param {Object[]} orders
+ * @param {Object} options
+ * @param {string} options.sortValue
+ * @param {Function} [options.getDealSortValue] - (order) => number, perspective-specific deal ratio
+ * @param {Function} [options.getTokenSortValue] - (order) => string, defaults to the sell token address
+ * @param {Function} [options.getGraceSortValue] - (order) => unix seconds the grace period ends
+ * @returns {Object[]}
+ */
 export function sortOrdersByCurrentSort(
     orders,
     {
         sortValue,
-        getDealSortValue
+        getDealSortValue,
+        getTokenSortValue,
+        getGraceSortValue
     }
 ) {
-    const normalizedSort = normalizeOrderSort(sortValue);
-    const { column, direction } = getOrderSortMeta(normalizedSort);
+    const { primary, secondary } = parseOrderSort(sortValue);
     const dealSortAccessor = typeof getDealSortValue === 'function' ? getDealSortValue : () => undefined;
-
-    return [...orders].sort((a, b) => {
-        if (column === SORTABLE_ORDER_COLUMNS.DEAL) {
-            return compareSortableNumbers(
-                dealSortAccessor(a),
-                dealSortAccessor(b),
-                direction,
-                a,
-                b
-            );
-        }
-
-        if (column === SORTABLE_ORDER_COLUMNS.EXPIRES) {
-            return compareSortableNumbers(
-                a?.id,
-                b?.id,
-                direction,
-                a,
-                b
-            );
+    const tokenSortAccessor = typeof getTokenSortValue === 'function' ? getTokenSortValue : (order) => order?.sellToken;
+    const graceSortAccessor = typeof getGraceSortValue === 'function'
+        ? getGraceSortValue
+        : (order) => order?.timings?.graceEndsAt;
+
+    const compareByKey = (sortKey, a, b) => {
+        const { column, direction } = ORDER_SORT_META[sortKey];
+        switch (column) {
+            case SORTABLE_ORDER_COLUMNS.DEAL:
+                return compareSortableNumbers(dealSortAccessor(a), dealSortAccessor(b), direction);
+            case SORTABLE_ORDER_COLUMNS.EXPIRES:
+                return compareSortableNumbers(a?.id, b?.id, direction);
+            case SORTABLE_ORDER_COLUMNS.VALUE:
+                return compareSortableNumbers(getOrderUsdSize(a), getOrderUsdSize(b), direction);
+            case SORTABLE_ORDER_COLUMNS.AMOUNT:
+                return compareSortableNumbers(getSellAmountSortValue(a), getSellAmountSortValue(b), direction);
+            case SORTABLE_ORDER_COLUMNS.TOKEN:
+                return compareSortableStrings(tokenSortAccessor(a), tokenSortAccessor(b), direction);
+            case SORTABLE_ORDER_COLUMNS.MAKER:
+                return compareSortableStrings(a?.maker, b?.maker, direction);
+            case SORTABLE_ORDER_COLUMNS.GRACE:
+                return compareSortableNumbers(graceSortAccessor(a), graceSortAccessor(b), direction);
+            default:
+                return 0;
         }
+    };
 
-        return compareOrderIdsDescending(a, b);
-    });
+    return [...orders].sort((a, b) => (
+        compareByKey(primary, a, b)
+        || (secondary ? compareByKey(secondary, a, b) : 0)
+        || compareOrderIdsDescending(a, b)
+    ));
 }
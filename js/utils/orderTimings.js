@@ -0,0 +1,58 @@
+import { ORDER_CONSTANTS } from '../config/index.js';
+
+/**
+ * Order expiry and grace-period math shared by the browser order cache and
+ * the headless cleanup keeper. Mirrors the contract: an order expires at
+ * `timestamp + ORDER_EXPIRY` and becomes cleanable once chain time is past
+ * `timestamp + ORDER_EXPIRY + GRACE_PERIOD`.
+ */
+
+function toSeconds(value, fallback) {
+    if (value === null || value === undefined) {
+        return fallback;
+    }
+    const seconds = typeof value?.toNumber === 'function' ? value.toNumber() : Number(value);
+    return Number.isFinite(seconds) ? seconds : fallback;
+}
+
+/**
+ * Build derived timing fields for an order.
+ * @param {number|string|null|undefined} createdAtInput - Order creation unix timestamp (seconds).
+ * @param {Object} [constants]
+ * @param {number|Object} [constants.orderExpiry] - ORDER_EXPIRY in seconds (number or BigNumber)
+ * @param {number|Object} [constants.gracePeriod] - GRACE_PERIOD in seconds (number or BigNumber)
+ * @returns {{createdAt:number|null, expiresAt:number|null, graceEndsAt:number|null}} Derived timings.
+ */
+export function buildOrderTimings(createdAtInput, { orderExpiry, gracePeriod } = {}) {
+    const createdAt = Number(createdAtInput);
+    if (!Number.isFinite(createdAt)) {
+        return {
+            createdAt: null,
+            expiresAt: null,
+            graceEndsAt: null
+        };
+    }
+
+    const orderExpirySecs = toSeconds(orderExpiry, ORDER_CONSTANTS.DEFAULT_ORDER_EXPIRY_SECS);
+    const gracePeriodSecs = toSeconds(gracePeriod, ORDER_CONSTANTS.DEFAULT_GRACE_PERIOD_SECS);
+
+    return {
+        createdAt,
+        expiresAt: createdAt + orderExpirySecs,
+        graceEndsAt: createdAt + orderExpirySecs + gracePeriodSecs
+    };
+}
+
+/**
+ * Resolve order grace-end timestamp from cached timings or base order timestamp.
+ * @param {Object} order - Order-like object with `timings` or `timestamp`.
+ * @param {Object} [constants] - See buildOrderTimings.
+ * @returns {number|null} Grace-end unix timestamp (seconds), or `null` when unavailable.
+ */
+export function getOrderGraceEndTime(order, constants) {
+    const graceEndsAt = Number(order?.timings?.graceEndsAt);
+    if (Number.isFinite(graceEndsAt)) {
+        return graceEndsAt;
+    }
+    return buildOrderTimings(order?.timestamp, constants).graceEndsAt;
+}
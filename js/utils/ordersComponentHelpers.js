@@ -1,6 +1,7 @@
 import { ethers } from 'ethers';
 import { formatTimeDiff } from './orderUtils.js';
 import { getDisplaySymbol } from './tokenDisplay.js';
+import { getRemainingBuyAmount, getRemainingSellAmount, isPartiallyFilled } from './partialFills.js';
 
 export function getBuyerDealRatio(order) {
     const dealValue = Number(order?.dealMetrics?.deal);
@@ -12,6 +13,41 @@ export function getMakerDealRatio(order) {
     return Number.isFinite(dealValue) && dealValue > 0 ? dealValue : undefined;
 }
 
+/**
+ * Tooltip text naming the tokens whose USD price is low confidence, or ''
+ * when every price can be trusted.
+ * @param {Object|null} pricing - PricingService
+ * @param {{ address: string, symbol: string }[]} tokens
+ * @returns {string}
+ */
+export function getLowConfidencePriceWarning(pricing, tokens) {
+    const details = tokens
+        .filter(({ address }) => address && pricing?.isPriceLowConfidence?.(address))
+        .map(({ address, symbol }) => {
+            const { sources = [], rejectedSources = [] } = pricing.getPriceConfidence(address) || {};
+            const rejectedText = rejectedSources.length > 0 ? `; ignored ${rejectedSources.join(', ')}` : '';
+            return `${symbol} (${sources.join(', ')}${rejectedText})`;
+        });
+    if (details.length === 0) {
+        return '';
+    }
+    return `Low-confidence USD price for ${details.join(', ')}. Sources disagree or liquidity is thin, so this may be off.`;
+}
+
+/**
+ * Value accessors for the token and grace-period sort keys. The token column
+ * shows the order's sell token in both table perspectives.
+ */
+export function buildOrderSortAccessors({ ws, tokenDisplaySymbolMap }) {
+    return {
+        getTokenSortValue: (order) => getDisplaySymbol(
+            ws.tokenCache.get(order.sellToken) || { address: order.sellToken },
+            tokenDisplaySymbolMap
+        ),
+        getGraceSortValue: (order) => ws.getOrderGraceEndTime(order)
+    };
+}
+
 export async function buildOrderRowContext({
     order,
     ws,
@@ -26,6 +62,8 @@ export async function buildOrderRowContext({
     const {
         formattedSellAmount,
         formattedBuyAmount,
+        formattedRemainingSellAmount,
+        formattedRemainingBuyAmount,
         sellTokenUsdPrice,
         buyTokenUsdPrice
     } = order.dealMetrics || {};
@@ -41,6 +79,19 @@ export async function buildOrderRowContext({
             ? ethers.utils.formatUnits(order.buyAmount, buyTokenInfo.decimals)
             : '0');
 
+    // Partially filled orders show what is still takeable; totals stay available.
+    const partiallyFilled = isPartiallyFilled(order);
+    const remainingSellText = partiallyFilled
+        ? (formattedRemainingSellAmount ?? (sellTokenInfo?.decimals != null
+            ? ethers.utils.formatUnits(getRemainingSellAmount(order).toString(), sellTokenInfo.decimals)
+            : safeFormattedSellAmount))
+        : safeFormattedSellAmount;
+    const remainingBuyText = partiallyFilled
+        ? (formattedRemainingBuyAmount ?? (buyTokenInfo?.decimals != null
+            ? ethers.utils.formatUnits(getRemainingBuyAmount(order).toString(), buyTokenInfo.decimals)
+            : safeFormattedBuyAmount))
+        : safeFormattedBuyAmount;
+
     const resolvedSellPrice = typeof sellTokenUsdPrice !== 'undefined'
         ? sellTokenUsdPrice
         : (pricing ? pricing.getPrice(order.sellToken) : undefined);
@@ -51,6 +102,10 @@ export async function buildOrderRowContext({
     const buyPriceLoading = Boolean(pricing?.shouldShowPriceLoading?.(order.buyToken));
     const buyerDealRatio = getBuyerDealRatio(order);
     const dealLoading = !Number.isFinite(buyerDealRatio) && (sellPriceLoading || buyPriceLoading);
+    const dealPriceWarning = getLowConfidencePriceWarning(pricing, [
+        { address: order.sellToken, symbol: sellDisplaySymbol },
+        { address: order.buyToken, symbol: buyDisplaySymbol }
+    ]);
 
     const sellPriceClass = (pricing && pricing.isPriceEstimated(order.sellToken)) ? 'price-estimate' : '';
     const buyPriceClass = (pricing && pricing.isPriceEstimated(order.buyToken)) ? 'price-estimate' : '';
@@ -68,13 +123,17 @@ export async function buildOrderRowContext({
         buyTokenInfo,
         sellDisplaySymbol,
         buyDisplaySymbol,
-        formattedSellAmount: safeFormattedSellAmount,
-        formattedBuyAmount: safeFormattedBuyAmount,
+        formattedSellAmount: remainingSellText,
+        formattedBuyAmount: remainingBuyText,
+        formattedTotalSellAmount: safeFormattedSellAmount,
+        formattedTotalBuyAmount: safeFormattedBuyAmount,
+        isPartiallyFilled: partiallyFilled,
         resolvedSellPrice,
         resolvedBuyPrice,
         sellPriceLoading,
         buyPriceLoading,
         dealLoading,
+        dealPriceWarning,
         sellPriceClass,
         buyPriceClass,
         orderStatus,
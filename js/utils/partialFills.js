@@ -0,0 +1,101 @@
+/**
+ * Partial-fill math for orders on contracts that expose
+ * `fillOrder(uint256,uint256)`. Amounts are handled as BigInt so the helpers
+ * work with ethers BigNumbers, decimal strings and plain integers alike.
+ *
+ * Legacy (all-or-nothing) orders have no `filledSellAmount`, which reads as
+ * zero filled: remaining amounts equal the order totals.
+ */
+
+export function toBigIntAmount(value) {
+    if (value === null || value === undefined || value === '') {
+        return 0n;
+    }
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    try {
+        return BigInt(value?.toString?.() ?? String(value));
+    } catch (_) {
+        return 0n;
+    }
+}
+
+function clamp(value, min, max) {
+    if (value < min) return min;
+    if (value > max) return max;
+    return value;
+}
+
+export function getFilledSellAmount(order) {
+    const sellAmount = toBigIntAmount(order?.sellAmount);
+    return clamp(toBigIntAmount(order?.filledSellAmount), 0n, sellAmount);
+}
+
+export function getRemainingSellAmount(order) {
+    return toBigIntAmount(order?.sellAmount) - getFilledSellAmount(order);
+}
+
+/**
+ * Buy amount owed for taking `sellAmountToFill` of the order's sell side.
+ * Rounds up so the maker never receives less than their quoted price.
+ * @param {Object} order
+ * @param {*} sellAmountToFill
+ * @returns {bigint}
+ */
+export function getProRataBuyAmount(order, sellAmountToFill) {
+    const sellAmount = toBigIntAmount(order?.sellAmount);
+    const buyAmount = toBigIntAmount(order?.buyAmount);
+    const fillAmount = toBigIntAmount(sellAmountToFill);
+    if (sellAmount <= 0n || fillAmount <= 0n) {
+        return 0n;
+    }
+    return (buyAmount * fillAmount + sellAmount - 1n) / sellAmount;
+}
+
+export function getRemainingBuyAmount(order) {
+    return getProRataBuyAmount(order, getRemainingSellAmount(order));
+}
+
+export function isPartiallyFilled(order) {
+    return getFilledSellAmount(order) > 0n && getRemainingSellAmount(order) > 0n;
+}
+
+/**
+ * Filled share of the sell side, in percent (0-100, two decimals).
+ * @param {Object} order
+ * @returns {number}
+ */
+export function getFillPercent(order) {
+    const sellAmount = toBigIntAmount(order?.sellAmount);
+    if (sellAmount <= 0n) {
+        return 0;
+    }
+    return Number((getFilledSellAmount(order) * 10000n) / sellAmount) / 100;
+}
+
+/**
+ * Fold an OrderFilled event into an order's fill state. Uses the event's
+ * `remainingSellAmount` when the contract emits it, otherwise accumulates the
+ * event's `sellAmount` on top of what was already filled.
+ * @param {Object} order - Cached order
+ * @param {{ sellAmount?: *, remainingSellAmount?: * }} fill - OrderFilled args
+ * @returns {{ filledSellAmount: bigint, remainingSellAmount: bigint, isComplete: boolean }}
+ */
+export function applyFillToOrder(order, fill = {}) {
+    const sellAmount = toBigIntAmount(order?.sellAmount);
+    let filledSellAmount;
+    if (fill.remainingSellAmount !== undefined && fill.remainingSellAmount !== null) {
+        filledSellAmount = sellAmount - toBigIntAmount(fill.remainingSellAmount);
+    } else {
+        filledSellAmount = getFilledSellAmount(order) + toBigIntAmount(fill.sellAmount);
+    }
+    filledSellAmount = clamp(filledSellAmount, 0n, sellAmount);
+    const remainingSellAmount = sellAmount - filledSellAmount;
+
+    return {
+        filledSellAmount,
+        remainingSellAmount,
+        isComplete: remainingSellAmount === 0n
+    };
+}
@@ -0,0 +1,80 @@
+/**
+ * Spot prices from AMM pool state and USD routing through stablecoins, for
+ * the on-chain price fallback. Pool prices are token1 per token0 in whole
+ * tokens; reserves and sqrtPriceX96 are BigInt.
+ */
+
+const Q192 = 2n ** 192n;
+const PRICE_SCALE = 10n ** 36n;
+
+/**
+ * @param {bigint} reserve0
+ * @param {bigint} reserve1
+ * @param {number} decimals0
+ * @param {number} decimals1
+ * @returns {number|null} token1 per token0, or null for an empty pool
+ */
+export function getV2SpotPrice(reserve0, reserve1, decimals0, decimals1) {
+    if (reserve0 <= 0n || reserve1 <= 0n) {
+        return null;
+    }
+    return (Number(reserve1) / Number(reserve0)) * 10 ** (decimals0 - decimals1);
+}
+
+/**
+ * @param {bigint} sqrtPriceX96 - From a V3 pool's slot0
+ * @param {number} decimals0
+ * @param {number} decimals1
+ * @returns {number|null} token1 per token0, or null for an uninitialized pool
+ */
+export function getV3SpotPrice(sqrtPriceX96, decimals0, decimals1) {
+    if (sqrtPriceX96 <= 0n) {
+        return null;
+    }
+    const rawPrice = Number((sqrtPriceX96 * sqrtPriceX96 * PRICE_SCALE) / Q192) / Number(PRICE_SCALE);
+    return rawPrice * 10 ** (decimals0 - decimals1);
+}
+
+/**
+ * Walks pools outward from the stablecoins (each taken as $1) and prices
+ * every token reachable through them. Each token keeps the first route
+ * found, so list the deepest pools first. The stablecoins are routing
+ * anchors, not quotes, so they are left out of the result.
+ * @param {{ token0: string, token1: string, price: number|null, liquidity?: number[] }[]} pools
+ *   `liquidity` is [reserve0, reserve1] in whole-token units when known
+ * @param {string[]} stablecoins
+ * @returns {Map<string, { price: number, liquidity: number }>} Keyed by lowercase address
+ */
+export function derivePoolUsdPrices(pools, stablecoins) {
+    const prices = new Map(
+        stablecoins.map(address => [address.toLowerCase(), { price: 1, liquidity: 0 }])
+    );
+    const usablePools = pools.filter(pool => Number.isFinite(pool.price) && pool.price > 0);
+
+    let added = true;
+    while (added) {
+        added = false;
+        for (const pool of usablePools) {
+            const token0 = pool.token0.toLowerCase();
+            const token1 = pool.token1.toLowerCase();
+            const known0 = prices.get(token0);
+            const known1 = prices.get(token1);
+            if (Boolean(known0) === Boolean(known1)) {
+                continue;
+            }
+
+            const [reserve0 = 0, reserve1 = 0] = pool.liquidity || [];
+            if (known1) {
+                const price = known1.price * pool.price;
+                prices.set(token0, { price, liquidity: reserve0 * price + reserve1 * known1.price });
+            } else {
+                const price = known0.price / pool.price;
+                prices.set(token1, { price, liquidity: reserve0 * known0.price + reserve1 * price });
+            }
+            added = true;
+        }
+    }
+
+    stablecoins.forEach(address => prices.delete(address.toLowerCase()));
+    return prices;
+}
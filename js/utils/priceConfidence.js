@@ -0,0 +1,83 @@
+/**
+ * Combines USD quotes from several price providers into one price: the
+ * median of the quotes that agree, a confidence level, and the sources used.
+ */
+
+export const PRICE_CONFIDENCE = {
+    HIGH: 'high',
+    MEDIUM: 'medium',
+    LOW: 'low'
+};
+
+// With three or more quotes, ones this far from the median are dropped.
+export const OUTLIER_DEVIATION = 0.2;
+// Kept quotes spread by no more than this share of the price count as agreeing.
+export const AGREEMENT_DISPERSION = 0.05;
+// A lone quote from a pool shallower than this is not trusted.
+export const MIN_SINGLE_SOURCE_LIQUIDITY_USD = 10000;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+        ? (sorted[middle - 1] + sorted[middle]) / 2
+        : sorted[middle];
+}
+
+function getConfidence(keptQuotes, rejectedQuotes, dispersion) {
+    if (keptQuotes.length === 1) {
+        const [{ liquidity = 0 }] = keptQuotes;
+        const thinPool = liquidity > 0 && liquidity < MIN_SINGLE_SOURCE_LIQUIDITY_USD;
+        return rejectedQuotes.length > 0 || thinPool ? PRICE_CONFIDENCE.LOW : PRICE_CONFIDENCE.MEDIUM;
+    }
+    if (dispersion > OUTLIER_DEVIATION) {
+        // Two sources that disagree: there is no majority to pick from.
+        return PRICE_CONFIDENCE.LOW;
+    }
+    return dispersion > AGREEMENT_DISPERSION || rejectedQuotes.length > 0
+        ? PRICE_CONFIDENCE.MEDIUM
+        : PRICE_CONFIDENCE.HIGH;
+}
+
+/**
+ * @param {{ source: string, price: number, liquidity?: number }[]} quotes - One per provider
+ * @returns {{
+ *   price: number,
+ *   liquidity: number,
+ *   confidence: string,
+ *   dispersion: number,
+ *   sources: string[],
+ *   rejectedSources: string[]
+ * }|null} `dispersion` is the kept quotes' spread relative to the price;
+ *   null when no quote is usable
+ */
+export function aggregatePriceQuotes(quotes) {
+    const validQuotes = (quotes || []).filter(quote => Number.isFinite(quote?.price) && quote.price > 0);
+    if (validQuotes.length === 0) {
+        return null;
+    }
+
+    const initialMedian = median(validQuotes.map(quote => quote.price));
+    let rejectedQuotes = validQuotes.length >= 3
+        ? validQuotes.filter(quote => Math.abs(quote.price - initialMedian) / initialMedian > OUTLIER_DEVIATION)
+        : [];
+    if (rejectedQuotes.length === validQuotes.length) {
+        // Widely spread quotes (even counts) can all miss the median; keep them
+        // all and let the dispersion mark the result as low confidence.
+        rejectedQuotes = [];
+    }
+    const keptQuotes = validQuotes.filter(quote => !rejectedQuotes.includes(quote));
+
+    const keptPrices = keptQuotes.map(quote => quote.price);
+    const price = median(keptPrices);
+    const dispersion = (Math.max(...keptPrices) - Math.min(...keptPrices)) / price;
+
+    return {
+        price,
+        liquidity: Math.max(0, ...keptQuotes.map(quote => quote.liquidity || 0)),
+        confidence: getConfidence(keptQuotes, rejectedQuotes, dispersion),
+        dispersion,
+        sources: keptQuotes.map(quote => quote.source),
+        rejectedSources: rejectedQuotes.map(quote => quote.source)
+    };
+}
@@ -0,0 +1,53 @@
+/**
+ * Price-pegged order math for CreateOrder: the maker enters the sell amount
+ * and a price, either as a premium/discount to the spot price or as buy
+ * tokens per sell token, and the buy amount follows from USD spot prices.
+ */
+
+import { getMakerDealRatio } from './ordersComponentHelpers.js';
+
+export const PRICE_PEG_MODES = {
+    PERCENT: 'percent',
+    PRICE: 'price'
+};
+
+function isPositive(value) {
+    return Number.isFinite(value) && value > 0;
+}
+
+/**
+ * @param {Object} params
+ * @param {number|string} params.sellAmount - Human-readable sell amount
+ * @param {number} params.sellUsdPrice
+ * @param {number} params.buyUsdPrice
+ * @param {string} params.mode - One of PRICE_PEG_MODES
+ * @param {number|string} params.value - Percent vs market, or buy tokens per sell token
+ * @returns {{ buyAmount: number, marketPrice: number, targetPrice: number, dealRatio: number }|null}
+ *   Prices are in buy tokens per sell token. `dealRatio` is the maker deal
+ *   shown in the order tables (1 = market). null when an input is missing.
+ */
+export function derivePeggedBuyAmount({ sellAmount, sellUsdPrice, buyUsdPrice, mode, value }) {
+    const amount = Number(sellAmount);
+    const sellPrice = Number(sellUsdPrice);
+    const buyPrice = Number(buyUsdPrice);
+    const pegValue = Number(value);
+    if (!isPositive(amount) || !isPositive(sellPrice) || !isPositive(buyPrice)
+        || value === '' || value === null || value === undefined || !Number.isFinite(pegValue)) {
+        return null;
+    }
+
+    const marketPrice = sellPrice / buyPrice;
+    const targetPrice = mode === PRICE_PEG_MODES.PRICE
+        ? pegValue
+        : marketPrice * (1 + pegValue / 100);
+    if (!isPositive(targetPrice)) {
+        return null;
+    }
+
+    const buyAmount = amount * targetPrice;
+    // Same ratio WebSocket.calculateDealMetrics stores as `deal`.
+    const dealRatio = getMakerDealRatio({
+        dealMetrics: { deal: (buyAmount * buyPrice) / (amount * sellPrice) }
+    });
+    return { buyAmount, marketPrice, targetPrice, dealRatio };
+}
@@ -0,0 +1,190 @@
+/**
+ * Order-book route quoting: "I want X of token A, paying with token B".
+ *
+ * Works on decimal-normalized amounts (plain numbers), the same unit as
+ * PricingService USD prices. Each candidate order is seen from the taker's
+ * side: filling it yields `sellAmount` of `sellToken` for `buyAmount` of
+ * `buyToken`. Amounts should already be the order's remaining amounts.
+ */
+
+function normalizeAddress(address) {
+    return typeof address === 'string' ? address.toLowerCase() : '';
+}
+
+function pairKey(receiveToken, payToken) {
+    return `${receiveToken}:${payToken}`;
+}
+
+function indexOrdersByPair(orders) {
+    const byPair = new Map();
+    for (const order of orders || []) {
+        const sellAmount = Number(order?.sellAmount);
+        const buyAmount = Number(order?.buyAmount);
+        if (!(sellAmount > 0) || !(buyAmount > 0)) {
+            continue;
+        }
+        const key = pairKey(normalizeAddress(order.sellToken), normalizeAddress(order.buyToken));
+        if (!byPair.has(key)) {
+            byPair.set(key, []);
+        }
+        byPair.get(key).push({ ...order, sellAmount, buyAmount, price: buyAmount / sellAmount });
+    }
+    byPair.forEach((pairOrders) => pairOrders.sort((a, b) => (a.price - b.price) || (a.id - b.id)));
+    return byPair;
+}
+
+/**
+ * Take the cheapest orders of one pair until `targetAmount` is received.
+ * Without partial fills every order is taken whole, so the leg may overshoot.
+ * @returns {{ fills: Object[], received: number, paid: number }|null} null when liquidity is short
+ */
+export function fillLeg(pairOrders, targetAmount, { allowPartial = false } = {}) {
+    const fills = [];
+    let received = 0;
+    let paid = 0;
+
+    for (const order of pairOrders || []) {
+        const missing = targetAmount - received;
+        if (missing <= 0) {
+            break;
+        }
+
+        const partial = allowPartial && order.sellAmount > missing;
+        const receive = partial ? missing : order.sellAmount;
+        const pay = partial ? order.buyAmount * (missing / order.sellAmount) : order.buyAmount;
+        fills.push({
+            orderId: order.id,
+            receiveToken: order.sellToken,
+            payToken: order.buyToken,
+            receiveAmount: receive,
+            payAmount: pay,
+            partial
+        });
+        received += receive;
+        paid += pay;
+    }
+
+    // Tolerate float dust left by partial-fill arithmetic.
+    if (received < targetAmount * (1 - 1e-12)) {
+        return null;
+    }
+    return { fills, received, paid };
+}
+
+function priceOf(getPrice, token) {
+    const price = Number(getPrice?.(token));
+    return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function buildRoute(path, legs, { getPrice, wantToken, payToken }) {
+    const receiveAmount = legs[legs.length - 1].received;
+    const payAmount = legs[0].paid;
+    const payPrice = priceOf(getPrice, payToken);
+    const wantPrice = priceOf(getPrice, wantToken);
+
+    // Whole-order fills on the first hop can buy more of the intermediate
+    // token than the second hop consumes; that surplus stays with the taker.
+    let leftover = null;
+    if (legs.length === 2) {
+        const amount = legs[0].received - legs[1].paid;
+        if (amount > 0) {
+            const price = priceOf(getPrice, path[1]);
+            leftover = { token: path[1], amount, usdValue: price === null ? null : amount * price };
+        }
+    }
+
+    const payUsd = payPrice === null ? null : payAmount * payPrice;
+    const leftoverUsd = leftover ? leftover.usdValue : 0;
+    const netCostUsd = payUsd === null || leftoverUsd === null ? null : payUsd - leftoverUsd;
+    const receiveUsd = wantPrice === null ? null : receiveAmount * wantPrice;
+
+    return {
+        path,
+        hops: legs.length,
+        legs,
+        payAmount,
+        receiveAmount,
+        leftover,
+        payUsd,
+        receiveUsd,
+        // Pay-token units per unit received.
+        effectivePrice: payAmount / receiveAmount,
+        // Net USD spent per unit received; the ranking key when known.
+        effectiveUsdPrice: netCostUsd === null ? null : netCostUsd / receiveAmount,
+        // Cost above (positive) or below market value of what is received.
+        premiumPct: netCostUsd === null || !receiveUsd ? null : ((netCostUsd / receiveUsd) - 1) * 100
+    };
+}
+
+function compareRoutes(a, b) {
+    const aUsd = a.effectiveUsdPrice;
+    const bUsd = b.effectiveUsdPrice;
+    if (aUsd !== null && bUsd !== null && aUsd !== bUsd) {
+        return aUsd - bUsd;
+    }
+    if ((aUsd === null) !== (bUsd === null)) {
+        return aUsd === null ? 1 : -1;
+    }
+    return (a.effectivePrice - b.effectivePrice) || (a.hops - b.hops);
+}
+
+/**
+ * Rank direct and two-hop (via one intermediate token) ways to acquire
+ * `wantAmount` of `wantToken` paying with `payToken`.
+ * @param {Object} params
+ * @param {Object[]} params.orders - Fillable orders with normalized remaining amounts
+ * @param {string} params.wantToken
+ * @param {string} params.payToken
+ * @param {number} params.wantAmount
+ * @param {(token: string) => number|undefined} [params.getPrice] - USD price lookup
+ * @param {boolean} [params.allowPartial] - Contract supports partial fills
+ * @param {number} [params.maxRoutes]
+ * @returns {Object[]} Routes, best first
+ */
+export function quoteBestRoutes({
+    orders,
+    wantToken,
+    payToken,
+    wantAmount,
+    getPrice = null,
+    allowPartial = false,
+    maxRoutes = 5
+}) {
+    const want = normalizeAddress(wantToken);
+    const pay = normalizeAddress(payToken);
+    const target = Number(wantAmount);
+    if (!want || !pay || want === pay || !(target > 0)) {
+        return [];
+    }
+
+    const byPair = indexOrdersByPair(orders);
+    const context = { getPrice, wantToken: want, payToken: pay };
+    const routes = [];
+
+    const direct = fillLeg(byPair.get(pairKey(want, pay)), target, { allowPartial });
+    if (direct) {
+        routes.push(buildRoute([pay, want], [direct], context));
+    }
+
+    const intermediates = new Set();
+    byPair.forEach((_, key) => {
+        const [receiveToken, payWith] = key.split(':');
+        if (receiveToken === want && payWith !== pay && byPair.has(pairKey(payWith, pay))) {
+            intermediates.add(payWith);
+        }
+    });
+
+    intermediates.forEach((via) => {
+        const secondHop = fillLeg(byPair.get(pairKey(want, via)), target, { allowPartial });
+        if (!secondHop) {
+            return;
+        }
+        const firstHop = fillLeg(byPair.get(pairKey(via, pay)), secondHop.paid, { allowPartial });
+        if (!firstHop) {
+            return;
+        }
+        routes.push(buildRoute([pay, via, want], [firstHop, secondHop], context));
+    });
+
+    return routes.sort(compareRoutes).slice(0, maxRoutes);
+}
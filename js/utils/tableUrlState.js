@@ -0,0 +1,169 @@
+import { DEFAULT_ORDER_SORT, normalizeOrderSort } from './orderSort.js';
+import { DEFAULT_ORDER_RANGE_FILTERS, normalizeOrderRangeFilters } from './orderFilters.js';
+
+/**
+ * Order table state <-> query string.
+ *
+ * Covers the token filters, fillable toggle, sort, page size and the range
+ * filters from orderFilters.js.
+ *
+ * Each table namespaces its parameters with a state key (e.g. `orders.sell`)
+ * so several tabs can share one URL next to `?chain=`. Only values that
+ * differ from the table defaults are written, keeping shared links short.
+ */
+
+export const PAGE_SIZE_VALUES = Object.freeze(['10', '25', '50', '100', '-1']);
+
+export const DEFAULT_TABLE_STATE = Object.freeze({
+    sellToken: '',
+    buyToken: '',
+    fillableOnly: true,
+    sort: DEFAULT_ORDER_SORT,
+    pageSize: '10',
+    ...DEFAULT_ORDER_RANGE_FILTERS
+});
+
+const PARAM_NAMES = Object.freeze({
+    sellToken: 'sell',
+    buyToken: 'buy',
+    fillableOnly: 'fillable',
+    sort: 'sort',
+    pageSize: 'size',
+    minUsdSize: 'minUsd',
+    maxUsdSize: 'maxUsd',
+    minDealPct: 'minDeal',
+    maxDealPct: 'maxDeal',
+    minExpiryHours: 'minExpiry',
+    maxExpiryHours: 'maxExpiry',
+    counterparty: 'counterparty',
+    privateOnly: 'private'
+});
+
+const BOOLEAN_FIELDS = new Set(['fillableOnly', 'privateOnly']);
+
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+function normalizeTokenAddress(value) {
+    const address = String(value || '').trim().toLowerCase();
+    return ADDRESS_PATTERN.test(address) ? address : '';
+}
+
+function getParamName(stateKey, field) {
+    return `${stateKey}.${PARAM_NAMES[field]}`;
+}
+
+/**
+ * Coerce a partial or untrusted state (URL, localStorage) into a complete one.
+ * @param {Object} state
+ * @param {Object} [defaults]
+ * @returns {Object} Token filters, fillable toggle, sort, page size and range filters
+ */
+export function normalizeTableState(state = {}, defaults = DEFAULT_TABLE_STATE) {
+    const base = { ...DEFAULT_TABLE_STATE, ...defaults };
+    const pageSize = String(state?.pageSize ?? base.pageSize);
+    const rangeFilters = normalizeOrderRangeFilters(Object.fromEntries(
+        Object.keys(DEFAULT_ORDER_RANGE_FILTERS).map((field) => [field, state?.[field] ?? base[field]])
+    ));
+    return {
+        sellToken: normalizeTokenAddress(state?.sellToken ?? base.sellToken),
+        buyToken: normalizeTokenAddress(state?.buyToken ?? base.buyToken),
+        fillableOnly: typeof state?.fillableOnly === 'boolean' ? state.fillableOnly : base.fillableOnly,
+        sort: normalizeOrderSort(state?.sort ?? base.sort),
+        pageSize: PAGE_SIZE_VALUES.includes(pageSize) ? pageSize : base.pageSize,
+        ...rangeFilters
+    };
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @param {string} stateKey
+ * @param {Object} [defaults]
+ * @returns {Object} Normalized table state
+ */
+export function parseTableState(params, stateKey, defaults = DEFAULT_TABLE_STATE) {
+    const state = {};
+    Object.keys(PARAM_NAMES).forEach((field) => {
+        const value = params.get(getParamName(stateKey, field));
+        if (value === null) {
+            return;
+        }
+        if (BOOLEAN_FIELDS.has(field)) {
+            if (value === '1' || value === '0') {
+                state[field] = value === '1';
+            }
+            return;
+        }
+        state[field] = value;
+    });
+    return normalizeTableState(state, defaults);
+}
+
+/**
+ * Write `state` into `params` in place, removing parameters at their default.
+ * @param {URLSearchParams} params
+ * @param {string} stateKey
+ * @param {Object} state
+ * @param {Object} [defaults]
+ * @returns {URLSearchParams}
+ */
+export function serializeTableState(params, stateKey, state, defaults = DEFAULT_TABLE_STATE) {
+    const normalizedDefaults = normalizeTableState(defaults);
+    const normalizedState = normalizeTableState(state, normalizedDefaults);
+
+    Object.keys(PARAM_NAMES).forEach((field) => {
+        const name = getParamName(stateKey, field);
+        const value = normalizedState[field];
+        if (value === normalizedDefaults[field]) {
+            params.delete(name);
+        } else if (typeof value === 'boolean') {
+            params.set(name, value ? '1' : '0');
+        } else {
+            params.set(name, String(value));
+        }
+    });
+    return params;
+}
+
+/**
+ * @param {string} stateKey
+ * @param {Object} [defaults]
+ * @returns {Object} Table state requested by the current page URL
+ */
+export function readTableStateFromUrl(stateKey, defaults = DEFAULT_TABLE_STATE) {
+    if (typeof window === 'undefined' || !window.location) {
+        return normalizeTableState({}, defaults);
+    }
+    return parseTableState(new URLSearchParams(window.location.search || ''), stateKey, defaults);
+}
+
+/**
+ * Build the current page URL with `state` applied.
+ * @param {string} stateKey
+ * @param {Object} state
+ * @param {Object} [defaults]
+ * @returns {URL}
+ */
+export function buildTableStateUrl(stateKey, state, defaults = DEFAULT_TABLE_STATE) {
+    const url = new URL(window.location.href);
+    serializeTableState(url.searchParams, stateKey, state, defaults);
+    return url;
+}
+
+/**
+ * Replace the current URL with `state` applied, keeping history.state intact
+ * (it carries the active tab).
+ * @param {string} stateKey
+ * @param {Object} state
+ * @param {Object} [defaults]
+ */
+export function writeTableStateToUrl(stateKey, state, defaults = DEFAULT_TABLE_STATE) {
+    if (typeof window === 'undefined' || !window.history?.replaceState) {
+        return;
+    }
+    const url = buildTableStateUrl(stateKey, state, defaults);
+    if (url.href === window.location.href) {
+        return;
+    }
+    const existingState = window.history.state || {};
+    window.history.replaceState(existingState, '', url);
+}
@@ -0,0 +1,205 @@
+/**
+ * Per-wallet trade ledger built from EventIndexerService records.
+ */
+
+export const TRADE_HISTORY_TYPES = {
+    FILL: 'Fill',
+    CANCEL: 'Cancel',
+    CLEANUP: 'Cleanup'
+};
+
+export const TRADE_HISTORY_ROLES = {
+    MAKER: 'Maker',
+    TAKER: 'Taker'
+};
+
+const EVENT_TYPE_MAP = {
+    OrderFilled: TRADE_HISTORY_TYPES.FILL,
+    OrderCanceled: TRADE_HISTORY_TYPES.CANCEL,
+    OrderCleanedUp: TRADE_HISTORY_TYPES.CLEANUP
+};
+
+function normalizeAddress(address) {
+    return typeof address === 'string' ? address.toLowerCase() : '';
+}
+
+/**
+ * Build ledger entries for every fill, cancel and cleanup involving an account.
+ * Cancel/cleanup logs carry no amounts, so they are joined with the order's
+ * OrderCreated record when it is within the indexed range.
+ * @param {Object[]} records - Indexed event records (any order, any event)
+ * @param {string} account - Wallet address
+ * @param {Object} [options]
+ * @param {(recordKey: string) => ({ sellValue: number|null, buyValue: number|null }|null)} [options.getFillValuation]
+ *   USD value of one OrderFilled record, looked up by its `txHash:logIndex` key
+ * @returns {Object[]} Entries, newest first
+ */
+export function buildTradeHistoryEntries(records, account, { getFillValuation = null } = {}) {
+    const normalizedAccount = normalizeAddress(account);
+    if (!normalizedAccount || !Array.isArray(records)) {
+        return [];
+    }
+
+    const createdByOrderId = new Map();
+    records.forEach((record) => {
+        if (record?.eventName === 'OrderCreated' && Number.isInteger(record.orderId)) {
+            createdByOrderId.set(record.orderId, record);
+        }
+    });
+
+    const entries = [];
+    records.forEach((record) => {
+        const type = EVENT_TYPE_MAP[record?.eventName];
+        if (!type) {
+            return;
+        }
+
+        const created = createdByOrderId.get(record.orderId) || null;
+        const maker = normalizeAddress(record.maker || created?.maker);
+        // OrderFilled.taker is the filler; other events only know the designated taker.
+        const taker = normalizeAddress(type === TRADE_HISTORY_TYPES.FILL ? record.taker : created?.taker);
+
+        let role = null;
+        if (maker === normalizedAccount) {
+            role = TRADE_HISTORY_ROLES.MAKER;
+        } else if (type === TRADE_HISTORY_TYPES.FILL && taker === normalizedAccount) {
+            role = TRADE_HISTORY_ROLES.TAKER;
+        }
+        if (!role) {
+            return;
+        }
+
+        let usdValue = null;
+        if (type === TRADE_HISTORY_TYPES.FILL && typeof getFillValuation === 'function') {
+            const valuation = getFillValuation(record.key);
+            const value = Number(valuation?.sellValue ?? valuation?.buyValue);
+            usdValue = Number.isFinite(value) ? value : null;
+        }
+
+        entries.push({
+            key: record.key,
+            type,
+            role,
+            orderId: record.orderId,
+            timestamp: record.timestamp,
+            blockNumber: record.blockNumber,
+            logIndex: record.logIndex,
+            transactionHash: record.transactionHash,
+            counterparty: role === TRADE_HISTORY_ROLES.MAKER ? (taker || null) : maker,
+            sellToken: record.sellToken || created?.sellToken || null,
+            sellAmount: record.sellAmount || created?.sellAmount || null,
+            buyToken: record.buyToken || created?.buyToken || null,
+            buyAmount: record.buyAmount || created?.buyAmount || null,
+            usdValue
+        });
+    });
+
+    return entries.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+}
+
+export const PAST_ORDER_STATUSES = {
+    FILLED: 'Filled',
+    PARTIALLY_FILLED: 'Partially filled',
+    CANCELED: 'Canceled',
+    EXPIRED: 'Expired'
+};
+
+/**
+ * Orders involving an account that have left the live order cache (usually
+ * cleaned up), rebuilt from indexed events for MyOrders and TakerOrders.
+ * @param {Object[]} records - Indexed event records
+ * @param {string} account - Wallet address
+ * @param {Object} [options]
+ * @param {string} [options.role] - TRADE_HISTORY_ROLES.MAKER for orders the account
+ *   created; TAKER for orders it was invited to or filled
+ * @param {Iterable<number>} [options.liveOrderIds] - Orders still in the live cache
+ * @returns {Object[]} One entry per order, most recently closed first
+ */
+export function buildPastOrders(records, account, { role = TRADE_HISTORY_ROLES.MAKER, liveOrderIds = [] } = {}) {
+    const normalizedAccount = normalizeAddress(account);
+    if (!normalizedAccount || !Array.isArray(records)) {
+        return [];
+    }
+
+    const recordsByOrderId = new Map();
+    records.forEach((record) => {
+        if (!Number.isInteger(record?.orderId) || !record.eventName?.startsWith('Order')) {
+            return;
+        }
+        if (!recordsByOrderId.has(record.orderId)) {
+            recordsByOrderId.set(record.orderId, []);
+        }
+        recordsByOrderId.get(record.orderId).push(record);
+    });
+
+    const liveIds = new Set(Array.from(liveOrderIds, Number));
+    const pastOrders = [];
+    recordsByOrderId.forEach((orderRecords, orderId) => {
+        const created = orderRecords.find((record) => record.eventName === 'OrderCreated') || null;
+        const fills = orderRecords.filter((record) => record.eventName === 'OrderFilled');
+        const closing = orderRecords.filter((record) => record.eventName !== 'OrderCreated');
+        if (liveIds.has(orderId) || closing.length === 0) {
+            return;
+        }
+
+        const maker = normalizeAddress(created?.maker || closing[0].maker);
+        const involved = role === TRADE_HISTORY_ROLES.MAKER
+            ? maker === normalizedAccount
+            : normalizeAddress(created?.taker) === normalizedAccount
+                || fills.some((fill) => normalizeAddress(fill.taker) === normalizedAccount);
+        if (!involved) {
+            return;
+        }
+
+        const filledSellAmount = fills.reduce((total, fill) => total + BigInt(fill.sellAmount || '0'), 0n);
+        let status = PAST_ORDER_STATUSES.EXPIRED;
+        if (closing.some((record) => record.eventName === 'OrderCanceled')) {
+            status = PAST_ORDER_STATUSES.CANCELED;
+        } else if (fills.length > 0) {
+            status = created && filledSellAmount < BigInt(created.sellAmount || '0')
+                ? PAST_ORDER_STATUSES.PARTIALLY_FILLED
+                : PAST_ORDER_STATUSES.FILLED;
+        }
+
+        const lastRecord = closing[closing.length - 1];
+        pastOrders.push({
+            orderId,
+            status,
+            maker,
+            sellToken: created?.sellToken || fills[0]?.sellToken || null,
+            sellAmount: created?.sellAmount || null,
+            buyToken: created?.buyToken || fills[0]?.buyToken || null,
+            buyAmount: created?.buyAmount || null,
+            closedAt: lastRecord.timestamp,
+            blockNumber: lastRecord.blockNumber,
+            logIndex: lastRecord.logIndex,
+            transactionHash: lastRecord.transactionHash
+        });
+    });
+
+    return pastOrders.sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    // Neutralize spreadsheet formulas (token symbols are contract-controlled).
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line.
+ * @param {{ key: string, label: string }[]} columns
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+    const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+    const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+    return [header, ...lines].join('\r\n');
+}
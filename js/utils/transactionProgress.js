@@ -41,6 +41,7 @@ export function createTransactionProgressSession(toastApi, options) {
         summary: options.summary || '',
         steps: cloneSteps(options.steps || []),
         transaction: null,
+        feeEstimate: null,
         terminalState: null,
         controller: null,
         hidden: false,
@@ -79,6 +80,10 @@ export function createTransactionProgressSession(toastApi, options) {
             controller.setTransaction(state.transaction);
         }
 
+        if (state.feeEstimate) {
+            controller.setFeeEstimate?.(state.feeEstimate);
+        }
+
         applyTerminalState(controller, state.terminalState);
         notifyVisibility();
         return controller;
@@ -108,6 +113,12 @@ export function createTransactionProgressSession(toastApi, options) {
                 state.controller.setSummary(state.summary);
             }
         },
+        setFeeEstimate(estimate) {
+            state.feeEstimate = estimate || null;
+            if (state.controller) {
+                state.controller.setFeeEstimate?.(state.feeEstimate);
+            }
+        },
         setTransaction(transaction) {
             state.transaction = transaction || null;
             if (state.controller && transaction) {
@@ -1,4 +1,5 @@
 import { escapeHtmlAttribute, escapeHtmlText } from './html.js';
+import { decodeTransactionError, formatContractError, isUserRejection } from '../errors/ContractErrors.js';
 
 export function setVisibility(element, isVisible) {
     if (!element) return;
@@ -118,7 +119,8 @@ export function createInlineTooltipIcon(
     {
         className = 'info-icon order-tooltip-icon',
         ariaLabel = 'More information',
-        attributes = {}
+        attributes = {},
+        icon = 'ⓘ'
     } = {}
 ) {
     const safeTooltip = escapeHtmlAttribute(tooltipText);
@@ -133,11 +135,22 @@ export function createInlineTooltipIcon(
         })
         .join('');
 
-    return `<button type="button" class="${className}" data-order-tooltip="${safeTooltip}" aria-label="${safeAriaLabel}"${additionalAttributes}>ⓘ</button>`;
+    return `<button type="button" class="${className}" data-order-tooltip="${safeTooltip}" aria-label="${safeAriaLabel}"${additionalAttributes}>${escapeHtmlText(icon)}</button>`;
 }
 
-export function createDealCellHTML(dealText) {
+/**
+ * @param {string} dealText
+ * @param {string} [priceWarning] - Shown as a warning badge next to the deal
+ */
+export function createDealCellHTML(dealText, priceWarning = '') {
     const safeDealText = escapeHtmlText(dealText);
+    const priceWarningBadge = priceWarning
+        ? createInlineTooltipIcon(priceWarning, {
+            className: 'order-tooltip-icon price-confidence-badge',
+            ariaLabel: 'Low-confidence price',
+            icon: '⚠'
+        })
+        : '';
     return `
         <div class="deal-cell-content">
             <span class="deal-card-label">
@@ -148,6 +161,7 @@ export function createDealCellHTML(dealText) {
                 })}
             </span>
             <span class="deal-value">${safeDealText}</span>
+            ${priceWarningBadge}
         </div>
     `;
 }
@@ -180,18 +194,7 @@ export function setupOrderTooltips(container = document) {
     });
 }
 
-/**
- * Check if an error represents a user rejection of a transaction
- * @param {Error} error - The error object to check
- * @returns {boolean} - True if the error is a user rejection
- */
-export function isUserRejection(error) {
-    return error.code === 4001 || 
-           error.code === 'ACTION_REJECTED' ||
-           error.message?.includes('user rejected') ||
-           error.message?.includes('User denied transaction signature') ||
-           error.reason === 'user rejected transaction';
-}
+export { isUserRejection };
 
 /**
  * Extract the most useful user-facing transaction error message.
@@ -199,28 +202,7 @@ export function isUserRejection(error) {
  * @returns {string}
  */
 export function extractTransactionErrorMessage(error) {
-    if (!error) {
-        return 'Unknown error occurred';
-    }
-
-    const errorText = String(error.reason || error.message || '').toLowerCase();
-    if (error.code === 'NETWORK_ERROR' && errorText.includes('underlying network changed')) {
-        return 'Wallet network changed. Switch back to the selected network and try again.';
-    }
-
-    if (error.code === 'UNPREDICTABLE_GAS_LIMIT' && error.error?.data?.message) {
-        return error.error.data.message;
-    }
-
-    if (error.reason) {
-        return error.reason;
-    }
-
-    if (error.error?.data?.message) {
-        return error.error.data.message;
-    }
-
-    return error.message || 'Unknown error occurred';
+    return formatContractError(decodeTransactionError(error));
 }
 
 /**
@@ -236,12 +218,15 @@ export function handleTransactionError(error, component, action = 'transaction')
         component.debug(`User rejected ${action}`);
         return true; // Indicates user rejection was handled
     } else {
-        const errorMessage = extractTransactionErrorMessage(error);
+        const decodedError = decodeTransactionError(error);
+        const errorMessage = formatContractError(decodedError);
         
         // Show error for actual failures
         component.error(`${action} failed:`, {
             message: error.message,
             code: error.code,
+            errorCode: decodedError.code,
+            details: decodedError.details,
             error: error.error,
             reason: error.reason,
             transaction: error.transaction,
@@ -0,0 +1,364 @@
+// Headless keeper that calls cleanupExpiredOrders() when the reward beats gas.
+//
+// Usage:
+//   node scripts/cleanupKeeper.mjs [--network <slug>] [--rpc-url <url>] [--contract <address>]
+//     [--dry-run] [--once] [--min-profit <usd>] [--native-usd <usd>] [--price <token>=<usd> ...]
+//     [--interval <secs>] [--max-per-run <n>] [--scan-limit <n>]
+//
+// Without --network the keeper targets a local Hardhat/Anvil node and the
+// contract from js/local-dev.deployment.js. The signer key is read from
+// KEEPER_PRIVATE_KEY (or PRIVATE_KEY) and is optional with --dry-run.
+// Every log line is a single JSON object on stdout.
+
+import { ethers } from 'ethers';
+import { abi as OTC_SWAP_ABI } from '../js/abi/OTCSwap.js';
+import { erc20Abi } from '../js/abi/erc20.js';
+import { ORDER_CONSTANTS } from '../js/config/index.js';
+import { getNetworkById, getNetworkBySlug } from '../js/config/networks.js';
+import { localDeployment } from '../js/local-dev.deployment.js';
+import { buildOrderTimings } from '../js/utils/orderTimings.js';
+import {
+  BASE_CLEANUP_GAS,
+  estimateCleanupProfitability,
+  planCleanupRun
+} from '../js/utils/cleanupEstimator.js';
+
+const DEFAULT_LOCAL_RPC_URL = 'http://127.0.0.1:8545';
+
+function log(level, event, fields = {}) {
+  const line = JSON.stringify(
+    { time: new Date().toISOString(), level, event, ...fields },
+    (_, value) => {
+      if (typeof value === 'bigint') return value.toString();
+      // BigNumber.toJSON() runs before the replacer and yields { type, hex }
+      if (value?.type === 'BigNumber' && value.hex) return ethers.BigNumber.from(value.hex).toString();
+      return value;
+    }
+  );
+  (level === 'error' ? console.error : console.log)(line);
+}
+
+function parseArgs(argv) {
+  const options = {
+    network: null,
+    rpcUrl: null,
+    contract: null,
+    dryRun: false,
+    once: false,
+    minProfitUsd: 0,
+    nativeUsd: null,
+    prices: {},
+    intervalSecs: 60,
+    maxPerRun: 10,
+    scanLimit: 100
+  };
+
+  const readValue = (index, flag) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    return value;
+  };
+  const readNumber = (index, flag) => {
+    const value = Number(readValue(index, flag));
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Invalid number for ${flag}`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '--network': options.network = readValue(i++, flag); break;
+      case '--rpc-url': options.rpcUrl = readValue(i++, flag); break;
+      case '--contract': options.contract = readValue(i++, flag); break;
+      case '--dry-run': options.dryRun = true; break;
+      case '--once': options.once = true; break;
+      case '--min-profit': options.minProfitUsd = readNumber(i++, flag); break;
+      case '--native-usd': options.nativeUsd = readNumber(i++, flag); break;
+      case '--interval': options.intervalSecs = readNumber(i++, flag); break;
+      case '--max-per-run': options.maxPerRun = Math.floor(readNumber(i++, flag)); break;
+      case '--scan-limit': options.scanLimit = Math.floor(readNumber(i++, flag)); break;
+      case '--price': {
+        const [token, usd] = readValue(i++, flag).split('=');
+        if (!ethers.utils.isAddress(token) || !Number.isFinite(Number(usd))) {
+          throw new Error(`Invalid --price value, expected <token>=<usd>`);
+        }
+        options.prices[token.toLowerCase()] = Number(usd);
+        break;
+      }
+      default:
+        throw new Error(`Unknown argument: ${flag}`);
+    }
+  }
+  return options;
+}
+
+function resolveTarget(options) {
+  if (options.network) {
+    const network = getNetworkBySlug(options.network) || getNetworkById(options.network);
+    if (!network) {
+      throw new Error(`Unknown network: ${options.network}`);
+    }
+    return {
+      rpcUrl: options.rpcUrl || network.rpcUrl,
+      contract: options.contract || network.contractAddress
+    };
+  }
+  return {
+    rpcUrl: options.rpcUrl || DEFAULT_LOCAL_RPC_URL,
+    contract: options.contract || localDeployment.contracts.otcSwap
+  };
+}
+
+class CleanupKeeper {
+  constructor(options) {
+    this.options = options;
+    const target = resolveTarget(options);
+    this.provider = new ethers.providers.JsonRpcProvider(target.rpcUrl);
+    this.contractAddress = target.contract;
+    this.rpcUrl = target.rpcUrl;
+
+    const privateKey = process.env.KEEPER_PRIVATE_KEY || process.env.PRIVATE_KEY;
+    if (!privateKey && !options.dryRun) {
+      throw new Error('Set KEEPER_PRIVATE_KEY (or PRIVATE_KEY), or run with --dry-run');
+    }
+    this.wallet = privateKey
+      ? new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`, this.provider)
+      : null;
+    this.contract = new ethers.Contract(this.contractAddress, OTC_SWAP_ABI, this.wallet || this.provider);
+    this.tokenInfo = new Map();
+    this.stopped = false;
+  }
+
+  async start() {
+    const network = await this.provider.getNetwork();
+    const [orderExpiry, gracePeriod] = await Promise.all([
+      this.contract.ORDER_EXPIRY(),
+      this.contract.GRACE_PERIOD()
+    ]);
+    this.timingConstants = { orderExpiry, gracePeriod };
+    this.nativeDecimals = getNetworkById(network.chainId)?.nativeCurrency?.decimals ?? 18;
+
+    // Wrapped native fee tokens are worth the native price
+    const wrappedNative = getNetworkById(network.chainId)?.wrappedNativeAddress?.toLowerCase();
+    if (wrappedNative && this.options.nativeUsd !== null && this.options.prices[wrappedNative] === undefined) {
+      this.options.prices[wrappedNative] = this.options.nativeUsd;
+    }
+
+    log('info', 'keeper_started', {
+      chainId: network.chainId,
+      rpcUrl: this.rpcUrl,
+      contract: this.contractAddress,
+      keeper: this.wallet?.address || null,
+      dryRun: this.options.dryRun,
+      minProfitUsd: this.options.minProfitUsd,
+      orderExpiry: orderExpiry.toNumber(),
+      gracePeriod: gracePeriod.toNumber()
+    });
+
+    while (!this.stopped) {
+      try {
+        await this.tick();
+      } catch (error) {
+        log('error', 'tick_failed', { message: error.reason || error.message });
+      }
+      if (this.options.once || this.stopped) {
+        break;
+      }
+      await new Promise(resolve => {
+        this.wake = resolve;
+        this.sleepTimer = setTimeout(resolve, this.options.intervalSecs * 1000);
+      });
+    }
+    log('info', 'keeper_stopped');
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.sleepTimer);
+    this.wake?.();
+  }
+
+  async getTokenInfo(address) {
+    if (!this.tokenInfo.has(address)) {
+      const token = new ethers.Contract(address, erc20Abi, this.provider);
+      const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+      this.tokenInfo.set(address, { symbol, decimals: Number(decimals) });
+    }
+    return this.tokenInfo.get(address);
+  }
+
+  async loadQueue() {
+    const [firstOrderId, nextOrderId] = await Promise.all([
+      this.contract.firstOrderId(),
+      this.contract.nextOrderId()
+    ]);
+    const first = firstOrderId.toNumber();
+    const end = Math.min(nextOrderId.toNumber(), first + this.options.scanLimit);
+
+    const ids = [];
+    for (let id = first; id < end; id++) {
+      ids.push(id);
+    }
+    // Deleted slots read back as zeroes; the contract still has to step over them
+    return Promise.all(ids.map(async (id) => {
+      const order = await this.contract.orders(id);
+      const timestamp = order.timestamp.toNumber();
+      return {
+        id,
+        maker: order.maker,
+        status: ORDER_CONSTANTS.STATUS_MAP[Number(order.status)],
+        feeToken: order.feeToken,
+        orderCreationFee: order.orderCreationFee,
+        timestamp,
+        timings: buildOrderTimings(timestamp, this.timingConstants)
+      };
+    }));
+  }
+
+  async estimateGas() {
+    try {
+      return await this.contract.estimateGas.cleanupExpiredOrders(
+        this.wallet ? {} : { from: ethers.constants.AddressZero }
+      );
+    } catch (error) {
+      log('debug', 'gas_estimate_fallback', { message: error.reason || error.message, gas: BASE_CLEANUP_GAS });
+      return ethers.BigNumber.from(BASE_CLEANUP_GAS);
+    }
+  }
+
+  async tick() {
+    const [block, orders, feeData] = await Promise.all([
+      this.provider.getBlock('latest'),
+      this.loadQueue(),
+      this.provider.getFeeData()
+    ]);
+    const currentTime = block.timestamp;
+    const gasPrice = feeData.gasPrice;
+
+    const feeTokens = [...new Set(
+      orders.filter(order => order.maker !== ethers.constants.AddressZero).map(order => order.feeToken.toLowerCase())
+    )];
+    await Promise.all(feeTokens.map(address => this.getTokenInfo(address)));
+    const getFeeTokenInfo = (address) => ({
+      ...this.tokenInfo.get(address),
+      usdPrice: this.options.prices[address]
+    });
+
+    const gasPerCleanup = orders.some(order => currentTime > order.timings.graceEndsAt)
+      ? await this.estimateGas()
+      : ethers.BigNumber.from(BASE_CLEANUP_GAS);
+
+    const estimate = estimateCleanupProfitability({
+      orders,
+      currentTime,
+      getFeeTokenInfo,
+      gasPerCleanup,
+      gasPriceWei: gasPrice,
+      nativeUsdPrice: this.options.nativeUsd ?? undefined,
+      nativeDecimals: this.nativeDecimals
+    });
+
+    log('info', 'queue_checked', {
+      blockNumber: block.number,
+      chainTime: currentTime,
+      scanned: orders.length,
+      readyCount: estimate.readyCount,
+      upcomingCount: estimate.upcomingCount,
+      rewards: estimate.rewardsByToken,
+      totalRewardUsd: estimate.totalRewardUsd,
+      hasUnpricedRewards: estimate.hasUnpricedRewards,
+      gasPerCleanup,
+      gasPrice,
+      costPerCleanupUsd: estimate.costPerCleanupUsd,
+      nextProfitableAt: estimate.nextProfitableAt
+    });
+
+    if (estimate.readyCount === 0) {
+      return;
+    }
+    if (estimate.costPerCleanupUsd === null) {
+      log('warn', 'cleanup_skipped', { reason: 'native price unknown, pass --native-usd' });
+      return;
+    }
+
+    const plan = planCleanupRun({
+      orders,
+      currentTime,
+      getFeeTokenInfo,
+      costPerCleanupUsd: estimate.costPerCleanupUsd,
+      minProfitUsd: this.options.minProfitUsd,
+      maxOrders: this.options.maxPerRun
+    });
+    const planFields = {
+      orderIds: plan.orders.map(order => order.id),
+      rewardUsd: plan.rewardUsd,
+      costUsd: plan.costUsd,
+      netUsd: plan.netUsd,
+      minProfitUsd: this.options.minProfitUsd
+    };
+
+    if (!plan.shouldRun) {
+      log('info', 'cleanup_skipped', { reason: 'below profit threshold', ...planFields });
+      return;
+    }
+    if (this.options.dryRun) {
+      log('info', 'cleanup_dry_run', planFields);
+      return;
+    }
+    await this.runCleanups(plan.orders, gasPerCleanup, gasPrice);
+  }
+
+  async runCleanups(orders, gasPerCleanup, gasPrice) {
+    for (const order of orders) {
+      if (this.stopped) {
+        return;
+      }
+      // Another keeper may have moved the queue since it was read
+      const firstOrderId = (await this.contract.firstOrderId()).toNumber();
+      if (firstOrderId !== order.id) {
+        log('warn', 'cleanup_queue_moved', { expectedOrderId: order.id, firstOrderId });
+        return;
+      }
+
+      const tx = await this.contract.cleanupExpiredOrders({
+        gasLimit: gasPerCleanup.mul(130).div(100),
+        gasPrice
+      });
+      log('info', 'cleanup_sent', { orderId: order.id, hash: tx.hash });
+
+      const receipt = await tx.wait();
+      const rewards = (receipt.events || [])
+        .filter(event => event.event === 'CleanupFeesDistributed')
+        .map(event => ({ feeToken: event.args.feeToken, amount: event.args.amount }));
+      const cleaned = (receipt.events || [])
+        .filter(event => event.event === 'OrderCleanedUp')
+        .map(event => event.args.orderId.toNumber());
+      log('info', 'cleanup_confirmed', {
+        orderId: order.id,
+        hash: receipt.transactionHash,
+        status: receipt.status,
+        gasUsed: receipt.gasUsed,
+        cleaned,
+        rewards
+      });
+    }
+  }
+}
+
+async function main() {
+  const keeper = new CleanupKeeper(parseArgs(process.argv.slice(2)));
+  process.once('SIGINT', () => keeper.stop());
+  process.once('SIGTERM', () => keeper.stop());
+  await keeper.start();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    log('error', 'keeper_failed', { message: error.message });
+    process.exit(1);
+  });
@@ -0,0 +1,264 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('../js/utils/claims.js', () => ({
+    getClaimableSnapshot: vi.fn()
+}));
+vi.mock('../js/utils/transactionProgress.js', () => ({
+    createTransactionProgressSession: vi.fn()
+}));
+
+import { ethers } from 'ethers';
+import { Claim } from '../js/components/Claim.js';
+import { getClaimableSnapshot } from '../js/utils/claims.js';
+import { createTransactionProgressSession } from '../js/utils/transactionProgress.js';
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const USDC = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const WMATIC = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const UNPRICED = '0x3333333333333333333333333333333333333333';
+
+function createClaim(token, symbol, formattedAmount) {
+    return {
+        token,
+        tokenLower: token.toLowerCase(),
+        symbol,
+        name: symbol,
+        amount: formattedAmount,
+        formattedAmount,
+        decimals: 18,
+        iconUrl: 'fallback'
+    };
+}
+
+function createComponent(prices) {
+    document.body.innerHTML = '<div id="claim"></div>';
+
+    const ws = { contract: {}, subscribe: vi.fn(), unsubscribe: vi.fn() };
+    const pricing = {
+        getPrice: (token) => prices[token.toLowerCase()],
+        fetchPricesForTokens: vi.fn().mockResolvedValue(undefined)
+    };
+
+    const component = new Claim();
+    component.setContext({
+        getWalletChainId: () => '0x89',
+        getWallet: () => ({
+            isWalletConnected: () => true,
+            getAccount: () => ACCOUNT,
+            getSigner: async () => ({ getAddress: async () => ACCOUNT })
+        }),
+        getWebSocket: () => ws,
+        getPricing: () => pricing,
+        showError: () => {},
+        showSuccess: () => {},
+        showWarning: () => {},
+        showInfo: () => {}
+    });
+
+    component.webSocket = ws;
+    component.contract = ws.contract;
+    component.currentMode = false;
+    component.renderShell();
+
+    return { component, pricing };
+}
+
+afterEach(() => {
+    delete ethers.BigNumber;
+    document.body.innerHTML = '';
+    vi.clearAllMocks();
+    vi.restoreAllMocks();
+});
+
+describe('Claim all summary', () => {
+    it('shows per-token USD values, a grand total and a claim-all button', async () => {
+        getClaimableSnapshot.mockResolvedValue([
+            createClaim(USDC, 'USDC', '12.5'),
+            createClaim(WMATIC, 'WMATIC', '20'),
+            createClaim(UNPRICED, 'ABC', '3')
+        ]);
+
+        const { component, pricing } = createComponent({
+            [USDC.toLowerCase()]: 1,
+            [WMATIC.toLowerCase()]: 0.5
+        });
+        await component.refreshClaimables();
+
+        const usdValues = Array.from(component.container.querySelectorAll('.claim-usd'))
+            .map((element) => element.textContent.trim());
+        expect(usdValues).toEqual(['', '$12.50', '$10.00']);
+
+        const summary = component.container.querySelector('[data-claim-summary]');
+        expect(summary.hidden).toBe(false);
+        expect(summary.querySelector('.claim-total-value').textContent).toBe('$22.50');
+        expect(summary.querySelector('.claim-total-note')).not.toBeNull();
+        expect(summary.querySelector('.claim-all-button').textContent.trim()).toBe('Claim all (3)');
+        expect(pricing.fetchPricesForTokens).toHaveBeenCalledWith([UNPRICED]);
+    });
+
+    it('hides the summary when there is nothing to claim', async () => {
+        getClaimableSnapshot.mockResolvedValue([]);
+
+        const { component } = createComponent({});
+        await component.refreshClaimables();
+
+        expect(component.container.querySelector('[data-claim-summary]').hidden).toBe(true);
+    });
+});
+
+describe('Claim all transactions', () => {
+    const DAI = '0x4444444444444444444444444444444444444444';
+    const userRejection = () => Object.assign(new Error('user rejected transaction'), { code: 4001 });
+
+    function createBigNumber(value) {
+        const amount = BigInt(value.toString());
+        return { isZero: () => amount === 0n, toString: () => amount.toString() };
+    }
+
+    /**
+     * Claim component wired to a fake contract whose balances drop to zero
+     * once withdrawn; `batchWithdraws` lists the tokens withdrawAllClaims() covers.
+     */
+    async function setupClaimAll({ claimable, batchWithdraws = Object.keys(claimable), estimateError = null, withdraw } = {}) {
+        ethers.BigNumber = { from: createBigNumber };
+        getClaimableSnapshot.mockResolvedValue(Object.keys(claimable).map((token) => createClaim(token, token.slice(2, 6), '1')));
+
+        const balances = new Map(Object.entries(claimable));
+        const progress = {
+            updateStep: vi.fn(),
+            setTransaction: vi.fn(),
+            finishSuccess: vi.fn(),
+            finishFailure: vi.fn(),
+            finishCancelled: vi.fn()
+        };
+        createTransactionProgressSession.mockReturnValue(progress);
+
+        const confirmed = (onMined) => ({
+            hash: '0xtx',
+            wait: async () => {
+                onMined();
+                return { status: 1 };
+            }
+        });
+        const signerContract = {
+            'withdrawAllClaims()': vi.fn(async () => confirmed(() => batchWithdraws.forEach((token) => balances.set(token, '0')))),
+            estimateGas: {
+                'withdrawAllClaims()': estimateError
+                    ? vi.fn().mockRejectedValue(estimateError)
+                    : vi.fn().mockResolvedValue(120000)
+            },
+            withdraw: vi.fn(withdraw || (async (token) => confirmed(() => balances.set(token, '0'))))
+        };
+
+        const { component } = createComponent({});
+        component.contract = {
+            withdraw: vi.fn(),
+            claimable: vi.fn(async (_, token) => balances.get(token) || '0'),
+            connect: () => signerContract
+        };
+        vi.spyOn(component, 'startWalletAction').mockReturnValue(true);
+        vi.spyOn(component, 'endWalletAction').mockImplementation(() => {});
+        vi.spyOn(component, 'ensureWalletReadyForWrite').mockResolvedValue(true);
+        vi.spyOn(component, 'previewTransactionCost').mockResolvedValue(null);
+        await component.refreshClaimables();
+
+        const stepUpdates = (token) => progress.updateStep.mock.calls
+            .filter(([stepId]) => stepId === `claim-${token.toLowerCase()}`)
+            .map(([, update]) => update);
+        return { component, progress, signerContract, stepUpdates };
+    }
+
+    it('withdraws every balance in one withdrawAllClaims() transaction', async () => {
+        const { component, progress, signerContract } = await setupClaimAll({
+            claimable: { [USDC]: '5', [WMATIC]: '7' }
+        });
+
+        await component.claimAll();
+
+        expect(signerContract['withdrawAllClaims()']).toHaveBeenCalledTimes(1);
+        expect(signerContract.withdraw).not.toHaveBeenCalled();
+        expect(createTransactionProgressSession.mock.calls[0][1].summary)
+            .toBe('One transaction withdraws every balance below.');
+        expect(progress.finishSuccess).toHaveBeenCalledWith('Claimed 2 tokens.');
+    });
+
+    it('falls back to one withdraw per token when withdrawAllClaims() cannot be estimated', async () => {
+        const { component, progress, signerContract } = await setupClaimAll({
+            claimable: { [USDC]: '5', [WMATIC]: '7' },
+            estimateError: new Error('function selector was not recognized')
+        });
+
+        await component.claimAll();
+
+        expect(signerContract['withdrawAllClaims()']).not.toHaveBeenCalled();
+        expect(signerContract.withdraw.mock.calls.map(([token, amount]) => [token, amount.toString()]))
+            .toEqual(expect.arrayContaining([[USDC, '5'], [WMATIC, '7']]));
+        expect(signerContract.withdraw).toHaveBeenCalledTimes(2);
+        expect(createTransactionProgressSession.mock.calls[0][1].summary)
+            .toBe('Confirm one withdrawal per token in your wallet.');
+        expect(progress.finishSuccess).toHaveBeenCalledWith('Claimed 2 tokens.');
+    });
+
+    it('withdraws tokens left over by the batch separately and updates their steps', async () => {
+        const { component, progress, signerContract, stepUpdates } = await setupClaimAll({
+            claimable: { [USDC]: '5', [WMATIC]: '7' },
+            batchWithdraws: [USDC]
+        });
+
+        await component.claimAll();
+
+        expect(signerContract.withdraw).toHaveBeenCalledTimes(1);
+        expect(signerContract.withdraw.mock.calls[0][0]).toBe(WMATIC);
+        expect(stepUpdates(USDC).at(-1)).toEqual({ status: 'completed', detail: 'Withdrawn' });
+        expect(stepUpdates(WMATIC)).toContainEqual({
+            status: 'pending',
+            detail: 'Not included in batch, withdrawing separately'
+        });
+        expect(stepUpdates(WMATIC).at(-1)).toEqual({ status: 'completed', detail: 'Withdrawn' });
+        expect(progress.finishSuccess).toHaveBeenCalledWith('Claimed 2 tokens.');
+    });
+
+    it('skips the remaining withdrawals once the user rejects one', async () => {
+        const withdrawn = new Set();
+        const { component, progress, signerContract, stepUpdates } = await setupClaimAll({
+            claimable: { [USDC]: '5', [WMATIC]: '7', [DAI]: '9' },
+            estimateError: new Error('function selector was not recognized'),
+            withdraw: async (token) => {
+                if (withdrawn.size > 0) throw userRejection();
+                return {
+                    hash: '0xtx',
+                    wait: async () => {
+                        withdrawn.add(token);
+                        return { status: 1 };
+                    }
+                };
+            }
+        });
+        component.contract.claimable.mockImplementation(async (_, token) => (withdrawn.has(token) ? '0' : '5'));
+        const [first, second, third] = component.claims.map((claim) => claim.token);
+
+        await component.claimAll();
+
+        expect(signerContract.withdraw.mock.calls.map(([token]) => token)).toEqual([first, second]);
+        expect(stepUpdates(first).at(-1)).toEqual({ status: 'completed', detail: 'Withdrawn' });
+        expect(stepUpdates(second).at(-1)).toEqual({ status: 'cancelled', detail: 'Wallet request rejected' });
+        expect(stepUpdates(third).at(-1)).toEqual({ status: 'cancelled', detail: 'Skipped' });
+        expect(progress.finishSuccess).toHaveBeenCalledWith(
+            'Claimed 1 of 3 tokens. See the steps above for the rest.'
+        );
+    });
+
+    it('cancels every step when the user rejects the withdrawAllClaims() transaction', async () => {
+        const { component, progress, signerContract, stepUpdates } = await setupClaimAll({
+            claimable: { [USDC]: '5', [WMATIC]: '7' }
+        });
+        signerContract['withdrawAllClaims()'].mockRejectedValue(userRejection());
+
+        await component.claimAll();
+
+        expect(signerContract.withdraw).not.toHaveBeenCalled();
+        expect(stepUpdates(USDC).at(-1)).toEqual({ status: 'cancelled', detail: 'Wallet request rejected' });
+        expect(progress.finishCancelled).toHaveBeenCalledWith('Cancelled before withdrawal.');
+        expect(progress.finishSuccess).not.toHaveBeenCalled();
+    });
+});
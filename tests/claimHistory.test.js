@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import { CLAIM_CREDIT_SOURCES, buildClaimHistory, describeClaimCredit } from '../js/utils/claimHistory.js';
+
+const ME = '0x1111111111111111111111111111111111111111';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const TOKEN_A = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const TOKEN_B = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+function record(eventName, blockNumber, fields = {}) {
+    return {
+        key: `0x${blockNumber}:${fields.logIndex ?? 0}`,
+        eventName,
+        blockNumber,
+        logIndex: 0,
+        transactionHash: `0xtx${blockNumber}`,
+        timestamp: 1_700_000_000 + blockNumber,
+        orderId: null,
+        ...fields
+    };
+}
+
+const RECORDS = [
+    record('OrderFilled', 10, { orderId: 1, maker: OTHER, taker: ME }),
+    record('ClaimCredited', 10, { logIndex: 1, orderId: 1, beneficiary: ME, token: TOKEN_A, amount: '5', reason: 'Buy token transfer failed' }),
+    record('ClaimWithdrawn', 20, { beneficiary: ME, token: TOKEN_A, amount: '5' }),
+    record('OrderCleanedUp', 30, { orderId: 2, maker: OTHER }),
+    record('ClaimCredited', 30, { logIndex: 1, orderId: 2, beneficiary: ME, token: TOKEN_A, amount: '1', reason: 'Cleanup reward' }),
+    record('ClaimCredited', 31, { orderId: 3, beneficiary: ME, token: TOKEN_B, amount: '7', reason: '' }),
+    record('ClaimCredited', 32, { orderId: 4, beneficiary: OTHER, token: TOKEN_A, amount: '9' })
+];
+
+describe('claim history', () => {
+    it('keeps only credits since the last withdrawal and links them to their trigger', () => {
+        const { creditsByToken, withdrawals } = buildClaimHistory(RECORDS, ME);
+
+        expect(creditsByToken[TOKEN_A]).toHaveLength(1);
+        expect(creditsByToken[TOKEN_A][0]).toMatchObject({
+            orderId: 2,
+            amount: '1',
+            source: CLAIM_CREDIT_SOURCES.CLEANUP,
+            transactionHash: '0xtx30'
+        });
+        expect(creditsByToken[TOKEN_B][0].source).toBe(CLAIM_CREDIT_SOURCES.UNKNOWN);
+        expect(withdrawals).toEqual([expect.objectContaining({ token: TOKEN_A, amount: '5', transactionHash: '0xtx20' })]);
+    });
+
+    it('describes credits with their order, trigger and reason', () => {
+        expect(describeClaimCredit({ orderId: 1, source: CLAIM_CREDIT_SOURCES.FILL, reason: 'Buy token transfer failed' }))
+            .toBe('Order #1 filled: Buy token transfer failed');
+        expect(describeClaimCredit({ orderId: 3, source: CLAIM_CREDIT_SOURCES.UNKNOWN, reason: '' })).toBe('Order #3');
+    });
+});
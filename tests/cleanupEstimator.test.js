@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { estimateCleanupProfitability, getCleanupQueue, planCleanupRun } from '../js/utils/cleanupEstimator.js';
+import { buildOrderTimings, getOrderGraceEndTime } from '../js/utils/orderTimings.js';
+
+const NOW = 1_700_000_000;
+const USDC = '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d';
+const OTHER = '0x0000000000000000000000000000000000000abc';
+
+function createOrder(id, graceEndsIn, { feeToken = USDC, fee = '1000000' } = {}) {
+    return {
+        id,
+        feeToken,
+        orderCreationFee: fee,
+        timings: { graceEndsAt: NOW + graceEndsIn }
+    };
+}
+
+const TOKENS = {
+    [USDC]: { symbol: 'USDC', decimals: 6, usdPrice: 1 },
+    [OTHER]: { symbol: 'OTH', decimals: 18 }
+};
+
+function estimate(orders, overrides = {}) {
+    return estimateCleanupProfitability({
+        orders,
+        currentTime: NOW,
+        getFeeTokenInfo: (address) => TOKENS[address],
+        // 0.0002 native per cleanup at $1000 = $0.20
+        gasPerCleanup: 200000n,
+        gasPriceWei: 1000000000n,
+        nativeUsdPrice: 1000,
+        ...overrides
+    });
+}
+
+describe('cleanup profitability estimator', () => {
+    it('splits orders at grace end and orders both queues by id', () => {
+        const { eligible, upcoming } = getCleanupQueue(
+            [createOrder(5, -10), createOrder(2, 100), createOrder(3, -1), createOrder(4, 0), { id: 9 }],
+            NOW
+        );
+        expect(eligible.map(({ id }) => id)).toEqual([3, 5]);
+        expect(upcoming.map(({ id }) => id)).toEqual([2, 4]);
+    });
+
+    it('totals ready rewards per fee token against gas cost', () => {
+        const result = estimate([
+            createOrder(1, -100),
+            createOrder(2, -50),
+            createOrder(3, -10, { feeToken: OTHER, fee: '5000000000000000000' })
+        ]);
+
+        expect(result.readyCount).toBe(3);
+        expect(result.rewardsByToken).toEqual([
+            { feeToken: USDC, symbol: 'USDC', amount: 2000000n, units: 2, usdValue: 2, count: 2 },
+            { feeToken: OTHER, symbol: 'OTH', amount: 5000000000000000000n, units: 5, usdValue: null, count: 1 }
+        ]);
+        expect(result.hasUnpricedRewards).toBe(true);
+        expect(result.costPerCleanupUsd).toBeCloseTo(0.2);
+        expect(result.netUsd).toBeCloseTo(1.4);
+        expect(result.isProfitable).toBe(true);
+        expect(estimate([createOrder(1, -100)], { nativeUsdPrice: undefined }).netUsd).toBeNull();
+    });
+
+    it('forecasts upcoming grace ends and when cleaning turns profitable', () => {
+        const result = estimate([
+            createOrder(1, -100, { fee: '100000' }),
+            createOrder(2, 1800, { fee: '50000' }),
+            createOrder(3, 5400),
+            createOrder(4, 7 * 24 * 3600)
+        ]);
+
+        expect(result.isProfitable).toBe(false);
+        expect(result.upcomingCount).toBe(3);
+        expect(result.timeline).toHaveLength(2);
+        expect(result.timeline[0]).toMatchObject({ startsAt: NOW, count: 1 });
+        expect(result.timeline[1]).toMatchObject({ startsAt: NOW + 3600, count: 1, rewardUsd: 1 });
+        // Orders 1 and 2 lose money; order 3 makes the queue profitable once its grace ends
+        expect(result.nextProfitableAt).toBe(NOW + 5401);
+    });
+
+    it('plans the most profitable prefix of the cleanup queue', () => {
+        const orders = [
+            { id: 7, feeToken: '0x0000000000000000000000000000000000000000', orderCreationFee: '0', timestamp: 0 },
+            createOrder(8, -50, { fee: '1000000' }),
+            createOrder(9, -20, { fee: '100000' }),
+            createOrder(10, 600, { fee: '5000000' })
+        ].map(order => ({ ...order, timings: order.timings || buildOrderTimings(order.timestamp) }));
+        const plan = (overrides) => planCleanupRun({
+            orders,
+            currentTime: NOW,
+            getFeeTokenInfo: (address) => TOKENS[address],
+            costPerCleanupUsd: 0.2,
+            ...overrides
+        });
+
+        // The empty slot costs gas but has to be stepped over to reach order 8
+        expect(plan()).toMatchObject({ count: 2, shouldRun: true });
+        expect(plan().netUsd).toBeCloseTo(0.6);
+        expect(plan({ minProfitUsd: 1 }).shouldRun).toBe(false);
+        expect(plan({ maxOrders: 1 })).toMatchObject({ count: 0, shouldRun: false });
+        expect(getOrderGraceEndTime({ timestamp: 100 }, { orderExpiry: 10, gracePeriod: 5 })).toBe(115);
+    });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+    CONTRACT_ERRORS,
+    decodeContractError,
+    decodeTransactionError,
+    simulateContractCall,
+    SIMULATION_STATUS
+} from '../js/errors/ContractErrors.js';
+import { extractTransactionErrorMessage } from '../js/utils/ui.js';
+
+// Error(string) revert data for "Order has expired"
+const EXPIRED_REVERT_DATA = '0x08c379a0'
+    + '0000000000000000000000000000000000000000000000000000000000000020'
+    + '0000000000000000000000000000000000000000000000000000000000000011'
+    + '4f72646572206861732065787069726564000000000000000000000000000000';
+const TOKEN = '0x3333333333333333333333333333333333333333';
+
+describe('contract error decoding', () => {
+    it('decodes revert strings nested inside wallet errors', () => {
+        const error = decodeContractError({
+            code: -32603,
+            message: 'Internal JSON-RPC error.',
+            data: { originalError: { data: EXPIRED_REVERT_DATA } }
+        });
+
+        expect(error.code).toBe(CONTRACT_ERRORS.EXPIRED_ORDER.code);
+        expect(error.message).toBe('Order has expired');
+        expect(decodeContractError({ code: 4001, message: 'User rejected the request.' })).toBeNull();
+    });
+
+    it('maps custom errors from the ABI into the catalogue', () => {
+        const contractInterface = {
+            parseError: () => ({ name: 'SafeERC20FailedOperation', args: [TOKEN] })
+        };
+        const error = decodeContractError({ code: 'CALL_EXCEPTION', data: '0x5274afe7' }, contractInterface);
+
+        expect(error.code).toBe(CONTRACT_ERRORS.TRANSFER_FAILED.code);
+        expect(error.details).toMatchObject({ errorName: 'SafeERC20FailedOperation', args: [TOKEN] });
+    });
+
+    it('simulates calls with callStatic before signing', async () => {
+        const fillOrder = vi.fn()
+            .mockResolvedValueOnce(undefined)
+            .mockRejectedValueOnce({ code: 'CALL_EXCEPTION', reason: 'Not authorized to fill this order' });
+        const contract = { callStatic: { fillOrder } };
+
+        expect(await simulateContractCall(contract, 'fillOrder', [7]))
+            .toEqual({ status: SIMULATION_STATUS.SUCCEEDED, error: null });
+        const simulation = await simulateContractCall(contract, 'fillOrder', [7]);
+        expect(fillOrder).toHaveBeenCalledWith(7);
+        expect(simulation.status).toBe(SIMULATION_STATUS.REVERTED);
+        expect(simulation.error.code).toBe(CONTRACT_ERRORS.UNAUTHORIZED.code);
+    });
+
+    it('reports the simulation as unavailable when the dry run fails without a revert', async () => {
+        const rpcError = { code: 'SERVER_ERROR', message: 'missing response' };
+        const contract = { callStatic: { fillOrder: vi.fn().mockRejectedValue(rpcError) } };
+
+        expect(await simulateContractCall(contract, 'fillOrder', [7]))
+            .toEqual({ status: SIMULATION_STATUS.UNAVAILABLE, error: rpcError });
+    });
+
+    it('classifies wallet and provider failures with a suggested action', () => {
+        expect(decodeTransactionError({ code: 'ACTION_REJECTED', message: 'user rejected transaction' }).code)
+            .toBe(CONTRACT_ERRORS.USER_REJECTED.code);
+        expect(decodeTransactionError({ code: 'INSUFFICIENT_FUNDS', message: 'insufficient funds for gas' }).code)
+            .toBe(CONTRACT_ERRORS.INSUFFICIENT_FUNDS.code);
+        expect(extractTransactionErrorMessage({
+            code: 'UNPREDICTABLE_GAS_LIMIT',
+            error: { data: { message: 'execution reverted: Only maker can cancel order' } }
+        })).toBe('Only maker can cancel order. Switch to the account allowed to do this.');
+        expect(extractTransactionErrorMessage(new Error('Something odd'))).toBe('Something odd');
+    });
+});
@@ -0,0 +1,74 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { ethers } from 'ethers';
+import { CreateOrder } from '../js/components/CreateOrder.js';
+import { contractService } from '../js/services/ContractService.js';
+import { walletManager } from '../js/services/WalletManager.js';
+import { validateSellBalance } from '../js/utils/balanceValidation.js';
+
+// Both build an ERC20 Interface at import time, which the ethers mock lacks.
+vi.mock('../js/services/TokenMetadataCache.js', () => ({ tokenMetadataCache: {} }));
+vi.mock('../js/utils/contractTokens.js', () => ({
+    clearBalanceCache: vi.fn(),
+    getAllWalletTokens: vi.fn(async () => []),
+    getContractAllowedTokens: vi.fn(async () => []),
+    getTokenBalanceInfo: vi.fn()
+}));
+vi.mock('../js/utils/balanceValidation.js', () => ({ validateSellBalance: vi.fn() }));
+
+const SELL_TOKEN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BUY_TOKEN = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+function createComponent(contract) {
+    document.body.innerHTML = `
+        <div id="create-order"></div>
+        <input id="takerAddress" value="">
+        <input id="sellAmount" value="600">
+        <input id="buyAmount" value="1800">
+    `;
+    const component = new CreateOrder();
+    component.setContext({ showError: vi.fn(), getWebSocket: () => ({}) });
+    vi.spyOn(component, 'startWalletAction').mockReturnValue(true);
+    vi.spyOn(component, 'endWalletAction').mockImplementation(() => {});
+    vi.spyOn(component, 'updateCreateButtonState').mockImplementation(() => {});
+    vi.spyOn(component, 'refreshContractDisabledState').mockResolvedValue(false);
+    vi.spyOn(component, 'ensureWalletReadyForWrite').mockResolvedValue(true);
+    vi.spyOn(walletManager, 'getSigner').mockReturnValue({});
+    vi.spyOn(contractService, 'isTokenAllowed').mockResolvedValue(true);
+    ethers.Contract = vi.fn(() => contract);
+
+    component.sellToken = { address: SELL_TOKEN, symbol: 'AAA', decimals: 18 };
+    component.buyToken = { address: BUY_TOKEN, symbol: 'BBB', decimals: 18 };
+    component.replacementOrder = { id: 7, sellToken: SELL_TOKEN, remainingSellAmount: 600n };
+    return component;
+}
+
+afterEach(() => {
+    delete ethers.Contract;
+    document.body.innerHTML = '';
+    vi.restoreAllMocks();
+});
+
+describe('CreateOrder order replacement', () => {
+    it('needs the new sell amount in the wallet because cancelling only credits the Claim balance', async () => {
+        const contract = { cancelOrder: vi.fn(), estimateGas: { cancelOrder: vi.fn() } };
+        const component = createComponent(contract);
+        validateSellBalance.mockResolvedValue({
+            hasSufficientBalance: false,
+            userBalance: '400',
+            requiredAmount: '600',
+            formattedBalance: '400',
+            formattedRequired: '600',
+            symbol: 'AAA'
+        });
+
+        await component.handleCreateOrder({ preventDefault: () => {} });
+
+        expect(component.ctx.showError).toHaveBeenCalledWith(
+            expect.stringMatching(/Insufficient AAA balance[\s\S]*order #7 moves its tokens to your Claim balance/),
+            0
+        );
+        expect(contract.estimateGas.cancelOrder).not.toHaveBeenCalled();
+        expect(contract.cancelOrder).not.toHaveBeenCalled();
+        expect(component.replacementOrder).toMatchObject({ id: 7 });
+    });
+});
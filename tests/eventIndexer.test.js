@@ -0,0 +1,171 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { EventIndexerService } from '../js/services/EventIndexer.js';
+
+const CONTRACT = '0x151D47362eC1947A27BC52D9Cf8257d014d88104';
+const MAKER = '0x1111111111111111111111111111111111111111';
+
+function createLog(blockNumber, logIndex = 0, eventName = 'OrderCanceled') {
+    return {
+        blockNumber,
+        logIndex,
+        transactionHash: `0xtx${blockNumber}`,
+        eventName,
+        args: { orderId: blockNumber, maker: MAKER }
+    };
+}
+
+function createChain(logs, latestBlock, { failWhen = () => false } = {}) {
+    const calls = [];
+    const provider = {
+        getBlockNumber: async () => latestBlock,
+        getLogs: vi.fn(async ({ fromBlock, toBlock }) => {
+            calls.push([fromBlock, toBlock]);
+            if (failWhen(fromBlock, toBlock, calls.length)) {
+                throw new Error('query returned more than 10000 results');
+            }
+            return logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+        })
+    };
+    const contract = {
+        address: CONTRACT,
+        interface: {
+            getEvent: () => ({}),
+            getEventTopic: eventName => `topic:${eventName}`,
+            parseLog: log => ({ name: log.eventName, args: log.args })
+        }
+    };
+    return { provider, contract, calls };
+}
+
+function indexToLatest(indexer, { provider, contract }, networkConfig = { deploymentBlock: 0 }) {
+    indexer._ensureLoaded();
+    return indexer._indexToLatest({
+        contract,
+        provider,
+        networkConfig,
+        lifecycleVersion: indexer.lifecycleVersion,
+        networkContextKey: indexer.getNetworkContextKey()
+    });
+}
+
+function createIndexer() {
+    const indexer = new EventIndexerService();
+    indexer.chunkSize = 1000;
+    indexer.minChunkSize = 250;
+    return indexer;
+}
+
+describe('event indexer', () => {
+    beforeEach(() => {
+        localStorage.clear();
+        vi.restoreAllMocks();
+    });
+
+    it('halves the chunk after a getLogs failure and grows it back after successes', async () => {
+        const chain = createChain([], 2999, { failWhen: (_, __, callNumber) => callNumber === 1 });
+
+        await indexToLatest(createIndexer(), chain);
+
+        expect(chain.calls).toEqual([
+            [0, 999],
+            [0, 499],
+            [500, 1499],
+            [1500, 2499],
+            [2500, 2999]
+        ]);
+    });
+
+    it('resumes an interrupted backfill from the persisted checkpoint', async () => {
+        const logs = [createLog(100), createLog(1200)];
+        const failing = createChain(logs, 1999, { failWhen: fromBlock => fromBlock >= 1000 });
+        await expect(indexToLatest(createIndexer(), failing)).rejects.toThrow('more than 10000');
+
+        const resumed = createIndexer();
+        const chain = createChain(logs, 1999);
+        await indexToLatest(resumed, chain);
+
+        expect(chain.calls[0]).toEqual([1000, 1999]);
+        expect(resumed.getEvents().map(record => record.blockNumber)).toEqual([100, 1200]);
+    });
+
+    it('keeps one record per log when ranges are read again', async () => {
+        const indexer = createIndexer();
+        const log = createLog(10);
+        await indexToLatest(indexer, createChain([log, { ...log }], 500));
+        indexer.lastIndexedBlock = 0;
+        await indexToLatest(indexer, createChain([log], 500));
+
+        expect(indexer.getEvents()).toHaveLength(1);
+        expect(indexer.getEvents()[0].key).toBe('0xtx10:0');
+    });
+
+    it('stores a bounded record set and reports when even the checkpoint cannot be saved', async () => {
+        const indexer = createIndexer();
+        indexer.maxPersistedRecords = 2;
+        await indexToLatest(indexer, createChain([createLog(5), createLog(7, 0), createLog(7, 1), createLog(9)], 999));
+
+        const stored = JSON.parse(localStorage.getItem(indexer._getStorageKey()));
+        expect(stored.fromBlock).toBe(8);
+        expect(stored.records.map(record => record.blockNumber)).toEqual([9]);
+        expect(stored.lastIndexedBlock).toBe(999);
+
+        const onError = vi.fn();
+        indexer.subscribe('indexerError', onError);
+        vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+            throw new Error('QuotaExceededError');
+        });
+        expect(indexer._persist()).toBe(false);
+        expect(indexer.getStatus().storageFailed).toBe(true);
+        expect(onError).toHaveBeenCalledWith(expect.objectContaining({ storage: true }));
+    });
+
+    it('starts at the deployment block found from historical contract code', async () => {
+        const chain = createChain([], 2999);
+        chain.provider.getCode = vi.fn(async (_, blockNumber) => (blockNumber >= 1234 ? '0x6080' : '0x'));
+        const indexer = createIndexer();
+
+        await indexToLatest(indexer, chain, {});
+
+        expect(chain.calls[0]).toEqual([1234, 2233]);
+        expect(indexer.getStatus()).toMatchObject({ fromBlock: 1234, historyLimited: false });
+    });
+
+    it('falls back to the lookback window and flags limited history when historical code is unavailable', async () => {
+        const chain = createChain([], 2999);
+        chain.provider.getCode = vi.fn(async () => {
+            throw new Error('missing trie node');
+        });
+        const indexer = createIndexer();
+        indexer.defaultLookbackBlocks = 500;
+
+        await indexToLatest(indexer, chain, {});
+
+        expect(chain.calls[0]).toEqual([2499, 2999]);
+        expect(indexer.getStatus()).toMatchObject({ fromBlock: 2499, historyLimited: true });
+        expect(JSON.parse(localStorage.getItem(indexer._getStorageKey())).historyLimited).toBe(true);
+    });
+
+    it('values each live-observed fill by its own log and the amount it filled', async () => {
+        const indexer = createIndexer();
+        await indexToLatest(indexer, createChain([], 100));
+        const now = Math.floor(Date.now() / 1000);
+        const fillLog = (blockNumber, sellAmount, buyAmount, timestamp) => ({
+            ...createLog(blockNumber, 0, 'OrderFilled'),
+            args: { orderId: 7, maker: MAKER, sellAmount, buyAmount, timestamp }
+        });
+        const order = { id: 7, sellAmount: '1000', buyAmount: '2000', dealMetrics: { sellValue: 500, buyValue: 480 } };
+
+        indexer.recordFillValuation(order);
+        indexer.recordFillValuation(order);
+        await indexToLatest(indexer, createChain([
+            fillLog(120, '100', '200', now - 3600),
+            fillLog(150, '250', '500', now),
+            fillLog(160, '750', '1500', now)
+        ], 200));
+
+        expect(indexer.getFillValuation('0xtx120:0')).toBeNull();
+        expect(indexer.getFillValuation('0xtx150:0')).toMatchObject({ sellValue: 125, buyValue: 120 });
+        expect(indexer.getFillValuation('0xtx160:0')).toMatchObject({ sellValue: 375, buyValue: 360 });
+        expect(indexer.getFillValuation(7)).toBeNull();
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, expect, it, vi } from 'vitest';
+import { calculateGasCost, gasEstimateService } from '../js/services/GasEstimateService.js';
+
+const GWEI = 1_000_000_000n;
+
+describe('gas estimate service', () => {
+    it('prices EIP-1559 and legacy networks', () => {
+        const feeData = {
+            gasPrice: 30n * GWEI,
+            lastBaseFeePerGas: 20n * GWEI,
+            maxPriorityFeePerGas: 2n * GWEI,
+            maxFeePerGas: 42n * GWEI
+        };
+
+        expect(calculateGasCost({ gasLimit: '100000', feeData, gasPricing: 'eip1559' })).toEqual({
+            pricing: 'eip1559',
+            expectedCostWei: 100000n * 22n * GWEI,
+            maxCostWei: 100000n * 42n * GWEI
+        });
+        expect(calculateGasCost({ gasLimit: 100000n, feeData, gasPricing: 'legacy' })).toEqual({
+            pricing: 'legacy',
+            expectedCostWei: 100000n * 30n * GWEI,
+            maxCostWei: 100000n * 30n * GWEI
+        });
+        // Nodes without EIP-1559 fee data fall back to gasPrice
+        expect(calculateGasCost({ gasLimit: 1n, feeData: { gasPrice: 5n }, gasPricing: 'eip1559' }).pricing)
+            .toBe('legacy');
+    });
+
+    it('converts the fee to USD and warns when the balance cannot cover gas', async () => {
+        const estimateGas = { fillOrder: vi.fn().mockResolvedValue(200000n) };
+        const signer = {
+            provider: { getFeeData: vi.fn().mockResolvedValue({ gasPrice: 5n * GWEI }) },
+            getBalance: vi.fn().mockResolvedValue(100000n * GWEI)
+        };
+        const pricing = { getNativeCurrencyPrice: vi.fn().mockResolvedValue(600) };
+
+        const estimate = await gasEstimateService.estimateTransactionCost({
+            contract: { signer, estimateGas },
+            method: 'fillOrder',
+            args: [7],
+            pricing
+        });
+
+        expect(estimateGas.fillOrder).toHaveBeenCalledWith(7);
+        expect(estimate.expectedCostWei).toBe(1_000_000n * GWEI);
+        expect(estimate.expectedCostUsd).toBeCloseTo(0.6);
+        expect(estimate.canCoverGas).toBe(false);
+
+        const { text, warning } = gasEstimateService.describeEstimate(estimate);
+        expect(text).toBe(`Network fee: ~0.001 ${estimate.nativeSymbol} (~$0.60)`);
+        expect(warning).toContain('may not cover');
+    });
+});
@@ -0,0 +1,101 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { MyOrders } from '../js/components/MyOrders.js';
+
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const NOW = 1_700_000_000;
+
+function createProgressController() {
+    return {
+        updateStep: vi.fn(),
+        setSummary: vi.fn(),
+        setTransaction: vi.fn(),
+        setFeeEstimate: vi.fn(),
+        finishSuccess: vi.fn(),
+        finishFailure: vi.fn(),
+        finishCancelled: vi.fn(),
+        onClose: vi.fn()
+    };
+}
+
+function createComponent(orders, chainStatuses) {
+    document.body.innerHTML = '<div id="my-orders"></div>';
+
+    const gasEstimate = { mul: () => ({ div: () => 120000 }) };
+    const contractWithSigner = {
+        estimateGas: { cancelOrder: vi.fn().mockResolvedValue(gasEstimate) },
+        cancelOrder: vi.fn(async (orderId) => ({
+            hash: `0xcancel${orderId}`,
+            wait: async () => ({ status: 1 })
+        }))
+    };
+    const ws = {
+        orderCache: new Map(orders.map((order) => [order.id, order])),
+        contract: {
+            orders: vi.fn(async (orderId) => ({ status: chainStatuses[orderId] ?? 0 })),
+            connect: () => contractWithSigner
+        },
+        canCancelOrder: (order, account) => order.status === 'Active' && order.maker === account,
+        getOrderExpiryTime: (order) => order.expiresAt,
+        isPastTimestamp: (timestamp) => NOW > timestamp
+    };
+    const progress = createProgressController();
+
+    const component = new MyOrders();
+    component.setContext({
+        getWebSocket: () => ws,
+        getWallet: () => ({ getAccount: () => ACCOUNT }),
+        getWalletChainId: () => '0x89',
+        getPricing: () => null,
+        isWalletActionInFlight: () => false,
+        beginWalletAction: vi.fn(),
+        endWalletAction: vi.fn(),
+        toast: { createTransactionProgress: () => progress },
+        showError: vi.fn(),
+        showWarning: vi.fn(),
+        showInfo: vi.fn(),
+        showSuccess: vi.fn()
+    });
+    component.provider = { getSigner: () => ({}) };
+    component.ensureWalletReadyForWrite = vi.fn().mockResolvedValue(true);
+    component.refreshOrdersView = vi.fn().mockResolvedValue(undefined);
+    component.scheduleClaimVisibilityRefreshAfterCancel = vi.fn();
+
+    return { component, ws, contractWithSigner, progress };
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+    vi.clearAllMocks();
+});
+
+describe('MyOrders bulk cancel', () => {
+    it('lists only cancellable orders that are past expiry', () => {
+        const { component } = createComponent([
+            { id: 4, maker: ACCOUNT, status: 'Active', expiresAt: NOW - 10 },
+            { id: 2, maker: ACCOUNT, status: 'Active', expiresAt: NOW - 1 },
+            { id: 3, maker: ACCOUNT, status: 'Active', expiresAt: NOW + 100 },
+            { id: 5, maker: ACCOUNT, status: 'Filled', expiresAt: NOW - 10 }
+        ], {});
+
+        expect(component.getExpiredCancellableOrderIds()).toEqual([2, 4]);
+    });
+
+    it('cancels sequentially, skips orders filled meanwhile and refreshes claims once', async () => {
+        const orders = [1, 2, 3].map((id) => ({ id, maker: ACCOUNT, status: 'Active', expiresAt: NOW + 100 }));
+        const { component, ws, contractWithSigner, progress } = createComponent(orders, { 2: 1 });
+
+        const { canceledOrderIds } = await component.cancelOrders([1, 2, 3]);
+
+        expect(canceledOrderIds).toEqual([1, 3]);
+        expect(contractWithSigner.cancelOrder.mock.calls.map(([orderId]) => orderId)).toEqual([1, 3]);
+        expect(progress.updateStep).toHaveBeenCalledWith('cancel-order-2', {
+            status: 'cancelled',
+            detail: 'Skipped: already filled'
+        });
+        expect(ws.orderCache.get(3).status).toBe('Canceled');
+        expect(component.scheduleClaimVisibilityRefreshAfterCancel).toHaveBeenCalledTimes(1);
+        expect(progress.finishSuccess).toHaveBeenCalledWith(
+            'Cancelled 2 of 3 orders. See the steps above for the rest.'
+        );
+    });
+});
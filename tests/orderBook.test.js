@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { OrderBook } from '../js/components/OrderBook.js';
+import { buildOrderBook, listOrderBookPairs } from '../js/utils/orderBook.js';
+
+const WETH = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const USDC = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const DAI = '0xcccccccccccccccccccccccccccccccccccccccc';
+
+const ORDERS = [
+    // Asks: selling WETH for USDC.
+    { id: 1, sellToken: WETH, sellAmount: 1, buyToken: USDC, buyAmount: 2010 },
+    { id: 2, sellToken: WETH, sellAmount: 2, buyToken: USDC, buyAmount: 4020 },
+    { id: 3, sellToken: WETH, sellAmount: 1, buyToken: USDC, buyAmount: 2050 },
+    // Bids: selling USDC for WETH.
+    { id: 4, sellToken: USDC, sellAmount: 1990, buyToken: WETH, buyAmount: 1 },
+    { id: 5, sellToken: USDC, sellAmount: 3900, buyToken: WETH, buyAmount: 2 },
+    // Other pair.
+    { id: 6, sellToken: DAI, sellAmount: 100, buyToken: USDC, buyAmount: 100 }
+];
+
+describe('order book aggregation', () => {
+    it('aggregates price levels with cumulative depth from the best price', () => {
+        const book = buildOrderBook(ORDERS, { baseToken: WETH, quoteToken: USDC });
+
+        expect(book.asks.map(({ price, size, orderCount, cumulativeSize }) => [price, size, orderCount, cumulativeSize]))
+            .toEqual([[2010, 3, 2, 3], [2050, 1, 1, 4]]);
+        expect(book.bids.map(({ price, size, cumulativeSize }) => [price, size, cumulativeSize]))
+            .toEqual([[1990, 1, 1], [1950, 2, 3]]);
+        expect(book.asks[0].orderIds).toEqual([1, 2]);
+    });
+
+    it('reports spread and distance from the market price', () => {
+        const book = buildOrderBook(ORDERS, { baseToken: WETH, quoteToken: USDC, marketPrice: 2000 });
+
+        expect(book.bestBid).toBe(1990);
+        expect(book.bestAsk).toBe(2010);
+        expect(book.spread).toBe(20);
+        expect(book.spreadPct).toBeCloseTo(1);
+        expect(book.bestAskVsMarketPct).toBeCloseTo(0.5);
+        expect(book.bestBidVsMarketPct).toBeCloseTo(-0.5);
+    });
+
+    it('lists pairs busiest first regardless of order direction', () => {
+        expect(listOrderBookPairs(ORDERS)).toEqual([
+            { baseToken: WETH, quoteToken: USDC, orderCount: 5 },
+            { baseToken: USDC, quoteToken: DAI, orderCount: 1 }
+        ]);
+    });
+});
+
+describe('order book open orders', () => {
+    const VIEWER = '0x1111111111111111111111111111111111111111';
+    const OTHER = '0x2222222222222222222222222222222222222222';
+    const ZERO = '0x0000000000000000000000000000000000000000';
+
+    function getOpenOrderIds(account) {
+        document.body.innerHTML = '<div id="order-book"></div>';
+        const orders = [
+            { id: 1, status: 'Active', taker: ZERO },
+            { id: 2, status: 'Active', taker: OTHER },
+            { id: 3, status: 'Active', taker: VIEWER.toUpperCase().replace('0X', '0x') },
+            { id: 4, status: 'Filled', taker: ZERO }
+        ];
+        const component = new OrderBook();
+        component.setContext({
+            getWallet: () => ({ getAccount: () => account }),
+            getWebSocket: () => ({
+                orderCache: new Map(orders.map((order) => [order.id, order])),
+                getOrderExpiryTime: () => 0,
+                isPastTimestamp: () => false
+            })
+        });
+        return component.getOpenOrders().map((order) => order.id);
+    }
+
+    it('only includes private orders addressed to the connected wallet', () => {
+        expect(getOpenOrderIds(VIEWER)).toEqual([1, 3]);
+    });
+
+    it('leaves out every private order without a connected wallet', () => {
+        expect(getOpenOrderIds(null)).toEqual([1]);
+    });
+});
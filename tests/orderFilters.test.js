@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyOrderRangeFilters,
+    hasActiveOrderRangeFilters,
+    matchesOrderRangeFilters,
+    normalizeOrderRangeFilters
+} from '../js/utils/orderFilters.js';
+
+const ME = '0x1111111111111111111111111111111111111111';
+const MAKER = '0xabcdef0000000000000000000000000000000001';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const ZERO = '0x0000000000000000000000000000000000000000';
+const NOW = 1_700_000_000;
+
+function createOrder(id, { sellValue, deal, expiresInHours = 24, maker = MAKER, taker = ZERO } = {}) {
+    return {
+        id,
+        maker,
+        taker,
+        timings: { expiresAt: NOW + expiresInHours * 3600 },
+        dealMetrics: { sellValue, deal }
+    };
+}
+
+const buyerContext = {
+    // Buyer deal ratio is the inverse of the maker's deal
+    getDealRatio: (order) => (order.dealMetrics.deal > 0 ? 1 / order.dealMetrics.deal : undefined),
+    now: NOW,
+    account: ME
+};
+
+describe('order range filters', () => {
+    it('normalizes form input and ignores blank or invalid values', () => {
+        expect(normalizeOrderRangeFilters({
+            minUsdSize: '100',
+            maxUsdSize: '',
+            minDealPct: '-2.5',
+            minExpiryHours: '-1',
+            counterparty: ' 0xABCDEF ',
+            privateOnly: true
+        })).toEqual({
+            minUsdSize: 100,
+            maxUsdSize: null,
+            minDealPct: -2.5,
+            maxDealPct: null,
+            minExpiryHours: null,
+            maxExpiryHours: null,
+            counterparty: '0xabcdef',
+            privateOnly: true
+        });
+        expect(hasActiveOrderRangeFilters({ counterparty: 'not-an-address' })).toBe(false);
+    });
+
+    it('filters by USD size and by deal versus market', () => {
+        const orders = [
+            createOrder(1, { sellValue: 50, deal: 0.95 }),
+            createOrder(2, { sellValue: 500, deal: 0.95 }),
+            createOrder(3, { sellValue: 500, deal: 1.01 }),
+            createOrder(4, { deal: 0.9 })
+        ];
+
+        const sized = applyOrderRangeFilters(orders, { minUsdSize: 100, maxUsdSize: 1000 }, buyerContext);
+        expect(sized.map(({ id }) => id)).toEqual([2, 3]);
+
+        const goodDeals = applyOrderRangeFilters(orders, { minDealPct: 3 }, buyerContext);
+        expect(goodDeals.map(({ id }) => id)).toEqual([1, 2, 4]);
+    });
+
+    it('filters partially filled orders by the USD value still on offer', () => {
+        const partiallyFilled = createOrder(1, { sellValue: 500, deal: 1 });
+        partiallyFilled.dealMetrics.remainingSellValue = 50;
+        const orders = [partiallyFilled, createOrder(2, { sellValue: 500, deal: 1 })];
+
+        const sized = applyOrderRangeFilters(orders, { minUsdSize: 100 }, buyerContext);
+        expect(sized.map(({ id }) => id)).toEqual([2]);
+    });
+
+    it('filters by time to expiry and counterparty', () => {
+        const soon = createOrder(1, { expiresInHours: 2 });
+        const later = createOrder(2, { expiresInHours: 48, maker: OTHER, taker: ME });
+
+        expect(matchesOrderRangeFilters(soon, { maxExpiryHours: 6 }, buyerContext)).toBe(true);
+        expect(matchesOrderRangeFilters(later, { maxExpiryHours: 6 }, buyerContext)).toBe(false);
+
+        expect(matchesOrderRangeFilters(soon, { counterparty: '0xabcdef' }, buyerContext)).toBe(true);
+        expect(matchesOrderRangeFilters(later, { counterparty: '0xabcdef' }, buyerContext)).toBe(false);
+
+        expect(matchesOrderRangeFilters(soon, { privateOnly: true }, buyerContext)).toBe(false);
+        expect(matchesOrderRangeFilters(later, { privateOnly: true }, buyerContext)).toBe(true);
+        expect(matchesOrderRangeFilters(later, { privateOnly: true }, { ...buyerContext, account: OTHER })).toBe(false);
+        expect(matchesOrderRangeFilters(later, { counterparty: ME }, { ...buyerContext, isMakerView: true })).toBe(true);
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { buildOrderLadder } from '../js/utils/orderLadder.js';
+
+const E18 = 10n ** 18n;
+
+describe('order ladder', () => {
+    it('splits the sell amount into equal rungs at evenly stepped prices', () => {
+        const rungs = buildOrderLadder({
+            totalSellAmount: 10n * E18 + 1n,
+            rungs: 3,
+            startPrice: 600,
+            endPrice: 630,
+            sellDecimals: 18,
+            buyDecimals: 6
+        });
+
+        expect(rungs.map(rung => rung.price)).toEqual([600, 615, 630]);
+        expect(rungs.reduce((total, rung) => total + rung.sellAmount, 0n)).toBe(10n * E18 + 1n);
+        expect(rungs[0].sellAmount).toBe(3333333333333333333n);
+        // 3.333... WBNB at 600 USDT, rounded up to the maker's favour.
+        expect(rungs[0].buyAmount).toBe(2000000000n);
+        expect(rungs[2].sellAmount).toBe(3333333333333333335n);
+    });
+
+    it('rejects rung counts and amounts that cannot form a ladder', () => {
+        const base = { totalSellAmount: 5n, startPrice: 1, endPrice: 2, sellDecimals: 0, buyDecimals: 0 };
+        expect(() => buildOrderLadder({ ...base, rungs: 1 })).toThrow('between 2 and 20');
+        expect(() => buildOrderLadder({ ...base, rungs: 6 })).toThrow('too small');
+        expect(() => buildOrderLadder({ ...base, rungs: 2, startPrice: 0 })).toThrow('above zero');
+    });
+});
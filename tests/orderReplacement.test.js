@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { getOrderReplacementValues, getReplacementConflict } from '../js/utils/orderReplacement.js';
+
+const MAKER = '0x1111111111111111111111111111111111111111';
+const TAKER = '0x2222222222222222222222222222222222222222';
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+describe('order replacement', () => {
+    it('pre-fills the unfilled part of the order and drops a public taker', () => {
+        const values = getOrderReplacementValues({
+            sellToken: '0xaaa',
+            buyToken: '0xbbb',
+            sellAmount: '1000',
+            buyAmount: '3000',
+            filledSellAmount: '400',
+            taker: ZERO
+        });
+
+        expect(values).toEqual({ sellToken: '0xaaa', buyToken: '0xbbb', sellAmount: 600n, buyAmount: 1800n, taker: '' });
+        expect(getOrderReplacementValues({ sellAmount: '1', buyAmount: '1', taker: TAKER }).taker).toBe(TAKER);
+    });
+
+    it('reports orders that were filled, partially filled or cleaned up during the edit', () => {
+        const replacement = { remainingSellAmount: 1000n };
+        const order = { maker: MAKER, status: 0, sellAmount: '1000' };
+
+        expect(getReplacementConflict(replacement, order)).toBe('');
+        expect(getReplacementConflict(replacement, { ...order, status: 1 })).toBe('it was filled');
+        expect(getReplacementConflict(replacement, { ...order, filledSellAmount: '1' })).toBe('it was partially filled');
+        expect(getReplacementConflict(replacement, { maker: ZERO, status: 0, sellAmount: '0' })).toBe('it was cleaned up');
+    });
+});
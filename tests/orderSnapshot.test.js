@@ -0,0 +1,206 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { OrderSnapshotStore, orderSnapshotStore } from '../js/services/OrderSnapshotStore.js';
+import { WebSocketService } from '../js/services/WebSocket.js';
+
+// Builds an ERC20 Interface at import time, which the ethers mock lacks.
+vi.mock('../js/services/TokenMetadataCache.js', () => ({ tokenMetadataCache: {} }));
+
+const CONTRACT = '0x151D47362eC1947A27BC52D9Cf8257d014d88104';
+const OTHER_CONTRACT = '0x2222222222222222222222222222222222222222';
+const MAKER = '0x1111111111111111111111111111111111111111';
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+
+function makeOrder(id, status = 'Active') {
+    return {
+        id,
+        maker: MAKER,
+        taker: '0x0000000000000000000000000000000000000000',
+        sellToken: WBNB,
+        buyToken: USDT,
+        sellAmount: 10n ** 18n,
+        buyAmount: 600n * 10n ** 18n,
+        orderCreationFee: 0n,
+        filledSellAmount: 0n,
+        timestamp: 1700000000 + id,
+        status,
+        feeToken: USDT
+    };
+}
+
+function createStatusLogContract(logs) {
+    return {
+        address: CONTRACT,
+        interface: {
+            getEventTopic: eventName => `topic:${eventName}`,
+            parseLog: log => ({ name: log.eventName, args: { orderId: { toNumber: () => log.orderId } } })
+        },
+        provider: {
+            getLogs: vi.fn(async ({ fromBlock, toBlock }) => logs.filter(log => (
+                log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+            )))
+        }
+    };
+}
+
+describe('order snapshot store', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('round-trips a snapshot with amounts as decimal strings', () => {
+        const store = new OrderSnapshotStore();
+        expect(store.save('0x38', CONTRACT, {
+            firstOrderId: 2,
+            nextOrderId: 5,
+            lastSyncedBlock: 1000,
+            orders: [makeOrder(3), makeOrder(4, 'Filled')]
+        })).toBe(true);
+
+        const snapshot = store.load('0x38', CONTRACT.toLowerCase());
+        expect(snapshot).toMatchObject({ firstOrderId: 2, nextOrderId: 5, lastSyncedBlock: 1000 });
+        expect(snapshot.orders).toHaveLength(2);
+        expect(snapshot.orders[1]).toMatchObject({ id: 4, status: 'Filled', sellAmount: '1000000000000000000' });
+        expect(snapshot).toMatchObject({ orderExpiry: null, gracePeriod: null });
+
+        store.save('0x38', CONTRACT, {
+            firstOrderId: 2,
+            nextOrderId: 5,
+            lastSyncedBlock: 1000,
+            orderExpiry: { toString: () => '86400' },
+            gracePeriod: 3600,
+            orders: []
+        });
+        expect(store.load('0x38', CONTRACT)).toMatchObject({ orderExpiry: 86400, gracePeriod: 3600 });
+    });
+
+    it('does not load a snapshot saved for another network or contract', () => {
+        const store = new OrderSnapshotStore();
+        store.save('0x38', CONTRACT, { firstOrderId: 0, nextOrderId: 1, lastSyncedBlock: 10, orders: [makeOrder(0)] });
+
+        expect(store.load('0x89', CONTRACT)).toBeNull();
+        expect(store.load('0x38', OTHER_CONTRACT)).toBeNull();
+        expect(store.load('0x38', CONTRACT)).not.toBeNull();
+    });
+});
+
+describe('order snapshot catch-up', () => {
+    function createService() {
+        const service = new WebSocketService();
+        // Snapshot amounts stay as strings; the ethers mock has no BigNumber.
+        vi.spyOn(service, 'hydrateSnapshotOrder').mockImplementation(order => ({ ...order, id: Number(order.id) }));
+        vi.spyOn(service, 'fetchOrdersInRange').mockImplementation(async (start, end) => (
+            Array.from({ length: Math.max(0, end - start) }, (_, index) => makeOrder(start + index))
+        ));
+        return service;
+    }
+
+    const snapshot = {
+        firstOrderId: 0,
+        nextOrderId: 4,
+        lastSyncedBlock: 100,
+        orders: [0, 1, 2, 3].map(id => ({ ...makeOrder(id), sellAmount: '1' }))
+    };
+
+    it('replays filled, canceled and cleaned-up logs emitted after lastSyncedBlock', async () => {
+        const service = createService();
+        const contract = createStatusLogContract([
+            { eventName: 'OrderFilled', orderId: 3, blockNumber: 95, logIndex: 0 },
+            { eventName: 'OrderFilled', orderId: 1, blockNumber: 101, logIndex: 0 },
+            { eventName: 'OrderCanceled', orderId: 2, blockNumber: 105, logIndex: 1 },
+            { eventName: 'OrderCleanedUp', orderId: 0, blockNumber: 110, logIndex: 0 }
+        ]);
+
+        const orders = await service.catchUpPersistedOrderSnapshot(snapshot, {
+            contract,
+            provider: contract.provider,
+            startOrderId: 0,
+            endOrderIdExclusive: 5,
+            latestBlock: 120
+        });
+
+        expect(contract.provider.getLogs.mock.calls[0][0]).toMatchObject({ fromBlock: 101, toBlock: 120 });
+        expect(orders.map(order => [order.id, order.status])).toEqual([
+            [1, 'Filled'],
+            [2, 'Canceled'],
+            // The log at block 95 predates the snapshot and is not replayed.
+            [3, 'Active'],
+            [4, 'Active']
+        ]);
+        expect(service.fetchOrdersInRange).toHaveBeenCalledWith(4, 5, 50, expect.any(Object));
+    });
+
+    it('discards a snapshot that is ahead of the chain', async () => {
+        const service = createService();
+        const clearSpy = vi.spyOn(orderSnapshotStore, 'clear');
+        const contract = createStatusLogContract([]);
+
+        const orders = await service.catchUpPersistedOrderSnapshot(snapshot, {
+            contract,
+            provider: contract.provider,
+            startOrderId: 0,
+            endOrderIdExclusive: 5,
+            latestBlock: 50
+        });
+
+        expect(orders).toBeNull();
+        expect(clearSpy).toHaveBeenCalled();
+        expect(contract.provider.getLogs).not.toHaveBeenCalled();
+        clearSpy.mockRestore();
+    });
+});
+
+describe('order snapshot startup', () => {
+    it('fills the cache from the snapshot before the RPC catch-up and applies only its changes', async () => {
+        const service = new WebSocketService();
+        const persisted = {
+            firstOrderId: 0,
+            nextOrderId: 2,
+            lastSyncedBlock: 100,
+            orderExpiry: 86400,
+            gracePeriod: 3600,
+            orders: [makeOrder(0), makeOrder(1)]
+        };
+        vi.spyOn(service, 'loadPersistedOrderSnapshot').mockReturnValue(persisted);
+        vi.spyOn(service, 'hydrateSnapshotOrder').mockImplementation(order => ({ ...order }));
+        vi.spyOn(service, 'initialize').mockResolvedValue(false);
+        vi.spyOn(service, 'persistOrderSnapshot').mockReturnValue(true);
+        const calculateDealMetrics = vi.spyOn(service, 'calculateDealMetrics')
+            .mockImplementation(async order => ({ ...order, dealMetrics: { deal: 1 } }));
+
+        let finishCatchUp;
+        vi.spyOn(service, 'loadStartupSnapshotViaHttp').mockReturnValue(new Promise((resolve) => {
+            finishCatchUp = resolve;
+        }));
+        const onOrdersUpdated = vi.fn();
+        const onSyncComplete = vi.fn();
+        service.subscribe('ordersUpdated', onOrdersUpdated);
+        service.subscribe('orderSyncComplete', onSyncComplete);
+
+        const syncPromise = service.syncAllOrders();
+        await vi.waitFor(() => expect(onOrdersUpdated).toHaveBeenCalled());
+
+        expect(service.orderCache.size).toBe(2);
+        expect(service.orderCache.get(0).timings.expiresAt).toBe(makeOrder(0).timestamp + 86400);
+        expect(service.hasCompletedOrderSync).toBe(false);
+        expect(onSyncComplete).not.toHaveBeenCalled();
+
+        const unchangedOrder = service.orderCache.get(0);
+        calculateDealMetrics.mockClear();
+        finishCatchUp({
+            orderExpiry: 86400,
+            gracePeriod: 3600,
+            startOrderId: 0,
+            endOrderIdExclusive: 3,
+            latestBlock: 120,
+            syncMode: 'incremental',
+            fetchedOrders: [makeOrder(0), makeOrder(1, 'Filled'), makeOrder(2)]
+        });
+        await expect(syncPromise).resolves.toBe(true);
+
+        expect(service.orderCache.get(0)).toBe(unchangedOrder);
+        expect(service.orderCache.get(1).status).toBe('Filled');
+        expect(calculateDealMetrics.mock.calls.map(([order]) => order.id)).toEqual([1, 2]);
+        expect(onSyncComplete).toHaveBeenCalledTimes(1);
+    });
+});
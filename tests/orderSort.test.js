@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import {
+    ORDER_SORTS,
+    SORTABLE_ORDER_COLUMNS,
+    getNextOrderSort,
+    normalizeOrderSort,
+    sortOrdersByCurrentSort
+} from '../js/utils/orderSort.js';
+
+function order(id, sellToken, sellValue, maker = '0x0') {
+    return { id, sellToken, maker, dealMetrics: { sellValue } };
+}
+
+describe('order sorting', () => {
+    it('keeps stored single-key values and drops invalid secondary keys', () => {
+        expect(normalizeOrderSort(ORDER_SORTS.EXPIRES_OLDEST)).toBe(ORDER_SORTS.EXPIRES_OLDEST);
+        expect(normalizeOrderSort('unknown')).toBe(ORDER_SORTS.BEST_DEAL);
+        expect(normalizeOrderSort('token-az,value-highest')).toBe('token-az,value-highest');
+        expect(normalizeOrderSort('best-deal,worst-deal')).toBe(ORDER_SORTS.BEST_DEAL);
+        expect(normalizeOrderSort('token-az,bogus')).toBe(ORDER_SORTS.TOKEN_AZ);
+    });
+
+    it('sets the primary key on click and the secondary key on shift-click', () => {
+        const tokenSort = getNextOrderSort(ORDER_SORTS.BEST_DEAL, SORTABLE_ORDER_COLUMNS.TOKEN);
+        expect(tokenSort).toBe(ORDER_SORTS.TOKEN_AZ);
+
+        const withSecondary = getNextOrderSort(tokenSort, SORTABLE_ORDER_COLUMNS.DEAL, { secondary: true });
+        expect(withSecondary).toBe('token-az,best-deal');
+        expect(getNextOrderSort(withSecondary, SORTABLE_ORDER_COLUMNS.DEAL, { secondary: true }))
+            .toBe('token-az,worst-deal');
+        expect(getNextOrderSort(withSecondary, SORTABLE_ORDER_COLUMNS.TOKEN)).toBe('token-za,best-deal');
+        expect(getNextOrderSort(withSecondary, SORTABLE_ORDER_COLUMNS.GRACE)).toBe(ORDER_SORTS.GRACE_SOONEST);
+    });
+
+    it('breaks primary ties with the secondary key, then newest id', () => {
+        const orders = [
+            order(1, 'USDC', 50),
+            order(2, 'WBNB', 900),
+            order(3, 'USDC', 400),
+            order(4, 'USDC', 400),
+            order(5, 'USDC')
+        ];
+
+        const sorted = sortOrdersByCurrentSort(orders, { sortValue: 'token-az,value-highest' });
+
+        expect(sorted.map(({ id }) => id)).toEqual([4, 3, 1, 5, 2]);
+    });
+
+    it('sorts partially filled orders by the USD value still on offer', () => {
+        const partiallyFilled = order(1, 'USDC', 1000);
+        partiallyFilled.dealMetrics.remainingSellValue = 100;
+        const orders = [partiallyFilled, order(2, 'USDC', 300)];
+
+        const sorted = sortOrdersByCurrentSort(orders, { sortValue: ORDER_SORTS.VALUE_HIGHEST });
+
+        expect(sorted.map(({ id }) => id)).toEqual([2, 1]);
+    });
+});
@@ -0,0 +1,47 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { OrderTemplateStore, getPeggedBuyAmount } from '../js/services/OrderTemplateStore.js';
+
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+const DESK = '0x1111111111111111111111111111111111111111';
+
+const TEMPLATE = {
+    name: 'Desk WBNB',
+    sellToken: WBNB,
+    buyToken: USDT,
+    sellAmount: '10',
+    buyAmount: '6000',
+    sellPriceUsd: null,
+    taker: DESK
+};
+
+describe('order templates', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('keeps templates per chain and replaces them by name', () => {
+        const store = new OrderTemplateStore();
+        store.save('0x38', TEMPLATE);
+        store.save('0x38', { ...TEMPLATE, buyAmount: '6100' });
+
+        expect(store.list('0x38')).toEqual([{ ...TEMPLATE, buyAmount: '6100' }]);
+        expect(store.list('0x89')).toEqual([]);
+        expect(store.save('0x38', { ...TEMPLATE, name: 'Bad taker', taker: '0x123' })).toBe(false);
+    });
+
+    it('round-trips exports and rejects files from another chain', () => {
+        const source = new OrderTemplateStore();
+        source.save('0x38', { ...TEMPLATE, buyAmount: '', sellPriceUsd: 600 });
+        const json = source.exportJson('0x38');
+
+        localStorage.clear();
+        const target = new OrderTemplateStore();
+        expect(() => target.importJson('0x89', json)).toThrow('exported on chain 0x38');
+        expect(target.importJson('0x38', json)).toEqual({ imported: 1, skipped: 0 });
+
+        const [template] = target.list('0x38');
+        expect(template.sellPriceUsd).toBe(600);
+        expect(getPeggedBuyAmount(template, 1.2)).toBe(5000);
+    });
+});
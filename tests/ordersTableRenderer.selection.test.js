@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { OrdersTableRenderer } from '../js/services/OrdersTableRenderer.js';
+
+function createRenderer(orders, { isSelectable, onAction }) {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+
+    const orderCache = new Map(orders.map((order) => [order.id, order]));
+    const component = {
+        container,
+        expiryTimers: new Map(),
+        createElement(tag, className = '') {
+            const element = document.createElement(tag);
+            if (className) {
+                element.className = className;
+            }
+            return element;
+        },
+        ctx: {
+            getWebSocket: () => ({ tokenCache: new Map(), orderCache }),
+            getWalletChainId: () => '0x89'
+        }
+    };
+
+    const renderer = new OrdersTableRenderer(component, {
+        showRefreshButton: false,
+        rowRenderer: (order) => {
+            const tr = document.createElement('tr');
+            tr.dataset.orderId = String(order.id);
+            tr.innerHTML = `<td>${order.id}</td><td class="order-status">${order.status}</td>`;
+            return tr;
+        },
+        selection: { actionLabel: 'Fill selected', isSelectable, onAction }
+    });
+
+    container.appendChild(renderer._createFilterControls(() => {}));
+    container.appendChild(renderer._createTable());
+    renderer._setupSelectionListeners();
+
+    return { renderer, container, orderCache };
+}
+
+function toggle(container, orderId) {
+    const checkbox = container.querySelector(`.order-select-checkbox[data-order-id="${orderId}"]`);
+    checkbox.checked = !checkbox.checked;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+afterEach(() => {
+    document.body.innerHTML = '';
+});
+
+describe('OrdersTableRenderer row selection', () => {
+    it('selects fillable rows and runs the batch action in pick order', async () => {
+        const orders = [
+            { id: 1, status: 'Active' },
+            { id: 2, status: 'Filled' },
+            { id: 3, status: 'Active' }
+        ];
+        const onAction = vi.fn();
+        const { renderer, container } = createRenderer(orders, {
+            isSelectable: (order) => order.status === 'Active',
+            onAction
+        });
+
+        await renderer.renderOrders(orders);
+        expect(container.querySelectorAll('.order-select-checkbox')).toHaveLength(2);
+
+        const actionButton = container.querySelector('.selection-action-button');
+        expect(actionButton.disabled).toBe(true);
+
+        toggle(container, 3);
+        toggle(container, 1);
+        expect(actionButton.textContent).toBe('Fill selected (2)');
+
+        actionButton.click();
+        await Promise.resolve();
+        expect(onAction).toHaveBeenCalledWith([3, 1]);
+
+        renderer.clearSelection([3]);
+        expect(renderer.getSelectedOrderIds()).toEqual([1]);
+        renderer.cleanup();
+    });
+
+    it('drops selections that are no longer fillable on the next render', async () => {
+        const orders = [{ id: 1, status: 'Active' }, { id: 2, status: 'Active' }];
+        const { renderer, container, orderCache } = createRenderer(orders, {
+            isSelectable: (order) => order.status === 'Active',
+            onAction: vi.fn()
+        });
+
+        await renderer.renderOrders(orders);
+        toggle(container, 1);
+        toggle(container, 2);
+
+        orderCache.get(1).status = 'Filled';
+        orderCache.delete(2);
+        await renderer.renderOrders([orderCache.get(1)]);
+
+        expect(renderer.getSelectedOrderIds()).toEqual([]);
+        expect(container.querySelector('.selection-action-button').disabled).toBe(true);
+        renderer.cleanup();
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import {
+    applyFillToOrder,
+    getFillPercent,
+    getProRataBuyAmount,
+    getRemainingBuyAmount,
+    getRemainingSellAmount,
+    isPartiallyFilled
+} from '../js/utils/partialFills.js';
+
+const ORDER = { sellAmount: '1000', buyAmount: '333', status: 'Active' };
+
+describe('partial fill math', () => {
+    it('treats legacy orders without fill state as untouched', () => {
+        expect(getRemainingSellAmount(ORDER)).toBe(1000n);
+        expect(getRemainingBuyAmount(ORDER)).toBe(333n);
+        expect(isPartiallyFilled(ORDER)).toBe(false);
+        expect(getFillPercent(ORDER)).toBe(0);
+    });
+
+    it('charges the buy side pro rata, rounding in the maker favor', () => {
+        expect(getProRataBuyAmount(ORDER, '500')).toBe(167n);
+        expect(getProRataBuyAmount(ORDER, 1000n)).toBe(333n);
+        expect(getProRataBuyAmount(ORDER, 0)).toBe(0n);
+
+        const order = { ...ORDER, filledSellAmount: '250' };
+        expect(getRemainingSellAmount(order)).toBe(750n);
+        expect(getRemainingBuyAmount(order)).toBe(250n);
+        expect(getFillPercent(order)).toBe(25);
+        expect(isPartiallyFilled(order)).toBe(true);
+    });
+
+    it('folds OrderFilled events into the fill state', () => {
+        const order = { ...ORDER, filledSellAmount: '250' };
+
+        expect(applyFillToOrder(order, { sellAmount: '250' })).toEqual({
+            filledSellAmount: 500n,
+            remainingSellAmount: 500n,
+            isComplete: false
+        });
+        expect(applyFillToOrder(order, { sellAmount: '250', remainingSellAmount: '0' })).toMatchObject({
+            filledSellAmount: 1000n,
+            isComplete: true
+        });
+        expect(applyFillToOrder(order, { sellAmount: '5000' }).filledSellAmount).toBe(1000n);
+    });
+});
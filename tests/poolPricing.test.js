@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { derivePoolUsdPrices, getV2SpotPrice, getV3SpotPrice } from '../js/utils/poolPricing.js';
+
+const E18 = 10n ** 18n;
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const CAKE = '0x0e09fabb73bd3ade0a17ecc321fd13a19e81ce82';
+const ORPHAN = '0x1111111111111111111111111111111111111111';
+
+describe('pool pricing', () => {
+    it('reads spot prices from V2 reserves and V3 sqrtPriceX96', () => {
+        expect(getV2SpotPrice(6000n * E18, 10n * E18, 18, 18)).toBeCloseTo(10 / 6000, 12);
+        // 1 USDC (6 decimals) = 1/3000 WETH (18 decimals).
+        const sqrtPriceX96 = BigInt(Math.round(Math.sqrt(1e12 / 3000) * 2 ** 48)) * 2n ** 48n;
+        expect(getV3SpotPrice(sqrtPriceX96, 6, 18)).toBeCloseTo(1 / 3000, 9);
+        expect(getV2SpotPrice(0n, E18, 18, 18)).toBeNull();
+    });
+
+    it('routes prices to USD through stablecoins and skips unreachable tokens', () => {
+        const prices = derivePoolUsdPrices([
+            { token0: CAKE, token1: WBNB, price: 1 / 300, liquidity: [300, 1] },
+            { token0: USDT, token1: WBNB, price: 10 / 6000, liquidity: [6000, 10] },
+            { token0: ORPHAN, token1: CAKE.replace('0e09', '0e10'), price: 2 }
+        ], [USDT]);
+
+        expect(prices.get(WBNB).price).toBeCloseTo(600);
+        expect(prices.get(WBNB).liquidity).toBeCloseTo(12000);
+        expect(prices.get(CAKE).price).toBeCloseTo(2);
+        expect(prices.has(ORPHAN)).toBe(false);
+        // The $1 anchor is not a quote of its own.
+        expect(prices.has(USDT)).toBe(false);
+    });
+});
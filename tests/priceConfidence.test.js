@@ -0,0 +1,46 @@
+import { describe, expect, it } from 'vitest';
+import { PRICE_CONFIDENCE, aggregatePriceQuotes } from '../js/utils/priceConfidence.js';
+
+describe('price confidence', () => {
+    it('drops an outlier quote and prices from the median of the rest', () => {
+        const result = aggregatePriceQuotes([
+            { source: 'geckoterminal', price: 600 },
+            { source: 'dexscreener', price: 6000, liquidity: 800 },
+            { source: 'defillama', price: 602 }
+        ]);
+
+        expect(result.price).toBe(601);
+        expect(result.sources).toEqual(['geckoterminal', 'defillama']);
+        expect(result.rejectedSources).toEqual(['dexscreener']);
+        expect(result.confidence).toBe(PRICE_CONFIDENCE.MEDIUM);
+    });
+
+    it('flags disagreeing pairs and thin single sources as low confidence', () => {
+        expect(aggregatePriceQuotes([
+            { source: 'geckoterminal', price: 1 },
+            { source: 'dexscreener', price: 1.5 }
+        ]).confidence).toBe(PRICE_CONFIDENCE.LOW);
+        expect(aggregatePriceQuotes([{ source: 'dexscreener', price: 2, liquidity: 500 }]).confidence)
+            .toBe(PRICE_CONFIDENCE.LOW);
+        expect(aggregatePriceQuotes([{ source: 'coingecko', price: 2 }]).confidence).toBe(PRICE_CONFIDENCE.MEDIUM);
+        expect(aggregatePriceQuotes([
+            { source: 'geckoterminal', price: 1 },
+            { source: 'defillama', price: 1.01 }
+        ]).confidence).toBe(PRICE_CONFIDENCE.HIGH);
+        expect(aggregatePriceQuotes([{ source: 'dexscreener', price: Number.NaN }])).toBeNull();
+    });
+
+    it('falls back to the median of all quotes when every quote is far from it', () => {
+        const result = aggregatePriceQuotes([
+            { source: 'geckoterminal', price: 1 },
+            { source: 'dexscreener', price: 2 },
+            { source: 'defillama', price: 10 },
+            { source: 'onchain', price: 20 }
+        ]);
+
+        expect(result.price).toBe(6);
+        expect(result.sources).toEqual(['geckoterminal', 'dexscreener', 'defillama', 'onchain']);
+        expect(result.rejectedSources).toEqual([]);
+        expect(result.confidence).toBe(PRICE_CONFIDENCE.LOW);
+    });
+});
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { PRICE_PEG_MODES, derivePeggedBuyAmount } from '../js/utils/pricePeg.js';
+
+const WBNB_USDT = { sellAmount: '10', sellUsdPrice: 600, buyUsdPrice: 1 };
+
+describe('price-pegged orders', () => {
+    it('derives the buy amount from a premium or a fixed price', () => {
+        const premium = derivePeggedBuyAmount({ ...WBNB_USDT, mode: PRICE_PEG_MODES.PERCENT, value: '5' });
+        expect(premium.marketPrice).toBe(600);
+        expect(premium.buyAmount).toBeCloseTo(6300);
+        expect(premium.dealRatio).toBeCloseTo(1.05);
+
+        const fixed = derivePeggedBuyAmount({ ...WBNB_USDT, mode: PRICE_PEG_MODES.PRICE, value: '570' });
+        expect(fixed.buyAmount).toBe(5700);
+        expect(fixed.dealRatio).toBeCloseTo(0.95);
+    });
+
+    it('returns null without a spot price or a usable price', () => {
+        expect(derivePeggedBuyAmount({ ...WBNB_USDT, buyUsdPrice: undefined, mode: PRICE_PEG_MODES.PERCENT, value: '0' })).toBeNull();
+        expect(derivePeggedBuyAmount({ ...WBNB_USDT, mode: PRICE_PEG_MODES.PERCENT, value: '-100' })).toBeNull();
+        expect(derivePeggedBuyAmount({ ...WBNB_USDT, mode: PRICE_PEG_MODES.PRICE, value: '' })).toBeNull();
+    });
+});
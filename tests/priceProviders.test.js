@@ -0,0 +1,75 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+    PriceProviderRegistry,
+    defiLlamaProvider,
+    geckoTerminalProvider
+} from '../js/services/PriceProviders.js';
+import { PricingService } from '../js/services/PricingService.js';
+
+const WBNB = '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c';
+const USDT = '0x55d398326f99059ff775485246999027b3197955';
+const BSC = { slug: 'bnb', chainId: '0x38' };
+
+function jsonResponse(body) {
+    return { ok: true, status: 200, statusText: 'OK', json: async () => body };
+}
+
+function createService(providers, networkConfig = BSC) {
+    const service = new PricingService({ priceProviderRegistry: new PriceProviderRegistry(providers) });
+    service.networkConfig = networkConfig;
+    return service;
+}
+
+describe('price providers', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    it('orders providers by network config and skips ones that do not serve the chain', () => {
+        const mock = { id: 'mock', name: 'Mock', chainIds: null, fetchPrices: async () => new Map() };
+        const registry = new PriceProviderRegistry([geckoTerminalProvider, defiLlamaProvider, mock]);
+
+        const ids = network => registry.getProvidersForNetwork(network).map(provider => provider.id);
+        expect(ids({ ...BSC, priceProviders: ['mock', 'defillama', 'missing'] })).toEqual(['mock', 'defillama']);
+        expect(ids(BSC)).toEqual(['geckoterminal', 'defillama', 'mock']);
+        expect(ids({ slug: 'local', chainId: '0x539' })).toEqual(['mock']);
+        expect(() => registry.register({ id: 'broken' })).toThrow('fetchPrices');
+    });
+
+    it('collects quotes from each provider and aggregates them using stubbed fetch', async () => {
+        const fetchMock = vi.fn(async (url) => {
+            if (url.includes('geckoterminal')) {
+                return jsonResponse({ data: { attributes: { token_prices: { [WBNB]: '612.5', [USDT]: '0' } } } });
+            }
+            return jsonResponse({ coins: { [`bsc:${WBNB}`]: { price: 611.5 }, [`bsc:${USDT}`]: { price: 1.001 } } });
+        });
+        vi.stubGlobal('fetch', fetchMock);
+
+        const service = createService([
+            { ...geckoTerminalProvider, rateLimitMs: 0 },
+            { ...defiLlamaProvider, rateLimitMs: 0 }
+        ]);
+        const prices = await service.fetchTokenPrices([WBNB, USDT]);
+
+        expect(prices.get(WBNB)).toMatchObject({ price: 612, confidence: 'high', sources: ['geckoterminal', 'defillama'] });
+        expect(prices.get(USDT)).toMatchObject({ price: 1.001, confidence: 'medium', sources: ['defillama'] });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(fetchMock.mock.calls[0][0]).toContain(`/networks/bsc/token_price/${WBNB},${USDT}`);
+        // Tokens below the target quote count are asked again.
+        expect(fetchMock.mock.calls[1][0]).toBe(`https://coins.llama.fi/prices/current/bsc:${WBNB},bsc:${USDT}`);
+    });
+
+    it('marks prices from a full refresh as fresh until the cache expires', async () => {
+        const service = createService([]);
+        service.allowedTokens = new Set([WBNB]);
+        vi.spyOn(service, 'fetchTokenPrices').mockResolvedValue(new Map([[WBNB, { price: 612 }]]));
+
+        expect(service.isPriceStale(WBNB)).toBe(true);
+        await service.refreshPrices();
+        expect(service.isPriceStale(WBNB)).toBe(false);
+
+        vi.spyOn(Date, 'now').mockReturnValue(Date.now() + service.priceCacheExpiry + 1);
+        expect(service.isPriceStale(WBNB)).toBe(true);
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { fillLeg, quoteBestRoutes } from '../js/utils/routeQuote.js';
+
+const USDT = '0x1111111111111111111111111111111111111111';
+const BNB = '0x2222222222222222222222222222222222222222';
+const WETH = '0x3333333333333333333333333333333333333333';
+
+const PRICES = { [USDT]: 1, [BNB]: 500, [WETH]: 2000 };
+const getPrice = (token) => PRICES[token];
+
+function order(id, sellToken, sellAmount, buyToken, buyAmount) {
+    return { id, sellToken, sellAmount, buyToken, buyAmount };
+}
+
+describe('route quotes', () => {
+    it('fills the cheapest orders first and overshoots with whole orders', () => {
+        const leg = fillLeg([
+            { id: 1, sellToken: USDT, buyToken: BNB, sellAmount: 600, buyAmount: 1.2, price: 0.002 },
+            { id: 2, sellToken: USDT, buyToken: BNB, sellAmount: 600, buyAmount: 1.32, price: 0.0022 }
+        ], 1000);
+
+        expect(leg.fills.map((fill) => fill.orderId)).toEqual([1, 2]);
+        expect(leg.received).toBe(1200);
+        expect(leg.paid).toBeCloseTo(2.52);
+
+        const partial = fillLeg([
+            { id: 1, sellToken: USDT, buyToken: BNB, sellAmount: 600, buyAmount: 1.2, price: 0.002 },
+            { id: 2, sellToken: USDT, buyToken: BNB, sellAmount: 600, buyAmount: 1.32, price: 0.0022 }
+        ], 1000, { allowPartial: true });
+        expect(partial.received).toBe(1000);
+        expect(partial.fills[1]).toMatchObject({ partial: true, receiveAmount: 400 });
+        expect(partial.paid).toBeCloseTo(2.08);
+    });
+
+    it('ranks a cheaper two-hop path above the direct pair', () => {
+        const routes = quoteBestRoutes({
+            orders: [
+                order(1, USDT, 1000, BNB, 2.2),
+                order(2, USDT, 1000, WETH, 0.49),
+                order(3, WETH, 0.49, BNB, 1.96)
+            ],
+            wantToken: USDT,
+            payToken: BNB,
+            wantAmount: 1000,
+            getPrice
+        });
+
+        expect(routes.map((route) => route.path)).toEqual([
+            [BNB, WETH, USDT],
+            [BNB, USDT]
+        ]);
+        expect(routes[0].payAmount).toBeCloseTo(1.96);
+        expect(routes[0].premiumPct).toBeCloseTo(-2);
+        expect(routes[1].premiumPct).toBeCloseTo(10);
+    });
+
+    it('returns nothing when the book cannot cover the amount', () => {
+        expect(quoteBestRoutes({
+            orders: [order(1, USDT, 10, BNB, 0.02)],
+            wantToken: USDT,
+            payToken: BNB,
+            wantAmount: 50,
+            getPrice
+        })).toEqual([]);
+    });
+});
@@ -0,0 +1,75 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { parseTableState, serializeTableState } from '../js/utils/tableUrlState.js';
+import { FilterPresetStore } from '../js/services/FilterPresetStore.js';
+import { ORDER_SORTS } from '../js/utils/orderSort.js';
+
+const USDC = '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d';
+const WBNB = '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c';
+
+describe('order table URL state', () => {
+    it('round-trips non-default state next to unrelated params', () => {
+        const params = new URLSearchParams('chain=bnb');
+        serializeTableState(params, 'orders', {
+            sellToken: USDC,
+            buyToken: WBNB,
+            fillableOnly: false,
+            sort: ORDER_SORTS.EXPIRES_OLDEST,
+            pageSize: '50',
+            minDealPct: 3,
+            privateOnly: true
+        });
+
+        expect(params.get('chain')).toBe('bnb');
+        expect(params.get('orders.fillable')).toBe('0');
+        expect(params.get('orders.minDeal')).toBe('3');
+        expect(parseTableState(params, 'orders')).toEqual({
+            sellToken: USDC.toLowerCase(),
+            buyToken: WBNB.toLowerCase(),
+            fillableOnly: false,
+            sort: ORDER_SORTS.EXPIRES_OLDEST,
+            pageSize: '50',
+            minUsdSize: null,
+            maxUsdSize: null,
+            minDealPct: 3,
+            maxDealPct: null,
+            minExpiryHours: null,
+            maxExpiryHours: null,
+            counterparty: '',
+            privateOnly: true
+        });
+        expect(parseTableState(params, 'mine').sellToken).toBe('');
+    });
+
+    it('drops defaults and ignores malformed values', () => {
+        const params = new URLSearchParams('orders.sort=best-deal&orders.size=25');
+        serializeTableState(params, 'orders', { sort: ORDER_SORTS.BEST_DEAL, pageSize: '25' }, { pageSize: '25' });
+        expect(params.toString()).toBe('');
+
+        const parsed = parseTableState(
+            new URLSearchParams('orders.sell=0x123&orders.sort=cheapest&orders.size=7&orders.fillable=yes'),
+            'orders'
+        );
+        expect(parsed).toMatchObject({ sellToken: '', sort: ORDER_SORTS.BEST_DEAL, pageSize: '10', fillableOnly: true });
+    });
+});
+
+describe('filter presets', () => {
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    it('saves, replaces and removes named presets per table and chain', () => {
+        const store = new FilterPresetStore();
+        store.save('0x38', 'orders', ' USDC to WBNB ', { sellToken: USDC, buyToken: WBNB });
+        store.save('0x38', 'orders', 'USDC to WBNB', { sellToken: USDC, sort: ORDER_SORTS.WORST_DEAL });
+
+        expect(store.list('0x38', 'orders')).toHaveLength(1);
+        expect(store.get('0x38', 'orders', 'USDC to WBNB')).toMatchObject({ buyToken: '', sort: ORDER_SORTS.WORST_DEAL });
+        expect(store.list('0x38', 'mine')).toEqual([]);
+        expect(store.list('0x89', 'orders')).toEqual([]);
+        expect(store.save(null, 'orders', 'No chain', {})).toBe(false);
+
+        expect(store.remove('0x38', 'orders', 'USDC to WBNB')).toBe(true);
+        expect(store.list('0x38', 'orders')).toEqual([]);
+    });
+});
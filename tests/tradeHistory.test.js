@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import {
+    buildPastOrders,
+    buildTradeHistoryEntries,
+    PAST_ORDER_STATUSES,
+    TRADE_HISTORY_ROLES,
+    toCsv
+} from '../js/utils/tradeHistory.js';
+
+const MAKER = '0x1111111111111111111111111111111111111111';
+const FILLER = '0x2222222222222222222222222222222222222222';
+const OTHER = '0x3333333333333333333333333333333333333333';
+const TOKEN_A = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const TOKEN_B = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const ZERO = '0x0000000000000000000000000000000000000000';
+
+function created(orderId, blockNumber, maker = MAKER) {
+    return {
+        key: `0xc${orderId}:0`,
+        eventName: 'OrderCreated',
+        orderId,
+        blockNumber,
+        logIndex: 0,
+        maker,
+        taker: ZERO,
+        sellToken: TOKEN_A,
+        sellAmount: '100',
+        buyToken: TOKEN_B,
+        buyAmount: '200'
+    };
+}
+
+const RECORDS = [
+    created(1, 10),
+    created(2, 11),
+    created(3, 12, OTHER),
+    {
+        key: '0xf1:0', eventName: 'OrderFilled', orderId: 1, blockNumber: 20, logIndex: 0,
+        maker: MAKER, taker: FILLER, sellToken: TOKEN_A, sellAmount: '100', buyToken: TOKEN_B, buyAmount: '200'
+    },
+    { key: '0xa2:0', eventName: 'OrderCanceled', orderId: 2, blockNumber: 21, logIndex: 0, maker: MAKER },
+    { key: '0xd3:0', eventName: 'OrderCleanedUp', orderId: 3, blockNumber: 22, logIndex: 0, maker: OTHER }
+];
+
+describe('trade history ledger', () => {
+    it('lists maker fills and cancels newest first with amounts joined from OrderCreated', () => {
+        const entries = buildTradeHistoryEntries(RECORDS, MAKER);
+
+        expect(entries.map((entry) => [entry.type, entry.orderId, entry.role])).toEqual([
+            ['Cancel', 2, 'Maker'],
+            ['Fill', 1, 'Maker']
+        ]);
+        expect(entries[0]).toMatchObject({ sellToken: TOKEN_A, sellAmount: '100', buyAmount: '200' });
+        expect(entries[1].counterparty).toBe(FILLER);
+    });
+
+    it('records the filler as taker and attaches fill-time USD value', () => {
+        const entries = buildTradeHistoryEntries(RECORDS, FILLER, {
+            getFillValuation: (recordKey) => (recordKey === '0xf1:0' ? { sellValue: 42.5, buyValue: 40 } : null)
+        });
+
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({ type: 'Fill', role: 'Taker', counterparty: MAKER, usdValue: 42.5 });
+    });
+
+    it('escapes CSV values and neutralizes formulas', () => {
+        const csv = toCsv(
+            [{ key: 'a', label: 'A' }, { key: 'b', label: 'B' }],
+            [{ a: 'x,y', b: '=SUM(1)' }, { a: 'say "hi"', b: null }]
+        );
+
+        expect(csv).toBe('A,B\r\n"x,y",\'=SUM(1)\r\n"say ""hi""",');
+    });
+});
+
+describe('past orders', () => {
+    it('lists closed maker orders with their outcome and skips orders still live', () => {
+        const records = [
+            ...RECORDS,
+            created(4, 13),
+            {
+                key: '0xf4:0', eventName: 'OrderFilled', orderId: 4, blockNumber: 23, logIndex: 0,
+                maker: MAKER, taker: FILLER, sellToken: TOKEN_A, sellAmount: '40', buyToken: TOKEN_B, buyAmount: '80'
+            },
+            { key: '0xd4:0', eventName: 'OrderCleanedUp', orderId: 4, blockNumber: 24, logIndex: 0, maker: MAKER },
+            created(5, 14),
+            { key: '0xd5:0', eventName: 'OrderCleanedUp', orderId: 5, blockNumber: 25, logIndex: 0, maker: MAKER }
+        ];
+
+        const pastOrders = buildPastOrders(records, MAKER, { liveOrderIds: [1] });
+
+        expect(pastOrders.map((order) => [order.orderId, order.status])).toEqual([
+            [5, PAST_ORDER_STATUSES.EXPIRED],
+            [4, PAST_ORDER_STATUSES.PARTIALLY_FILLED],
+            [2, PAST_ORDER_STATUSES.CANCELED]
+        ]);
+        expect(pastOrders[1]).toMatchObject({ sellToken: TOKEN_A, sellAmount: '100', buyAmount: '200', blockNumber: 24 });
+    });
+
+    it('lists orders the account filled for the taker role', () => {
+        const pastOrders = buildPastOrders(RECORDS, FILLER, { role: TRADE_HISTORY_ROLES.TAKER });
+
+        expect(pastOrders).toHaveLength(1);
+        expect(pastOrders[0]).toMatchObject({ orderId: 1, status: PAST_ORDER_STATUSES.FILLED, maker: MAKER });
+    });
+});